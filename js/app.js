@@ -3,21 +3,72 @@
  */
 
 import { CanvasEngine } from './canvas.js';
-import { SpriteManager } from './sprite.js';
-import { DialogueSystem } from './dialogue.js';
+import { SpriteManager, SPRITE_ANCHORS, normalizeAnchor, getAnchorPreset } from './sprite.js';
+import { normalizeKeySettings } from './imageops.js';
+import { normalizeSpriteEffects, hasSpriteEffects } from './spriteeffects.js';
+import { ImageWorkerPool } from './workerpool.js';
+import { DialogueSystem, getTypedText } from './dialogue.js';
 import { Timeline } from './timeline.js';
 import { AudioManager } from './audio.js';
 import { HistoryManager } from './history.js';
-import { downloadFile, downloadCanvas, debounce } from './utils.js';
+import { PARTICLE_PRESETS, createEmitterSettings } from './particles.js';
+import { DIALOGUE_THEME_PRESETS, normalizeDialogueTheme } from './theme.js';
+import { stripMarkup } from './richtext.js';
+import { VARIABLE_TYPES, VariableStore, createVariable, createVariableAction, coerceVariableValue, isValidVariableName, validateCondition } from './variables.js';
+import { findScheduledLine, hasFixedTime } from './schedule.js';
+import { PlaybackClock } from './clock.js';
+import { ScenePlayback } from './sceneplayback.js';
+import { MaskEditor } from './maskeditor.js';
+import { ZipWriter } from './zip.js';
+import { GifEncoder } from './gif.js';
+import { WebPAnimator, canEncodeWebP } from './webp.js';
+import { buildWebPlayer } from './webplayer.js';
+import { downloadFile, downloadCanvas, debounce, generateId, clamp, formatTime, createSeededRandom } from './utils.js';
+
+const SCREEN_EFFECT_NAMES = { flash: 'Flash', shake: 'Shake', vignette: 'Vignette', tint: 'Color Overlay' };
+const SCENE_TIMELINE_ROW_HEIGHT = 24; // px per track lane
+const EXPORT_DEFAULT_FPS = { video: 60, png: 30, gif: 15, webp: 15 }; // Frame rate offered for each export format
+// Frame size offered for each export format (GIF and WebP encode in the browser, so they start small)
+const EXPORT_DEFAULT_RESOLUTION = { video: '1920x1080', png: '1920x1080', gif: '480x270', webp: '640x360' };
+const WEBP_QUALITY = 0.9; // Lossy quality of animated WebP frames
+// Slider settings of each sprite effect, with the unit shown next to them
+const SPRITE_EFFECT_SLIDERS = {
+    outline: [['thickness', ' px']],
+    shadow: [['offsetX', ' px'], ['offsetY', ' px'], ['blur', ' px'], ['opacity', '%']],
+    glow: [['size', ' px'], ['opacity', '%']]
+};
+// Video formats offered for export, best first (only those MediaRecorder supports are listed)
+const VIDEO_CODECS = [
+    { mimeType: 'video/webm;codecs=vp9', label: 'WebM (VP9)', extension: 'webm', audioCodec: 'opus' },
+    { mimeType: 'video/webm;codecs=vp8', label: 'WebM (VP8)', extension: 'webm', audioCodec: 'opus' },
+    { mimeType: 'video/webm;codecs=av01', label: 'WebM (AV1)', extension: 'webm', audioCodec: 'opus' },
+    { mimeType: 'video/mp4;codecs=avc1.640033', label: 'MP4 (H.264)', extension: 'mp4', audioCodec: 'mp4a.40.2' },
+    { mimeType: 'video/mp4;codecs=av01.0.12M.08', label: 'MP4 (AV1)', extension: 'mp4', audioCodec: 'mp4a.40.2' },
+    { mimeType: 'video/mp4;codecs=vp09.00.51.08', label: 'MP4 (VP9)', extension: 'mp4', audioCodec: 'mp4a.40.2' },
+    { mimeType: 'video/webm', label: 'WebM', extension: 'webm' },
+    { mimeType: 'video/mp4', label: 'MP4', extension: 'mp4' }
+];
+const EXPORT_SEED = 1; // Particle seed, so every export of a project looks the same
 
 class SpriteGenApp {
     constructor() {
-        this.canvas = new CanvasEngine('main-canvas');
+        // One clock drives every animation, so exports can step it frame by frame
+        this.clock = new PlaybackClock();
+        this.canvas = new CanvasEngine('main-canvas', this.clock);
         this.spriteManager = new SpriteManager();
-        this.dialogueSystem = new DialogueSystem();
+        if (ImageWorkerPool.isSupported()) {
+            this.spriteManager.workerPool = new ImageWorkerPool();
+        }
+        this.imageRun = null; // { cancelled } while a sprite import can be cancelled (it also tags the import's worker jobs)
+        this.canvas.setDialogueSkins(this.spriteManager.skins);
+        this.dialogueSystem = new DialogueSystem(this.clock);
         this.timeline = new Timeline();
         this.audioManager = new AudioManager();
         this.history = new HistoryManager(50);
+        this.maskEditor = new MaskEditor('mask-canvas');
+        this.maskSpriteId = null; // Sprite open in the mask editor
+        this.playback = new ScenePlayback(this.clock, this.canvas, this.dialogueSystem, this.audioManager, this.timeline);
+        this.cameraEditRecorded = false; // Whether the camera edit in progress already has its undo step
         
         // Grid settings
         this.gridEnabled = false;
@@ -27,13 +78,23 @@ class SpriteGenApp {
         // Scene templates
         this.sceneTemplates = this.loadTemplatesFromStorage();
         
+        // Saved/imported dialogue theme presets
+        this.themePresets = this.loadThemePresetsFromStorage();
+        
+        // Story variables: project definitions, the preview's starting values and the live values
+        this.variables = []; // { id, name, type, value }
+        this.previewStartValues = {}; // name -> value overriding the default when the preview starts
+        this.storyVariables = new VariableStore();
+        
         this.previewMode = false;
-        this.previewInterval = null;
         this.previewPlaying = false;
+        this.previewBgm = false; // Whether the preview started the background music
         
         // Video export state
         this.isRecording = false;
         this.mediaRecorder = null;
+        this.exportLoading = false; // While true, export frames wait for a scene to finish loading
+        this.exportRun = null; // { fps, lastSceneId, scenes } while exporting, noting when each scene played
         this.recordedChunks = [];
         
         // Currently selected character in the left panel
@@ -42,6 +103,12 @@ class SpriteGenApp {
         // Currently selected dialogue line index
         this.selectedDialogueIndex = 0;
         
+        // Scene timeline panel
+        this.scrubTime = null; // Scene time shown while the playhead is scrubbed (null = editing the selected line)
+        this.sceneTimelineZoom = 100; // Pixels per second
+        this.sceneTimelineSnap = '100'; // Snap step in ms, '0' for none or 'beat'
+        this.timelineBpm = 120; // Beat grid for timing to music
+        
         this.init();
     }
 
@@ -55,6 +122,7 @@ class SpriteGenApp {
         this.loadInitialScene();
         this.updateTimelineUI();
         this.updateLayersPanel();
+        this.updateVariablesUI();
     }
 
     /**
@@ -68,9 +136,16 @@ class SpriteGenApp {
         document.getElementById('btn-new').addEventListener('click', () => this.newProject());
         document.getElementById('btn-save').addEventListener('click', () => this.saveProject());
         document.getElementById('btn-load').addEventListener('click', () => this.loadProjectDialog());
-        document.getElementById('btn-export').addEventListener('click', () => this.exportSequence());
+        document.getElementById('btn-export').addEventListener('click', () => this.openExportDialog());
         document.getElementById('btn-preview').addEventListener('click', () => this.togglePreview());
 
+        // Export dialog
+        document.getElementById('btn-close-export').addEventListener('click', () => this.closeExportDialog());
+        document.getElementById('export-format').addEventListener('change', () => this.updateExportFormatUI());
+        document.getElementById('btn-start-export').addEventListener('click', () => this.startExport());
+        document.getElementById('btn-cancel-export').addEventListener('click', () => this.cancelExport());
+        document.getElementById('btn-cancel-processing').addEventListener('click', () => this.cancelImageProcessing());
+
         // Sprite import
         this.setupDropZone('sprite-drop-zone', 'sprite-input', (files) => this.importSprites(files));
         
@@ -153,10 +228,43 @@ class SpriteGenApp {
 
         document.getElementById('scene-duration').addEventListener('input', debounce((e) => {
             this.timeline.updateCurrentScene({ duration: parseInt(e.target.value) || 3000 });
+            this.renderSceneTimeline();
         }, 300));
 
+        document.getElementById('scene-dialogue-mode').addEventListener('change', (e) => {
+            this.timeline.updateCurrentScene({ dialogueMode: e.target.value });
+            this.canvas.setSceneDialogueMode(e.target.value);
+            this.canvas.render();
+        });
+
+        // Scene camera
+        this.setupCameraListeners();
+        
+        // Scene weather
+        document.getElementById('btn-add-weather').addEventListener('click', () => {
+            this.addWeatherEmitter(document.getElementById('weather-preset').value);
+        });
+        
+        // Screen effects on the scene and on dialogue lines
+        document.getElementById('btn-add-scene-effect').addEventListener('click', () => {
+            this.addScreenEffect('scene', document.getElementById('scene-effect-type').value);
+        });
+        document.getElementById('btn-add-line-effect').addEventListener('click', () => {
+            this.addScreenEffect('line', document.getElementById('line-effect-type').value);
+        });
+
+        // Scene timeline panel
+        this.setupSceneTimelineListeners();
+
+        // Scene links and choice menus
+        this.setupChoiceListeners();
+        
+        // Story variables, conditions and actions
+        this.setupVariableListeners();
+
         // Sprite properties
         this.setupSpritePropertyListeners();
+        this.setupMaskEditorListeners();
 
         // Dialogue properties
         this.setupDialoguePropertyListeners();
@@ -175,15 +283,50 @@ class SpriteGenApp {
         window.addEventListener('spriteSelected', (e) => this.onSpriteSelected(e.detail));
         window.addEventListener('spriteUpdated', (e) => this.onSpriteUpdated(e.detail));
 
+        // Preview and export play scenes with the project's sprites and the preview's variables
+        this.playback.getSprite = (id) => this.spriteManager.getSprite(id);
+        this.playback.getCharacter = (id) => this.spriteManager.getCharacter(id);
+        this.playback.getCharacters = () => this.spriteManager.getAllCharacters();
+        this.playback.getStoryVariables = () => this.storyVariables;
+        this.playback.createStartVariables = () => new VariableStore(this.variables, this.previewStartValues);
+        this.playback.onTick = (clock, time) => {
+            if (clock.scene === this.timeline.getCurrentScene()) {
+                this.updateSceneTimelinePlayhead(Math.min(time, clock.schedule.duration));
+            }
+        };
+        
+        // Speech bubbles find the speaker's sprite by character name
+        this.canvas.resolveCharacterId = (name) => this.playback.getCharacterIdByName(name);
+        
+        // Story variables fill ${name} in dialogue text and decide which lines play
+        this.dialogueSystem.resolveVariable = (name) => this.storyVariables.get(name);
+        this.canvas.resolveVariable = (name) => this.storyVariables.get(name);
+        this.dialogueSystem.lineCondition = (line) => this.storyVariables.test(line.condition);
+        
+        // Apply per-line sprite staging when playback advances to a new line
+        this.dialogueSystem.onLineChange = (line, index) => {
+            this.storyVariables.runActions(line.actions);
+            this.selectedDialogueIndex = index;
+            this.playback.applyLineStaging(line);
+            this.updateLayersPanel();
+            this.playback.playScreenEffects(line.effects);
+            this.playback.updateSpeakerFocus(line);
+            this.updateDialogueLinesListUI();
+        };
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
 
         // Options controls
         this.setupOptionsListeners();
+        this.setupThemeListeners();
 
         // Scene transition controls
         this.setupTransitionListeners();
 
+        // Speaker focus controls
+        this.setupSpeakerFocusListeners();
+
         // Audio controls
         this.setupAudioListeners();
     }
@@ -198,6 +341,247 @@ class SpriteGenApp {
         });
     }
 
+    /**
+     * Set up scene camera control listeners
+     */
+    setupCameraListeners() {
+        const bindState = (key, prop, inputId, parse) => {
+            document.getElementById(inputId).addEventListener('input', (e) => {
+                const value = parse(e.target.value);
+                if (isNaN(value)) return;
+                this.updateSceneCamera(camera => { camera[key][prop] = value; }, key);
+            });
+        };
+        
+        bindState('start', 'zoom', 'camera-start-zoom', v => parseInt(v) / 100);
+        bindState('start', 'x', 'camera-start-x', v => parseInt(v));
+        bindState('start', 'y', 'camera-start-y', v => parseInt(v));
+        bindState('end', 'zoom', 'camera-end-zoom', v => parseInt(v) / 100);
+        bindState('end', 'x', 'camera-end-x', v => parseInt(v));
+        bindState('end', 'y', 'camera-end-y', v => parseInt(v));
+
+        document.getElementById('camera-animate').addEventListener('change', (e) => {
+            this.updateSceneCamera(camera => {
+                camera.end = e.target.checked ? { ...camera.start } : null;
+            }, e.target.checked ? 'end' : 'start');
+        });
+
+        document.getElementById('camera-duration').addEventListener('input', (e) => {
+            this.updateSceneCamera(camera => { camera.duration = parseInt(e.target.value) || 0; });
+        });
+
+        document.getElementById('camera-delay').addEventListener('input', (e) => {
+            this.updateSceneCamera(camera => { camera.delay = Math.max(0, parseInt(e.target.value) || 0); });
+        });
+
+        document.getElementById('camera-easing').addEventListener('change', (e) => {
+            this.updateSceneCamera(camera => { camera.easing = e.target.value; });
+        });
+
+        document.getElementById('camera-shake-intensity').addEventListener('input', (e) => {
+            const intensity = parseInt(e.target.value);
+            document.getElementById('camera-shake-intensity-value').textContent = `${intensity} px`;
+            this.updateSceneCamera(camera => { camera.shake.intensity = intensity; });
+        });
+
+        document.getElementById('camera-shake-duration').addEventListener('input', (e) => {
+            this.updateSceneCamera(camera => { camera.shake.duration = parseInt(e.target.value) || 0; });
+        });
+
+        // Committing a value (slider released, number entered) ends that edit's undo step
+        ['camera-start-zoom', 'camera-start-x', 'camera-start-y', 'camera-animate',
+            'camera-end-zoom', 'camera-end-x', 'camera-end-y', 'camera-duration', 'camera-delay',
+            'camera-easing', 'camera-shake-intensity', 'camera-shake-duration'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.cameraEditRecorded = false;
+            });
+        });
+
+        document.getElementById('btn-camera-reset').addEventListener('click', () => {
+            this.recordHistory('Reset camera');
+            this.timeline.updateCurrentScene({ camera: null });
+            this.canvas.setCamera(this.playback.getSceneCamera(null).start);
+            this.updateCameraUI(this.timeline.getCurrentScene());
+            this.renderSceneTimeline();
+        });
+    }
+
+    /**
+     * Update the current scene's camera and show the edited state on the canvas
+     * @param {Function} mutate - Receives the camera to modify
+     * @param {string} showState - Which state to show ('start' or 'end')
+     */
+    updateSceneCamera(mutate, showState = 'start') {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return;
+        
+        // Record once per edit, before its first change, rather than on every input event
+        if (!this.cameraEditRecorded) {
+            this.recordHistory('Edit camera');
+            this.cameraEditRecorded = true;
+        }
+        
+        const camera = this.playback.getSceneCamera(scene);
+        mutate(camera);
+        scene.camera = camera;
+        
+        this.canvas.setCamera(camera[showState] || camera.start);
+        this.updateCameraUI(scene);
+        this.renderSceneTimeline();
+    }
+
+    /**
+     * Update camera UI from scene data
+     * @param {Object} scene - Scene data
+     */
+    updateCameraUI(scene) {
+        const camera = this.playback.getSceneCamera(scene);
+        const end = camera.end || camera.start;
+        
+        document.getElementById('camera-start-zoom').value = Math.round(camera.start.zoom * 100);
+        document.getElementById('camera-start-x').value = Math.round(camera.start.x);
+        document.getElementById('camera-start-y').value = Math.round(camera.start.y);
+        document.getElementById('camera-animate').checked = !!camera.end;
+        document.getElementById('camera-end-fields').style.display = camera.end ? 'block' : 'none';
+        document.getElementById('camera-end-zoom').value = Math.round(end.zoom * 100);
+        document.getElementById('camera-end-x').value = Math.round(end.x);
+        document.getElementById('camera-end-y').value = Math.round(end.y);
+        document.getElementById('camera-duration').value = camera.duration;
+        document.getElementById('camera-delay').value = camera.delay;
+        document.getElementById('camera-easing').value = camera.easing;
+        document.getElementById('camera-shake-intensity').value = camera.shake.intensity;
+        document.getElementById('camera-shake-intensity-value').textContent = `${camera.shake.intensity} px`;
+        document.getElementById('camera-shake-duration').value = camera.shake.duration;
+    }
+
+    /**
+     * Add a weather emitter to the current scene
+     * @param {string} preset - Preset key from PARTICLE_PRESETS
+     */
+    addWeatherEmitter(preset) {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene || !PARTICLE_PRESETS[preset]) return;
+        
+        this.recordHistory('Add weather');
+        scene.weather = [...(scene.weather || []), createEmitterSettings(preset)];
+        this.canvas.setParticleEmitters(scene.weather);
+        this.updateWeatherUI(scene);
+    }
+
+    /**
+     * Remove a weather emitter from the current scene
+     * @param {string} emitterId - Emitter ID
+     */
+    removeWeatherEmitter(emitterId) {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return;
+        
+        this.recordHistory('Remove weather');
+        scene.weather = (scene.weather || []).filter(e => e.id !== emitterId);
+        this.canvas.setParticleEmitters(scene.weather);
+        this.updateWeatherUI(scene);
+    }
+
+    /**
+     * Update the weather emitter list from scene data
+     * @param {Object} scene - Scene data
+     */
+    updateWeatherUI(scene) {
+        const list = document.getElementById('weather-emitters-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        const emitters = scene?.weather || [];
+        if (emitters.length === 0) {
+            list.innerHTML = '<div class="no-weather">No weather in this scene</div>';
+            return;
+        }
+        
+        emitters.forEach(emitter => {
+            const item = document.createElement('div');
+            item.className = 'weather-item';
+            item.innerHTML = `
+                <div class="weather-header">
+                    <span class="weather-name">${PARTICLE_PRESETS[emitter.preset]?.name || emitter.preset}</span>
+                    <button class="btn-remove-weather" title="Remove">✕</button>
+                </div>
+                <label>Density <span data-value="density">${Math.round(emitter.density * 100)}%</span></label>
+                <input type="range" data-prop="density" min="0" max="300" value="${Math.round(emitter.density * 100)}">
+                <label>Wind <span data-value="wind">${Math.round(emitter.wind * 100)}</span></label>
+                <input type="range" data-prop="wind" min="-100" max="100" value="${Math.round(emitter.wind * 100)}">
+                <label>Speed <span data-value="speed">${Math.round(emitter.speed * 100)}%</span></label>
+                <input type="range" data-prop="speed" min="10" max="300" value="${Math.round(emitter.speed * 100)}">
+                <select data-prop="layer">
+                    <option value="behind" ${emitter.layer === 'behind' ? 'selected' : ''}>Behind Sprites</option>
+                    <option value="front" ${emitter.layer === 'front' ? 'selected' : ''}>In Front of Sprites</option>
+                </select>
+            `;
+            
+            item.querySelector('.btn-remove-weather').addEventListener('click', () => {
+                this.removeWeatherEmitter(emitter.id);
+            });
+            
+            item.querySelectorAll('input[data-prop]').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    const prop = e.target.dataset.prop;
+                    emitter[prop] = parseInt(e.target.value) / 100;
+                    item.querySelector(`[data-value="${prop}"]`).textContent =
+                        prop === 'wind' ? e.target.value : `${e.target.value}%`;
+                    this.canvas.setParticleEmitters(scene.weather);
+                });
+            });
+            
+            item.querySelector('select[data-prop="layer"]').addEventListener('change', (e) => {
+                emitter.layer = e.target.value;
+                this.canvas.setParticleEmitters(scene.weather);
+            });
+            
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Set up speaker focus control listeners
+     */
+    setupSpeakerFocusListeners() {
+        document.getElementById('focus-enabled').addEventListener('change', (e) => {
+            this.canvas.setSpeakerFocusSettings({ enabled: e.target.checked });
+        });
+
+        document.getElementById('focus-mode').addEventListener('change', (e) => {
+            this.canvas.setSpeakerFocusSettings({ mode: e.target.value });
+        });
+
+        document.getElementById('focus-amount').addEventListener('input', (e) => {
+            const amount = parseInt(e.target.value);
+            document.getElementById('focus-amount-value').textContent = `${amount}%`;
+            this.canvas.setSpeakerFocusSettings({ amount: amount / 100 });
+        });
+
+        document.getElementById('focus-duration').addEventListener('input', (e) => {
+            const duration = parseInt(e.target.value);
+            document.getElementById('focus-duration-value').textContent = `${duration} ms`;
+            this.canvas.setSpeakerFocusSettings({ duration });
+        });
+    }
+
+    /**
+     * Update speaker focus UI from canvas settings
+     */
+    updateSpeakerFocusUI() {
+        const focus = this.canvas.speakerFocus;
+        const amount = Math.round(focus.amount * 100);
+        const duration = Math.round(focus.duration * 1000);
+        
+        document.getElementById('focus-enabled').checked = focus.enabled;
+        document.getElementById('focus-mode').value = focus.mode;
+        document.getElementById('focus-amount').value = amount;
+        document.getElementById('focus-amount-value').textContent = `${amount}%`;
+        document.getElementById('focus-duration').value = duration;
+        document.getElementById('focus-duration-value').textContent = `${duration} ms`;
+    }
+
     /**
      * Set up transition control listeners
      */
@@ -212,6 +596,10 @@ class SpriteGenApp {
             this.canvas.setSceneTransitionDuration(duration);
         });
 
+        document.getElementById('scene-transition-color').addEventListener('input', (e) => {
+            this.canvas.setTransitionColor(e.target.value);
+        });
+
         document.getElementById('bg-transition-style').addEventListener('change', (e) => {
             this.canvas.setBgTransitionStyle(e.target.value);
         });
@@ -238,6 +626,7 @@ class SpriteGenApp {
                 document.getElementById('sfx-expression-name').textContent = result.name;
                 document.getElementById('sfx-expression-name').classList.add('has-file');
                 e.target.value = '';
+                this.renderSceneTimeline();
             }
         });
 
@@ -245,6 +634,7 @@ class SpriteGenApp {
             this.audioManager.clearExpressionSfx();
             document.getElementById('sfx-expression-name').textContent = 'No file';
             document.getElementById('sfx-expression-name').classList.remove('has-file');
+            this.renderSceneTimeline();
         });
 
         document.getElementById('sfx-expression-volume').addEventListener('input', (e) => {
@@ -264,6 +654,7 @@ class SpriteGenApp {
                 document.getElementById('bgm-name').textContent = result.name;
                 document.getElementById('bgm-name').classList.add('has-file');
                 e.target.value = '';
+                this.renderSceneTimeline();
             }
         });
 
@@ -272,6 +663,7 @@ class SpriteGenApp {
             document.getElementById('bgm-name').textContent = 'No file';
             document.getElementById('bgm-name').classList.remove('has-file');
             document.getElementById('btn-toggle-bgm').textContent = '▶ Play BGM';
+            this.renderSceneTimeline();
         });
 
         document.getElementById('bgm-volume').addEventListener('input', (e) => {
@@ -388,139 +780,541 @@ class SpriteGenApp {
                 this.canvas.updateSprite(this.canvas.selectedSprite.id, { opacity });
             }
         });
-    }
 
-    /**
-     * Replace a sprite's image with a new file
-     * @param {string} spriteId - ID of sprite to replace
-     * @param {File} file - New image file
-     */
-    async replaceSpriteImage(spriteId, file) {
-        const sprite = this.canvas.selectedSprite;
-        if (!sprite) return;
+        document.getElementById('sprite-rotation').addEventListener('input', (e) => {
+            const rotation = parseInt(e.target.value);
+            document.getElementById('sprite-rotation-value').textContent = `${rotation}°`;
+            if (this.canvas.selectedSprite) {
+                this.canvas.updateSprite(this.canvas.selectedSprite.id, { rotation });
+            }
+        });
 
-        // Get current background removal setting
-        const removeWhiteBg = sprite.removeBackground !== false;
-        
-        // Replace image in sprite manager
-        const updatedSprite = await this.spriteManager.replaceSpriteImage(spriteId, file, removeWhiteBg);
-        if (!updatedSprite) return;
+        document.getElementById('sprite-rotation').addEventListener('change', () => {
+            this.saveCurrentSceneState();
+        });
+
+        document.getElementById('btn-flip-x').addEventListener('click', () => this.toggleSpriteFlip('flipX'));
+        document.getElementById('btn-flip-y').addEventListener('click', () => this.toggleSpriteFlip('flipY'));
         
-        // Update canvas sprite reference
-        const canvasSprite = this.canvas.sprites.find(s => s.id === spriteId);
-        if (canvasSprite) {
-            canvasSprite.image = updatedSprite.image;
-            canvasSprite.originalImage = updatedSprite.originalImage;
-            canvasSprite.name = updatedSprite.name;
-            canvasSprite.dominantColor = updatedSprite.dominantColor;
+        document.getElementById('sprite-anchor').addEventListener('change', (e) => {
+            this.setSelectedSpriteAnchor(SPRITE_ANCHORS[e.target.value]);
+        });
+        document.getElementById('btn-anchor-pick').addEventListener('click', () => this.pickSpriteAnchor());
+        document.getElementById('sprite-anchor-shared').addEventListener('change', (e) => this.setAnchorShared(e.target.checked));
+        document.getElementById('sprite-auto-trim').addEventListener('change', (e) => this.setSpriteAutoTrim(e.target.checked));
+        
+        // Background removal re-runs when a setting is let go (it takes a moment on big images)
+        document.getElementById('sprite-remove-bg').addEventListener('change', () => this.applySpriteKeySettings());
+        document.getElementById('sprite-key-color').addEventListener('change', () => this.applySpriteKeySettings());
+        document.getElementById('sprite-key-mode').addEventListener('change', () => this.applySpriteKeySettings());
+        document.getElementById('btn-key-eyedropper').addEventListener('click', () => this.pickSpriteKeyColor());
+        for (const [id, unit] of [['tolerance', ''], ['feather', ' px'], ['despill', '%']]) {
+            const input = document.getElementById(`sprite-key-${id}`);
+            input.addEventListener('input', () => {
+                document.getElementById(`sprite-key-${id}-value`).textContent = `${input.value}${unit}`;
+            });
+            input.addEventListener('change', () => this.applySpriteKeySettings());
         }
         
-        // Re-render
-        this.canvas.render();
-        this.saveCurrentSceneState();
-        
-        // Update character list UI to reflect new sprite name
-        this.updateCharacterListCount();
+        // Effects are redrawn when a setting is let go, too
+        for (const [effect, sliders] of Object.entries(SPRITE_EFFECT_SLIDERS)) {
+            document.getElementById(`sprite-${effect}`).addEventListener('change', () => this.applySpriteEffects());
+            document.getElementById(`sprite-${effect}-color`).addEventListener('change', () => this.applySpriteEffects());
+            for (const [id, unit] of sliders) {
+                const input = document.getElementById(`sprite-${effect}-${id}`);
+                input.addEventListener('input', () => {
+                    document.getElementById(`sprite-${effect}-${id}-value`).textContent = `${input.value}${unit}`;
+                });
+                input.addEventListener('change', () => this.applySpriteEffects());
+            }
+        }
     }
 
     /**
-     * Create a new character
+     * Set up mask editor listeners
      */
-    createNewCharacter() {
-        const name = prompt('Enter character name:');
-        if (!name || !name.trim()) return;
+    setupMaskEditorListeners() {
+        const editor = this.maskEditor;
+        
+        document.getElementById('btn-refine-mask').addEventListener('click', () => this.openMaskEditor());
+        document.getElementById('btn-mask-apply').addEventListener('click', () => this.applyMaskEdits());
+        document.getElementById('btn-mask-cancel').addEventListener('click', () => this.closeMaskEditor());
+        document.getElementById('btn-mask-erase').addEventListener('click', () => this.setMaskTool('erase'));
+        document.getElementById('btn-mask-restore').addEventListener('click', () => this.setMaskTool('restore'));
+        document.getElementById('btn-mask-undo').addEventListener('click', () => editor.undo());
+        document.getElementById('btn-mask-clear').addEventListener('click', () => editor.clear());
+        
+        document.getElementById('mask-brush-size').addEventListener('input', (e) => {
+            editor.setBrushSize(parseInt(e.target.value));
+            document.getElementById('mask-brush-size-value').textContent = `${e.target.value} px`;
+        });
+        document.getElementById('mask-brush-hardness').addEventListener('input', (e) => {
+            editor.setHardness(parseInt(e.target.value) / 100);
+            document.getElementById('mask-brush-hardness-value').textContent = `${e.target.value}%`;
+        });
+        document.getElementById('mask-zoom').addEventListener('change', (e) => {
+            editor.setZoom(e.target.value === 'fit' ? editor.getFitZoom() : parseFloat(e.target.value));
+        });
         
-        // Create character without an initial sprite
-        const character = {
-            id: this.spriteManager.generateCharacterId(),
-            name: name.trim(),
-            variants: [],
-            activeVariant: 0,
-            boxColor: '#e94560'
+        editor.onChange = () => {
+            document.getElementById('btn-mask-undo').disabled = !editor.canUndo();
         };
         
-        this.spriteManager.characters.set(character.id, character);
-        this.addCharacterToList(character);
-        this.selectCharacter(character.id);
+        // Shortcuts while the editor is open (the app's own shortcuts stand aside)
+        document.addEventListener('keydown', (e) => {
+            if (!this.maskSpriteId || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            
+            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+                e.preventDefault();
+                editor.undo();
+            } else if (e.key === 'e' || e.key === 'E') {
+                this.setMaskTool('erase');
+            } else if (e.key === 'r' || e.key === 'R') {
+                this.setMaskTool('restore');
+            } else if (e.key === 'Escape') {
+                this.closeMaskEditor();
+            }
+        });
     }
 
     /**
-     * Add a character to the character list UI
+     * Open the mask editor for the selected sprite
      */
-    addCharacterToList(character) {
-        const list = document.getElementById('character-list');
-        const item = document.createElement('div');
-        item.className = 'character-item';
-        item.dataset.id = character.id;
-        
-        item.innerHTML = `
-            <span class="character-name">${character.name}</span>
-            <span class="sprite-count">${character.variants.length} sprites</span>
-            <button class="character-delete" title="Delete Character">✕</button>
-        `;
-        
-        item.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('character-delete')) {
-                this.selectCharacter(character.id);
-            }
-        });
-        
-        item.querySelector('.character-delete').addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.deleteCharacter(character.id);
-        });
+    async openMaskEditor() {
+        const selected = this.canvas.selectedSprite;
+        const sprite = selected && this.spriteManager.getSprite(selected.id);
+        if (!sprite) return;
         
-        // Insert before the "New Character" button
-        const btn = document.getElementById('btn-new-character');
-        list.insertBefore(item, btn);
+        // The editor shows the modal first, so it can fit the sprite to its size
+        this.maskSpriteId = sprite.id;
+        document.getElementById('mask-modal').classList.remove('hidden');
+        document.getElementById('mask-zoom').value = 'fit';
         
-        // Update the character dropdown in dialogue editor
-        this.updateCharacterDropdown(document.getElementById('dialogue-character').value);
+        try {
+            const autoImage = await this.spriteManager.getAutoMaskedImage(sprite);
+            const edits = sprite.maskEdits ? await this.loadImageFromDataUrl(sprite.maskEdits) : null;
+            this.maskEditor.open(sprite.originalImage, autoImage, edits);
+            this.maskEditor.onChange();
+        } catch (error) {
+            console.error('Failed to open mask editor:', error);
+            if (this.maskSpriteId === sprite.id) this.closeMaskEditor();
+            alert('Failed to open the mask editor: ' + error.message);
+        }
     }
 
     /**
-     * Delete a character and all its sprites
+     * Close the mask editor without keeping its changes
      */
-    deleteCharacter(characterId) {
-        if (!confirm('Delete this character and all its sprites?')) return;
-        
-        const character = this.spriteManager.getCharacter(characterId);
-        if (!character) return;
-        
-        // Delete all sprites for this character
-        for (const spriteId of character.variants) {
-            this.spriteManager.sprites.delete(spriteId);
-            this.canvas.removeSprite(spriteId);
-        }
-        
-        // Remove character
-        this.spriteManager.characters.delete(characterId);
+    closeMaskEditor() {
+        this.maskSpriteId = null;
+        document.getElementById('mask-modal').classList.add('hidden');
+    }
+
+    /**
+     * Choose the mask editor's brush
+     * @param {string} tool - 'erase' or 'restore'
+     */
+    setMaskTool(tool) {
+        this.maskEditor.setTool(tool);
+        document.getElementById('btn-mask-erase').classList.toggle('active', tool === 'erase');
+        document.getElementById('btn-mask-restore').classList.toggle('active', tool === 'restore');
+    }
+
+    /**
+     * Save the mask editor's edits to the sprite and show the result
+     */
+    async applyMaskEdits() {
+        const sprite = this.spriteManager.getSprite(this.maskSpriteId);
+        if (!sprite) return;
         
-        // Remove from UI
-        const item = document.querySelector(`.character-item[data-id="${characterId}"]`);
-        if (item) item.remove();
+        sprite.maskEdits = this.maskEditor.getEditsDataUrl();
+        this.closeMaskEditor();
         
-        // Hide sprites section if this was selected
-        if (this.selectedCharacterId === characterId) {
-            this.selectedCharacterId = null;
-            document.getElementById('character-sprites-section').style.display = 'none';
+        try {
+            sprite.image = await this.spriteManager.processSpriteImage(sprite);
+            this.refreshSpriteImage(sprite);
+        } catch (error) {
+            console.error('Failed to apply mask edits:', error);
+            alert('Failed to apply mask edits: ' + error.message);
         }
-        
-        // Update the character dropdown in dialogue editor
-        this.updateCharacterDropdown(document.getElementById('dialogue-character').value);
-        
-        this.saveCurrentSceneState();
     }
 
     /**
-     * Export the currently selected character to a JSON file
+     * Show the selected sprite's background removal settings in the sprite panel
+     * @param {Object} sprite - Sprite data
      */
-    async exportCharacter() {
-        if (!this.selectedCharacterId) {
-            alert('No character selected');
-            return;
-        }
-        
+    updateSpriteKeyUI(sprite) {
+        const settings = normalizeKeySettings(sprite.keySettings);
+        document.getElementById('sprite-remove-bg').checked = sprite.removeBackground !== false;
+        document.getElementById('sprite-key-options').style.display = sprite.removeBackground !== false ? '' : 'none';
+        document.getElementById('sprite-key-color').value = settings.color;
+        document.getElementById('sprite-key-tolerance').value = settings.tolerance;
+        document.getElementById('sprite-key-tolerance-value').textContent = `${settings.tolerance}`;
+        document.getElementById('sprite-key-feather').value = settings.feather;
+        document.getElementById('sprite-key-feather-value').textContent = `${settings.feather} px`;
+        document.getElementById('sprite-key-mode').value = settings.mode;
+        document.getElementById('sprite-key-despill').value = settings.despill;
+        document.getElementById('sprite-key-despill-value').textContent = `${settings.despill}%`;
+    }
+
+    /**
+     * Re-run background removal on the selected sprite with the settings in the sprite panel
+     */
+    async applySpriteKeySettings() {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        const removeBackground = document.getElementById('sprite-remove-bg').checked;
+        const keySettings = normalizeKeySettings({
+            color: document.getElementById('sprite-key-color').value,
+            tolerance: document.getElementById('sprite-key-tolerance').value,
+            feather: document.getElementById('sprite-key-feather').value,
+            mode: document.getElementById('sprite-key-mode').value,
+            despill: document.getElementById('sprite-key-despill').value
+        });
+        document.getElementById('sprite-key-options').style.display = removeBackground ? '' : 'none';
+        
+        try {
+            const sprite = await this.spriteManager.updateBackgroundRemoval(selected.id, removeBackground, keySettings);
+            if (sprite) this.refreshSpriteImage(sprite);
+        } catch (error) {
+            console.error('Failed to remove background:', error);
+            alert('Failed to remove background: ' + error.message);
+        }
+    }
+
+    /**
+     * Show the selected sprite's outline, drop shadow and inner glow settings in the sprite panel
+     * @param {Object} sprite - Sprite data
+     */
+    updateSpriteEffectsUI(sprite) {
+        const effects = normalizeSpriteEffects(sprite.effects);
+        for (const [effect, sliders] of Object.entries(SPRITE_EFFECT_SLIDERS)) {
+            const settings = effects[effect];
+            document.getElementById(`sprite-${effect}`).checked = settings.enabled;
+            document.getElementById(`sprite-${effect}-options`).style.display = settings.enabled ? '' : 'none';
+            document.getElementById(`sprite-${effect}-color`).value = settings.color;
+            for (const [id, unit] of sliders) {
+                document.getElementById(`sprite-${effect}-${id}`).value = settings[id];
+                document.getElementById(`sprite-${effect}-${id}-value`).textContent = `${settings[id]}${unit}`;
+            }
+        }
+    }
+
+    /**
+     * Redraw the selected sprite's effects with the settings in the sprite panel
+     */
+    async applySpriteEffects() {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        const effects = {};
+        for (const [effect, sliders] of Object.entries(SPRITE_EFFECT_SLIDERS)) {
+            const enabled = document.getElementById(`sprite-${effect}`).checked;
+            document.getElementById(`sprite-${effect}-options`).style.display = enabled ? '' : 'none';
+            effects[effect] = { enabled, color: document.getElementById(`sprite-${effect}-color`).value };
+            for (const [id] of sliders) {
+                effects[effect][id] = document.getElementById(`sprite-${effect}-${id}`).value;
+            }
+        }
+        
+        try {
+            const sprite = await this.spriteManager.setSpriteEffects(selected.id, effects);
+            if (sprite) this.refreshSpriteImage(sprite);
+        } catch (error) {
+            console.error('Failed to apply sprite effects:', error);
+            alert('Failed to apply sprite effects: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a sprite's newly processed image on the canvas
+     * @param {Object} sprite - Sprite data from the sprite manager
+     */
+    refreshSpriteImage(sprite) {
+        // Scene sprites are copies, so hand them the new image
+        for (const canvasSprite of this.canvas.sprites) {
+            if (canvasSprite.id !== sprite.id) continue;
+            canvasSprite.image = sprite.image;
+            canvasSprite.removeBackground = sprite.removeBackground;
+            canvasSprite.keySettings = sprite.keySettings;
+            canvasSprite.maskEdits = sprite.maskEdits;
+            canvasSprite.autoTrim = sprite.autoTrim;
+            canvasSprite.trim = sprite.trim;
+            canvasSprite.effects = sprite.effects;
+            canvasSprite.effectsImage = sprite.effectsImage;
+            canvasSprite.effectsOffset = sprite.effectsOffset;
+            canvasSprite.dominantColor = sprite.dominantColor;
+        }
+        
+        this.canvas.render();
+        this.saveCurrentSceneState();
+    }
+
+    /**
+     * Pick the selected sprite's key color by clicking its background on the canvas
+     */
+    pickSpriteKeyColor() {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        const button = document.getElementById('btn-key-eyedropper');
+        button.classList.add('active');
+        this.canvas.pointPicker = (pos) => {
+            button.classList.remove('active');
+            const sprite = this.spriteManager.getSprite(selected.id);
+            const point = sprite && this.canvas.getSpriteImagePoint(pos, selected);
+            if (!point) return;
+            
+            // Sample the original image, since the processed one is already transparent there
+            const trim = sprite.trim || { x: 0, y: 0 };
+            document.getElementById('sprite-key-color').value = this.spriteManager.sampleColor(
+                sprite.originalImage, point.x + trim.x, point.y + trim.y);
+            document.getElementById('sprite-remove-bg').checked = true;
+            this.applySpriteKeySettings();
+        };
+    }
+
+    /**
+     * Show the selected sprite's anchor and trim settings in the sprite panel
+     * @param {Object} sprite - Sprite data
+     */
+    updateSpriteAnchorUI(sprite) {
+        const character = sprite.characterId && this.spriteManager.getCharacter(sprite.characterId);
+        document.getElementById('sprite-anchor').value = getAnchorPreset(sprite.anchor);
+        document.getElementById('sprite-anchor-shared-group').style.display = character ? '' : 'none';
+        document.getElementById('sprite-anchor-shared').checked = !!character?.anchor;
+        document.getElementById('sprite-auto-trim').checked = !!sprite.autoTrim;
+    }
+
+    /**
+     * Set the selected sprite's anchor (and its character's other sprites', if they share one)
+     * @param {Object} anchor - Anchor {x, y}
+     */
+    setSelectedSpriteAnchor(anchor) {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        this.refreshSpriteAnchors(this.spriteManager.setSpriteAnchor(selected.id, anchor));
+        this.updateSpriteAnchorUI(this.spriteManager.getSprite(selected.id));
+    }
+
+    /**
+     * Place the selected sprite's anchor by clicking a point of it on the canvas
+     */
+    pickSpriteAnchor() {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        const button = document.getElementById('btn-anchor-pick');
+        button.classList.add('active');
+        this.canvas.pointPicker = (pos) => {
+            button.classList.remove('active');
+            const point = this.canvas.getSpriteImagePoint(pos, selected);
+            if (!point) return;
+            
+            // The middle of the clicked pixel, as a fraction of the image
+            this.setSelectedSpriteAnchor({
+                x: Math.round((point.x + 0.5) / selected.image.width * 1000) / 1000,
+                y: Math.round((point.y + 0.5) / selected.image.height * 1000) / 1000
+            });
+        };
+    }
+
+    /**
+     * Share the selected sprite's anchor with all of its character's sprites, or stop sharing
+     * @param {boolean} shared - Whether the character's sprites share one anchor
+     */
+    setAnchorShared(shared) {
+        const selected = this.canvas.selectedSprite;
+        const sprite = selected && this.spriteManager.getSprite(selected.id);
+        if (!sprite?.characterId) return;
+        
+        this.refreshSpriteAnchors(this.spriteManager.setCharacterAnchor(sprite.characterId, shared ? sprite.anchor : null));
+        this.updateSpriteAnchorUI(sprite);
+    }
+
+    /**
+     * Show changed sprite anchors on the canvas
+     * @param {Array} sprites - Sprites from the sprite manager whose anchor changed
+     */
+    refreshSpriteAnchors(sprites) {
+        for (const sprite of sprites) {
+            for (const canvasSprite of this.canvas.sprites) {
+                if (canvasSprite.id === sprite.id) canvasSprite.anchor = sprite.anchor;
+            }
+        }
+        this.canvas.render();
+        this.saveCurrentSceneState();
+    }
+
+    /**
+     * Turn trimming of transparent borders on or off for the selected sprite
+     * @param {boolean} autoTrim - Whether to trim
+     */
+    async setSpriteAutoTrim(autoTrim) {
+        const selected = this.canvas.selectedSprite;
+        if (!selected) return;
+        
+        try {
+            const sprite = await this.spriteManager.setSpriteAutoTrim(selected.id, autoTrim);
+            if (sprite) this.refreshSpriteImage(sprite);
+        } catch (error) {
+            console.error('Failed to trim sprite:', error);
+            alert('Failed to trim sprite: ' + error.message);
+        }
+    }
+
+    /**
+     * Toggle horizontal or vertical flip on the selected sprite
+     * @param {string} axis - 'flipX' or 'flipY'
+     */
+    toggleSpriteFlip(axis) {
+        const sprite = this.canvas.selectedSprite;
+        if (!sprite) return;
+        
+        this.canvas.updateSprite(sprite.id, { [axis]: !sprite[axis] });
+        document.getElementById('btn-flip-x').classList.toggle('active', !!sprite.flipX);
+        document.getElementById('btn-flip-y').classList.toggle('active', !!sprite.flipY);
+        this.saveCurrentSceneState();
+    }
+
+    /**
+     * Replace a sprite's image with a new file
+     * @param {string} spriteId - ID of sprite to replace
+     * @param {File} file - New image file
+     */
+    async replaceSpriteImage(spriteId, file) {
+        const sprite = this.canvas.selectedSprite;
+        if (!sprite) return;
+
+        // Get current background removal setting
+        const removeWhiteBg = sprite.removeBackground !== false;
+        
+        // Replace image in sprite manager
+        const updatedSprite = await this.spriteManager.replaceSpriteImage(spriteId, file, removeWhiteBg);
+        if (!updatedSprite) return;
+        
+        // Update canvas sprite reference
+        const canvasSprite = this.canvas.sprites.find(s => s.id === spriteId);
+        if (canvasSprite) {
+            canvasSprite.image = updatedSprite.image;
+            canvasSprite.originalImage = updatedSprite.originalImage;
+            canvasSprite.trim = updatedSprite.trim;
+            canvasSprite.effectsImage = updatedSprite.effectsImage;
+            canvasSprite.effectsOffset = updatedSprite.effectsOffset;
+            canvasSprite.maskEdits = null;
+            canvasSprite.name = updatedSprite.name;
+            canvasSprite.dominantColor = updatedSprite.dominantColor;
+        }
+        
+        // Re-render
+        this.canvas.render();
+        this.saveCurrentSceneState();
+        
+        // Update character list UI to reflect new sprite name
+        this.updateCharacterListCount();
+    }
+
+    /**
+     * Create a new character
+     */
+    createNewCharacter() {
+        const name = prompt('Enter character name:');
+        if (!name || !name.trim()) return;
+        
+        // Create character without an initial sprite
+        const character = {
+            id: this.spriteManager.generateCharacterId(),
+            name: name.trim(),
+            variants: [],
+            activeVariant: 0,
+            boxColor: '#e94560',
+            anchor: null
+        };
+        
+        this.spriteManager.characters.set(character.id, character);
+        this.addCharacterToList(character);
+        this.selectCharacter(character.id);
+    }
+
+    /**
+     * Add a character to the character list UI
+     */
+    addCharacterToList(character) {
+        const list = document.getElementById('character-list');
+        const item = document.createElement('div');
+        item.className = 'character-item';
+        item.dataset.id = character.id;
+        
+        item.innerHTML = `
+            <span class="character-name">${character.name}</span>
+            <span class="sprite-count">${character.variants.length} sprites</span>
+            <button class="character-delete" title="Delete Character">✕</button>
+        `;
+        
+        item.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('character-delete')) {
+                this.selectCharacter(character.id);
+            }
+        });
+        
+        item.querySelector('.character-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteCharacter(character.id);
+        });
+        
+        // Insert before the "New Character" button
+        const btn = document.getElementById('btn-new-character');
+        list.insertBefore(item, btn);
+        
+        // Update the character dropdown in dialogue editor
+        this.updateCharacterDropdown(document.getElementById('dialogue-character').value);
+    }
+
+    /**
+     * Delete a character and all its sprites
+     */
+    deleteCharacter(characterId) {
+        if (!confirm('Delete this character and all its sprites?')) return;
+        
+        const character = this.spriteManager.getCharacter(characterId);
+        if (!character) return;
+        
+        // Delete all sprites for this character
+        for (const spriteId of character.variants) {
+            this.spriteManager.sprites.delete(spriteId);
+            this.canvas.removeSprite(spriteId);
+        }
+        
+        // Remove character
+        this.spriteManager.characters.delete(characterId);
+        
+        // Remove from UI
+        const item = document.querySelector(`.character-item[data-id="${characterId}"]`);
+        if (item) item.remove();
+        
+        // Hide sprites section if this was selected
+        if (this.selectedCharacterId === characterId) {
+            this.selectedCharacterId = null;
+            document.getElementById('character-sprites-section').style.display = 'none';
+        }
+        
+        // Update the character dropdown in dialogue editor
+        this.updateCharacterDropdown(document.getElementById('dialogue-character').value);
+        
+        this.saveCurrentSceneState();
+    }
+
+    /**
+     * Export the currently selected character to a JSON file
+     */
+    async exportCharacter() {
+        if (!this.selectedCharacterId) {
+            alert('No character selected');
+            return;
+        }
+        
         const character = this.spriteManager.getCharacter(this.selectedCharacterId);
         if (!character) return;
         
@@ -532,6 +1326,7 @@ class SpriteGenApp {
                 name: character.name,
                 boxColor: character.boxColor,
                 activeVariant: character.activeVariant,
+                anchor: character.anchor || null,
                 sprites: []
             }
         };
@@ -541,12 +1336,7 @@ class SpriteGenApp {
             const sprite = this.spriteManager.getSprite(spriteId);
             if (sprite) {
                 // Convert processed image to base64
-                const canvas = document.createElement('canvas');
-                canvas.width = sprite.image.width;
-                canvas.height = sprite.image.height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(sprite.image, 0, 0);
-                const imageData = canvas.toDataURL('image/png');
+                const imageData = this.getImageDataUrl(sprite.image);
                 
                 exportData.character.sprites.push({
                     name: sprite.name,
@@ -554,8 +1344,18 @@ class SpriteGenApp {
                     y: sprite.y,
                     scale: sprite.scale,
                     opacity: sprite.opacity,
+                    rotation: sprite.rotation || 0,
+                    flipX: !!sprite.flipX,
+                    flipY: !!sprite.flipY,
                     removeBackground: sprite.removeBackground,
-                    imageData: imageData
+                    keySettings: sprite.keySettings,
+                    maskEdits: sprite.maskEdits || null,
+                    autoTrim: !!sprite.autoTrim,
+                    trim: sprite.trim || null,
+                    anchor: sprite.anchor,
+                    effects: sprite.effects,
+                    imageData: imageData,
+                    originalImageData: this.getImageDataUrl(sprite.originalImage)
                 });
             }
         }
@@ -591,24 +1391,43 @@ class SpriteGenApp {
             for (let i = 0; i < charData.sprites.length; i++) {
                 const spriteData = charData.sprites[i];
                 
-                // Load image from base64
+                // Load image from base64 (the original too, so background removal can be changed)
                 const img = await this.loadImageFromDataUrl(spriteData.imageData);
+                const originalImage = spriteData.originalImageData
+                    ? await this.loadImageFromDataUrl(spriteData.originalImageData)
+                    : img;
                 
                 const sprite = {
                     id: this.spriteManager.generateCharacterId(),
                     name: spriteData.name,
-                    originalImage: img,
+                    originalImage,
                     image: img,
                     x: spriteData.x,
                     y: spriteData.y,
                     scale: spriteData.scale,
                     opacity: spriteData.opacity,
+                    rotation: spriteData.rotation || 0,
+                    flipX: !!spriteData.flipX,
+                    flipY: !!spriteData.flipY,
                     removeBackground: spriteData.removeBackground,
-                    dominantColor: this.spriteManager.extractDominantColor(img),
+                    keySettings: normalizeKeySettings(spriteData.keySettings),
+                    maskEdits: spriteData.maskEdits || null,
+                    autoTrim: !!spriteData.autoTrim,
+                    trim: spriteData.trim || null,
+                    anchor: normalizeAnchor(spriteData.anchor),
+                    effects: normalizeSpriteEffects(spriteData.effects),
+                    effectsImage: null,
+                    effectsOffset: null,
+                    dominantColor: await this.spriteManager.extractDominantColor(img),
                     characterId: null,
                     variantIndex: i
                 };
                 
+                // Effects images aren't saved in the file, so they're drawn again
+                if (hasSpriteEffects(sprite.effects)) {
+                    await this.spriteManager.processSpriteImage(sprite);
+                }
+                
                 this.spriteManager.sprites.set(sprite.id, sprite);
                 spriteIds.push(sprite.id);
             }
@@ -619,7 +1438,8 @@ class SpriteGenApp {
                 name: charData.name,
                 variants: spriteIds,
                 activeVariant: charData.activeVariant || 0,
-                boxColor: charData.boxColor || '#e94560'
+                boxColor: charData.boxColor || '#e94560',
+                anchor: charData.anchor ? normalizeAnchor(charData.anchor) : null
             };
             
             // Link sprites to character
@@ -654,6 +1474,19 @@ class SpriteGenApp {
         });
     }
 
+    /**
+     * Encode an image as a PNG data URL
+     * @param {HTMLImageElement} image - Image
+     * @returns {string} Base64 image data
+     */
+    getImageDataUrl(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
     /**
      * Select a character to show their sprites
      */
@@ -695,10 +1528,8 @@ class SpriteGenApp {
         item.className = 'sprite-item';
         item.dataset.id = sprite.id;
         
-        const thumbnail = this.spriteManager.createThumbnail(sprite.image);
-        
         item.innerHTML = `
-            <img src="${thumbnail}" alt="${sprite.name}">
+            <img alt="${sprite.name}">
             <input type="text" value="${sprite.name}" placeholder="Variant name">
             <button class="sprite-add" title="Add to scene">+</button>
             <button class="sprite-delete" title="Delete">✕</button>
@@ -732,11 +1563,31 @@ class SpriteGenApp {
             this.addSpriteToScene(sprite.id);
         });
         
+        this.showAssetThumbnail(item.querySelector('img'), sprite);
+        
         // Insert before drop zone
         const dropZone = list.querySelector('.drop-zone');
         list.insertBefore(item, dropZone);
     }
 
+    /**
+     * Show an asset's list thumbnail, making it first if the asset doesn't have one yet
+     * @param {HTMLImageElement} img - Thumbnail element
+     * @param {Object} asset - Sprite or background ({ image, thumbnail })
+     */
+    async showAssetThumbnail(img, asset) {
+        try {
+            if (!asset.thumbnail) {
+                asset.thumbnail = await this.spriteManager.createThumbnail(asset.image);
+            }
+            img.src = asset.thumbnail;
+        } catch (error) {
+            // The full image will do
+            console.error('Failed to make thumbnail:', error);
+            img.src = asset.image.src;
+        }
+    }
+
     /**
      * Update character list sprite counts
      */
@@ -786,13 +1637,16 @@ class SpriteGenApp {
         if (!sprite || !sprite.characterId) return;
         
         // Import new sprite as variant
-        const newSprite = await this.spriteManager.importSprite(file, true, sprite.characterId);
+        const newSprite = await this.spriteManager.importSprite(file, true, sprite.characterId, sprite.keySettings, !!sprite.autoTrim, sprite.effects);
         
         // Copy position/scale from current sprite
         newSprite.x = sprite.x;
         newSprite.y = sprite.y;
         newSprite.scale = sprite.scale;
         newSprite.opacity = sprite.opacity;
+        newSprite.rotation = sprite.rotation || 0;
+        newSprite.flipX = !!sprite.flipX;
+        newSprite.flipY = !!sprite.flipY;
         
         // Update the selector
         this.updateVariantSelector(sprite);
@@ -814,6 +1668,9 @@ class SpriteGenApp {
         newSprite.y = currentSprite.y;
         newSprite.scale = currentSprite.scale;
         newSprite.opacity = currentSprite.opacity;
+        newSprite.rotation = currentSprite.rotation || 0;
+        newSprite.flipX = !!currentSprite.flipX;
+        newSprite.flipY = !!currentSprite.flipY;
         
         // Find and replace in canvas sprites array
         const index = this.canvas.sprites.findIndex(s => s.id === currentSprite.id);
@@ -864,6 +1721,7 @@ class SpriteGenApp {
             document.getElementById('dialogue-fade-duration-value').textContent = `${duration} ms`;
             this.dialogueSystem.setFadeDuration(duration);
             this.saveCurrentSceneState();
+            this.renderSceneTimeline();
         });
 
         // Line display duration (time to show text after typing completes)
@@ -872,6 +1730,7 @@ class SpriteGenApp {
             document.getElementById('line-display-duration-value').textContent = `${duration} ms`;
             this.dialogueSystem.setLineDisplayDuration(duration);
             this.saveCurrentSceneState();
+            this.renderSceneTimeline();
         });
 
         document.getElementById('dialogue-character').addEventListener('change', (e) => {
@@ -905,6 +1764,10 @@ class SpriteGenApp {
             this.updateCurrentDialogueLine({ style: e.target.value });
         });
 
+        document.getElementById('dialogue-presentation').addEventListener('change', (e) => {
+            this.updateCurrentDialogueLine({ presentation: e.target.value });
+        });
+
         document.getElementById('dialogue-color').addEventListener('input', (e) => {
             // Update color on the character, not just the dialogue instance
             const sprite = this.canvas.selectedSprite;
@@ -924,6 +1787,17 @@ class SpriteGenApp {
         document.getElementById('dialogue-visible').addEventListener('change', (e) => {
             this.updateCurrentDialogueLine({ visible: e.target.checked });
         });
+
+        document.getElementById('dialogue-start-time').addEventListener('change', (e) => {
+            const time = parseInt(e.target.value);
+            const scrubTime = this.scrubTime;
+            this.setLineTime(this.selectedDialogueIndex, isNaN(time) ? null : Math.max(0, time));
+            this.refreshSceneTiming(scrubTime);
+        });
+
+        document.getElementById('btn-clear-staging').addEventListener('click', () => {
+            this.clearLineStaging();
+        });
     }
 
     /**
@@ -993,7 +1867,13 @@ class SpriteGenApp {
             return;
         }
         
-        scene.dialogues.splice(this.selectedDialogueIndex, 1);
+        const [removed] = scene.dialogues.splice(this.selectedDialogueIndex, 1);
+        
+        // Carry the removed line's staging over so later lines keep their layout
+        const nextLine = scene.dialogues[this.selectedDialogueIndex];
+        if (removed.staging && nextLine && this.selectedDialogueIndex > 0) {
+            nextLine.staging = [...removed.staging, ...(nextLine.staging || [])];
+        }
         
         if (this.selectedDialogueIndex >= scene.dialogues.length) {
             this.selectedDialogueIndex = scene.dialogues.length - 1;
@@ -1005,12 +1885,37 @@ class SpriteGenApp {
     }
 
     /**
-     * Advance to next dialogue line during playback
+     * Advance to next dialogue line during playback, asking the line's choice first
      */
     advanceDialogueLine() {
         if (!this.previewPlaying) return;
         
-        const hasNext = this.dialogueSystem.advanceToNextLine(
+        const line = this.dialogueSystem.dialogueLines[this.dialogueSystem.getCurrentLineIndex()];
+        if (line?.choice?.options?.length) {
+            // Hold the scene clock while the viewer decides
+            this.playback.pauseSceneClock();
+            this.playback.askChoice(line.choice).then((option) => {
+                if (!option || !this.previewPlaying) return;
+                
+                if (option.target) {
+                    this.goToPreviewScene(option.target);
+                } else {
+                    // No target continues with the rest of the scene
+                    this.playback.resumeSceneClock();
+                    this.playNextDialogueLine();
+                }
+            });
+            return;
+        }
+        
+        this.playNextDialogueLine();
+    }
+
+    /**
+     * Fade to the next dialogue line and type it
+     */
+    playNextDialogueLine() {
+        this.dialogueSystem.advanceToNextLine(
             // onFadeOut - dialogue faded out, new line set
             (dialogue) => {
                 this.canvas.setCharacterChanging(this.dialogueSystem.isCharacterChanging());
@@ -1018,39 +1923,50 @@ class SpriteGenApp {
                 this.canvas.setDialogue(dialogue);
             },
             // onFadeIn - new line faded in, start typing
-            (dialogue) => {
+            () => {
                 this.canvas.setCharacterChanging(false); // Reset after fade complete
-                this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
-                this.dialogueSystem.startTyping(
-                    (updatedDialogue) => {
-                        this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
-                        this.canvas.setDialogue(updatedDialogue);
-                    },
-                    () => {
-                        // Wait for display duration, then advance to next line
-                        setTimeout(() => {
-                            this.advanceDialogueLine();
-                        }, this.dialogueSystem.getLineDisplayDuration());
-                    }
-                );
+                this.typeCurrentLine();
             }
         );
         
-        // If no more lines, the scene duration timer will handle moving to next scene
+        // The scene clock moves on to the next line, or the next scene, on schedule
     }
 
     /**
-     * Select a dialogue line for editing
+     * Show the current dialogue line and type it out (playback)
+     */
+    typeCurrentLine() {
+        this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
+        this.dialogueSystem.startTyping((updatedDialogue) => {
+            this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
+            this.canvas.setDialogue(updatedDialogue);
+        });
+        this.renderSceneTimeline();
+    }
+
+    /**
+     * Select a dialogue line for editing
      * @param {number} index - Index of the dialogue line
      */
     selectDialogueLine(index) {
         const scene = this.timeline.getCurrentScene();
         if (!scene || !scene.dialogues) return;
         
+        this.endSceneScrub(false);
+        
         this.selectedDialogueIndex = Math.max(0, Math.min(index, scene.dialogues.length - 1));
         const line = scene.dialogues[this.selectedDialogueIndex];
         
+        // Show the sprite layout and held screen effects as they appear on this line
+        this.showLineStaging(scene, this.selectedDialogueIndex);
+        this.showScreenEffects(scene, this.selectedDialogueIndex);
+        
         if (line) {
+            // Fill in variables as they stand at this line in the preview start state
+            if (!this.previewPlaying) {
+                this.storyVariables = this.simulateSceneVariables(scene, this.selectedDialogueIndex).store;
+            }
+            
             const dialogue = this.dialogueSystem.setDialogue(line);
             dialogue.displayedText = this.dialogueSystem.getCleanText(line.text || '');
             this.canvas.setDialogue(dialogue);
@@ -1071,17 +1987,28 @@ class SpriteGenApp {
         
         const dialogues = scene?.dialogues || [];
         
+        // Lines the preview start state skips are dimmed
+        const { plays } = this.simulateSceneVariables(scene, dialogues.length - 1);
+        
         dialogues.forEach((line, index) => {
             const item = document.createElement('div');
-            item.className = 'dialogue-line-item' + (index === this.selectedDialogueIndex ? ' active' : '');
+            item.className = 'dialogue-line-item' + (index === this.selectedDialogueIndex ? ' active' : '') +
+                (plays[index] ? '' : ' skipped');
             
             const charPreview = line.character || 'No character';
-            const textPreview = (line.text || 'Empty').replace(/\[\[\d+\]\]/g, '').substring(0, 30);
+            const textPreview = stripMarkup((line.text || 'Empty').replace(/\[\[\d+\]\]/g, '')).substring(0, 30);
+            
+            const stagingMarker = line.staging?.length ? '<span class="line-staging" title="Changes sprites on this line">◆</span>' : '';
+            const effectsMarker = line.effects?.length ? '<span class="line-effects" title="Has screen effects">✦</span>' : '';
+            const choiceMarker = line.choice ? '<span class="line-choice" title="Ends with a choice">⑂</span>' : '';
+            const conditionMarker = line.condition ? '<span class="line-condition" title="Has a condition">?</span>' : '';
+            const actionsMarker = line.actions?.length ? '<span class="line-actions" title="Changes story variables">=</span>' : '';
             
             item.innerHTML = `
                 <span class="line-number">${index + 1}</span>
                 <span class="line-character">${charPreview}:</span>
                 <span class="line-preview">${textPreview}${line.text?.length > 30 ? '...' : ''}</span>
+                ${stagingMarker}${effectsMarker}${choiceMarker}${conditionMarker}${actionsMarker}
             `;
             
             item.addEventListener('click', () => this.selectDialogueLine(index));
@@ -1093,6 +2020,8 @@ class SpriteGenApp {
         if (lineNumEl) {
             lineNumEl.textContent = `(Line ${this.selectedDialogueIndex + 1} of ${dialogues.length})`;
         }
+        
+        this.renderSceneTimeline();
     }
 
     /**
@@ -1107,12 +2036,19 @@ class SpriteGenApp {
         
         document.getElementById('dialogue-text').value = line.text || '';
         document.getElementById('dialogue-style').value = line.style || 'default';
+        document.getElementById('dialogue-presentation').value = line.presentation || 'scene';
         document.getElementById('dialogue-color').value = line.boxColor || '#e94560';
         document.getElementById('dialogue-visible').checked = line.visible !== false;
+        document.getElementById('dialogue-start-time').value = hasFixedTime(line) ? line.time : '';
         
         const typingSpeed = line.typingSpeed || 35;
         document.getElementById('dialogue-typing-speed').value = typingSpeed;
         document.getElementById('dialogue-typing-speed-value').textContent = `${typingSpeed} ms`;
+        
+        this.updateStagingSummaryUI(line);
+        this.updateLineEffectsUI(line);
+        this.updateLineChoiceUI(line);
+        this.updateLineVariablesUI(line);
     }
 
     /**
@@ -1268,8 +2204,9 @@ class SpriteGenApp {
      * Handle keyboard shortcuts
      */
     handleKeyboard(e) {
-        // Don't trigger if typing in input
+        // Don't trigger if typing in input, or while the mask editor has the keys
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (this.maskSpriteId) return;
 
         if (e.key === 'Delete' && this.canvas.selectedSprite) {
             this.removeSpriteFromScene(this.canvas.selectedSprite.id);
@@ -1313,11 +2250,15 @@ class SpriteGenApp {
             return;
         }
         
-        const character = this.spriteManager.getCharacter(this.selectedCharacterId);
-        const existingCount = character ? character.variants.length : 0;
+        const characterId = this.selectedCharacterId;
+        
+        // New sprites key out their background like the character's other sprites (same art source)
+        const keySettings = this.spriteManager.getCharacterVariants(characterId)[0]?.keySettings || null;
         
         // Sort files by name for consistent ordering
         const sortedFiles = Array.from(files).sort((a, b) => a.name.localeCompare(b.name));
+        const imageFiles = sortedFiles.filter(file => file.type.startsWith('image/'));
+        if (imageFiles.length === 0) return;
         
         // Find common prefix if importing multiple files
         let commonPrefix = '';
@@ -1326,11 +2267,44 @@ class SpriteGenApp {
             commonPrefix = this.findCommonPrefix(names);
         }
         
-        let variantIndex = existingCount;
-        for (const file of sortedFiles) {
-            if (!file.type.startsWith('image/')) continue;
-
-            const sprite = await this.spriteManager.importSprite(file, true, this.selectedCharacterId);
+        // Process every file at once (the worker pool runs as many as it can), then add them in name order
+        const run = { cancelled: false };
+        this.imageRun = run;
+        const finished = new Set(); // Sprites processed before any cancel
+        let processed = 0;
+        const showProgress = () => this.setProcessingStatus(
+            `Processing sprites ${processed} / ${imageFiles.length}`, processed / imageFiles.length, true);
+        showProgress();
+        const autoTrim = document.getElementById('import-auto-trim').checked;
+        const imports = imageFiles.map(file => this.spriteManager.importSprite(file, true, null, keySettings, autoTrim, null, run).then(sprite => {
+            if (!run.cancelled) {
+                finished.add(sprite);
+                processed++;
+                showProgress();
+            }
+            return sprite;
+        }));
+        
+        let variantIndex = this.spriteManager.getCharacter(characterId)?.variants.length || 0;
+        for (let i = 0; i < imageFiles.length; i++) {
+            const file = imageFiles[i];
+            let sprite;
+            try {
+                sprite = await imports[i];
+            } catch (error) {
+                if (!run.cancelled) {
+                    console.error('Failed to import sprite:', error);
+                    alert(`Failed to import ${file.name}: ${error.message}`);
+                }
+                continue;
+            }
+            
+            // Sprites processed before a cancel are kept; the rest are dropped
+            if (!finished.has(sprite)) {
+                this.spriteManager.deleteSprite(sprite.id);
+                continue;
+            }
+            this.spriteManager.addVariantToCharacter(characterId, sprite.id);
             
             // Auto-name variants if there's a common prefix
             if (commonPrefix && sortedFiles.length > 1) {
@@ -1341,10 +2315,43 @@ class SpriteGenApp {
             
             variantIndex++;
             
-            // Add to character's sprite list UI
-            this.addSpriteToCharacterList(sprite);
+            // Add to character's sprite list UI (unless another character was opened meanwhile)
+            if (this.selectedCharacterId === characterId) {
+                this.addSpriteToCharacterList(sprite);
+            }
             this.updateCharacterListCount();
         }
+        
+        if (this.imageRun === run) {
+            this.imageRun = null;
+            this.setProcessingStatus(null);
+        }
+    }
+
+    /**
+     * Show sprite processing progress in the corner of the editor
+     * @param {string|null} text - Status text, or null to hide it
+     * @param {number} progress - 0 to 1
+     * @param {boolean} cancellable - Whether to offer a Cancel button
+     */
+    setProcessingStatus(text, progress = 0, cancellable = false) {
+        document.getElementById('processing-status').classList.toggle('hidden', text === null);
+        document.getElementById('processing-text').textContent = text || '';
+        document.getElementById('processing-progress').value = progress;
+        document.getElementById('btn-cancel-processing').classList.toggle('hidden', !cancellable);
+    }
+
+    /**
+     * Stop the running sprite import. Sprites already processed are kept;
+     * other image processing (thumbnails, sprite edits) carries on.
+     */
+    cancelImageProcessing() {
+        const run = this.imageRun;
+        if (!run) return;
+        run.cancelled = true;
+        this.imageRun = null;
+        this.setProcessingStatus(null);
+        this.spriteManager.workerPool?.cancel(run);
     }
 
     /**
@@ -1390,10 +2397,8 @@ class SpriteGenApp {
         item.className = 'asset-item';
         item.dataset.id = background.id;
         
-        const thumbnail = this.spriteManager.createThumbnail(background.image);
-        
         item.innerHTML = `
-            <img class="asset-thumbnail" src="${thumbnail}" alt="${background.name}">
+            <img class="asset-thumbnail" alt="${background.name}">
             <span class="asset-name">${background.name}</span>
             <button class="asset-delete" title="Delete">✕</button>
         `;
@@ -1410,6 +2415,7 @@ class SpriteGenApp {
             this.deleteBackground(background.id);
         });
 
+        this.showAssetThumbnail(item.querySelector('.asset-thumbnail'), background);
         list.appendChild(item);
     }
 
@@ -1419,8 +2425,7 @@ class SpriteGenApp {
     updateAssetThumbnail(sprite) {
         const item = document.querySelector(`.asset-item[data-id="${sprite.id}"]`);
         if (item) {
-            const thumbnail = this.spriteManager.createThumbnail(sprite.image);
-            item.querySelector('.asset-thumbnail').src = thumbnail;
+            this.showAssetThumbnail(item.querySelector('.asset-thumbnail'), sprite);
         }
     }
 
@@ -1517,6 +2522,13 @@ class SpriteGenApp {
             document.getElementById('sprite-scale-value').textContent = `${sprite.scale}%`;
             document.getElementById('sprite-opacity').value = sprite.opacity;
             document.getElementById('sprite-opacity-value').textContent = `${sprite.opacity}%`;
+            document.getElementById('sprite-rotation').value = sprite.rotation || 0;
+            document.getElementById('sprite-rotation-value').textContent = `${sprite.rotation || 0}°`;
+            document.getElementById('btn-flip-x').classList.toggle('active', !!sprite.flipX);
+            document.getElementById('btn-flip-y').classList.toggle('active', !!sprite.flipY);
+            this.updateSpriteKeyUI(this.spriteManager.getSprite(sprite.id) || sprite);
+            this.updateSpriteAnchorUI(this.spriteManager.getSprite(sprite.id) || sprite);
+            this.updateSpriteEffectsUI(this.spriteManager.getSprite(sprite.id) || sprite);
             
             // Update variant selector
             this.updateVariantSelector(sprite);
@@ -1553,6 +2565,8 @@ class SpriteGenApp {
         if (sprite) {
             document.getElementById('sprite-x').value = Math.round(sprite.x);
             document.getElementById('sprite-y').value = Math.round(sprite.y);
+            document.getElementById('sprite-rotation').value = sprite.rotation || 0;
+            document.getElementById('sprite-rotation-value').textContent = `${sprite.rotation || 0}°`;
             this.saveCurrentSceneState();
         }
     }
@@ -1564,20 +2578,43 @@ class SpriteGenApp {
         const scene = this.timeline.getCurrentScene();
         if (!scene) return;
 
+        // Sprites caught mid-animation by the playhead must not be saved as the layout
+        this.endSceneScrub();
+
         scene.background = this.canvas.background ? this.canvas.background.src : null;
-        scene.sprites = this.canvas.sprites.map(s => ({
-            id: s.id,
-            name: s.name,
-            imageSrc: s.image.src,
-            originalImageSrc: s.originalImage?.src,
-            x: s.x,
-            y: s.y,
-            scale: s.scale,
-            opacity: s.opacity,
-            removeBackground: s.removeBackground,
-            characterId: s.characterId,
-            variantIndex: s.variantIndex
-        }));
+        
+        const line = scene.dialogues?.[this.selectedDialogueIndex];
+        if (line && this.selectedDialogueIndex > 0) {
+            // Sprite edits on later lines are stored as overrides on that line
+            const previousStates = this.playback.getStagedSpriteStates(scene, this.selectedDialogueIndex - 1);
+            const staging = this.diffSpriteStates(previousStates, this.getCanvasSpriteStates());
+            if (staging.length > 0) {
+                line.staging = staging;
+            } else {
+                delete line.staging;
+            }
+            this.updateStagingSummaryUI(line);
+        } else {
+            scene.sprites = this.canvas.sprites.map(s => ({
+                id: s.id,
+                name: s.name,
+                imageSrc: s.image.src,
+                originalImageSrc: s.originalImage?.src,
+                x: s.x,
+                y: s.y,
+                scale: s.scale,
+                opacity: s.opacity,
+                rotation: s.rotation || 0,
+                flipX: !!s.flipX,
+                flipY: !!s.flipY,
+                removeBackground: s.removeBackground,
+                characterId: s.characterId,
+                variantIndex: s.variantIndex
+            }));
+            
+            // First-line staging is folded into the base scene layout
+            if (line) delete line.staging;
+        }
         
         // Save dialogues array (multi-line support)
         // scene.dialogues is already being updated directly in updateCurrentDialogueLine
@@ -1603,10 +2640,12 @@ class SpriteGenApp {
      * @param {Object} scene - Scene data
      * @param {boolean} triggerAnimations - Whether to trigger sprite animations
      * @param {boolean} startTyping - Whether to start typing animation
-     * @returns {Promise} Resolves when loaded, with typing duration estimate
+     * @returns {Promise} Resolves when loaded, with the scene schedule when playing (null while editing)
      */
     async loadSceneToCanvas(scene, triggerAnimations = false, startTyping = false) {
-        if (!scene) return { typingDuration: 0 };
+        this.playback.stopSceneClock();
+        this.endSceneScrub(false);
+        if (!scene) return { schedule: null };
 
         // Store previous sprites for comparison
         const previousSprites = [...this.canvas.sprites];
@@ -1643,8 +2682,23 @@ class SpriteGenApp {
             }
         }
 
-        // Load sprites
-        for (const spriteData of scene.sprites) {
+        // During playback the scene's actions run first, then the first line whose condition passes starts it
+        let firstLine = 0;
+        let noLinePlays = false;
+        let schedule = null;
+        if (startTyping) {
+            this.storyVariables.runActions(scene.actions);
+            schedule = this.playback.getSceneSchedule(scene, new VariableStore(this.variables, this.storyVariables.getValues()));
+            this.playback.startSceneClock(scene, schedule);
+            firstLine = (scene.dialogues || []).findIndex(line => this.storyVariables.test(line.condition));
+            noLinePlays = firstLine === -1;
+            firstLine = Math.max(0, firstLine);
+        } else {
+            this.storyVariables = this.simulateSceneVariables(scene, 0).store;
+        }
+
+        // Load sprites (as staged for the first dialogue line)
+        for (const spriteData of this.playback.getStagedSpriteStates(scene, firstLine)) {
             const sprite = this.spriteManager.getSprite(spriteData.id);
             if (sprite) {
                 // Match by characterId first (for different variants of same character), 
@@ -1657,13 +2711,7 @@ class SpriteGenApp {
                     prevSprite = previousSprites.find(s => s.id === spriteData.id);
                 }
                 
-                const sceneSprite = {
-                    ...sprite,
-                    x: spriteData.x,
-                    y: spriteData.y,
-                    scale: spriteData.scale,
-                    opacity: spriteData.opacity
-                };
+                const sceneSprite = this.playback.createSceneSprite(spriteData);
                 
                 // Trigger position animation if this is a scene change and position changed
                 if (triggerAnimations && prevSprite) {
@@ -1733,71 +2781,83 @@ class SpriteGenApp {
         });
         
         // Reset to first dialogue line
-        this.selectedDialogueIndex = 0;
+        this.selectedDialogueIndex = firstLine;
         
-        this.dialogueSystem.setDialogueLines(cleanDialogues);
+        this.dialogueSystem.setDialogueLines(cleanDialogues, firstLine);
         const dialogue = this.dialogueSystem.getDialogue();
-        
-        // Calculate typing duration for all dialogue lines
-        let typingDuration = 0;
+        if (noLinePlays) {
+            dialogue.visible = false;
+        } else if (startTyping) {
+            this.storyVariables.runActions(dialogues[firstLine].actions);
+        }
         
         if (startTyping && dialogue.visible && dialogue.text) {
-            // Calculate typing duration for first line
-            const segments = this.dialogueSystem.parseTextWithPauses(dialogue.text);
-            for (const segment of segments) {
-                if (segment.type === 'text') {
-                    typingDuration += segment.content.length * dialogue.typingSpeed;
-                } else if (segment.type === 'pause') {
-                    typingDuration += segment.content;
-                }
-            }
-            typingDuration += this.dialogueSystem.getLineDisplayDuration();
-            
-            // Add time for additional lines (typing + fade transitions + display duration)
-            for (let i = 1; i < dialogues.length; i++) {
-                const line = dialogues[i];
-                if (line.visible && line.text) {
-                    typingDuration += this.dialogueSystem.getFadeDuration();
-                    const lineSegments = this.dialogueSystem.parseTextWithPauses(line.text);
-                    for (const segment of lineSegments) {
-                        if (segment.type === 'text') {
-                            typingDuration += segment.content.length * (line.typingSpeed || 35);
-                        } else if (segment.type === 'pause') {
-                            typingDuration += segment.content;
-                        }
-                    }
-                    typingDuration += this.dialogueSystem.getLineDisplayDuration();
-                }
-            }
+            // Focus the first speaker (carries over smoothly from the previous scene)
+            this.playback.updateSpeakerFocus(dialogue);
             
-            // Start typing animation
+            // The first line appears at its scheduled time, and the clock moves through the rest
+            const firstEntry = schedule.lines[0];
             dialogue.displayedText = '';
-            this.canvas.setDialogue(dialogue);
-            
-            this.dialogueSystem.startTyping(
-                (updatedDialogue) => {
-                    this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
-                    this.canvas.setDialogue(updatedDialogue);
-                },
-                () => {
-                    // Typing complete for current line - wait then advance to next
-                    setTimeout(() => {
-                        this.advanceDialogueLine();
-                    }, this.dialogueSystem.getLineDisplayDuration());
-                }
-            );
+            if (firstEntry && firstEntry.start > 0) {
+                this.playback.addSceneCue(firstEntry.start, () => {
+                    this.canvas.setDialogue(dialogue);
+                    this.typeCurrentLine();
+                });
+            } else {
+                this.canvas.setDialogue(dialogue);
+                this.typeCurrentLine();
+            }
         } else {
+            // Editing shows every character at full focus
+            this.playback.updateSpeakerFocus(null, true);
+            
             // Show full text immediately
             dialogue.displayedText = this.dialogueSystem.getCleanText(dialogue.text);
             this.canvas.setDialogue(dialogue);
         }
         
+        // Each line hands over to the next (or asks its choice) when it ends
+        if (startTyping) {
+            for (const entry of schedule.lines) {
+                this.playback.addSceneCue(entry.end, () => this.advanceDialogueLine());
+            }
+        }
+        
         // Skip dialogue selection during playback to avoid stopping typing animation
         this.updateDialogueUI(scene, startTyping);
         
         // Update layers panel
         this.updateLayersPanel();
         
+        this.canvas.setSceneDialogueMode(scene.dialogueMode);
+        
+        // Weather runs while editing too, so it can be tuned in place
+        this.canvas.setParticleEmitters(scene.weather);
+        
+        // Apply the scene camera (moves and shakes only run during playback)
+        const camera = this.playback.getSceneCamera(scene);
+        this.canvas.setCamera(camera.start);
+        if (startTyping && schedule.camera) {
+            const move = schedule.camera;
+            this.playback.addSceneCue(move.start, () => {
+                this.canvas.animateCamera(camera.start, camera.end, move.end - move.start, camera.easing);
+            });
+        }
+        if (startTyping && camera.shake.intensity > 0) {
+            this.canvas.startCameraShake(camera.shake.intensity, camera.shake.duration);
+        } else {
+            this.canvas.stopCameraShake();
+        }
+        
+        // Screen effects play from the start during playback; editing shows the held ones
+        if (startTyping) {
+            this.canvas.clearScreenEffects();
+            this.playback.playScreenEffects(scene.effects);
+            this.playback.playScreenEffects(scene.dialogues?.[firstLine]?.effects);
+        } else {
+            this.showScreenEffects(scene, this.selectedDialogueIndex);
+        }
+        
         // Start scene transition if enabled
         if (triggerAnimations && this.canvas.sceneTransitionStyle !== 'none' && previousSprites.length > 0) {
             this.canvas.startSceneTransition();
@@ -1805,7 +2865,7 @@ class SpriteGenApp {
         
         this.canvas.render();
         
-        return { typingDuration };
+        return { schedule };
     }
 
     /**
@@ -1815,6 +2875,14 @@ class SpriteGenApp {
         if (!scene) return;
         document.getElementById('scene-name').value = scene.name;
         document.getElementById('scene-duration').value = scene.duration;
+        document.getElementById('scene-dialogue-mode').value = scene.dialogueMode || 'box';
+        this.updateCameraUI(scene);
+        this.updateWeatherUI(scene);
+        this.updateSceneEffectsUI(scene);
+        this.updateNextSceneUI(scene);
+        this.updateSceneChoiceUI(scene);
+        this.updateSceneBranchesUI(scene);
+        this.updateVariableActionsList('scene-actions-list', 'scene', scene.actions);
     }
 
     /**
@@ -1999,7 +3067,12 @@ class SpriteGenApp {
             this.spriteManager.sprites.clear();
             this.spriteManager.characters.clear();
             this.spriteManager.backgrounds.clear();
+            this.spriteManager.skins.clear();
+            this.updateSkinOptions();
             this.selectedCharacterId = null;
+            this.variables = [];
+            this.previewStartValues = {};
+            this.updateVariablesUI();
             
             // Clear UI lists
             document.querySelectorAll('#character-list .character-item').forEach(el => el.remove());
@@ -2015,9 +3088,17 @@ class SpriteGenApp {
      * Save project to JSON file
      */
     saveProject() {
+        downloadFile(JSON.stringify(this.getProjectData(), null, 2), 'spritegen-project.json');
+    }
+
+    /**
+     * Gather the whole project for saving
+     * @returns {Object} Project data
+     */
+    getProjectData() {
         this.saveCurrentSceneState();
         
-        const projectData = {
+        return {
             version: '1.2.0',
             timeline: this.timeline.export(),
             characters: this.spriteManager.getAllCharacters().map(c => ({
@@ -2025,7 +3106,8 @@ class SpriteGenApp {
                 name: c.name,
                 variants: c.variants,
                 activeVariant: c.activeVariant,
-                boxColor: c.boxColor || '#e94560'
+                boxColor: c.boxColor || '#e94560',
+                anchor: c.anchor || null
             })),
             assets: {
                 sprites: this.spriteManager.getAllSprites().map(s => ({
@@ -2033,6 +3115,11 @@ class SpriteGenApp {
                     name: s.name,
                     imageSrc: s.originalImage.src,
                     removeBackground: s.removeBackground,
+                    keySettings: s.keySettings,
+                    maskEdits: s.maskEdits || null,
+                    autoTrim: !!s.autoTrim,
+                    anchor: s.anchor,
+                    effects: s.effects,
                     characterId: s.characterId,
                     variantIndex: s.variantIndex
                 })),
@@ -2040,21 +3127,37 @@ class SpriteGenApp {
                     id: b.id,
                     name: b.name,
                     imageSrc: b.image.src
+                })),
+                skins: this.spriteManager.getAllSkins().map(s => ({
+                    id: s.id,
+                    name: s.name,
+                    imageSrc: s.image.src
                 }))
             },
             audio: this.audioManager.getState(),
             transitions: {
                 sceneStyle: this.canvas.sceneTransitionStyle,
+                sceneColor: this.canvas.customTransitionColor,
                 sceneDuration: this.canvas.sceneTransitionDuration,
                 bgStyle: this.canvas.bgTransitionStyle,
                 bgDuration: this.canvas.bgTransitionDuration
             },
+            speakerFocus: {
+                enabled: this.canvas.speakerFocus.enabled,
+                mode: this.canvas.speakerFocus.mode,
+                amount: this.canvas.speakerFocus.amount,
+                duration: Math.round(this.canvas.speakerFocus.duration * 1000)
+            },
+            dialogueTheme: { ...this.canvas.dialogueTheme },
+            variables: {
+                definitions: this.variables,
+                previewStart: this.previewStartValues
+            },
             options: {
-                canvasBackgroundColor: this.canvas.canvasBackgroundColor
+                canvasBackgroundColor: this.canvas.canvasBackgroundColor,
+                timelineBpm: this.timelineBpm
             }
         };
-
-        downloadFile(JSON.stringify(projectData, null, 2), 'spritegen-project.json');
     }
 
     /**
@@ -2072,11 +3175,13 @@ class SpriteGenApp {
             const text = await file.text();
             const projectData = JSON.parse(text);
             
-            // Clear current project
+            // Clear current project (an import still running would add to it)
+            this.cancelImageProcessing();
             this.timeline.clear();
             this.spriteManager.sprites.clear();
             this.spriteManager.characters.clear();
             this.spriteManager.backgrounds.clear();
+            this.spriteManager.skins.clear();
             this.selectedCharacterId = null;
             
             document.querySelectorAll('#character-list .character-item').forEach(el => el.remove());
@@ -2091,7 +3196,8 @@ class SpriteGenApp {
                         name: charData.name,
                         variants: charData.variants || [],
                         activeVariant: charData.activeVariant || 0,
-                        boxColor: charData.boxColor || '#e94560'
+                        boxColor: charData.boxColor || '#e94560',
+                        anchor: charData.anchor ? normalizeAnchor(charData.anchor) : null
                     };
                     this.spriteManager.characters.set(character.id, character);
                     this.addCharacterToList(character);
@@ -2110,15 +3216,28 @@ class SpriteGenApp {
                     id: spriteData.id,
                     name: spriteData.name,
                     originalImage: img,
-                    image: spriteData.removeBackground ? 
-                        await this.spriteManager.removeWhiteBackground(img) : img,
                     removeBackground: spriteData.removeBackground,
+                    keySettings: normalizeKeySettings(spriteData.keySettings),
+                    maskEdits: spriteData.maskEdits || null,
+                    autoTrim: !!spriteData.autoTrim,
+                    anchor: normalizeAnchor(spriteData.anchor),
+                    effects: normalizeSpriteEffects(spriteData.effects),
                     characterId: spriteData.characterId || null,
-                    variantIndex: spriteData.variantIndex || 0,
-                    dominantColor: this.spriteManager.extractDominantColor(img)
+                    variantIndex: spriteData.variantIndex || 0
                 };
                 this.spriteManager.sprites.set(sprite.id, sprite);
             }
+            
+            // Background removal runs on all sprites at once (on the worker pool, when there is one)
+            const sprites = this.spriteManager.getAllSprites();
+            let processed = 0;
+            this.setProcessingStatus(`Loading sprites 0 / ${sprites.length}`);
+            await Promise.all(sprites.map(async (sprite) => {
+                await this.spriteManager.processSpriteImage(sprite);
+                processed++;
+                this.setProcessingStatus(`Loading sprites ${processed} / ${sprites.length}`, processed / sprites.length);
+            }));
+            this.setProcessingStatus(null);
 
             // Load backgrounds
             for (const bgData of projectData.assets.backgrounds) {
@@ -2137,6 +3256,22 @@ class SpriteGenApp {
                 this.addBackgroundToAssetList(background);
             }
 
+            // Load dialogue skins
+            for (const skinData of projectData.assets.skins || []) {
+                const skin = {
+                    id: skinData.id,
+                    name: skinData.name,
+                    image: await this.loadImageFromDataUrl(skinData.imageSrc)
+                };
+                this.spriteManager.skins.set(skin.id, skin);
+            }
+            this.updateSkinOptions();
+
+            // Load story variables (before the scene, so its text can show them)
+            this.variables = projectData.variables?.definitions || [];
+            this.previewStartValues = projectData.variables?.previewStart || {};
+            this.updateVariablesUI();
+
             // Load timeline
             this.timeline.import(projectData.timeline);
             this.loadInitialScene();
@@ -2175,6 +3310,23 @@ class SpriteGenApp {
                 document.getElementById('bg-transition-style').value = projectData.transitions.bgStyle;
                 document.getElementById('bg-transition-duration').value = projectData.transitions.bgDuration;
                 document.getElementById('bg-transition-duration-value').textContent = `${projectData.transitions.bgDuration} ms`;
+                
+                if (projectData.transitions.sceneColor) {
+                    this.canvas.setTransitionColor(projectData.transitions.sceneColor);
+                    document.getElementById('scene-transition-color').value = projectData.transitions.sceneColor;
+                }
+            }
+
+            // Load speaker focus settings
+            if (projectData.speakerFocus) {
+                this.canvas.setSpeakerFocusSettings(projectData.speakerFocus);
+                this.updateSpeakerFocusUI();
+            }
+
+            // Load dialogue theme
+            if (projectData.dialogueTheme) {
+                this.canvas.setDialogueTheme(projectData.dialogueTheme);
+                this.updateThemeUI();
             }
 
             // Load options (v1.2+)
@@ -2183,206 +3335,777 @@ class SpriteGenApp {
                     this.canvas.canvasBackgroundColor = projectData.options.canvasBackgroundColor;
                     document.getElementById('canvas-bg-color').value = projectData.options.canvasBackgroundColor;
                 }
+                if (projectData.options.timelineBpm) {
+                    this.timelineBpm = projectData.options.timelineBpm;
+                    document.getElementById('scene-timeline-bpm').value = this.timelineBpm;
+                }
             }
+            this.renderSceneTimeline();
 
         } catch (error) {
+            this.setProcessingStatus(null);
             console.error('Failed to load project:', error);
             alert('Failed to load project file.');
         }
     }
 
     /**
-     * Export sequence as video
+     * Open the export dialog
      */
-    async exportSequence() {
+    openExportDialog() {
         this.saveCurrentSceneState();
         
+        // Offer every scene as a start or end point
         const scenes = this.timeline.getAllScenes();
-        const currentIndex = this.timeline.getCurrentIndex();
-        
-        // Set up video recording
-        const stream = this.canvas.canvas.captureStream(60); // 60 FPS
-        const options = { 
-            mimeType: 'video/webm;codecs=vp9',
-            videoBitsPerSecond: 8000000 // 8 Mbps for good quality
-        };
-        
-        // Try VP9, fall back to VP8 if not supported
-        if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-            options.mimeType = 'video/webm;codecs=vp8';
+        const firstSelect = document.getElementById('export-first-scene');
+        const lastSelect = document.getElementById('export-last-scene');
+        const firstId = firstSelect.value || scenes[0].id;
+        const lastId = lastSelect.value;
+        firstSelect.innerHTML = '';
+        lastSelect.innerHTML = '<option value="">End of story</option>';
+        scenes.forEach((scene, index) => {
+            const label = `${index + 1}. ${scene.name}`;
+            firstSelect.add(new Option(label, scene.id));
+            lastSelect.add(new Option(label, scene.id));
+        });
+        firstSelect.value = scenes.some(scene => scene.id === firstId) ? firstId : scenes[0].id;
+        lastSelect.value = scenes.some(scene => scene.id === lastId) ? lastId : '';
+        
+        // Offer the video codecs this browser can record
+        const codecSelect = document.getElementById('export-codec');
+        const codec = codecSelect.value;
+        codecSelect.innerHTML = '';
+        for (const option of this.getSupportedVideoCodecs()) {
+            codecSelect.add(new Option(option.label, option.mimeType));
         }
-        if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-            options.mimeType = 'video/webm';
+        if ([...codecSelect.options].some(option => option.value === codec)) {
+            codecSelect.value = codec;
         }
         
-        this.mediaRecorder = new MediaRecorder(stream, options);
-        this.recordedChunks = [];
-        
-        this.mediaRecorder.ondataavailable = (e) => {
-            if (e.data.size > 0) {
-                this.recordedChunks.push(e.data);
-            }
-        };
-        
-        this.mediaRecorder.onstop = () => {
-            const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'spritegen-sequence.webm';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            // Restore original scene
-            this.timeline.setCurrentScene(currentIndex);
-            this.loadSceneToCanvas(scenes[currentIndex]);
-            this.updateTimelineUI();
-        };
-        
-        // Start recording
-        this.mediaRecorder.start();
-        this.isRecording = true;
-        
-        // Play through all scenes with animations
-        await this.recordSceneSequence(scenes, 0);
+        this.updateExportFormatUI(false);
+        this.setExportProgress(0);
+        this.setExportStatus('');
+        document.getElementById('export-modal').classList.remove('hidden');
     }
-    
+
     /**
-     * Record scene sequence for video export
+     * Close the export dialog (not while an export runs)
      */
-    async recordSceneSequence(scenes, sceneIndex) {
-        if (sceneIndex >= scenes.length) {
-            // Stop recording after small delay to capture last frame
-            await new Promise(resolve => setTimeout(resolve, 200));
-            this.mediaRecorder.stop();
-            this.isRecording = false;
-            return;
-        }
-        
-        const scene = scenes[sceneIndex];
-        this.timeline.setCurrentScene(sceneIndex);
-        
-        // Load scene with animations and typing
-        const { typingDuration } = await this.loadSceneToCanvas(scene, true, true);
-        
-        // Wait for typing to complete plus scene duration
-        const totalDuration = Math.max(scene.duration, typingDuration + 500);
-        await new Promise(resolve => setTimeout(resolve, totalDuration));
-        
-        // Continue to next scene
-        await this.recordSceneSequence(scenes, sceneIndex + 1);
+    closeExportDialog() {
+        if (this.isRecording) return;
+        document.getElementById('export-modal').classList.add('hidden');
     }
 
     /**
-     * Start/toggle preview playback (plays on main canvas)
+     * Get the video codecs MediaRecorder supports here, best first
+     * @returns {Array} Codecs { mimeType, label, extension }
      */
-    togglePreview() {
-        this.saveCurrentSceneState();
-        
-        if (this.previewPlaying) {
-            this.stopPreviewPlayback();
-        } else {
-            this.startPreviewPlayback();
+    getSupportedVideoCodecs() {
+        if (typeof MediaRecorder === 'undefined') return [];
+        return VIDEO_CODECS.filter(codec => MediaRecorder.isTypeSupported(codec.mimeType));
+    }
+
+    /**
+     * Show the options for the chosen export format
+     * @param {boolean} resetDefaults - Switch to the format's usual frame rate and size
+     */
+    updateExportFormatUI(resetDefaults = true) {
+        const format = document.getElementById('export-format').value;
+        const clip = format === 'gif' || format === 'webp';
+        document.getElementById('export-video-options').style.display = format === 'video' ? 'flex' : 'none';
+        document.getElementById('export-clip-options').style.display = clip ? 'flex' : 'none';
+        document.getElementById('export-dither-group').style.display = format === 'gif' ? '' : 'none';
+        
+        // The web player plays the whole story live, so frame settings don't apply
+        const frames = format !== 'html';
+        document.getElementById('export-range-options').style.display = frames ? 'flex' : 'none';
+        document.getElementById('export-frame-options').style.display = frames ? 'flex' : 'none';
+        document.getElementById('export-hold-group').style.display = frames ? '' : 'none';
+        document.getElementById('export-dialogue-group').style.display = frames ? '' : 'none';
+        if (resetDefaults && frames) {
+            document.getElementById('export-fps').value = EXPORT_DEFAULT_FPS[format];
+            document.getElementById('export-resolution').value = EXPORT_DEFAULT_RESOLUTION[format];
         }
     }
 
     /**
-     * Update preview counter display
+     * Show export progress in the export dialog
+     * @param {string} text - Status text
      */
-    updatePreviewCounter() {
-        const current = this.timeline.getCurrentIndex() + 1;
-        const total = this.timeline.getSceneCount();
-        document.getElementById('preview-counter').textContent = `${current} / ${total}`;
+    setExportStatus(text) {
+        document.getElementById('export-status').textContent = text;
     }
 
     /**
-     * Toggle preview playback
+     * Fill the export progress bar
+     * @param {number} progress - 0 to 1
      */
-    togglePreviewPlayback() {
-        if (this.previewPlaying) {
-            this.stopPreviewPlayback();
-        } else {
-            this.startPreviewPlayback();
-        }
+    setExportProgress(progress) {
+        document.getElementById('export-progress').value = progress;
     }
 
     /**
-     * Start preview playback
+     * Show the Cancel button in place of Export while an export runs
+     * @param {boolean} running - Whether an export is running
      */
-    startPreviewPlayback() {
-        this.previewPlaying = true;
-        document.getElementById('preview-play').textContent = '⏸';
-        
-        this.playNextPreviewScene();
+    setExportRunning(running) {
+        document.getElementById('btn-start-export').classList.toggle('hidden', running);
+        document.getElementById('btn-cancel-export').classList.toggle('hidden', !running);
+        document.getElementById('btn-close-export').disabled = running;
     }
 
     /**
-     * Play next scene in preview
+     * Stop the running export after the current frame. Nothing is downloaded.
      */
-    playNextPreviewScene() {
-        if (!this.previewPlaying) return;
+    cancelExport() {
+        if (!this.exportRun) return;
+        this.exportRun.cancelled = true;
+        this.setExportStatus('Cancelling...');
+    }
+
+    /**
+     * Run the export set up in the export dialog
+     */
+    async startExport() {
+        if (this.isRecording) return;
         
-        const scene = this.timeline.getCurrentScene();
-        this.loadSceneToCanvas(scene, true, true).then(({ typingDuration }) => {
-            this.updatePreviewCounter();
-            this.updateTimelineUI();
-            
-            // Wait for typing to finish, plus half fade duration for final fade-out, plus buffer
-            const fadeDuration = scene.fadeDuration || 300;
-            const totalDuration = Math.max(scene.duration, typingDuration + (fadeDuration / 2) + 500);
-            
-            if (this.timeline.getCurrentIndex() < this.timeline.getSceneCount() - 1) {
-                this.previewInterval = setTimeout(() => {
-                    this.timeline.nextScene();
-                    this.playNextPreviewScene();
-                }, totalDuration);
+        const format = document.getElementById('export-format').value;
+        const filename = document.getElementById('export-filename').value.trim().replace(/[\\/:*?"<>|]/g, '_') || 'spritegen-sequence';
+        if (format === 'html') {
+            await this.exportWebPlayer(filename);
+            return;
+        }
+        
+        const range = {
+            firstSceneId: document.getElementById('export-first-scene').value,
+            lastSceneId: document.getElementById('export-last-scene').value || null
+        };
+        
+        const fps = parseInt(document.getElementById('export-fps').value);
+        if (!(fps >= 1 && fps <= 60)) {
+            alert('Frame rate must be between 1 and 60 FPS.');
+            return;
+        }
+        const hold = parseFloat(document.getElementById('export-hold').value);
+        if (!(hold >= 0 && hold <= 60)) {
+            alert('Hold at end must be between 0 and 60 seconds.');
+            return;
+        }
+        const [width, height] = document.getElementById('export-resolution').value.split('x').map(Number);
+        const settings = {
+            fps,
+            width,
+            height,
+            hold: hold * 1000,
+            dialogue: document.getElementById('export-dialogue').checked,
+            filename
+        };
+        
+        if (format === 'video') {
+            const codec = VIDEO_CODECS.find(option => option.mimeType === document.getElementById('export-codec').value);
+            if (!codec) {
+                alert('This browser cannot record video. Try the PNG sequence export instead.');
+                return;
+            }
+            const bitrate = parseFloat(document.getElementById('export-bitrate').value);
+            if (!(bitrate >= 1 && bitrate <= 200)) {
+                alert('Bitrate must be between 1 and 200 Mbps.');
+                return;
+            }
+            settings.codec = codec;
+            settings.bitrate = bitrate * 1000000;
+        } else if (format === 'gif' || format === 'webp') {
+            settings.loop = document.getElementById('export-loop').checked;
+            settings.dither = document.getElementById('export-dither').checked;
+        }
+        if (format === 'webp' && !canEncodeWebP()) {
+            alert('This browser cannot encode WebP images. Try the GIF export, or another browser.');
+            return;
+        }
+        
+        this.setExportRunning(true);
+        this.setExportProgress(0);
+        try {
+            let finished;
+            if (format === 'png') {
+                finished = await this.exportFrames(range, settings);
+            } else if (format === 'gif' || format === 'webp') {
+                finished = await this.exportClip(range, format, settings);
             } else {
-                // End of sequence
-                this.previewInterval = setTimeout(() => {
-                    this.stopPreviewPlayback();
-                }, totalDuration);
+                finished = await this.exportSequence(range, settings);
             }
-        });
+            this.setExportProgress(finished ? 1 : 0);
+            this.setExportStatus(finished ? 'Export finished.' : 'Export cancelled.');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.setExportProgress(0);
+            this.setExportStatus(`Export failed: ${error.message}`);
+        } finally {
+            this.setExportRunning(false);
+        }
     }
 
     /**
-     * Stop preview playback
+     * Export the story as a web player: one HTML file that plays it anywhere, with no editor
+     * @param {string} filename - File name, without extension
      */
-    stopPreviewPlayback() {
-        this.previewPlaying = false;
-        document.getElementById('preview-play').textContent = '▶';
+    async exportWebPlayer(filename) {
+        const project = this.getProjectData();
+        
+        // Sprites go in as shown (background removed, mask edits applied, trimmed), so the player only draws their effects.
+        // Scene backgrounds are stored in the scenes, so the background library stays behind.
+        project.assets.sprites = project.assets.sprites.map(data => ({
+            ...data,
+            imageSrc: this.spriteManager.getSprite(data.id)?.image.src || data.imageSrc,
+            removeBackground: false,
+            maskEdits: null,
+            autoTrim: false
+        }));
+        project.assets.backgrounds = [];
+        project.timeline.scenes = project.timeline.scenes.map(({ thumbnail, ...scene }) => scene);
         
-        if (this.previewInterval) {
-            clearTimeout(this.previewInterval);
-            this.previewInterval = null;
+        this.setExportProgress(0);
+        this.setExportStatus('Building web player...');
+        try {
+            const html = await buildWebPlayer(project, { title: filename });
+            downloadFile(html, `${filename}.html`, 'text/html');
+            this.setExportProgress(1);
+            this.setExportStatus('Export finished.');
+        } catch (error) {
+            console.error('Web player export failed:', error);
+            this.setExportStatus('Export failed.');
+            alert(`Could not build the web player: ${error.message}`);
         }
     }
 
     /**
-     * Preview previous scene
+     * Export sequence as video
+     * @param {Object} range - { firstSceneId, lastSceneId } (lastSceneId null = to the end of the story)
+     * @param {Object} settings - Export settings (see runExport), plus codec and bitrate (bits per second)
+     * @returns {Promise<boolean>} False if the export was cancelled
      */
-    previewPrevScene() {
-        this.stopPreviewPlayback();
-        const scene = this.timeline.previousScene();
-        if (scene) {
-            this.loadSceneToCanvas(scene, true).then(() => {
-                this.updatePreviewCounter();
-                this.updateTimelineUI();
+    async exportSequence(range, settings) {
+        const { fps, codec } = settings;
+        
+        // Set up video recording. Frames are pushed one at a time as the clock steps.
+        const stream = this.canvas.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        
+        // Music and sounds are recorded from the audio context, with the music
+        // starting where the first scene sits in the story, as in preview
+        const firstScene = this.timeline.getSceneById(range.firstSceneId);
+        this.mediaRecorder = null;
+        let stopped = null;
+        let run;
+        try {
+            const audioTrack = await this.audioManager.startRecording(this.playback.getSceneStoryOffset(firstScene) / 1000);
+            let mimeType = codec.mimeType;
+            if (audioTrack) {
+                stream.addTrack(audioTrack);
+                const withAudio = `${mimeType},${codec.audioCodec}`;
+                if (codec.audioCodec && MediaRecorder.isTypeSupported(withAudio)) {
+                    mimeType = withAudio;
+                }
+            }
+            
+            this.mediaRecorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: settings.bitrate
+            });
+            this.recordedChunks = [];
+            
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) {
+                    this.recordedChunks.push(e.data);
+                }
+            };
+            
+            stopped = new Promise(resolve => {
+                this.mediaRecorder.onstop = resolve;
             });
+            
+            // Start recording (paused between frames, so only drawn frames are recorded)
+            this.mediaRecorder.start();
+            this.mediaRecorder.pause();
+            
+            // Frame N runs the audio on to N / fps, so sound and pictures advance together
+            const frameDuration = 1000 / fps;
+            run = await this.runExport(range, settings, async (frame) => {
+                track.requestFrame();
+                this.mediaRecorder.resume();
+                if (audioTrack) {
+                    await this.audioManager.advanceRecording(frame / fps);
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, frameDuration));
+                }
+                if (this.mediaRecorder.state === 'recording') {
+                    this.mediaRecorder.pause();
+                }
+            });
+        } finally {
+            // Give the editor its sound back, even if recording failed
+            if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            this.audioManager.stopRecording();
         }
+        
+        await stopped;
+        if (run.cancelled) return false;
+        
+        const fileType = codec.mimeType.split(';')[0];
+        const blob = new Blob(this.recordedChunks, { type: fileType });
+        downloadFile(blob, `${settings.filename}.${codec.extension}`, fileType);
+        return true;
     }
 
     /**
-     * Preview next scene
+     * Export every frame as a numbered PNG, packed in a ZIP with a manifest of
+     * scene and line times
+     * @param {Object} range - { firstSceneId, lastSceneId } (lastSceneId null = to the end of the story)
+     * @param {Object} settings - Export settings (see runExport)
+     * @returns {Promise<boolean>} False if the export was cancelled
      */
-    previewNextScene() {
-        this.stopPreviewPlayback();
-        const scene = this.timeline.nextScene();
-        if (scene) {
-            this.loadSceneToCanvas(scene, true).then(() => {
-                this.updatePreviewCounter();
+    async exportFrames(range, settings) {
+        const { fps, width, height } = settings;
+        const zip = new ZipWriter();
+        const frameName = (frame) => `frames/frame_${String(frame).padStart(5, '0')}.png`;
+        
+        let frameCount = 0;
+        const run = await this.runExport(range, settings, async (frame) => {
+            const blob = await new Promise(resolve => this.canvas.canvas.toBlob(resolve, 'image/png'));
+            await zip.addBlob(frameName(frame), blob);
+            frameCount = frame;
+        });
+        if (run.cancelled) return false;
+        
+        // Times in ms from the first frame, and the first frame showing each moment
+        const toFrame = (time) => Math.min(frameCount, Math.ceil(time * fps / 1000 - 1e-6) + 1);
+        const span = (item) => ({
+            start: Math.round(item.start),
+            end: Math.round(item.end),
+            startFrame: toFrame(item.start),
+            endFrame: toFrame(item.end)
+        });
+        
+        const manifest = {
+            generator: 'SpriteGen',
+            fps,
+            width,
+            height,
+            frameCount,
+            firstFrame: frameName(1),
+            scenes: run.scenes.map(scene => ({
+                id: scene.id,
+                name: scene.name,
+                ...span(scene),
+                lines: scene.lines.map(line => ({
+                    index: line.index,
+                    character: line.character,
+                    text: line.text,
+                    ...span(line),
+                    typedFrame: toFrame(line.typeEnd)
+                })),
+                choice: scene.choice ? { prompt: scene.choice.prompt, picked: scene.choice.picked, ...span(scene.choice) } : null
+            }))
+        };
+        zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        
+        downloadFile(zip.toBlob(), `${settings.filename}.zip`, 'application/zip');
+        return true;
+    }
+
+    /**
+     * Export an animated GIF or WebP, for sites that don't take video
+     * @param {Object} range - { firstSceneId, lastSceneId } (lastSceneId null = to the end of the story)
+     * @param {string} format - 'gif' or 'webp'
+     * @param {Object} settings - Export settings (see runExport), plus loop and dither (GIF only)
+     * @returns {Promise<boolean>} False if the export was cancelled
+     */
+    async exportClip(range, format, settings) {
+        const { fps, width, height } = settings;
+        const frameDuration = 1000 / fps;
+        
+        const encoder = format === 'gif'
+            ? new GifEncoder(width, height, { loop: settings.loop, dither: settings.dither })
+            : new WebPAnimator(width, height, { loop: settings.loop });
+        
+        const run = await this.runExport(range, settings, async () => {
+            if (format === 'gif') {
+                encoder.addFrame(this.canvas.ctx.getImageData(0, 0, width, height).data, frameDuration);
+            } else {
+                const blob = await new Promise(resolve => this.canvas.canvas.toBlob(resolve, 'image/webp', WEBP_QUALITY));
+                await encoder.addFrame(blob, frameDuration);
+            }
+        });
+        if (run.cancelled) return false;
+        
+        const mimeType = `image/${format}`;
+        downloadFile(encoder.finish(), `${settings.filename}.${format}`, mimeType);
+        return true;
+    }
+
+    /**
+     * Play the story through a scene range with the clock stepped frame by frame,
+     * then put the editor back as it was
+     * @param {Object} range - { firstSceneId, lastSceneId }
+     * @param {Object} settings - { fps, width, height, hold (ms shown after the last scene), dialogue (draw the dialogue box) }
+     * @param {Function} captureFrame - Async, called with the frame number (from 1) after each frame is drawn
+     * @returns {Promise<Object>} The finished run { fps, scenes, cancelled }, where scenes lists when each
+     *     scene, line and choice played (ms since the clock started)
+     */
+    async runExport(range, settings, captureFrame) {
+        const { fps } = settings;
+        const scenes = this.timeline.getAllScenes();
+        const currentIndex = this.timeline.getCurrentIndex();
+        
+        // Progress is estimated from how many scenes the range spans in timeline order
+        const firstIndex = scenes.findIndex(scene => scene.id === range.firstSceneId);
+        const lastIndex = range.lastSceneId ? scenes.findIndex(scene => scene.id === range.lastSceneId) : scenes.length - 1;
+        
+        const run = {
+            fps,
+            lastSceneId: range.lastSceneId,
+            hold: settings.hold,
+            expectedScenes: Math.max(1, lastIndex - firstIndex + 1),
+            scenes: [],
+            cancelled: false
+        };
+        this.exportRun = run;
+        
+        // Start every export from the same state, so runs match frame for frame
+        this.canvas.sprites = [];
+        this.canvas.background = null;
+        this.canvas.setDialogue(null);
+        this.canvas.breathingPhase = 0;
+        this.canvas.clearScreenEffects();
+        this.canvas.particles.setRandom(createSeededRandom(EXPORT_SEED));
+        this.canvas.particles.clear();
+        this.canvas.setRenderScale(settings.width / this.canvas.width);
+        this.canvas.showDialogueBox = settings.dialogue;
+        this.clock.startStepping(fps);
+        
+        try {
+            // Play through the scene graph with animations, from the preview start state.
+            // The first scene starts loading before any frame is drawn, so frame 1 shows its start.
+            this.isRecording = true;
+            this.storyVariables = new VariableStore(this.variables, this.previewStartValues);
+            const sequence = this.recordSceneSequence(range.firstSceneId, run);
+            
+            // If a scene fails to load, stop drawing frames too (they would wait for it for ever)
+            const failed = sequence.then(() => new Promise(() => {}));
+            await Promise.race([this.stepExportFrames(captureFrame), failed]);
+            await sequence;
+        } finally {
+            // Put the editor back as it was, even if the export failed
+            this.isRecording = false;
+            this.exportLoading = false;
+            this.exportRun = null;
+            this.playback.stopSceneClock();
+            this.clock.stopStepping();
+            this.canvas.setChoiceMenu(null);
+            this.canvas.particles.setRandom();
+            this.canvas.showDialogueBox = true;
+            this.canvas.setRenderScale(1);
+            
+            // Restore original scene
+            this.timeline.setCurrentScene(currentIndex);
+            this.loadSceneToCanvas(scenes[currentIndex]);
+            this.updateTimelineUI();
+        }
+        
+        return run;
+    }
+
+    /**
+     * Step the clock one frame at a time while exporting. Each frame waits for
+     * captureFrame to finish, so slow frames never show up as dropped frames or
+     * uneven timing in the output. Frame N shows the time (N - 1) / fps.
+     * Once cancelled, the clock runs on without drawing until the scene
+     * playing winds down.
+     * @param {Function} captureFrame - Async, called with the frame number (from 1) after each frame is drawn
+     */
+    async stepExportFrames(captureFrame) {
+        const run = this.exportRun;
+        while (this.isRecording && this.exportRun === run) {
+            // Time stands still while a scene loads its images
+            if (this.exportLoading) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                continue;
+            }
+            
+            if (run.cancelled) {
+                // A second of frames at a time, letting playback catch up in between
+                for (let i = 0; i < this.clock.fps && this.isRecording && !this.exportLoading; i++) {
+                    this.clock.step();
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+                continue;
+            }
+            
+            const frame = this.clock.frame + 1;
+            this.canvas.render();
+            await captureFrame(frame);
+            this.setExportProgress(this.getExportProgress());
+            this.setExportStatus(`Rendering frame ${frame} (${formatTime(this.clock.now())})`);
+            this.clock.step();
+        }
+    }
+
+    /**
+     * Estimate how far the running export has got
+     * @returns {number} 0 to 1
+     */
+    getExportProgress() {
+        const run = this.exportRun;
+        const scene = run.scenes[run.scenes.length - 1];
+        if (!scene) return 0;
+        
+        const duration = scene.end - scene.start;
+        const sceneProgress = duration > 0 ? clamp((this.clock.now() - scene.start) / duration, 0, 1) : 1;
+        return clamp((run.scenes.length - 1 + sceneProgress) / run.expectedScenes, 0, 1);
+    }
+
+    /**
+     * Record scene sequence for export, following the first option of every
+     * choice. Stops at the end of the story, when a scene repeats or after the
+     * export's last scene.
+     * @param {string|null} sceneId - Scene to record next
+     * @param {Object} run - The export this records for (it stops once the export is over)
+     * @param {Set} visited - IDs of scenes already recorded
+     */
+    async recordSceneSequence(sceneId, run, visited = new Set()) {
+        if (run !== this.exportRun) return;
+        
+        const scene = this.timeline.getSceneById(sceneId);
+        if (!scene || visited.has(sceneId) || run.cancelled) {
+            // Hold the last frame a while before stopping
+            if (!run.cancelled) {
+                await this.clock.wait(run.hold);
+            }
+            if (run === this.exportRun) this.isRecording = false;
+            return;
+        }
+        
+        visited.add(sceneId);
+        this.timeline.setCurrentSceneById(sceneId);
+        
+        // Load scene with animations and typing, then let its clock run to the end
+        this.exportLoading = true;
+        const { schedule } = await this.loadSceneToCanvas(scene, true, true);
+        this.exportLoading = false;
+        if (run !== this.exportRun) return;
+        const logEntry = this.logExportScene(scene, schedule);
+        await new Promise(resolve => this.playback.addSceneCue(schedule.duration, resolve));
+        this.playback.stopSceneClock();
+        
+        // Show the deciding choice with its first option picked
+        const choice = this.getExportChoice(scene);
+        let nextId = this.getPlaybackNextSceneId(scene);
+        if (choice) {
+            const options = this.playback.getAvailableOptions(choice);
+            this.canvas.setChoiceMenu({
+                prompt: choice.prompt,
+                options: options.map(option => option.text),
+                highlighted: 0
+            });
+            const start = this.clock.now();
+            await this.clock.wait(1500);
+            this.canvas.setChoiceMenu(null);
+            logEntry.choice = { prompt: choice.prompt || '', picked: options[0].text, start, end: this.clock.now() };
+            nextId = options[0].target || nextId;
+        }
+        
+        // Continue to next scene
+        await this.recordSceneSequence(sceneId === run.lastSceneId ? null : nextId, run, visited);
+    }
+
+    /**
+     * Note when a scene and its lines play during an export
+     * @param {Object} scene - Scene data
+     * @param {Object} schedule - The scene's schedule as it plays
+     * @returns {Object} Log entry { id, name, start, end, lines, choice } (times in ms since the export started)
+     */
+    logExportScene(scene, schedule) {
+        const startTime = this.playback.sceneClock.startTime;
+        const store = new VariableStore(this.variables, this.storyVariables.getValues());
+        const entry = {
+            id: scene.id,
+            name: scene.name,
+            start: startTime,
+            end: startTime + schedule.duration,
+            lines: schedule.lines.map(line => {
+                const dialogue = scene.dialogues[line.index];
+                return {
+                    index: line.index,
+                    character: dialogue.character || '',
+                    text: stripMarkup(store.interpolate(dialogue.text || '')),
+                    start: startTime + line.start,
+                    typeEnd: startTime + line.typeEnd,
+                    end: startTime + line.end
+                };
+            }),
+            choice: null
+        };
+        this.exportRun.scenes.push(entry);
+        return entry;
+    }
+
+    /**
+     * Start/toggle preview playback (plays on main canvas)
+     */
+    togglePreview() {
+        this.saveCurrentSceneState();
+        
+        if (this.previewPlaying) {
+            this.stopPreviewPlayback();
+        } else {
+            this.startPreviewPlayback();
+        }
+    }
+
+    /**
+     * Update preview counter display
+     */
+    updatePreviewCounter() {
+        const current = this.timeline.getCurrentIndex() + 1;
+        const total = this.timeline.getSceneCount();
+        document.getElementById('preview-counter').textContent = `${current} / ${total}`;
+    }
+
+    /**
+     * Toggle preview playback
+     */
+    togglePreviewPlayback() {
+        if (this.previewPlaying) {
+            this.stopPreviewPlayback();
+        } else {
+            this.startPreviewPlayback();
+        }
+    }
+
+    /**
+     * Start preview playback
+     */
+    startPreviewPlayback() {
+        this.previewPlaying = true;
+        this.storyVariables = new VariableStore(this.variables, this.previewStartValues);
+        document.getElementById('preview-play').textContent = '⏸';
+        
+        // Music starts where this scene sits in the story, so beats line up with the timeline
+        if (this.audioManager.bgm) {
+            this.audioManager.playBgmFrom(this.playback.getSceneStoryOffset(this.timeline.getCurrentScene()) / 1000);
+            this.previewBgm = true;
+        }
+        
+        this.playNextPreviewScene();
+    }
+
+    /**
+     * Play next scene in preview
+     */
+    playNextPreviewScene() {
+        if (!this.previewPlaying) return;
+        
+        const scene = this.timeline.getCurrentScene();
+        this.loadSceneToCanvas(scene, true, true).then(({ schedule }) => {
+            if (!this.previewPlaying) {
+                this.playback.stopSceneClock();
+                return;
+            }
+            
+            this.updatePreviewCounter();
+            this.updateTimelineUI();
+            
+            this.playback.addSceneCue(schedule.duration, () => this.finishPreviewScene(scene));
+        });
+    }
+
+    /**
+     * Leave a scene at the end of preview playback, asking its choice if it has one
+     * @param {Object} scene - Scene that finished
+     */
+    finishPreviewScene(scene) {
+        if (!scene.choice?.options?.length) {
+            this.goToPreviewScene(this.getPlaybackNextSceneId(scene));
+            return;
+        }
+        
+        this.playback.askChoice(scene.choice).then((option) => {
+            if (option) {
+                this.goToPreviewScene(option.target || this.getPlaybackNextSceneId(scene));
+            }
+        });
+    }
+
+    /**
+     * Get the scene playback moves on to, checking conditional links against the story variables
+     * @param {Object} scene - Scene that finished
+     * @returns {string|null} Next scene ID, or null at the end of the story
+     */
+    getPlaybackNextSceneId(scene) {
+        return this.timeline.getNextSceneId(scene, (condition) => this.storyVariables.test(condition));
+    }
+
+    /**
+     * Continue preview playback at a scene, or stop at the end of the story
+     * @param {string|null} sceneId - Scene to play next
+     */
+    goToPreviewScene(sceneId) {
+        if (!this.previewPlaying) return;
+        
+        this.playback.stopSceneClock();
+        if (sceneId && this.timeline.setCurrentSceneById(sceneId)) {
+            this.playNextPreviewScene();
+        } else {
+            this.stopPreviewPlayback();
+        }
+    }
+
+    /**
+     * Stop preview playback
+     */
+    stopPreviewPlayback() {
+        this.previewPlaying = false;
+        document.getElementById('preview-play').textContent = '▶';
+        this.playback.updateSpeakerFocus(null);
+        this.canvas.stopCameraShake();
+        this.canvas.setCamera(this.playback.getSceneCamera(this.timeline.getCurrentScene()).start);
+        this.showScreenEffects(this.timeline.getCurrentScene(), this.selectedDialogueIndex);
+        this.playback.cancelChoice();
+        this.playback.stopSceneClock();
+        this.storyVariables = this.simulateSceneVariables(this.timeline.getCurrentScene(), this.selectedDialogueIndex).store;
+        
+        if (this.previewBgm) {
+            this.audioManager.pauseBgm();
+            this.previewBgm = false;
+        }
+        this.renderSceneTimeline();
+    }
+
+    /**
+     * Preview previous scene
+     */
+    previewPrevScene() {
+        this.stopPreviewPlayback();
+        const scene = this.timeline.previousScene();
+        if (scene) {
+            this.loadSceneToCanvas(scene, true).then(() => {
+                this.updatePreviewCounter();
+                this.updateTimelineUI();
+            });
+        }
+    }
+
+    /**
+     * Preview next scene
+     */
+    previewNextScene() {
+        this.stopPreviewPlayback();
+        const scene = this.timeline.nextScene();
+        if (scene) {
+            this.loadSceneToCanvas(scene, true).then(() => {
+                this.updatePreviewCounter();
                 this.updateTimelineUI();
             });
         }
@@ -2399,6 +4122,13 @@ class SpriteGenApp {
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
                 return;
             }
+            if (this.maskSpriteId) return;
+
+            // 1-9 - Pick an option while a choice menu is open
+            if (this.playback.pendingChoice && e.key >= '1' && e.key <= '9') {
+                this.playback.resolveChoice(parseInt(e.key) - 1);
+                return;
+            }
 
             // Ctrl+S - Save project
             if (e.ctrlKey && e.key === 's') {
@@ -2462,6 +4192,12 @@ class SpriteGenApp {
                 return;
             }
 
+            // H - Flip selected sprite horizontally
+            if (e.key === 'h' && this.canvas.selectedSprite) {
+                this.toggleSpriteFlip('flipX');
+                return;
+            }
+
             // Expression hotkeys 1-9 during preview
             if (this.previewMode && e.key >= '1' && e.key <= '9') {
                 this.switchExpressionByHotkey(parseInt(e.key) - 1);
@@ -2538,6 +4274,9 @@ class SpriteGenApp {
         const scene = this.timeline.getCurrentScene();
         if (!scene) return null;
         
+        // A scrubbed frame isn't an edit; snapshot the layout being edited
+        this.endSceneScrub();
+        
         return {
             id: scene.id,
             name: scene.name,
@@ -2549,10 +4288,21 @@ class SpriteGenApp {
                 y: s.y,
                 scale: s.scale,
                 opacity: s.opacity,
+                rotation: s.rotation || 0,
+                flipX: !!s.flipX,
+                flipY: !!s.flipY,
                 characterId: s.characterId,
                 variantIndex: s.variantIndex
             })),
-            dialogues: scene.dialogues ? JSON.parse(JSON.stringify(scene.dialogues)) : []
+            dialogues: scene.dialogues ? JSON.parse(JSON.stringify(scene.dialogues)) : [],
+            camera: scene.camera ? JSON.parse(JSON.stringify(scene.camera)) : null,
+            weather: JSON.parse(JSON.stringify(scene.weather || [])),
+            effects: JSON.parse(JSON.stringify(scene.effects || [])),
+            dialogueMode: scene.dialogueMode || 'box',
+            next: scene.next || null,
+            choice: scene.choice ? JSON.parse(JSON.stringify(scene.choice)) : null,
+            branches: JSON.parse(JSON.stringify(scene.branches || [])),
+            actions: JSON.parse(JSON.stringify(scene.actions || []))
         };
     }
 
@@ -2600,6 +4350,19 @@ class SpriteGenApp {
                 scene.name = state.scene.name;
                 scene.duration = state.scene.duration;
                 scene.dialogues = state.scene.dialogues;
+                scene.camera = state.scene.camera || null;
+                this.canvas.setCamera(this.playback.getSceneCamera(scene).start);
+                scene.weather = state.scene.weather || [];
+                this.canvas.setParticleEmitters(scene.weather);
+                this.updateWeatherUI(scene);
+                scene.effects = state.scene.effects || [];
+                this.updateSceneEffectsUI(scene);
+                scene.dialogueMode = state.scene.dialogueMode || 'box';
+                this.canvas.setSceneDialogueMode(scene.dialogueMode);
+                scene.next = state.scene.next || null;
+                scene.choice = state.scene.choice || null;
+                scene.branches = state.scene.branches || [];
+                scene.actions = state.scene.actions || [];
                 
                 // Restore sprite positions
                 for (const savedSprite of state.scene.sprites) {
@@ -2609,6 +4372,9 @@ class SpriteGenApp {
                         canvasSprite.y = savedSprite.y;
                         canvasSprite.scale = savedSprite.scale;
                         canvasSprite.opacity = savedSprite.opacity;
+                        canvasSprite.rotation = savedSprite.rotation || 0;
+                        canvasSprite.flipX = !!savedSprite.flipX;
+                        canvasSprite.flipY = !!savedSprite.flipY;
                     }
                 }
                 
@@ -2617,7 +4383,7 @@ class SpriteGenApp {
                 if (this.canvas.selectedSprite) {
                     this.updateSpritePropertiesUI(this.canvas.selectedSprite);
                 }
-                this.updateDialogueLinesList();
+                this.updateDialogueLinesListUI();
             }
         } finally {
             this.history.setRestoring(false);
@@ -2747,57 +4513,2123 @@ class SpriteGenApp {
         this.saveCurrentSceneState();
     }
 
-    // ==================== SCENE TEMPLATES ====================
+    // ==================== LINE STAGING ====================
 
     /**
-     * Load templates from localStorage
-     * @returns {Array} Saved templates
+     * Get the current canvas sprites as plain sprite states
+     * @returns {Array} Sprite states
      */
-    loadTemplatesFromStorage() {
-        try {
-            const data = localStorage.getItem('spritegen-templates');
-            return data ? JSON.parse(data) : [];
-        } catch {
-            return [];
-        }
+    getCanvasSpriteStates() {
+        return this.canvas.sprites.map(s => ({
+            id: s.id,
+            characterId: s.characterId || null,
+            variantIndex: s.variantIndex || 0,
+            x: s.x,
+            y: s.y,
+            scale: s.scale,
+            opacity: s.opacity,
+            rotation: s.rotation || 0,
+            flipX: !!s.flipX,
+            flipY: !!s.flipY
+        }));
     }
 
     /**
-     * Save templates to localStorage
+     * Compute the staging overrides that turn one sprite layout into another
+     * @param {Array} before - Sprite states on the previous line
+     * @param {Array} after - Sprite states on this line
+     * @returns {Array} Staging overrides
      */
-    saveTemplatesToStorage() {
-        try {
-            localStorage.setItem('spritegen-templates', JSON.stringify(this.sceneTemplates));
-        } catch (e) {
-            console.warn('Failed to save templates:', e);
+    diffSpriteStates(before, after) {
+        const overrides = [];
+        
+        for (const state of after) {
+            const key = this.playback.getStagingKey(state);
+            const previous = before.find(s => this.playback.getStagingKey(s) === key);
+            
+            if (!previous) {
+                overrides.push({
+                    target: key,
+                    action: 'enter',
+                    spriteId: state.id,
+                    variantIndex: state.variantIndex,
+                    x: state.x,
+                    y: state.y,
+                    scale: state.scale,
+                    opacity: state.opacity,
+                    rotation: state.rotation,
+                    flipX: state.flipX,
+                    flipY: state.flipY
+                });
+                continue;
+            }
+            
+            const override = { target: key };
+            if (previous.id !== state.id && state.characterId) {
+                override.variantIndex = state.variantIndex;
+            }
+            for (const prop of ['x', 'y', 'scale', 'opacity', 'rotation', 'flipX', 'flipY']) {
+                if (previous[prop] !== state[prop]) {
+                    override[prop] = state[prop];
+                }
+            }
+            
+            if (Object.keys(override).length > 1) {
+                overrides.push(override);
+            }
+        }
+        
+        for (const previous of before) {
+            const key = this.playback.getStagingKey(previous);
+            if (!after.some(s => this.playback.getStagingKey(s) === key)) {
+                overrides.push({ target: key, action: 'exit' });
+            }
         }
+        
+        return overrides;
     }
 
     /**
-     * Save current scene as template
+     * Show the sprite layout of a dialogue line on the canvas (editor, no animation)
+     * @param {Object} scene - Scene data
+     * @param {number} lineIndex - Dialogue line index
      */
-    saveAsTemplate() {
-        const scene = this.timeline.getCurrentScene();
-        if (!scene) return;
+    showLineStaging(scene, lineIndex) {
+        const selectedKey = this.canvas.selectedSprite ? this.playback.getStagingKey(this.canvas.selectedSprite) : null;
         
-        const name = prompt('Template name:', scene.name + ' Template');
-        if (!name) return;
+        this.canvas.sprites = this.playback.getStagedSpriteStates(scene, lineIndex)
+            .map(state => this.playback.createSceneSprite(state))
+            .filter(Boolean);
         
-        const template = {
-            id: Date.now().toString(),
-            name: name,
-            created: Date.now(),
-            data: {
-                duration: scene.duration,
-                sprites: this.canvas.sprites.map(s => ({
-                    x: s.x,
-                    y: s.y,
-                    scale: s.scale,
-                    opacity: s.opacity
-                })),
-                dialogues: scene.dialogues ? JSON.parse(JSON.stringify(scene.dialogues)) : []
-            }
-        };
+        // Keep the same character selected so it can be staged line by line
+        const selected = this.canvas.sprites.find(s => this.playback.getStagingKey(s) === selectedKey) || null;
+        this.canvas.selectedSprite = selected;
+        this.onSpriteSelected(selected);
+        
+        this.updateLayersPanel();
+        this.canvas.render();
+    }
+
+    /**
+     * Remove sprite staging from the selected dialogue line
+     */
+    clearLineStaging() {
+        const scene = this.timeline.getCurrentScene();
+        const line = scene?.dialogues?.[this.selectedDialogueIndex];
+        if (!line || !line.staging) return;
+        
+        delete line.staging;
+        this.showLineStaging(scene, this.selectedDialogueIndex);
+        this.updateStagingSummaryUI(line);
+        this.updateDialogueLinesListUI();
+        this.saveCurrentSceneState();
+    }
+
+    /**
+     * Update the staging summary in the dialogue editor
+     * @param {Object} line - Dialogue line
+     */
+    updateStagingSummaryUI(line) {
+        const summary = document.getElementById('dialogue-staging-summary');
+        if (!summary) return;
+        
+        const count = line?.staging?.length || 0;
+        if (this.selectedDialogueIndex === 0) {
+            summary.textContent = 'Base scene layout';
+        } else if (count > 0) {
+            summary.textContent = `${count} sprite change${count === 1 ? '' : 's'}`;
+        } else {
+            summary.textContent = 'Same as previous line';
+        }
+        document.getElementById('btn-clear-staging').disabled = count === 0;
+    }
+
+    // ==================== SCREEN EFFECTS ====================
+
+    /**
+     * Create a screen effect with defaults for its type
+     * @param {string} type - 'flash', 'shake', 'vignette' or 'tint'
+     * @returns {Object} Screen effect
+     */
+    createScreenEffect(type) {
+        const defaults = {
+            flash: { color: '#ffffff', intensity: 1, duration: 400, underDialogue: false },
+            shake: { intensity: 20, duration: 500, underDialogue: false },
+            vignette: { color: '#000000', intensity: 0.7, duration: 0, underDialogue: true },
+            tint: { color: '#ff0000', intensity: 0.3, duration: 0, underDialogue: true }
+        };
+        return { id: generateId(), type, ...defaults[type] };
+    }
+
+    /**
+     * Get the effects list being edited
+     * @param {string} owner - 'scene' or 'line'
+     * @returns {Object|null} Scene or dialogue line that owns the effects
+     */
+    getScreenEffectOwner(owner) {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return null;
+        return owner === 'scene' ? scene : scene.dialogues?.[this.selectedDialogueIndex] || null;
+    }
+
+    /**
+     * Add a screen effect to the current scene or selected dialogue line
+     * @param {string} owner - 'scene' or 'line'
+     * @param {string} type - Effect type
+     */
+    addScreenEffect(owner, type) {
+        const target = this.getScreenEffectOwner(owner);
+        if (!target) return;
+        
+        this.recordHistory('Add screen effect');
+        const effect = this.createScreenEffect(type);
+        target.effects = [...(target.effects || []), effect];
+        
+        this.refreshScreenEffectsUI();
+        if (effect.duration > 0) {
+            // Play timed effects once so the new effect can be seen
+            this.canvas.triggerScreenEffect(effect);
+        }
+    }
+
+    /**
+     * Remove a screen effect
+     * @param {string} owner - 'scene' or 'line'
+     * @param {string} effectId - Effect ID
+     */
+    removeScreenEffect(owner, effectId) {
+        const target = this.getScreenEffectOwner(owner);
+        if (!target) return;
+        
+        this.recordHistory('Remove screen effect');
+        target.effects = (target.effects || []).filter(e => e.id !== effectId);
+        this.refreshScreenEffectsUI();
+    }
+
+    /**
+     * Show the effects that are held (duration 0) at a dialogue line, without
+     * the one-shot flashes and shakes, so the edited frame matches playback
+     * @param {Object} scene - Scene data
+     * @param {number} lineIndex - Dialogue line index
+     */
+    showScreenEffects(scene, lineIndex) {
+        this.canvas.clearScreenEffects();
+        if (!scene) return;
+        
+        const lines = (scene.dialogues || []).slice(0, lineIndex + 1);
+        const effects = [scene.effects || [], ...lines.map(line => line.effects || [])].flat();
+        
+        effects
+            .filter(effect => !effect.duration && effect.type !== 'flash' && effect.type !== 'shake')
+            .forEach(effect => this.canvas.triggerScreenEffect(effect, true));
+    }
+
+    /**
+     * Re-show held effects and refresh both effect lists after an edit
+     */
+    refreshScreenEffectsUI() {
+        const scene = this.timeline.getCurrentScene();
+        if (!this.previewPlaying) {
+            this.showScreenEffects(scene, this.selectedDialogueIndex);
+        }
+        this.updateSceneEffectsUI(scene);
+        this.updateLineEffectsUI(scene?.dialogues?.[this.selectedDialogueIndex]);
+        this.updateDialogueLinesListUI();
+    }
+
+    /**
+     * Update the scene's screen effect list
+     * @param {Object} scene - Scene data
+     */
+    updateSceneEffectsUI(scene) {
+        this.renderScreenEffectsList('scene-effects-list', 'scene', scene?.effects || []);
+    }
+
+    /**
+     * Update the selected line's screen effect list
+     * @param {Object} line - Dialogue line data
+     */
+    updateLineEffectsUI(line) {
+        this.renderScreenEffectsList('line-effects-list', 'line', line?.effects || []);
+    }
+
+    /**
+     * Render an editable list of screen effects
+     * @param {string} listId - List element ID
+     * @param {string} owner - 'scene' or 'line'
+     * @param {Array} effects - Screen effects
+     */
+    renderScreenEffectsList(listId, owner, effects) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (effects.length === 0) {
+            list.innerHTML = '<div class="no-effects">No screen effects</div>';
+            return;
+        }
+        
+        effects.forEach(effect => {
+            const isShake = effect.type === 'shake';
+            const intensity = isShake ? effect.intensity : Math.round(effect.intensity * 100);
+            const unit = isShake ? 'px' : '%';
+            
+            const item = document.createElement('div');
+            item.className = 'effect-item';
+            item.innerHTML = `
+                <div class="effect-header">
+                    <span class="effect-name">${SCREEN_EFFECT_NAMES[effect.type] || effect.type}</span>
+                    ${isShake ? '' : `<input type="color" data-prop="color" value="${effect.color}">`}
+                    <button class="btn-preview-effect" title="Preview">▶</button>
+                    <button class="btn-remove-effect" title="Remove">✕</button>
+                </div>
+                <label>Intensity <span data-value="intensity">${intensity} ${unit}</span></label>
+                <input type="range" data-prop="intensity" min="0" max="${isShake ? 60 : 100}" value="${intensity}">
+                <label>Duration (ms) <small>${effect.type === 'flash' ? '' : '(0 = hold for the scene)'}</small></label>
+                <input type="number" data-prop="duration" min="0" step="100" value="${effect.duration}">
+                <label>Delay (ms) <small>(after the ${owner === 'scene' ? 'scene' : 'line'} starts)</small></label>
+                <input type="number" data-prop="delay" min="0" step="50" value="${effect.delay || 0}">
+                ${isShake ? '' : `
+                <label class="effect-checkbox">
+                    <input type="checkbox" data-prop="underDialogue" ${effect.underDialogue ? 'checked' : ''}>
+                    Under dialogue box
+                </label>`}
+            `;
+            
+            item.querySelector('.btn-preview-effect').addEventListener('click', () => {
+                this.canvas.triggerScreenEffect(effect);
+            });
+            
+            item.querySelector('.btn-remove-effect').addEventListener('click', () => {
+                this.removeScreenEffect(owner, effect.id);
+            });
+            
+            item.querySelector('[data-prop="intensity"]').addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                effect.intensity = isShake ? value : value / 100;
+                item.querySelector('[data-value="intensity"]').textContent = `${value} ${unit}`;
+                this.showScreenEffects(this.timeline.getCurrentScene(), this.selectedDialogueIndex);
+            });
+            
+            item.querySelector('[data-prop="duration"]').addEventListener('input', (e) => {
+                effect.duration = Math.max(0, parseInt(e.target.value) || 0);
+                this.showScreenEffects(this.timeline.getCurrentScene(), this.selectedDialogueIndex);
+                this.renderSceneTimeline();
+            });
+            
+            item.querySelector('[data-prop="delay"]').addEventListener('input', (e) => {
+                effect.delay = Math.max(0, parseInt(e.target.value) || 0);
+                this.renderSceneTimeline();
+            });
+            
+            item.querySelector('[data-prop="color"]')?.addEventListener('input', (e) => {
+                effect.color = e.target.value;
+                this.showScreenEffects(this.timeline.getCurrentScene(), this.selectedDialogueIndex);
+            });
+            
+            item.querySelector('[data-prop="underDialogue"]')?.addEventListener('change', (e) => {
+                effect.underDialogue = e.target.checked;
+                this.showScreenEffects(this.timeline.getCurrentScene(), this.selectedDialogueIndex);
+            });
+            
+            list.appendChild(item);
+        });
+    }
+
+    // ==================== SCENE TIMELINE ====================
+
+    /**
+     * Set up the scene timeline panel (scrubbing, snapping, zoom and beat grid)
+     */
+    setupSceneTimelineListeners() {
+        document.getElementById('scene-timeline-content').addEventListener('mousedown', (e) => {
+            // Items handle their own drags; anywhere else scrubs the playhead
+            if (e.button !== 0 || e.target.closest('.scene-timeline-item')) return;
+            e.preventDefault();
+            this.startSceneScrub(e);
+        });
+
+        document.getElementById('scene-timeline-zoom').addEventListener('input', (e) => {
+            this.sceneTimelineZoom = parseInt(e.target.value);
+            this.renderSceneTimeline();
+        });
+
+        document.getElementById('scene-timeline-snap').addEventListener('change', (e) => {
+            this.sceneTimelineSnap = e.target.value;
+        });
+
+        document.getElementById('scene-timeline-bpm').addEventListener('input', (e) => {
+            const bpm = parseInt(e.target.value);
+            if (bpm >= 20 && bpm <= 400) {
+                this.timelineBpm = bpm;
+                this.renderSceneTimeline();
+            }
+        });
+
+        // Clicking the canvas goes back to editing the selected line
+        document.getElementById('main-canvas').addEventListener('mousedown', () => this.endSceneScrub(), true);
+    }
+
+    /**
+     * Show exactly how the current scene looks at a moment. Canvas time is held,
+     * and each event is replayed as if it had started at its own time.
+     * @param {number} time - Milliseconds from the scene start
+     */
+    seekSceneTime(time) {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return;
+        if (this.previewPlaying) this.stopPreviewPlayback();
+        
+        const schedule = this.playback.getSceneSchedule(scene);
+        time = clamp(time, 0, schedule.duration);
+        this.scrubTime = time;
+        
+        const now = this.clock.now();
+        const sceneStart = now - time;
+        const position = findScheduledLine(schedule, time);
+        const entry = schedule.lines[position] || null;
+        const firstIndex = schedule.lines[0]?.index ?? 0;
+        const dialogues = scene.dialogues || [];
+        
+        // Sprites: the layout before the current line, then its staging animating since it started
+        this.canvas.stopSpriteAnimations();
+        this.canvas.selectedSprite = null;
+        let states = this.playback.getStagedSpriteStates(scene, firstIndex);
+        for (let i = 1; i < position; i++) {
+            states = this.playback.applySpriteStateOverrides(states, dialogues[schedule.lines[i].index].staging || []);
+        }
+        this.canvas.sprites = states.map(state => this.playback.createSceneSprite(state)).filter(Boolean);
+        if (position > 0) {
+            this.canvas.holdTime(sceneStart + entry.start);
+            this.playback.applyLineStaging(dialogues[entry.index], false);
+            this.updateLayersPanel();
+        }
+        
+        // Screen effects that have started, each from its own start
+        this.canvas.clearScreenEffects();
+        for (const item of schedule.effects) {
+            if (item.start > time) continue;
+            this.canvas.holdTime(sceneStart + item.start);
+            this.canvas.triggerScreenEffect(item.effect);
+        }
+        
+        // Camera move and shake
+        const camera = this.playback.getSceneCamera(scene);
+        this.canvas.setCamera(camera.start);
+        if (schedule.camera && time >= schedule.camera.start) {
+            this.canvas.holdTime(sceneStart + schedule.camera.start);
+            this.canvas.animateCamera(camera.start, camera.end, schedule.camera.end - schedule.camera.start, camera.easing);
+        }
+        this.canvas.stopCameraShake();
+        if (schedule.shake) {
+            this.canvas.holdTime(sceneStart);
+            this.canvas.startCameraShake(camera.shake.intensity, camera.shake.duration);
+        }
+        
+        // Dialogue: the current line typed up to now, mid-fade around line changes
+        this.storyVariables = this.simulateSceneVariables(scene, entry ? entry.index : firstIndex).store;
+        if (entry) {
+            const line = dialogues[entry.index];
+            const previous = schedule.lines[position - 1];
+            const next = schedule.lines[position + 1];
+            const halfFade = schedule.fadeDuration / 2;
+            let opacity = 1;
+            let changing = false;
+            
+            if (halfFade > 0 && next && time > next.start - halfFade) {
+                opacity = (next.start - time) / halfFade;
+                changing = line.character !== dialogues[next.index].character;
+            } else if (halfFade > 0 && previous && time < entry.start + halfFade) {
+                opacity = (time - entry.start) / halfFade;
+                changing = line.character !== dialogues[previous.index].character;
+            }
+            
+            const dialogue = this.dialogueSystem.setDialogue(line);
+            dialogue.displayedText = time >= entry.typeEnd
+                ? this.dialogueSystem.getCleanText(line.text || '')
+                : getTypedText(entry.segments, entry.typingSpeed, time - entry.typeStart);
+            this.canvas.setCharacterChanging(changing);
+            this.canvas.setDialogueFadeOpacity(clamp(opacity, 0, 1));
+            this.canvas.setDialogue(dialogue);
+            this.playback.updateSpeakerFocus(line, true);
+        } else {
+            this.canvas.setDialogue(null);
+            this.playback.updateSpeakerFocus(null, true);
+        }
+        
+        this.canvas.holdTime(now);
+        this.canvas.updateAnimations();
+        this.canvas.render();
+        this.updateLayersPanel();
+        
+        // The line list and editor follow the playhead
+        if (entry && entry.index !== this.selectedDialogueIndex) {
+            this.selectedDialogueIndex = entry.index;
+            this.updateDialogueEditorUI(dialogues[entry.index]);
+            this.updateDialogueLinesListUI();
+        }
+        this.updateSceneTimelinePlayhead(time);
+    }
+
+    /**
+     * Leave the scrubbed frame and go back to editing
+     * @param {boolean} restore - Show the selected line as it is edited again
+     */
+    endSceneScrub(restore = true) {
+        if (this.scrubTime === null) return;
+        this.scrubTime = null;
+        
+        this.canvas.releaseTime();
+        this.canvas.stopSpriteAnimations();
+        this.canvas.stopCameraShake();
+        this.canvas.setCamera(this.playback.getSceneCamera(this.timeline.getCurrentScene()).start);
+        this.canvas.setDialogueFadeOpacity(1);
+        this.canvas.setCharacterChanging(false);
+        this.playback.updateSpeakerFocus(null, true);
+        
+        if (restore) {
+            this.selectDialogueLine(this.selectedDialogueIndex);
+        }
+    }
+
+    /**
+     * Scrub while the mouse is held down on the timeline
+     * @param {MouseEvent} e - Mouse down event
+     */
+    startSceneScrub(e) {
+        const onMouseMove = (event) => this.seekSceneTime(this.getSceneTimelineTime(event));
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+        
+        onMouseMove(e);
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * Convert a mouse position to a time on the scene timeline
+     * @param {MouseEvent} e - Mouse event
+     * @returns {number} Milliseconds from the scene start
+     */
+    getSceneTimelineTime(e) {
+        const rect = document.getElementById('scene-timeline-content').getBoundingClientRect();
+        return Math.max(0, (e.clientX - rect.left) / this.sceneTimelineZoom * 1000);
+    }
+
+    /**
+     * Snap a time to the timeline's snap setting
+     * @param {number} time - Milliseconds
+     * @returns {number} Snapped time in whole milliseconds
+     */
+    snapTimelineTime(time) {
+        const step = this.sceneTimelineSnap === 'beat' ? 60000 / this.timelineBpm : parseInt(this.sceneTimelineSnap);
+        return Math.max(0, Math.round(step > 0 ? Math.round(time / step) * step : time));
+    }
+
+    /**
+     * Place a dialogue line at a fixed time, or give it back automatic timing
+     * @param {number} index - Line index
+     * @param {number|null} time - Milliseconds from the scene start, or null for automatic
+     */
+    setLineTime(index, time) {
+        const line = this.timeline.getCurrentScene()?.dialogues?.[index];
+        if (!line) return;
+        
+        this.recordHistory(time === null ? 'Reset line timing' : 'Move dialogue line');
+        if (time === null) {
+            delete line.time;
+        } else {
+            line.time = Math.round(time);
+        }
+    }
+
+    /**
+     * Set how long after its scene or line starts a screen effect plays
+     * @param {Object} effect - Screen effect
+     * @param {number} delay - Milliseconds
+     */
+    setEffectDelay(effect, delay) {
+        this.recordHistory('Move screen effect');
+        effect.delay = Math.max(0, Math.round(delay));
+    }
+
+    /**
+     * Set when the scene's camera move starts
+     * @param {number} delay - Milliseconds from the scene start
+     */
+    setCameraDelay(delay) {
+        this.recordHistory('Move camera');
+        this.updateSceneCamera(camera => { camera.delay = Math.max(0, Math.round(delay)); });
+    }
+
+    /**
+     * Refresh the editors and the timeline after a timing change
+     * @param {number|null} scrubTime - Scrubbed time to show again, or null
+     */
+    refreshSceneTiming(scrubTime) {
+        const scene = this.timeline.getCurrentScene();
+        this.updateCameraUI(scene);
+        this.updateSceneEffectsUI(scene);
+        this.updateDialogueEditorUI(scene?.dialogues?.[this.selectedDialogueIndex]);
+        
+        if (scrubTime !== null) {
+            this.seekSceneTime(scrubTime);
+        } else {
+            this.renderSceneTimeline();
+        }
+    }
+
+    /**
+     * Make a timeline item clickable and draggable along time
+     * @param {HTMLElement} element - Item element
+     * @param {Object} handlers - { start (ms), onClick(), onMove(time), onReset() (right-click) }
+     */
+    bindTimelineItem(element, { start, onClick, onMove, onReset }) {
+        element.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            
+            const startX = e.clientX;
+            let time = start;
+            let moved = false;
+            
+            const onMouseMove = (event) => {
+                const dx = event.clientX - startX;
+                if (!onMove || (!moved && Math.abs(dx) < 3)) return;
+                
+                moved = true;
+                time = this.snapTimelineTime(start + dx / this.sceneTimelineZoom * 1000);
+                element.style.left = `${time * this.sceneTimelineZoom / 1000}px`;
+                element.classList.add('dragging');
+                document.getElementById('scene-timeline-time').textContent = formatTime(time, true);
+            };
+            
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                
+                if (moved) {
+                    const scrubTime = this.scrubTime;
+                    onMove(time);
+                    this.refreshSceneTiming(scrubTime);
+                } else if (onClick) {
+                    onClick();
+                }
+            };
+            
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+        
+        if (onReset) {
+            element.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                const scrubTime = this.scrubTime;
+                onReset();
+                this.refreshSceneTiming(scrubTime);
+            });
+        }
+    }
+
+    /**
+     * Work out each sprite's track: when it is on stage and where its staging changes
+     * @param {Object} scene - Scene data
+     * @param {Object} schedule - Scene schedule
+     * @returns {Array} Tracks { name, spans: [{ start, end }], changes: [{ start, end, lineIndex, label, expression }] }
+     */
+    getSpriteTimelineTracks(scene, schedule) {
+        const tracks = new Map();
+        const getTrack = (state) => {
+            const key = this.playback.getStagingKey(state);
+            if (!tracks.has(key)) {
+                const character = state.characterId ? this.spriteManager.getCharacter(state.characterId) : null;
+                const name = character?.name || this.spriteManager.getSprite(state.id)?.name || 'Sprite';
+                tracks.set(key, { name, spans: [], changes: [], enteredAt: null });
+            }
+            return tracks.get(key);
+        };
+        
+        const dialogues = scene.dialogues || [];
+        const moveDuration = this.canvas.positionTransitionDuration * 1000;
+        const changeNames = {
+            variantIndex: 'expression', x: 'move', y: 'move', scale: 'scale',
+            opacity: 'opacity', rotation: 'rotate', flipX: 'flip', flipY: 'flip'
+        };
+        
+        let states = this.playback.getStagedSpriteStates(scene, schedule.lines[0]?.index ?? 0);
+        states.forEach(state => { getTrack(state).enteredAt = 0; });
+        
+        for (const entry of schedule.lines.slice(1)) {
+            const next = this.playback.applySpriteStateOverrides(states, dialogues[entry.index].staging || []);
+            
+            for (const override of this.diffSpriteStates(states, next)) {
+                const state = [...next, ...states].find(s => this.playback.getStagingKey(s) === override.target);
+                const track = getTrack(state);
+                const change = { start: entry.start, end: null, lineIndex: entry.index, expression: false };
+                
+                if (override.action === 'exit') {
+                    track.spans.push({ start: track.enteredAt, end: entry.start });
+                    track.enteredAt = null;
+                    change.label = 'exits';
+                } else if (override.action === 'enter') {
+                    track.enteredAt = entry.start;
+                    change.label = 'enters';
+                } else {
+                    const changed = [...new Set(Object.keys(override).filter(key => changeNames[key]).map(key => changeNames[key]))];
+                    change.label = changed.join(', ');
+                    change.expression = changed.includes('expression');
+                    if (changed.includes('move')) change.end = entry.start + moveDuration;
+                }
+                track.changes.push(change);
+            }
+            states = next;
+        }
+        
+        for (const track of tracks.values()) {
+            if (track.enteredAt !== null) {
+                track.spans.push({ start: track.enteredAt, end: schedule.duration });
+            }
+        }
+        return [...tracks.values()];
+    }
+
+    /**
+     * Render the scene timeline panel for the current scene
+     */
+    renderSceneTimeline() {
+        const content = document.getElementById('scene-timeline-content');
+        const labels = document.getElementById('scene-timeline-labels');
+        const scene = this.timeline.getCurrentScene();
+        if (!content || !labels || !scene) return;
+        
+        const playing = this.playback.sceneClock?.scene === scene ? this.playback.sceneClock : null;
+        const schedule = playing ? playing.schedule : this.playback.getSceneSchedule(scene);
+        const scale = this.sceneTimelineZoom / 1000; // px per ms
+        const dialogues = scene.dialogues || [];
+        
+        content.innerHTML = '';
+        labels.innerHTML = '';
+        content.style.width = `${Math.ceil(schedule.duration * scale) + 40}px`;
+        document.getElementById('scene-timeline-duration').textContent = formatTime(schedule.duration, true);
+        
+        const addRow = (label, className, lanes = 1) => {
+            const heading = document.createElement('div');
+            heading.className = `scene-timeline-label ${className}`;
+            heading.textContent = label;
+            heading.title = label;
+            heading.style.height = `${lanes * SCENE_TIMELINE_ROW_HEIGHT}px`;
+            labels.appendChild(heading);
+            
+            const row = document.createElement('div');
+            row.className = `scene-timeline-row ${className}`;
+            row.style.height = heading.style.height;
+            content.appendChild(row);
+            return row;
+        };
+        
+        const addItem = (row, { start, end = null, lane = 0, className, label = '', title = '' }) => {
+            const item = document.createElement('div');
+            item.className = `scene-timeline-item ${className}` + (end === null ? ' marker' : '');
+            item.style.left = `${start * scale}px`;
+            item.style.top = `${lane * SCENE_TIMELINE_ROW_HEIGHT + 3}px`;
+            if (end !== null) {
+                item.style.width = `${Math.max(2, (end - start) * scale)}px`;
+            }
+            item.textContent = label;
+            item.title = title || label;
+            row.appendChild(item);
+            return item;
+        };
+        
+        // Ruler
+        const ruler = addRow('Time', 'ruler');
+        const tickStep = this.sceneTimelineZoom >= 200 ? 100 : this.sceneTimelineZoom >= 50 ? 500 : 1000;
+        for (let t = 0; t <= schedule.duration; t += tickStep) {
+            const tick = document.createElement('div');
+            tick.className = 'scene-timeline-tick' + (t % 1000 === 0 ? ' major' : '');
+            tick.style.left = `${t * scale}px`;
+            if (t % 1000 === 0) tick.textContent = `${t / 1000}s`;
+            ruler.appendChild(tick);
+        }
+        
+        // Dialogue lines, with typing shaded
+        const dialogueRow = addRow('Dialogue', 'dialogue');
+        for (const entry of schedule.lines) {
+            const line = dialogues[entry.index];
+            const text = stripMarkup((line.text || '').replace(/\[\[\d+\]\]/g, ''));
+            const item = addItem(dialogueRow, {
+                start: entry.start,
+                end: entry.end,
+                className: 'line' + (entry.index === this.selectedDialogueIndex ? ' active' : '') + (entry.fixed ? ' fixed' : ''),
+                label: `${entry.index + 1}. ${line.character ? `${line.character}: ` : ''}${text}`,
+                title: `Line ${entry.index + 1} at ${formatTime(entry.start, true)}` +
+                    (entry.fixed ? ' (fixed, right-click for automatic timing)' : ' (automatic, drag to fix its time)')
+            });
+            
+            const typing = document.createElement('div');
+            typing.className = 'scene-timeline-typing';
+            typing.style.left = `${(entry.typeStart - entry.start) * scale}px`;
+            typing.style.width = `${(entry.typeEnd - entry.typeStart) * scale}px`;
+            item.appendChild(typing);
+            
+            this.bindTimelineItem(item, {
+                start: entry.start,
+                onClick: () => this.selectDialogueLine(entry.index),
+                onMove: (time) => this.setLineTime(entry.index, time),
+                onReset: entry.fixed ? () => this.setLineTime(entry.index, null) : null
+            });
+        }
+        
+        // One track per sprite, with its staging changes
+        const spriteTracks = this.getSpriteTimelineTracks(scene, schedule);
+        for (const track of spriteTracks) {
+            const row = addRow(track.name, 'sprite');
+            for (const span of track.spans) {
+                addItem(row, { ...span, className: 'sprite-span', title: `${track.name} on stage` });
+            }
+            for (const change of track.changes) {
+                const item = addItem(row, {
+                    start: change.start,
+                    end: change.end,
+                    className: 'sprite-change',
+                    title: `Line ${change.lineIndex + 1}: ${change.label}`
+                });
+                this.bindTimelineItem(item, { start: change.start, onClick: () => this.selectDialogueLine(change.lineIndex) });
+            }
+        }
+        
+        // Camera move and shake
+        const camera = this.playback.getSceneCamera(scene);
+        const cameraRow = addRow('Camera', 'camera', schedule.camera && schedule.shake ? 2 : 1);
+        if (schedule.camera) {
+            const item = addItem(cameraRow, {
+                start: schedule.camera.start,
+                end: schedule.camera.end,
+                className: 'camera-move',
+                label: 'Move',
+                title: `Camera move from ${formatTime(schedule.camera.start, true)} (drag to change, right-click to start with the scene)`
+            });
+            this.bindTimelineItem(item, {
+                start: schedule.camera.start,
+                onMove: (time) => this.setCameraDelay(time),
+                onReset: () => this.setCameraDelay(0)
+            });
+        }
+        if (schedule.shake) {
+            addItem(cameraRow, {
+                start: schedule.shake.start,
+                end: schedule.shake.end,
+                lane: schedule.camera ? 1 : 0,
+                className: 'camera-shake',
+                label: 'Shake',
+                title: `Camera shake (${camera.shake.intensity} px)`
+            });
+        }
+        
+        // Screen effects, stacked in lanes where they overlap
+        const laneEnds = [];
+        const effects = [...schedule.effects].sort((a, b) => a.start - b.start).map(item => {
+            let lane = laneEnds.findIndex(end => end <= item.start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(0);
+            }
+            laneEnds[lane] = Math.max(item.end, item.start + 1);
+            return { ...item, lane };
+        });
+        const effectsRow = addRow('Effects', 'effects', Math.max(1, laneEnds.length));
+        for (const item of effects) {
+            const { effect } = item;
+            const ownerStart = item.start - (effect.delay || 0);
+            const element = addItem(effectsRow, {
+                start: item.start,
+                end: item.end,
+                lane: item.lane,
+                className: `effect ${effect.type}`,
+                label: SCREEN_EFFECT_NAMES[effect.type] || effect.type,
+                title: `${SCREEN_EFFECT_NAMES[effect.type] || effect.type} ` +
+                    (item.lineIndex === null ? 'on the scene' : `on line ${item.lineIndex + 1}`) +
+                    ` at ${formatTime(item.start, true)} (drag to delay, right-click to remove the delay)`
+            });
+            this.bindTimelineItem(element, {
+                start: item.start,
+                onClick: item.lineIndex !== null ? () => this.selectDialogueLine(item.lineIndex) : null,
+                onMove: (time) => this.setEffectDelay(effect, time - ownerStart),
+                onReset: () => this.setEffectDelay(effect, 0)
+            });
+        }
+        
+        // Audio: the part of the music under this scene, and expression sounds
+        const audioRow = addRow('Audio', 'audio');
+        if (this.audioManager.bgm) {
+            const offset = this.playback.getSceneStoryOffset(scene);
+            const bgm = addItem(audioRow, {
+                start: 0,
+                end: schedule.duration,
+                className: 'bgm',
+                title: `Background music from ${formatTime(offset, true)}`
+            });
+            this.drawBgmWaveform(bgm, offset, schedule.duration);
+        }
+        if (this.audioManager.expressionSfx) {
+            for (const track of spriteTracks) {
+                for (const change of track.changes.filter(c => c.expression)) {
+                    addItem(audioRow, { start: change.start, className: 'sfx', title: `Expression sound (line ${change.lineIndex + 1})` });
+                }
+            }
+        }
+        
+        // Beat grid, scene end and playhead over every row
+        const beat = 60000 / this.timelineBpm;
+        if (beat * scale >= 4) {
+            for (let i = 0; i * beat <= schedule.duration; i++) {
+                const line = document.createElement('div');
+                line.className = 'scene-timeline-beat' + (i % 4 === 0 ? ' bar' : '');
+                line.style.left = `${i * beat * scale}px`;
+                content.appendChild(line);
+            }
+        }
+        
+        const end = document.createElement('div');
+        end.className = 'scene-timeline-end';
+        end.style.left = `${schedule.duration * scale}px`;
+        content.appendChild(end);
+        
+        const playhead = document.createElement('div');
+        playhead.id = 'scene-timeline-playhead';
+        playhead.className = 'scene-timeline-playhead';
+        content.appendChild(playhead);
+        
+        // While editing, the playhead rests on the selected line (or where it was scrubbed to)
+        let time = this.scrubTime;
+        if (playing) {
+            time = Math.min(this.playback.getSceneClockTime(), schedule.duration);
+        } else if (time === null) {
+            time = schedule.lines.find(entry => entry.index === this.selectedDialogueIndex)?.start ?? 0;
+        }
+        this.updateSceneTimelinePlayhead(time);
+    }
+
+    /**
+     * Draw the background music waveform into the audio track
+     * @param {HTMLElement} element - Music item
+     * @param {number} offset - Milliseconds into the music where the scene starts
+     * @param {number} duration - Scene length in ms
+     */
+    async drawBgmWaveform(element, offset, duration) {
+        const waveform = await this.audioManager.getBgmWaveform();
+        if (!waveform || !waveform.duration || !element.isConnected) return;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.min(Math.round(duration * this.sceneTimelineZoom / 1000), 8000));
+        canvas.height = SCENE_TIMELINE_ROW_HEIGHT - 6;
+        const ctx = canvas.getContext('2d');
+        const middle = canvas.height / 2;
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        for (let x = 0; x < canvas.width; x++) {
+            // The music loops, so wrap around its length
+            const seconds = ((offset + x / canvas.width * duration) / 1000) % waveform.duration;
+            const peak = waveform.peaks[Math.floor(seconds * waveform.peaksPerSecond)] || 0;
+            const height = Math.max(0.5, peak * middle);
+            ctx.fillRect(x, middle - height, 1, height * 2);
+        }
+        element.appendChild(canvas);
+    }
+
+    /**
+     * Move the playhead and time readout
+     * @param {number} time - Milliseconds from the scene start
+     */
+    updateSceneTimelinePlayhead(time) {
+        const playhead = document.getElementById('scene-timeline-playhead');
+        if (!playhead) return;
+        
+        const x = time * this.sceneTimelineZoom / 1000;
+        playhead.style.left = `${x}px`;
+        document.getElementById('scene-timeline-time').textContent = formatTime(time, true);
+        
+        // Keep the playhead in view while playing
+        const scroll = document.getElementById('scene-timeline-scroll');
+        if (this.playback.sceneClock && (x < scroll.scrollLeft || x > scroll.scrollLeft + scroll.clientWidth - 20)) {
+            scroll.scrollLeft = Math.max(0, x - 40);
+        }
+    }
+
+    // ==================== BRANCHING & SCENE GRAPH ====================
+
+    /**
+     * Set up scene link, choice editor and scene graph listeners
+     */
+    setupChoiceListeners() {
+        document.getElementById('scene-next').addEventListener('change', (e) => {
+            this.recordHistory('Change next scene');
+            this.timeline.updateCurrentScene({ next: e.target.value || null });
+            this.refreshChoiceUI();
+        });
+        
+        document.getElementById('scene-choice-enabled').addEventListener('change', (e) => {
+            this.setChoiceEnabled('scene', e.target.checked);
+        });
+        
+        document.getElementById('line-choice-enabled').addEventListener('change', (e) => {
+            this.setChoiceEnabled('line', e.target.checked);
+        });
+        
+        document.getElementById('btn-scene-graph').addEventListener('click', () => this.openSceneGraph());
+        document.getElementById('btn-close-graph').addEventListener('click', () => this.closeSceneGraph());
+        
+        // Options picked on the canvas during preview
+        window.addEventListener('choiceSelected', (e) => this.playback.resolveChoice(e.detail.index));
+    }
+
+    /**
+     * Get the scene or dialogue line whose choice is being edited
+     * @param {string} owner - 'scene' or 'line'
+     * @returns {Object|null} Scene or dialogue line
+     */
+    getChoiceOwner(owner) {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return null;
+        return owner === 'scene' ? scene : scene.dialogues?.[this.selectedDialogueIndex] || null;
+    }
+
+    /**
+     * Create a choice option
+     * @param {string} text - Option text
+     * @returns {Object} Option { id, text, target }
+     */
+    createChoiceOption(text = '') {
+        return { id: generateId(), text, target: null };
+    }
+
+    /**
+     * Add or remove the choice menu on the current scene or selected line
+     * @param {string} owner - 'scene' or 'line'
+     * @param {boolean} enabled - Whether the owner ends with a choice
+     */
+    setChoiceEnabled(owner, enabled) {
+        const target = this.getChoiceOwner(owner);
+        if (!target) return;
+        
+        this.recordHistory(enabled ? 'Add choice' : 'Remove choice');
+        target.choice = enabled ? {
+            prompt: '',
+            options: [this.createChoiceOption('Option 1'), this.createChoiceOption('Option 2')]
+        } : null;
+        this.refreshChoiceUI();
+    }
+
+    /**
+     * Add an option to a choice (up to 9, one per number key)
+     * @param {string} owner - 'scene' or 'line'
+     */
+    addChoiceOption(owner) {
+        const choice = this.getChoiceOwner(owner)?.choice;
+        if (!choice || choice.options.length >= 9) return;
+        
+        this.recordHistory('Add choice option');
+        choice.options.push(this.createChoiceOption(`Option ${choice.options.length + 1}`));
+        this.refreshChoiceUI();
+    }
+
+    /**
+     * Remove an option from a choice
+     * @param {string} owner - 'scene' or 'line'
+     * @param {string} optionId - Option ID
+     */
+    removeChoiceOption(owner, optionId) {
+        const choice = this.getChoiceOwner(owner)?.choice;
+        if (!choice) return;
+        
+        this.recordHistory('Remove choice option');
+        choice.options = choice.options.filter(option => option.id !== optionId);
+        this.refreshChoiceUI();
+    }
+
+    /**
+     * Get the choice that decides where an export goes after a scene: the first
+     * line choice whose first option jumps, otherwise the scene's own choice
+     * @param {Object} scene - Scene data
+     * @returns {Object|null} Choice or null
+     */
+    getExportChoice(scene) {
+        const lineChoice = (scene.dialogues || [])
+            .map(line => line.choice)
+            .find(choice => choice && this.playback.getAvailableOptions(choice)[0]?.target);
+        const choice = lineChoice || scene.choice;
+        return choice && this.playback.getAvailableOptions(choice).length > 0 ? choice : null;
+    }
+
+    /**
+     * Refresh the link and choice editors, line list and graph after an edit
+     */
+    refreshChoiceUI() {
+        const scene = this.timeline.getCurrentScene();
+        this.updateNextSceneUI(scene);
+        this.updateSceneChoiceUI(scene);
+        this.updateSceneBranchesUI(scene);
+        this.updateLineChoiceUI(scene?.dialogues?.[this.selectedDialogueIndex]);
+        this.updateDialogueLinesListUI();
+        
+        if (this.isSceneGraphOpen()) {
+            this.renderSceneGraph();
+        }
+    }
+
+    /**
+     * Fill a select with the project's scenes
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string|null} selectedId - Selected value
+     * @param {Array} fixedOptions - Options listed before the scenes { value, label }
+     */
+    fillSceneSelect(select, selectedId, fixedOptions) {
+        select.innerHTML = '';
+        
+        const options = [
+            ...fixedOptions,
+            ...this.timeline.getAllScenes().map(scene => ({ value: scene.id, label: scene.name }))
+        ];
+        
+        for (const { value, label } of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Update the next scene select
+     * @param {Object} scene - Scene data
+     */
+    updateNextSceneUI(scene) {
+        const select = document.getElementById('scene-next');
+        if (!select || !scene) return;
+        
+        this.fillSceneSelect(select, scene.next, [
+            { value: '', label: 'Following scene in timeline' },
+            { value: 'end', label: 'End of story' }
+        ]);
+    }
+
+    /**
+     * Update the scene's end-of-scene choice editor
+     * @param {Object} scene - Scene data
+     */
+    updateSceneChoiceUI(scene) {
+        document.getElementById('scene-choice-enabled').checked = !!scene?.choice;
+        this.renderChoiceEditor('scene-choice-editor', 'scene', scene?.choice);
+    }
+
+    /**
+     * Update the selected line's choice editor
+     * @param {Object} line - Dialogue line data
+     */
+    updateLineChoiceUI(line) {
+        document.getElementById('line-choice-enabled').checked = !!line?.choice;
+        this.renderChoiceEditor('line-choice-editor', 'line', line?.choice);
+    }
+
+    /**
+     * Render an editable choice: prompt, then one row per option with its target scene
+     * @param {string} containerId - Container element ID
+     * @param {string} owner - 'scene' or 'line'
+     * @param {Object|null} choice - Choice { prompt, options }
+     */
+    renderChoiceEditor(containerId, owner, choice) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!choice) return;
+        
+        // Options without a target carry on as if there were no choice
+        const fallbackLabel = owner === 'line' ? 'Continue scene' : 'Next scene';
+        
+        const prompt = document.createElement('input');
+        prompt.type = 'text';
+        prompt.placeholder = 'Prompt (optional)';
+        prompt.value = choice.prompt || '';
+        prompt.addEventListener('input', (e) => {
+            choice.prompt = e.target.value;
+        });
+        container.appendChild(prompt);
+        
+        choice.options.forEach((option, index) => {
+            const item = document.createElement('div');
+            item.className = 'choice-option';
+            item.innerHTML = `
+                <div class="choice-option-header">
+                    <span class="choice-option-number">${index + 1}</span>
+                    <input type="text" data-prop="text" placeholder="Option text">
+                    <button class="btn-remove-choice" title="Remove">✕</button>
+                </div>
+                <select data-prop="target"></select>
+                <input type="text" data-prop="condition" placeholder="Show if... (optional condition)">
+            `;
+            
+            const condition = item.querySelector('[data-prop="condition"]');
+            this.bindConditionInput(condition, option.condition, (value) => {
+                option.condition = value;
+            });
+            
+            const text = item.querySelector('[data-prop="text"]');
+            text.value = option.text;
+            text.addEventListener('input', (e) => {
+                option.text = e.target.value;
+            });
+            
+            const target = item.querySelector('[data-prop="target"]');
+            this.fillSceneSelect(target, option.target, [{ value: '', label: `→ ${fallbackLabel}` }]);
+            target.addEventListener('change', (e) => {
+                this.recordHistory('Change choice target');
+                option.target = e.target.value || null;
+                this.refreshChoiceUI();
+            });
+            
+            item.querySelector('.btn-remove-choice').addEventListener('click', () => {
+                this.removeChoiceOption(owner, option.id);
+            });
+            
+            container.appendChild(item);
+        });
+        
+        if (choice.options.length < 9) {
+            const addButton = document.createElement('button');
+            addButton.className = 'btn-small';
+            addButton.textContent = '+ Option';
+            addButton.addEventListener('click', () => this.addChoiceOption(owner));
+            container.appendChild(addButton);
+        }
+    }
+
+    /**
+     * Open the scene graph view
+     */
+    openSceneGraph() {
+        this.saveCurrentSceneState();
+        document.getElementById('scene-graph-modal').classList.remove('hidden');
+        this.renderSceneGraph();
+    }
+
+    /**
+     * Close the scene graph view
+     */
+    closeSceneGraph() {
+        document.getElementById('scene-graph-modal').classList.add('hidden');
+    }
+
+    /**
+     * Check whether the scene graph view is open
+     * @returns {boolean}
+     */
+    isSceneGraphOpen() {
+        const modal = document.getElementById('scene-graph-modal');
+        return !!modal && !modal.classList.contains('hidden');
+    }
+
+    /**
+     * Place scenes in columns by their distance from the first scene. Scenes
+     * nothing links to start their own chains from the first column.
+     * @param {Array} links - Links from Timeline.getSceneLinks
+     * @returns {Map} Scene ID -> { column, row }
+     */
+    getSceneGraphLayout(links) {
+        const layout = new Map();
+        const rowsPerColumn = [];
+        
+        const place = (id, column) => {
+            const row = rowsPerColumn[column] || 0;
+            rowsPerColumn[column] = row + 1;
+            layout.set(id, { column, row });
+        };
+        
+        for (const root of this.timeline.getAllScenes()) {
+            if (layout.has(root.id)) continue;
+            
+            place(root.id, 0);
+            const queue = [root.id];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                const column = layout.get(id).column + 1;
+                for (const link of links) {
+                    if (link.from === id && !layout.has(link.to)) {
+                        place(link.to, column);
+                        queue.push(link.to);
+                    }
+                }
+            }
+        }
+        
+        return layout;
+    }
+
+    /**
+     * Draw the scene graph: a node per scene, arrows for next links (solid) and choices (dashed)
+     */
+    renderSceneGraph() {
+        const graph = document.getElementById('scene-graph');
+        const svg = document.getElementById('scene-graph-links');
+        if (!graph || !svg) return;
+        
+        const nodeWidth = 160;
+        const nodeHeight = 110;
+        const columnGap = 100;
+        const rowGap = 40;
+        const margin = 30;
+        
+        const scenes = this.timeline.getAllScenes();
+        const links = this.timeline.getSceneLinks();
+        const layout = this.getSceneGraphLayout(links);
+        const currentId = this.timeline.getCurrentScene()?.id;
+        
+        const positions = new Map();
+        for (const [id, { column, row }] of layout) {
+            positions.set(id, {
+                x: margin + column * (nodeWidth + columnGap),
+                y: margin + row * (nodeHeight + rowGap)
+            });
+        }
+        
+        // "End" node to the right of every column, for scenes that end the story
+        const columns = Math.max(...[...layout.values()].map(p => p.column)) + 1;
+        const endPosition = { x: margin + columns * (nodeWidth + columnGap), y: margin };
+        
+        const width = endPosition.x + nodeWidth + margin;
+        const height = Math.max(...[...positions.values()].map(p => p.y)) + nodeHeight + margin * 2;
+        
+        graph.querySelectorAll('.graph-node').forEach(node => node.remove());
+        graph.style.width = `${width}px`;
+        graph.style.height = `${height}px`;
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        
+        // Arrows
+        const paths = links.map(link => ({
+            ...link,
+            fromPos: positions.get(link.from),
+            toPos: positions.get(link.to)
+        }));
+        for (const scene of scenes) {
+            if (scene.next === 'end') {
+                paths.push({ from: scene.id, type: 'next', label: '', fromPos: positions.get(scene.id), toPos: endPosition, toEnd: true });
+            }
+        }
+        
+        svg.innerHTML = `
+            <defs>
+                <marker id="graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+        `;
+        
+        for (const path of paths) {
+            const startX = path.fromPos.x + nodeWidth;
+            const startY = path.fromPos.y + nodeHeight / 2;
+            const endX = path.toPos.x;
+            const endY = path.toPos.y + (path.toEnd ? 20 : nodeHeight / 2);
+            
+            // Links going backwards (loops) curve underneath the nodes
+            const backwards = endX <= startX;
+            const bend = backwards ? nodeHeight + 40 : 0;
+            const reach = Math.max(60, Math.abs(endX - startX) / 2);
+            const d = `M ${startX} ${startY} C ${startX + reach} ${startY + bend}, ${endX - reach} ${endY + bend}, ${endX} ${endY}`;
+            
+            const element = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            element.setAttribute('d', d);
+            element.setAttribute('marker-end', 'url(#graph-arrow)');
+            element.setAttribute('class', `graph-link ${path.type}${path.implicit ? ' implicit' : ''}`);
+            svg.appendChild(element);
+            
+            if (path.label) {
+                const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                label.setAttribute('x', (startX + endX) / 2);
+                label.setAttribute('y', (startY + endY) / 2 + bend * 0.75 - 6);
+                label.setAttribute('class', 'graph-link-label');
+                label.textContent = path.label;
+                svg.appendChild(label);
+            }
+        }
+        
+        // Nodes
+        for (const scene of scenes) {
+            const position = positions.get(scene.id);
+            const node = document.createElement('div');
+            node.className = `graph-node${scene.id === currentId ? ' active' : ''}`;
+            node.dataset.id = scene.id;
+            node.style.left = `${position.x}px`;
+            node.style.top = `${position.y}px`;
+            node.style.width = `${nodeWidth}px`;
+            node.style.height = `${nodeHeight}px`;
+            node.title = 'Double-click to open this scene';
+            
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'graph-node-thumbnail';
+            if (scene.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${scene.thumbnail})`;
+            }
+            
+            const name = document.createElement('div');
+            name.className = 'graph-node-name';
+            name.textContent = (scene.choice ? '⑂ ' : '') + scene.name;
+            
+            const handle = document.createElement('div');
+            handle.className = 'graph-node-handle';
+            handle.title = 'Drag onto a scene to set the next scene';
+            handle.addEventListener('mousedown', (e) => this.startGraphLinkDrag(e, scene));
+            
+            node.appendChild(thumbnail);
+            node.appendChild(name);
+            node.appendChild(handle);
+            node.addEventListener('dblclick', () => {
+                this.closeSceneGraph();
+                this.selectScene(scenes.indexOf(scene));
+            });
+            
+            graph.appendChild(node);
+        }
+        
+        const endNode = document.createElement('div');
+        endNode.className = 'graph-node graph-end-node';
+        endNode.dataset.id = 'end';
+        endNode.style.left = `${endPosition.x}px`;
+        endNode.style.top = `${endPosition.y}px`;
+        endNode.style.width = `${nodeWidth}px`;
+        endNode.textContent = 'End';
+        graph.appendChild(endNode);
+    }
+
+    /**
+     * Drag a new next link out of a scene node's handle
+     * @param {MouseEvent} e - Mouse down event on the handle
+     * @param {Object} scene - Scene the link starts from
+     */
+    startGraphLinkDrag(e, scene) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const graph = document.getElementById('scene-graph');
+        const svg = document.getElementById('scene-graph-links');
+        const origin = graph.getBoundingClientRect();
+        const startX = e.clientX - origin.left;
+        const startY = e.clientY - origin.top;
+        
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('class', 'graph-link dragging');
+        line.setAttribute('x1', startX);
+        line.setAttribute('y1', startY);
+        line.setAttribute('x2', startX);
+        line.setAttribute('y2', startY);
+        svg.appendChild(line);
+        
+        const onMove = (moveEvent) => {
+            line.setAttribute('x2', moveEvent.clientX - origin.left);
+            line.setAttribute('y2', moveEvent.clientY - origin.top);
+        };
+        
+        const onUp = (upEvent) => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            line.remove();
+            
+            const target = document.elementFromPoint(upEvent.clientX, upEvent.clientY)?.closest('.graph-node');
+            if (!target) return;
+            
+            // Dropping on itself clears the link back to timeline order
+            const targetId = target.dataset.id;
+            scene.next = targetId === scene.id ? null : targetId;
+            this.refreshChoiceUI();
+        };
+        
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    // ==================== STORY VARIABLES ====================
+
+    /**
+     * Set up story variable, condition and action listeners
+     */
+    setupVariableListeners() {
+        document.getElementById('btn-add-variable').addEventListener('click', () => {
+            const nameInput = document.getElementById('variable-name');
+            if (this.addVariable(nameInput.value.trim(), document.getElementById('variable-type').value)) {
+                nameInput.value = '';
+            }
+        });
+        
+        document.getElementById('btn-reset-preview-variables').addEventListener('click', () => {
+            this.previewStartValues = {};
+            this.refreshVariablesUI();
+        });
+        
+        document.getElementById('btn-add-scene-action').addEventListener('click', () => this.addVariableAction('scene'));
+        document.getElementById('btn-add-line-action').addEventListener('click', () => this.addVariableAction('line'));
+        document.getElementById('btn-add-scene-branch').addEventListener('click', () => this.addSceneBranch());
+        
+        this.bindConditionInput(document.getElementById('dialogue-condition'), '', (value) => {
+            this.updateCurrentDialogueLine({ condition: value });
+        });
+    }
+
+    /**
+     * Add a story variable
+     * @param {string} name - Variable name
+     * @param {string} type - 'flag', 'number' or 'string'
+     * @returns {boolean} Success
+     */
+    addVariable(name, type) {
+        if (!isValidVariableName(name)) {
+            alert('Variable names start with a letter or _ and use only letters, numbers, _ and dots.');
+            return false;
+        }
+        if (this.variables.some(v => v.name === name)) {
+            alert(`A variable named "${name}" already exists.`);
+            return false;
+        }
+        
+        this.variables.push(createVariable(name, type));
+        this.refreshVariablesUI();
+        return true;
+    }
+
+    /**
+     * Remove a story variable (conditions and actions using it are left as written)
+     * @param {string} variableId - Variable ID
+     */
+    removeVariable(variableId) {
+        const variable = this.variables.find(v => v.id === variableId);
+        if (!variable) return;
+        
+        this.variables = this.variables.filter(v => v.id !== variableId);
+        delete this.previewStartValues[variable.name];
+        this.refreshVariablesUI();
+    }
+
+    /**
+     * Work out the variables while editing: the preview start state, the scene's
+     * actions, then the actions of each line up to lineIndex that plays
+     * @param {Object} scene - Scene data
+     * @param {number} lineIndex - Last line to include
+     * @returns {Object} { store: VariableStore, plays: [boolean] per line up to lineIndex }
+     */
+    simulateSceneVariables(scene, lineIndex) {
+        const store = new VariableStore(this.variables, this.previewStartValues);
+        const plays = [];
+        if (!scene) return { store, plays };
+        
+        store.runActions(scene.actions);
+        (scene.dialogues || []).slice(0, lineIndex + 1).forEach((line, index) => {
+            plays[index] = store.test(line.condition);
+            if (plays[index]) store.runActions(line.actions);
+        });
+        
+        return { store, plays };
+    }
+
+    /**
+     * Re-render the variables panel and everything that shows variable values
+     */
+    refreshVariablesUI() {
+        this.updateVariablesUI();
+        
+        const scene = this.timeline.getCurrentScene();
+        this.updateVariableActionsList('scene-actions-list', 'scene', scene?.actions);
+        if (!this.previewPlaying) {
+            this.selectDialogueLine(this.selectedDialogueIndex);
+        }
+    }
+
+    /**
+     * Render the variable definitions and the preview start state
+     */
+    updateVariablesUI() {
+        const list = document.getElementById('variables-list');
+        const startList = document.getElementById('preview-variables-list');
+        if (!list || !startList) return;
+        
+        list.innerHTML = '';
+        startList.innerHTML = '';
+        
+        if (this.variables.length === 0) {
+            list.innerHTML = '<div class="no-variables">No variables yet</div>';
+            return;
+        }
+        
+        for (const variable of this.variables) {
+            const item = document.createElement('div');
+            item.className = 'variable-item';
+            item.innerHTML = `
+                <span class="variable-name"></span>
+                <span class="variable-type">${VARIABLE_TYPES[variable.type]}</span>
+                <button class="btn-remove-variable" title="Remove">✕</button>
+            `;
+            item.querySelector('.variable-name').textContent = variable.name;
+            item.insertBefore(this.createVariableValueInput(variable.type, variable.value, (value) => {
+                variable.value = value;
+                this.refreshVariablesUI();
+            }), item.querySelector('.btn-remove-variable'));
+            item.querySelector('.btn-remove-variable').addEventListener('click', () => this.removeVariable(variable.id));
+            list.appendChild(item);
+            
+            // Preview start value, marked when it differs from the default
+            const start = this.previewStartValues[variable.name];
+            const startItem = document.createElement('div');
+            startItem.className = 'variable-item' + (start !== undefined && start !== variable.value ? ' changed' : '');
+            startItem.innerHTML = '<span class="variable-name"></span>';
+            startItem.querySelector('.variable-name').textContent = variable.name;
+            startItem.appendChild(this.createVariableValueInput(variable.type, start !== undefined ? start : variable.value, (value) => {
+                this.previewStartValues[variable.name] = value;
+                this.refreshVariablesUI();
+            }));
+            startList.appendChild(startItem);
+        }
+    }
+
+    /**
+     * Create an input for a variable value: a checkbox for flags, otherwise a number or text field
+     * @param {string} type - Variable type
+     * @param {*} value - Current value
+     * @param {Function} onChange - Called with the converted value
+     * @returns {HTMLElement} Input element
+     */
+    createVariableValueInput(type, value, onChange) {
+        const input = document.createElement('input');
+        input.className = 'variable-value';
+        
+        if (type === 'flag') {
+            input.type = 'checkbox';
+            input.checked = coerceVariableValue('flag', value);
+            input.addEventListener('change', (e) => onChange(e.target.checked));
+        } else {
+            input.type = type === 'number' ? 'number' : 'text';
+            input.value = value;
+            input.addEventListener('change', (e) => onChange(coerceVariableValue(type, e.target.value)));
+        }
+        
+        return input;
+    }
+
+    /**
+     * Make a text input edit a condition, flagging syntax errors as you type
+     * @param {HTMLInputElement} input - Condition input
+     * @param {string} value - Current condition
+     * @param {Function} onChange - Called with the new condition text
+     */
+    bindConditionInput(input, value, onChange) {
+        const showError = () => {
+            const error = validateCondition(input.value);
+            input.classList.toggle('invalid', !!error);
+            input.title = error || '';
+        };
+        
+        input.value = value || '';
+        showError();
+        input.addEventListener('input', debounce(() => {
+            showError();
+            onChange(input.value.trim());
+        }, 300));
+    }
+
+    /**
+     * Show the selected line's condition and actions
+     * @param {Object} line - Dialogue line data
+     */
+    updateLineVariablesUI(line) {
+        const condition = document.getElementById('dialogue-condition');
+        condition.value = line?.condition || '';
+        const error = validateCondition(condition.value);
+        condition.classList.toggle('invalid', !!error);
+        condition.title = error || '';
+        
+        this.updateVariableActionsList('line-actions-list', 'line', line?.actions);
+    }
+
+    /**
+     * Get the scene or dialogue line whose variable actions are being edited
+     * @param {string} owner - 'scene' or 'line'
+     * @returns {Object|null} Scene or dialogue line
+     */
+    getActionOwner(owner) {
+        return this.getChoiceOwner(owner);
+    }
+
+    /**
+     * Add a variable action to the current scene or selected line
+     * @param {string} owner - 'scene' or 'line'
+     */
+    addVariableAction(owner) {
+        const target = this.getActionOwner(owner);
+        if (!target) return;
+        if (this.variables.length === 0) {
+            alert('Add a story variable first.');
+            return;
+        }
+        
+        this.recordHistory('Add variable action');
+        const action = createVariableAction(this.variables[0].name);
+        action.value = this.variables[0].value;
+        target.actions = [...(target.actions || []), action];
+        this.refreshVariablesUI();
+    }
+
+    /**
+     * Remove a variable action
+     * @param {string} owner - 'scene' or 'line'
+     * @param {string} actionId - Action ID
+     */
+    removeVariableAction(owner, actionId) {
+        const target = this.getActionOwner(owner);
+        if (!target) return;
+        
+        this.recordHistory('Remove variable action');
+        target.actions = (target.actions || []).filter(a => a.id !== actionId);
+        this.refreshVariablesUI();
+    }
+
+    /**
+     * Render an editable list of variable actions
+     * @param {string} listId - List element ID
+     * @param {string} owner - 'scene' or 'line'
+     * @param {Array} actions - Actions { variable, op, value }
+     */
+    updateVariableActionsList(listId, owner, actions = []) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        for (const action of actions || []) {
+            const variable = this.variables.find(v => v.name === action.variable);
+            const type = variable?.type || 'string';
+            
+            const item = document.createElement('div');
+            item.className = 'variable-action';
+            item.innerHTML = `
+                <select data-prop="variable"></select>
+                <select data-prop="op">
+                    <option value="set">=</option>
+                    ${type === 'flag' ? '' : '<option value="add">+=</option>'}
+                </select>
+                <button class="btn-remove-variable" title="Remove">✕</button>
+            `;
+            
+            const variableSelect = item.querySelector('[data-prop="variable"]');
+            const names = this.variables.map(v => v.name);
+            if (!variable) names.unshift(action.variable); // Keep actions on deleted variables visible
+            for (const name of names) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                variableSelect.appendChild(option);
+            }
+            variableSelect.value = action.variable;
+            variableSelect.addEventListener('change', (e) => {
+                const changed = this.variables.find(v => v.name === e.target.value);
+                action.variable = e.target.value;
+                action.value = changed ? changed.value : '';
+                if (changed?.type === 'flag') action.op = 'set';
+                this.refreshVariablesUI();
+            });
+            
+            const opSelect = item.querySelector('[data-prop="op"]');
+            opSelect.value = action.op;
+            opSelect.addEventListener('change', (e) => {
+                action.op = e.target.value;
+                this.refreshVariablesUI();
+            });
+            
+            item.insertBefore(this.createVariableValueInput(type, action.value, (value) => {
+                action.value = value;
+                this.refreshVariablesUI();
+            }), item.querySelector('.btn-remove-variable'));
+            
+            item.querySelector('.btn-remove-variable').addEventListener('click', () => {
+                this.removeVariableAction(owner, action.id);
+            });
+            
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Add a conditional link to the current scene
+     */
+    addSceneBranch() {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return;
+        
+        this.recordHistory('Add conditional link');
+        scene.branches = [...(scene.branches || []), { id: generateId(), condition: '', target: null }];
+        this.refreshChoiceUI();
+    }
+
+    /**
+     * Render the current scene's conditional links
+     * @param {Object} scene - Scene data
+     */
+    updateSceneBranchesUI(scene) {
+        const list = document.getElementById('scene-branches-list');
+        if (!list || !scene) return;
+        
+        list.innerHTML = '';
+        
+        for (const branch of scene.branches || []) {
+            const item = document.createElement('div');
+            item.className = 'choice-option';
+            item.innerHTML = `
+                <div class="choice-option-header">
+                    <span class="choice-option-number">if</span>
+                    <input type="text" data-prop="condition" placeholder="e.g. affection >= 3">
+                    <button class="btn-remove-choice" title="Remove">✕</button>
+                </div>
+                <select data-prop="target"></select>
+            `;
+            
+            this.bindConditionInput(item.querySelector('[data-prop="condition"]'), branch.condition, (value) => {
+                branch.condition = value;
+                if (this.isSceneGraphOpen()) this.renderSceneGraph();
+            });
+            
+            const target = item.querySelector('[data-prop="target"]');
+            this.fillSceneSelect(target, branch.target, [{ value: '', label: '(choose a scene)' }]);
+            target.addEventListener('change', (e) => {
+                this.recordHistory('Change conditional link');
+                branch.target = e.target.value || null;
+                this.refreshChoiceUI();
+            });
+            
+            item.querySelector('.btn-remove-choice').addEventListener('click', () => {
+                this.recordHistory('Remove conditional link');
+                scene.branches = scene.branches.filter(b => b.id !== branch.id);
+                this.refreshChoiceUI();
+            });
+            
+            list.appendChild(item);
+        }
+    }
+
+    // ==================== DIALOGUE THEME ====================
+
+    /**
+     * Set up dialogue theme editor listeners
+     */
+    setupThemeListeners() {
+        // Every theme field is an input tagged with data-theme="<key>"
+        document.querySelectorAll('[data-theme]').forEach(input => {
+            const eventName = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, () => {
+                const key = input.dataset.theme;
+                let value;
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (input.type === 'number' || input.type === 'range') {
+                    value = parseFloat(input.value) / (parseFloat(input.dataset.scale) || 1);
+                    if (isNaN(value)) return;
+                } else {
+                    value = input.value;
+                }
+                
+                // Picking a color turns off "use line color"
+                const auto = document.querySelector(`[data-theme-auto="${key}"]`);
+                if (auto) auto.checked = false;
+                
+                this.updateDialogueTheme({ [key]: value });
+            });
+        });
+        
+        document.querySelectorAll('[data-theme-auto]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const key = checkbox.dataset.themeAuto;
+                const colorInput = document.querySelector(`[data-theme="${key}"]`);
+                this.updateDialogueTheme({ [key]: checkbox.checked ? '' : colorInput.value });
+            });
+        });
+        
+        document.getElementById('theme-preset').addEventListener('change', (e) => {
+            const preset = DIALOGUE_THEME_PRESETS[e.target.value] ||
+                this.themePresets.find(p => p.id === e.target.value)?.theme;
+            if (preset) {
+                this.canvas.setDialogueTheme(preset);
+                this.updateThemeUI();
+                this.canvas.render();
+            }
+        });
+        
+        // Nine-slice skin images
+        [['box', 'boxSkin'], ['plate', 'plateSkin']].forEach(([prefix, key]) => {
+            const input = document.getElementById(`${prefix}-skin-input`);
+            document.getElementById(`btn-import-${prefix}-skin`).addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.importDialogueSkin(e.target.files[0], key);
+                    e.target.value = '';
+                }
+            });
+        });
+        
+        document.getElementById('btn-save-theme').addEventListener('click', () => this.saveThemePreset());
+        document.getElementById('btn-export-theme').addEventListener('click', () => this.exportDialogueTheme());
+        document.getElementById('btn-import-theme').addEventListener('click', () => {
+            document.getElementById('theme-import-input').click();
+        });
+        document.getElementById('theme-import-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importDialogueTheme(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        
+        this.updateThemePresetOptions();
+        this.updateSkinOptions();
+        this.updateThemeUI();
+    }
+
+    /**
+     * Import a skin image and use it for the box frame or name plate
+     * @param {File} file - Image file
+     * @param {string} themeKey - 'boxSkin' or 'plateSkin'
+     */
+    async importDialogueSkin(file, themeKey) {
+        try {
+            const skin = await this.spriteManager.importSkin(file);
+            this.updateSkinOptions();
+            this.updateDialogueTheme({ [themeKey]: skin.id });
+            this.updateThemeUI();
+        } catch (error) {
+            console.error('Failed to import skin:', error);
+            alert('Failed to import skin: ' + error.message);
+        }
+    }
+
+    /**
+     * Fill the skin dropdowns with the project's skin images
+     */
+    updateSkinOptions() {
+        ['theme-box-skin', 'theme-plate-skin'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            const current = select.value;
+            select.innerHTML = '<option value="">None (vector)</option>';
+            
+            this.spriteManager.getAllSkins().forEach(skin => {
+                const option = document.createElement('option');
+                option.value = skin.id;
+                option.textContent = skin.name;
+                select.appendChild(option);
+            });
+            
+            select.value = current;
+        });
+    }
+
+    /**
+     * Change some dialogue theme values
+     * @param {Object} changes - Theme keys to update
+     */
+    updateDialogueTheme(changes) {
+        this.canvas.setDialogueTheme({ ...this.canvas.dialogueTheme, ...changes });
+        this.canvas.render();
+    }
+
+    /**
+     * Update the theme editor from the current theme
+     */
+    updateThemeUI() {
+        const theme = this.canvas.dialogueTheme;
+        
+        document.querySelectorAll('[data-theme]').forEach(input => {
+            const value = theme[input.dataset.theme];
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else if (input.type === 'number' || input.type === 'range') {
+                input.value = value * (parseFloat(input.dataset.scale) || 1);
+            } else if (input.type === 'color') {
+                // Empty colors follow the line color; keep the picker on a sensible swatch
+                input.value = value || '#e94560';
+            } else {
+                input.value = value;
+            }
+        });
+        
+        document.querySelectorAll('[data-theme-auto]').forEach(checkbox => {
+            checkbox.checked = !theme[checkbox.dataset.themeAuto];
+        });
+        
+        document.getElementById('theme-name').textContent = theme.name;
+    }
+
+    /**
+     * Fill the preset dropdown with built-in and saved themes
+     */
+    updateThemePresetOptions() {
+        const select = document.getElementById('theme-preset');
+        select.innerHTML = '<option value="">Choose a preset...</option>';
+        
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+        
+        Object.entries(DIALOGUE_THEME_PRESETS).forEach(([key, theme]) => addOption(key, theme.name));
+        this.themePresets.forEach(preset => addOption(preset.id, `${preset.theme.name} (saved)`));
+    }
+
+    /**
+     * Save the current theme as a reusable preset
+     */
+    saveThemePreset() {
+        const name = prompt('Theme name:', this.canvas.dialogueTheme.name);
+        if (!name) return;
+        
+        this.updateDialogueTheme({ name });
+        this.themePresets.push({ id: generateId(), theme: { ...this.canvas.dialogueTheme } });
+        this.saveThemePresetsToStorage();
+        this.updateThemePresetOptions();
+        this.updateThemeUI();
+    }
+
+    /**
+     * Download the current theme as a JSON file
+     */
+    exportDialogueTheme() {
+        const theme = this.canvas.dialogueTheme;
+        const exportData = {
+            type: 'spritegen-dialogue-theme',
+            theme: { ...theme },
+            // Bundle the skin images so the theme works in other projects
+            skins: [theme.boxSkin, theme.plateSkin]
+                .map(id => id && this.spriteManager.getSkin(id))
+                .filter(Boolean)
+                .map(skin => ({ id: skin.id, name: skin.name, imageSrc: skin.image.src }))
+        };
+        downloadFile(JSON.stringify(exportData, null, 2), `${theme.name || 'dialogue-theme'}.json`);
+    }
+
+    /**
+     * Import a theme from a JSON file, apply it and keep it as a preset
+     * @param {File} file - The theme JSON file
+     */
+    async importDialogueTheme(file) {
+        try {
+            const text = await file.text();
+            const data = JSON.parse(text);
+            
+            if (data.type !== 'spritegen-dialogue-theme' || !data.theme) {
+                alert('Invalid theme file');
+                return;
+            }
+            
+            for (const skinData of data.skins || []) {
+                if (this.spriteManager.getSkin(skinData.id)) continue;
+                this.spriteManager.skins.set(skinData.id, {
+                    id: skinData.id,
+                    name: skinData.name,
+                    image: await this.loadImageFromDataUrl(skinData.imageSrc)
+                });
+            }
+            this.updateSkinOptions();
+            
+            const theme = normalizeDialogueTheme(data.theme);
+            this.themePresets.push({ id: generateId(), theme });
+            this.saveThemePresetsToStorage();
+            this.updateThemePresetOptions();
+            
+            this.canvas.setDialogueTheme(theme);
+            this.updateThemeUI();
+            this.canvas.render();
+        } catch (error) {
+            console.error('Failed to import theme:', error);
+            alert('Failed to import theme: ' + error.message);
+        }
+    }
+
+    /**
+     * Load saved theme presets from localStorage
+     */
+    loadThemePresetsFromStorage() {
+        try {
+            const data = localStorage.getItem('spritegen-dialogue-themes');
+            return data ? JSON.parse(data) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Save theme presets to localStorage
+     */
+    saveThemePresetsToStorage() {
+        try {
+            localStorage.setItem('spritegen-dialogue-themes', JSON.stringify(this.themePresets));
+        } catch (e) {
+            console.warn('Failed to save theme presets:', e);
+        }
+    }
+
+    // ==================== SCENE TEMPLATES ====================
+
+    /**
+     * Load templates from localStorage
+     * @returns {Array} Saved templates
+     */
+    loadTemplatesFromStorage() {
+        try {
+            const data = localStorage.getItem('spritegen-templates');
+            return data ? JSON.parse(data) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Save templates to localStorage
+     */
+    saveTemplatesToStorage() {
+        try {
+            localStorage.setItem('spritegen-templates', JSON.stringify(this.sceneTemplates));
+        } catch (e) {
+            console.warn('Failed to save templates:', e);
+        }
+    }
+
+    /**
+     * Save current scene as template
+     */
+    saveAsTemplate() {
+        const scene = this.timeline.getCurrentScene();
+        if (!scene) return;
+        
+        const name = prompt('Template name:', scene.name + ' Template');
+        if (!name) return;
+        
+        const template = {
+            id: Date.now().toString(),
+            name: name,
+            created: Date.now(),
+            data: {
+                duration: scene.duration,
+                sprites: this.canvas.sprites.map(s => ({
+                    x: s.x,
+                    y: s.y,
+                    scale: s.scale,
+                    opacity: s.opacity,
+                    rotation: s.rotation || 0,
+                    flipX: !!s.flipX,
+                    flipY: !!s.flipY
+                })),
+                dialogues: scene.dialogues ? JSON.parse(JSON.stringify(scene.dialogues)) : []
+            }
+        };
         
         this.sceneTemplates.push(template);
         this.saveTemplatesToStorage();
@@ -2828,6 +6660,9 @@ class SpriteGenApp {
                 sprite.y = templateSprites[index].y;
                 sprite.scale = templateSprites[index].scale;
                 sprite.opacity = templateSprites[index].opacity;
+                sprite.rotation = templateSprites[index].rotation || 0;
+                sprite.flipX = !!templateSprites[index].flipX;
+                sprite.flipY = !!templateSprites[index].flipY;
             }
         });
         
@@ -2838,7 +6673,7 @@ class SpriteGenApp {
         }
         
         this.updateScenePropertiesUI(scene);
-        this.updateDialogueLinesList();
+        this.updateDialogueLinesListUI();
         this.saveCurrentSceneState();
     }
 
@@ -1,5 +1,10 @@
 /**
  * SpriteGen - Audio Management System
+ *
+ * All project audio plays through one AudioContext. In the editor it goes to
+ * the speakers; while a video is exported it is fed into a
+ * MediaStreamAudioDestinationNode instead, with the context run one frame at
+ * a time so the sound stays in step with the stepped video frames.
  */
 
 export class AudioManager {
@@ -8,15 +13,24 @@ export class AudioManager {
         this.expressionSfx = null;
         this.expressionSfxVolume = 0.5;
         this.expressionSfxData = null; // Base64 data for saving
+        this.sfxBuffer = null; // { data, audio } once the sound is decoded
         
         // Background music
         this.bgm = null;
         this.bgmVolume = 0.3;
         this.bgmData = null; // Base64 data for saving
         this.bgmPlaying = false;
+        this.bgmWaveform = null; // { data, promise } for the loaded music
         
         // Audio context for precise control
         this.audioContext = null;
+        this.output = null; // Gain node every sound goes through on its way to the speakers
+        this.bgmGain = null; // Music volume in the editor
+        this.bgmSource = null; // The music element, once routed into the context
+        this.decodedAudio = new Map(); // Data URL -> Promise<AudioBuffer>
+        
+        // Export recording: { destination, output, startTime, bgmSource, sfxBuffer } while recording
+        this.recording = null;
     }
 
     /**
@@ -25,10 +39,50 @@ export class AudioManager {
     initAudioContext() {
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.output = this.audioContext.createGain();
+            this.output.connect(this.audioContext.destination);
+            this.bgmGain = this.audioContext.createGain();
+            this.bgmGain.gain.value = this.bgmVolume;
+            this.bgmGain.connect(this.output);
         }
         return this.audioContext;
     }
 
+    /**
+     * Route the music element through the audio context. Its volume is set
+     * by a gain node from then on.
+     */
+    connectBgm() {
+        if (!this.bgm) return;
+        
+        const context = this.initAudioContext();
+        if (this.bgmSource?.mediaElement !== this.bgm) {
+            this.bgmSource?.disconnect();
+            this.bgmSource = context.createMediaElementSource(this.bgm);
+            this.bgmSource.connect(this.bgmGain);
+            this.bgm.volume = 1;
+        }
+        if (context.state === 'suspended' && !this.recording) {
+            context.resume().catch(() => {});
+        }
+    }
+
+    /**
+     * Decode audio for Web Audio playback, once per file
+     * @param {string} dataUrl - Audio data URL
+     * @returns {Promise<AudioBuffer|null>} Decoded audio, or null if it can't be decoded
+     */
+    decodeAudio(dataUrl) {
+        if (!this.decodedAudio.has(dataUrl)) {
+            const promise = fetch(dataUrl)
+                .then(response => response.arrayBuffer())
+                .then(buffer => this.initAudioContext().decodeAudioData(buffer))
+                .catch(() => null);
+            this.decodedAudio.set(dataUrl, promise);
+        }
+        return this.decodedAudio.get(dataUrl);
+    }
+
     /**
      * Load expression change sound effect
      * @param {File} file - Audio file
@@ -40,6 +94,7 @@ export class AudioManager {
         
         this.expressionSfx = new Audio(dataUrl);
         this.expressionSfx.volume = this.expressionSfxVolume;
+        this.decodeSfx();
         
         return { name: file.name, dataUrl };
     }
@@ -55,13 +110,57 @@ export class AudioManager {
         this.expressionSfxData = dataUrl;
         this.expressionSfx = new Audio(dataUrl);
         this.expressionSfx.volume = this.expressionSfxVolume;
+        this.decodeSfx();
+    }
+
+    /**
+     * Decode the expression sound so it can play through the audio context.
+     * Until it is ready, the sound plays straight from its audio element.
+     */
+    async decodeSfx() {
+        const data = this.expressionSfxData;
+        const audio = await this.decodeAudio(data);
+        if (audio && this.expressionSfxData === data) {
+            this.sfxBuffer = { data, audio };
+        }
+    }
+
+    /**
+     * Play decoded audio once
+     * @param {AudioBuffer} buffer - Audio
+     * @param {number} volume - Volume 0-1
+     * @param {AudioNode} destination - Where the sound goes
+     */
+    playBuffer(buffer, volume, destination) {
+        const context = this.audioContext;
+        const gain = context.createGain();
+        gain.gain.value = volume;
+        gain.connect(destination);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(gain);
+        source.onended = () => gain.disconnect();
+        source.start(context.currentTime);
     }
 
     /**
      * Play expression change sound effect
      */
     playExpressionSfx() {
-        if (this.expressionSfx) {
+        if (this.recording) {
+            // Exports play the sound into the recording at the current frame
+            if (this.recording.sfxBuffer) {
+                this.playBuffer(this.recording.sfxBuffer, this.expressionSfxVolume, this.recording.output);
+            }
+            return;
+        }
+        
+        const buffer = this.sfxBuffer;
+        if (buffer && this.expressionSfxData === buffer.data) {
+            const context = this.initAudioContext();
+            if (context.state === 'suspended') context.resume().catch(() => {});
+            this.playBuffer(buffer.audio, this.expressionSfxVolume, this.output);
+        } else if (this.expressionSfx) {
             // Clone and play to allow overlapping
             const sfx = this.expressionSfx.cloneNode();
             sfx.volume = this.expressionSfxVolume;
@@ -86,6 +185,7 @@ export class AudioManager {
     clearExpressionSfx() {
         this.expressionSfx = null;
         this.expressionSfxData = null;
+        this.sfxBuffer = null;
     }
 
     /**
@@ -133,6 +233,7 @@ export class AudioManager {
      */
     playBgm() {
         if (this.bgm) {
+            this.connectBgm();
             this.bgm.play().catch(() => {});
             this.bgmPlaying = true;
         }
@@ -159,6 +260,17 @@ export class AudioManager {
         }
     }
 
+    /**
+     * Stop the music and close the audio context, cutting off any sound still
+     * playing. The manager can't play audio afterwards.
+     */
+    close() {
+        this.stopBgm();
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+        }
+    }
+
     /**
      * Toggle background music
      * @returns {boolean} New playing state
@@ -172,13 +284,122 @@ export class AudioManager {
         return this.bgmPlaying;
     }
 
+    /**
+     * Play background music from a point (wrapping around, as the music loops)
+     * @param {number} seconds - Position in seconds
+     */
+    playBgmFrom(seconds) {
+        if (!this.bgm) return;
+        
+        const duration = this.bgm.duration;
+        this.bgm.currentTime = duration > 0 ? seconds % duration : 0;
+        this.playBgm();
+    }
+
+    /**
+     * Start sending audio to a recording instead of the speakers. The audio
+     * context is held still between frames; call advanceRecording for each frame.
+     * @param {number} bgmOffset - Seconds into the music to start from
+     * @returns {Promise<MediaStreamTrack|null>} Audio track to record, or null if the project has no audio
+     */
+    async startRecording(bgmOffset) {
+        if (!this.bgmData && !this.expressionSfxData) return null;
+        
+        const context = this.initAudioContext();
+        await context.suspend();
+        const [bgmBuffer, sfxBuffer] = await Promise.all([
+            this.bgmData ? this.decodeAudio(this.bgmData) : null,
+            this.expressionSfxData ? this.decodeAudio(this.expressionSfxData) : null
+        ]);
+        
+        const destination = context.createMediaStreamDestination();
+        const output = context.createGain();
+        output.connect(destination);
+        
+        // Music loops from the offset, like playBgmFrom
+        let bgmSource = null;
+        if (bgmBuffer) {
+            const gain = context.createGain();
+            gain.gain.value = this.bgmVolume;
+            gain.connect(output);
+            bgmSource = context.createBufferSource();
+            bgmSource.buffer = bgmBuffer;
+            bgmSource.loop = true;
+            bgmSource.connect(gain);
+            bgmSource.start(context.currentTime, bgmOffset % bgmBuffer.duration);
+        }
+        
+        this.recording = { destination, output, startTime: context.currentTime, bgmSource, sfxBuffer };
+        return destination.stream.getAudioTracks()[0];
+    }
+
+    /**
+     * Let the audio context run until the recording reaches a time. Going by
+     * the context's own clock keeps the sound from drifting however uneven
+     * the real time between frames is.
+     * @param {number} seconds - Time since the recording started
+     */
+    async advanceRecording(seconds) {
+        const context = this.audioContext;
+        const remaining = this.recording.startTime + seconds - context.currentTime;
+        if (remaining <= 0) return;
+        
+        await context.resume();
+        await new Promise(resolve => setTimeout(resolve, remaining * 1000));
+        await context.suspend();
+    }
+
+    /**
+     * Stop recording and go back to playing through the speakers
+     */
+    stopRecording() {
+        if (!this.recording) return;
+        
+        this.recording.bgmSource?.stop();
+        this.recording.output.disconnect();
+        this.recording = null;
+        this.audioContext.resume().catch(() => {});
+    }
+
+    /**
+     * Get the background music's loudness over time for drawing a waveform
+     * @param {number} peaksPerSecond - Resolution
+     * @returns {Promise<Object|null>} { peaks (0-1), peaksPerSecond, duration (s) }, or null without music
+     */
+    getBgmWaveform(peaksPerSecond = 50) {
+        if (!this.bgmData) return Promise.resolve(null);
+        
+        // Decoding is slow, so keep the result until the music changes
+        if (this.bgmWaveform?.data !== this.bgmData) {
+            const data = this.bgmData;
+            const promise = this.decodeAudio(data)
+                .then(audio => {
+                    const samples = audio.getChannelData(0);
+                    const step = Math.max(1, Math.floor(audio.sampleRate / peaksPerSecond));
+                    const peaks = new Float32Array(Math.ceil(samples.length / step));
+                    for (let i = 0; i < samples.length; i++) {
+                        const value = Math.abs(samples[i]);
+                        const index = Math.floor(i / step);
+                        if (value > peaks[index]) peaks[index] = value;
+                    }
+                    return { peaks, peaksPerSecond: audio.sampleRate / step, duration: audio.duration };
+                })
+                .catch(() => null);
+            this.bgmWaveform = { data, promise };
+        }
+        return this.bgmWaveform.promise;
+    }
+
     /**
      * Set BGM volume
      * @param {number} volume - Volume 0-1
      */
     setBgmVolume(volume) {
         this.bgmVolume = Math.max(0, Math.min(1, volume));
-        if (this.bgm) {
+        if (this.bgmGain) {
+            this.bgmGain.gain.value = this.bgmVolume;
+        }
+        if (this.bgm && !this.bgmSource) {
             this.bgm.volume = this.bgmVolume;
         }
     }
@@ -2,15 +2,42 @@
  * SpriteGen - Canvas Rendering Engine
  */
 
-import { pointInRect, applyEasing } from './utils.js';
+import { pointInRect, applyEasing, rotatePoint, clamp } from './utils.js';
+import { ParticleSystem } from './particles.js';
+import { DEFAULT_DIALOGUE_THEME, normalizeDialogueTheme } from './theme.js';
+import { parseRichText, hasGlyphEffects } from './richtext.js';
+import { PlaybackClock } from './clock.js';
+import { interpolateVariables } from './variables.js';
+
+/**
+ * Jitter for a shake; layered sines give an irregular but smooth motion
+ * @param {number} elapsed - Seconds since the shake started
+ * @param {number} amplitude - Maximum offset in pixels
+ * @returns {Object} Offset {x, y} in pixels
+ */
+function shakeOffset(elapsed, amplitude) {
+    return {
+        x: (Math.sin(elapsed * 53) + Math.sin(elapsed * 97) * 0.5) / 1.5 * amplitude,
+        y: (Math.sin(elapsed * 61 + 1.3) + Math.sin(elapsed * 89) * 0.5) / 1.5 * amplitude
+    };
+}
 
 export class CanvasEngine {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement} canvasId - Canvas element or its ID
+     * @param {PlaybackClock} clock - Animation time source (shared with the dialogue system)
+     * @param {Object} options - { editable (sprites can be selected and dragged, and the
+     *     canvas is sized by the zoom; off for the web player) }
+     */
+    constructor(canvasId, clock = new PlaybackClock(), options = {}) {
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
+        this.clock = clock;
+        this.editable = options.editable !== false;
         this.ctx = this.canvas.getContext('2d');
         this.width = 1920;
         this.height = 1080;
         this.zoom = 0.9;
+        this.renderScale = 1; // Canvas pixels per scene unit (exports render at other resolutions)
         
         // Canvas background color (when no image set)
         this.canvasBackgroundColor = '#ffffff';
@@ -24,12 +51,15 @@ export class CanvasEngine {
         // Interaction state
         this.isDragging = false;
         this.isResizing = false;
-        this.resizeHandle = null; // 'tl', 'tr', 'bl', 'br' for corners
+        this.isRotating = false;
+        this.resizeHandle = null; // 'tl', 'tr', 'bl', 'br' for corners, 'rotate' for the rotation handle
         this.dragOffset = { x: 0, y: 0 };
         this.resizeStart = { x: 0, y: 0, scale: 100 };
+        this.pointPicker = null; // While set, the next click goes to it (scene point) instead of selecting
         
         // Handle size for hit detection
         this.handleSize = 20;
+        this.rotateHandleOffset = 60; // Distance of rotation handle above the sprite
         
         // Animation state for squish/stretch
         this.spriteAnimations = new Map();
@@ -40,9 +70,32 @@ export class CanvasEngine {
         this.positionTransitionDuration = 0.3; // 300ms default
         this.positionTransitionEasing = 'easeInOut';
         
+        // Exports can leave out the dialogue box and speech bubbles
+        this.showDialogueBox = true;
+        
         // Dialogue fade opacity (for transitions between lines)
         this.dialogueFadeOpacity = 1;
         
+        // Dialogue box look (layout, colors, fonts, name placement)
+        this.dialogueTheme = { ...DEFAULT_DIALOGUE_THEME };
+        this.dialogueSkins = new Map(); // Skin ID -> { image } for image-skinned boxes
+        
+        // Dialogue presentation: 'box' (bottom text box) or 'bubble' (speech bubble at the speaker)
+        this.sceneDialogueMode = 'box';
+        this.resolveCharacterId = null; // Callback mapping a character name to its ID (set by the app)
+        this.resolveVariable = null; // Callback returning a story variable's value for ${name} (set by the app)
+        
+        // Speaker focus state (dims non-speaking characters during playback)
+        this.speakerFocus = {
+            enabled: true,
+            mode: 'darken', // 'darken', 'grayscale', 'shrink'
+            amount: 0.4, // 0-1 strength applied to non-speakers
+            duration: 0.25 // 250ms focus transition
+        };
+        this.speakingCharacterId = null;
+        this.focusLevels = new Map(); // characterId -> 0 (unfocused) to 1 (focused)
+        this.lastFocusUpdate = this.clock.now();
+        
         // Scene transition state
         this.sceneTransitionStyle = 'fade';
         this.sceneTransitionDuration = 0.5; // 500ms default
@@ -50,6 +103,7 @@ export class CanvasEngine {
         this.isTransitioning = false;
         this.transitionPhase = 'none'; // 'out', 'in', 'none'
         this.transitionColor = '#000000';
+        this.customTransitionColor = '#000000'; // Used by the 'fadeToColor' style
         this.previousSceneSnapshot = null;
         
         // Background transition state
@@ -59,10 +113,28 @@ export class CanvasEngine {
         this.isBgTransitioning = false;
         this.previousBackground = null;
         
+        // Scene camera state (zoom around a focus point, applied to background and sprites)
+        this.camera = { zoom: 1, x: 960, y: 540 };
+        this.cameraAnimation = null; // { from, to, startTime, duration, easing }
+        this.cameraShake = null; // { intensity, duration, startTime }
+        
+        // Screen effects (flash, shake, vignette, tint) layered over the scene
+        this.screenEffects = []; // { type, color, intensity, duration, underDialogue, startTime }
+        
+        // Branching choice menu shown during playback: { prompt, options: [text], highlighted }
+        this.choiceMenu = null;
+        
+        // Weather and ambient particles
+        this.particles = new ParticleSystem(this.width, this.height);
+        
+        // Frozen animation time while the scene timeline is scrubbed (null = real time)
+        this.heldTime = null;
+        
         // Breathing animation state
         this.breathingPhase = 0;
         this.breathingSpeed = 0.8; // Cycles per second
-        this.lastFrameTime = performance.now();
+        this.lastFrameTime = this.clock.now();
+        this.animationFrame = null; // Clock frame of the animation loop
         
         // Grid settings
         this.gridEnabled = false;
@@ -70,7 +142,7 @@ export class CanvasEngine {
         this.gridSize = 50;
         
         this.setupEventListeners();
-        this.updateCanvasSize();
+        if (this.editable) this.updateCanvasSize();
         this.startAnimationLoop();
     }
 
@@ -136,6 +208,340 @@ export class CanvasEngine {
         this.positionTransitionEasing = easing;
     }
 
+    /**
+     * Update speaker focus settings
+     * @param {Object} settings - Any of { enabled, mode, amount (0-1), duration (ms) }
+     */
+    setSpeakerFocusSettings(settings) {
+        const { duration, ...rest } = settings;
+        Object.assign(this.speakerFocus, rest);
+        if (duration !== undefined) {
+            this.speakerFocus.duration = duration / 1000;
+        }
+    }
+
+    /**
+     * Set which character is speaking
+     * @param {string|null} characterId - Speaking character ID, or null to focus everyone
+     * @param {boolean} immediate - Skip the focus transition
+     */
+    setSpeakingCharacter(characterId, immediate = false) {
+        this.speakingCharacterId = characterId;
+        if (immediate) {
+            this.focusLevels.clear();
+        }
+    }
+
+    /**
+     * Get the focus level a sprite is animating towards
+     * @param {Object} sprite - Sprite data
+     * @returns {number} 1 if focused, 0 if dimmed
+     */
+    getFocusTarget(sprite) {
+        if (!this.speakerFocus.enabled || !this.speakingCharacterId || !sprite.characterId) {
+            return 1;
+        }
+        return sprite.characterId === this.speakingCharacterId ? 1 : 0;
+    }
+
+    /**
+     * Get how strongly a sprite is dimmed by speaker focus
+     * @param {Object} sprite - Sprite data
+     * @returns {number} Dim strength 0 (none) to speakerFocus.amount
+     */
+    getSpriteDim(sprite) {
+        if (!sprite.characterId) return 0;
+        const level = this.focusLevels.has(sprite.characterId)
+            ? this.focusLevels.get(sprite.characterId)
+            : this.getFocusTarget(sprite);
+        return (1 - level) * this.speakerFocus.amount;
+    }
+
+    /**
+     * Get the timestamp animations are drawn at
+     * @returns {number} Milliseconds (the clock's time unless time is held)
+     */
+    now() {
+        return this.heldTime !== null ? this.heldTime : this.clock.now();
+    }
+
+    /**
+     * Freeze animation time, so camera moves, screen effects and sprite
+     * animations show exactly how they look at that moment
+     * @param {number} time - Timestamp in ms (same time base as clock.now())
+     */
+    holdTime(time) {
+        this.heldTime = time;
+    }
+
+    /**
+     * Let animation time run again
+     */
+    releaseTime() {
+        this.heldTime = null;
+    }
+
+    /**
+     * Cancel squish/stretch and position animations, leaving sprites where they are
+     */
+    stopSpriteAnimations() {
+        this.spriteAnimations.clear();
+        this.positionAnimations.clear();
+    }
+
+    /**
+     * Set the camera immediately (cancels any camera move)
+     * @param {Object} state - Camera state { zoom, x, y }
+     */
+    setCamera(state) {
+        this.cameraAnimation = null;
+        this.camera = { zoom: state.zoom, x: state.x, y: state.y };
+    }
+
+    /**
+     * Animate the camera between two states
+     * @param {Object} from - Start state { zoom, x, y }
+     * @param {Object} to - End state { zoom, x, y }
+     * @param {number} durationMs - Duration in milliseconds
+     * @param {string} easing - Easing function name
+     */
+    animateCamera(from, to, durationMs, easing = 'easeInOut') {
+        this.camera = { zoom: from.zoom, x: from.x, y: from.y };
+        this.cameraAnimation = {
+            from: { ...this.camera },
+            to: { zoom: to.zoom, x: to.x, y: to.y },
+            startTime: this.now(),
+            duration: Math.max(1, durationMs) / 1000,
+            easing
+        };
+    }
+
+    /**
+     * Start a camera shake
+     * @param {number} intensity - Maximum offset in pixels
+     * @param {number} durationMs - Duration in milliseconds (0 = until stopped)
+     */
+    startCameraShake(intensity, durationMs = 0) {
+        this.cameraShake = {
+            intensity,
+            duration: durationMs / 1000,
+            startTime: this.now()
+        };
+    }
+
+    /**
+     * Stop any camera shake
+     */
+    stopCameraShake() {
+        this.cameraShake = null;
+    }
+
+    /**
+     * Get the current camera shake offset
+     * @returns {Object} Offset {x, y} in pixels
+     */
+    getCameraShakeOffset() {
+        if (!this.cameraShake) return { x: 0, y: 0 };
+        
+        const elapsed = (this.now() - this.cameraShake.startTime) / 1000;
+        const { intensity, duration } = this.cameraShake;
+        
+        if (duration > 0 && elapsed >= duration) {
+            this.cameraShake = null;
+            return { x: 0, y: 0 };
+        }
+        
+        // Fade out over the shake duration
+        return shakeOffset(elapsed, intensity * (duration > 0 ? 1 - elapsed / duration : 1));
+    }
+
+    /**
+     * Resolve the camera into a transform that never shows outside the frame
+     * @returns {Object} { zoom, x, y, offsetX, offsetY }
+     */
+    getCameraTransform() {
+        const shake = this.getCameraShakeOffset();
+        
+        // Zoom in slightly while shaking so the frame edges stay hidden
+        const shakeIntensity = this.cameraShake ? this.cameraShake.intensity : 0;
+        const zoom = Math.max(1, this.camera.zoom) * (1 + (shakeIntensity * 2) / this.width);
+        
+        const halfWidth = this.width / (2 * zoom);
+        const halfHeight = this.height / (2 * zoom);
+        
+        return {
+            zoom,
+            x: clamp(this.camera.x, halfWidth, this.width - halfWidth),
+            y: clamp(this.camera.y, halfHeight, this.height - halfHeight),
+            offsetX: shake.x,
+            offsetY: shake.y
+        };
+    }
+
+    /**
+     * Apply the camera transform to the context
+     * @param {Object} transform - Transform from getCameraTransform
+     */
+    applyCameraTransform(transform) {
+        this.ctx.translate(this.width / 2 + transform.offsetX, this.height / 2 + transform.offsetY);
+        this.ctx.scale(transform.zoom, transform.zoom);
+        this.ctx.translate(-transform.x, -transform.y);
+    }
+
+    /**
+     * Convert a frame position into scene coordinates (undoing the camera)
+     * @param {number} x - Frame X
+     * @param {number} y - Frame Y
+     * @returns {Object} Scene position {x, y}
+     */
+    screenToWorld(x, y) {
+        const transform = this.getCameraTransform();
+        return {
+            x: (x - this.width / 2 - transform.offsetX) / transform.zoom + transform.x,
+            y: (y - this.height / 2 - transform.offsetY) / transform.zoom + transform.y
+        };
+    }
+
+    /**
+     * Start a screen effect
+     * @param {Object} effect - { type: 'flash'|'shake'|'vignette'|'tint', color, intensity, duration (ms, 0 = hold), underDialogue }
+     * @param {boolean} immediate - Skip the fade in (used to show held effects while editing)
+     */
+    triggerScreenEffect(effect, immediate = false) {
+        this.screenEffects.push({
+            type: effect.type,
+            color: effect.color || '#ffffff',
+            intensity: effect.intensity ?? 1,
+            duration: (effect.duration || 0) / 1000,
+            underDialogue: !!effect.underDialogue,
+            startTime: immediate ? this.now() - 60000 : this.now()
+        });
+    }
+
+    /**
+     * Remove all screen effects
+     */
+    clearScreenEffects() {
+        this.screenEffects = [];
+    }
+
+    /**
+     * Get how strongly a screen effect shows right now
+     * @param {Object} effect - Active screen effect
+     * @param {number} now - Current timestamp in ms
+     * @returns {number} Strength 0-1, or -1 once the effect has finished
+     */
+    getScreenEffectStrength(effect, now) {
+        const elapsed = (now - effect.startTime) / 1000;
+        const fade = 0.3;
+        
+        switch (effect.type) {
+            case 'flash': {
+                // Flashes always end; a held flash would just be a tint
+                const duration = effect.duration > 0 ? effect.duration : 0.3;
+                if (elapsed >= duration) return -1;
+                return Math.pow(1 - elapsed / duration, 2);
+            }
+            case 'shake':
+                if (effect.duration <= 0) return 1;
+                if (elapsed >= effect.duration) return -1;
+                return 1 - elapsed / effect.duration;
+            default: {
+                const fadeIn = Math.min(1, elapsed / fade);
+                if (effect.duration <= 0) return fadeIn;
+                if (elapsed >= effect.duration) return -1;
+                return Math.min(fadeIn, (effect.duration - elapsed) / fade);
+            }
+        }
+    }
+
+    /**
+     * Drop screen effects that have finished
+     * @param {number} now - Current timestamp in ms
+     */
+    updateScreenEffects(now) {
+        if (this.screenEffects.length === 0) return;
+        this.screenEffects = this.screenEffects.filter(effect => this.getScreenEffectStrength(effect, now) >= 0);
+    }
+
+    /**
+     * Get the combined offset of active screen shakes
+     * @returns {Object} { x, y, intensity } in pixels
+     */
+    getScreenShake() {
+        const now = this.now();
+        const shake = { x: 0, y: 0, intensity: 0 };
+        
+        for (const effect of this.screenEffects) {
+            if (effect.type !== 'shake') continue;
+            
+            const strength = this.getScreenEffectStrength(effect, now);
+            if (strength <= 0) continue;
+            
+            const offset = shakeOffset((now - effect.startTime) / 1000, effect.intensity * strength);
+            shake.x += offset.x;
+            shake.y += offset.y;
+            shake.intensity += effect.intensity;
+        }
+        
+        return shake;
+    }
+
+    /**
+     * Draw flash, vignette and tint effects
+     * @param {boolean} underDialogue - Draw the effects that sit under the dialogue box (true) or over it (false)
+     */
+    drawScreenEffects(underDialogue) {
+        const now = this.now();
+        
+        for (const effect of this.screenEffects) {
+            if (effect.type === 'shake' || effect.underDialogue !== underDialogue) continue;
+            
+            const strength = this.getScreenEffectStrength(effect, now);
+            if (strength <= 0) continue;
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = clamp(effect.intensity * strength, 0, 1);
+            
+            if (effect.type === 'vignette') {
+                const cx = this.width / 2;
+                const cy = this.height / 2;
+                const radius = Math.sqrt(cx * cx + cy * cy);
+                const gradient = this.ctx.createRadialGradient(cx, cy, radius * 0.45, cx, cy, radius);
+                gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+                gradient.addColorStop(1, effect.color);
+                this.ctx.fillStyle = gradient;
+            } else {
+                this.ctx.fillStyle = effect.color;
+            }
+            
+            this.ctx.fillRect(0, 0, this.width, this.height);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Convert a scene position into a frame position (applying the camera)
+     * @param {number} x - Scene X
+     * @param {number} y - Scene Y
+     * @returns {Object} Frame position {x, y}
+     */
+    worldToScreen(x, y) {
+        const transform = this.getCameraTransform();
+        return {
+            x: (x - transform.x) * transform.zoom + this.width / 2 + transform.offsetX,
+            y: (y - transform.y) * transform.zoom + this.height / 2 + transform.offsetY
+        };
+    }
+
+    /**
+     * Set the weather/ambient particle emitters for the scene
+     * @param {Array} emitters - Emitter settings ({ preset, density, wind, speed, layer })
+     */
+    setParticleEmitters(emitters) {
+        this.particles.setEmitters(emitters || []);
+    }
+
     /**
      * Set scene transition style
      * @param {string} style - Transition style name
@@ -152,6 +558,14 @@ export class CanvasEngine {
         this.sceneTransitionDuration = durationMs / 1000;
     }
 
+    /**
+     * Set the color used by the 'fadeToColor' scene transition
+     * @param {string} color - CSS color
+     */
+    setTransitionColor(color) {
+        this.customTransitionColor = color;
+    }
+
     /**
      * Set background transition style
      * @param {string} style - Transition style name
@@ -174,8 +588,8 @@ export class CanvasEngine {
     captureSceneSnapshot() {
         // Create a copy of the current canvas
         const snapshotCanvas = document.createElement('canvas');
-        snapshotCanvas.width = this.width;
-        snapshotCanvas.height = this.height;
+        snapshotCanvas.width = this.canvas.width;
+        snapshotCanvas.height = this.canvas.height;
         const snapshotCtx = snapshotCanvas.getContext('2d');
         snapshotCtx.drawImage(this.canvas, 0, 0);
         this.previousSceneSnapshot = snapshotCanvas;
@@ -203,13 +617,15 @@ export class CanvasEngine {
             this.transitionColor = '#000000';
         } else if (this.sceneTransitionStyle === 'fadeToWhite') {
             this.transitionColor = '#ffffff';
+        } else if (this.sceneTransitionStyle === 'fadeToColor') {
+            this.transitionColor = this.customTransitionColor;
         }
 
-        const startTime = performance.now();
+        const startTime = this.clock.now();
         const halfDuration = this.sceneTransitionDuration / 2;
 
         const animate = () => {
-            const elapsed = (performance.now() - startTime) / 1000;
+            const elapsed = (this.clock.now() - startTime) / 1000;
             
             if (this.transitionPhase === 'out') {
                 this.sceneTransitionProgress = Math.min(elapsed / halfDuration, 1);
@@ -233,10 +649,10 @@ export class CanvasEngine {
             }
             
             this.render();
-            requestAnimationFrame(animate);
+            this.clock.requestFrame(animate);
         };
         
-        requestAnimationFrame(animate);
+        this.clock.requestFrame(animate);
     }
 
     /**
@@ -256,10 +672,10 @@ export class CanvasEngine {
         this.isBgTransitioning = true;
         this.bgTransitionProgress = 0;
 
-        const startTime = performance.now();
+        const startTime = this.clock.now();
 
         const animate = () => {
-            const elapsed = (performance.now() - startTime) / 1000;
+            const elapsed = (this.clock.now() - startTime) / 1000;
             this.bgTransitionProgress = Math.min(elapsed / this.bgTransitionDuration, 1);
             
             if (this.bgTransitionProgress >= 1) {
@@ -271,10 +687,10 @@ export class CanvasEngine {
             }
             
             this.render();
-            requestAnimationFrame(animate);
+            this.clock.requestFrame(animate);
         };
         
-        requestAnimationFrame(animate);
+        this.clock.requestFrame(animate);
     }
 
     /**
@@ -287,7 +703,7 @@ export class CanvasEngine {
      */
     triggerPositionAnimation(spriteId, fromX, fromY, toX, toY) {
         this.positionAnimations.set(spriteId, {
-            startTime: performance.now(),
+            startTime: this.now(),
             fromX,
             fromY,
             toX,
@@ -300,7 +716,8 @@ export class CanvasEngine {
      */
     startAnimationLoop() {
         const animate = (currentTime) => {
-            const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+            // Breathing and particles stand still while time is held (or jumps back when the clock restarts)
+            const deltaTime = this.heldTime === null ? Math.max(0, currentTime - this.lastFrameTime) / 1000 : 0;
             this.lastFrameTime = currentTime;
             
             // Update breathing phase
@@ -309,11 +726,26 @@ export class CanvasEngine {
                 this.breathingPhase -= Math.PI * 2;
             }
             
+            // Cap the step so particles don't jump after the tab was hidden
+            this.particles.update(Math.min(deltaTime, 0.1));
+            
             this.updateAnimations();
             this.render();
-            requestAnimationFrame(animate);
+            this.animationFrame = this.clock.requestFrame(animate);
         };
-        requestAnimationFrame(animate);
+        this.animationFrame = this.clock.requestFrame(animate);
+    }
+
+    /**
+     * Stop the animation loop and the canvas's mouse listeners, for a canvas
+     * that is no longer used (such as an embedded player being removed)
+     */
+    destroy() {
+        this.clock.cancelFrame(this.animationFrame);
+        this.animationFrame = null;
+        for (const [type, listener] of Object.entries(this.mouseListeners)) {
+            this.canvas.removeEventListener(type, listener);
+        }
     }
 
     /**
@@ -332,7 +764,27 @@ export class CanvasEngine {
      * Update sprite animations
      */
     updateAnimations() {
-        const now = performance.now();
+        const now = this.now();
+        
+        this.updateFocusLevels(now);
+        this.updateScreenEffects(now);
+        
+        // Update camera move
+        if (this.cameraAnimation) {
+            const anim = this.cameraAnimation;
+            const rawProgress = Math.min((now - anim.startTime) / 1000 / anim.duration, 1);
+            const progress = applyEasing(rawProgress, anim.easing);
+            
+            this.camera = {
+                zoom: anim.from.zoom + (anim.to.zoom - anim.from.zoom) * progress,
+                x: anim.from.x + (anim.to.x - anim.from.x) * progress,
+                y: anim.from.y + (anim.to.y - anim.from.y) * progress
+            };
+            
+            if (rawProgress >= 1) {
+                this.cameraAnimation = null;
+            }
+        }
         
         // Update squish/stretch animations
         for (const [spriteId, anim] of this.spriteAnimations) {
@@ -384,12 +836,36 @@ export class CanvasEngine {
         }
     }
 
+    /**
+     * Move each character's focus level towards its target
+     * @param {number} now - Current timestamp in ms
+     */
+    updateFocusLevels(now) {
+        const elapsed = Math.max(0, now - this.lastFocusUpdate) / 1000;
+        this.lastFocusUpdate = now;
+        const step = this.speakerFocus.duration > 0 ? elapsed / this.speakerFocus.duration : 1;
+        
+        for (const sprite of this.sprites) {
+            if (!sprite.characterId) continue;
+            
+            const target = this.getFocusTarget(sprite);
+            const level = this.focusLevels.has(sprite.characterId)
+                ? this.focusLevels.get(sprite.characterId)
+                : target;
+            
+            const next = level < target
+                ? Math.min(target, level + step)
+                : Math.max(target, level - step);
+            this.focusLevels.set(sprite.characterId, next);
+        }
+    }
+
     /**
      * Trigger squish/stretch animation for a sprite
      */
     triggerSpriteAnimation(spriteId) {
         this.spriteAnimations.set(spriteId, {
-            startTime: performance.now(),
+            startTime: this.now(),
             scaleX: 1,
             scaleY: 1
         });
@@ -399,25 +875,35 @@ export class CanvasEngine {
      * Set up canvas event listeners for interaction
      */
     setupEventListeners() {
-        const wrapper = this.canvas.parentElement;
-        
-        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
-        this.canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+        // Kept so destroy() can remove them
+        this.mouseListeners = {
+            mousedown: (e) => this.onMouseDown(e),
+            mousemove: (e) => this.onMouseMove(e),
+            mouseup: (e) => this.onMouseUp(e),
+            mouseleave: (e) => this.onMouseUp(e)
+        };
+        for (const [type, listener] of Object.entries(this.mouseListeners)) {
+            this.canvas.addEventListener(type, listener);
+        }
     }
 
     /**
      * Convert mouse event to canvas coordinates
      */
     getCanvasCoordinates(e) {
+        // Sprites live in scene space, so undo the camera
+        const screen = this.getScreenCoordinates(e);
+        return this.screenToWorld(screen.x, screen.y);
+    }
+
+    /**
+     * Convert mouse event to screen coordinates (canvas pixels, ignoring the camera)
+     */
+    getScreenCoordinates(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.width / rect.width;
-        const scaleY = this.height / rect.height;
-        
         return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
+            x: (e.clientX - rect.left) * (this.width / rect.width),
+            y: (e.clientY - rect.top) * (this.height / rect.height)
         };
     }
 
@@ -425,11 +911,38 @@ export class CanvasEngine {
      * Handle mouse down event
      */
     onMouseDown(e) {
+        // An open choice menu takes every click
+        if (this.choiceMenu) {
+            const screen = this.getScreenCoordinates(e);
+            const index = this.getChoiceOptionAt(screen.x, screen.y);
+            if (index !== -1) {
+                window.dispatchEvent(new CustomEvent('choiceSelected', {
+                    detail: { index, canvas: this.canvas }
+                }));
+            }
+            return;
+        }
+        if (!this.editable) return;
+        
         const pos = this.getCanvasCoordinates(e);
         
+        // A waiting eyedropper takes the click
+        if (this.pointPicker) {
+            const picker = this.pointPicker;
+            this.pointPicker = null;
+            this.canvas.style.cursor = 'default';
+            picker(pos);
+            return;
+        }
+        
         // First check if clicking on resize handles of selected sprite
         if (this.selectedSprite) {
             const handle = this.getResizeHandleAt(pos);
+            if (handle === 'rotate') {
+                this.isRotating = true;
+                this.resizeHandle = handle;
+                return;
+            }
             if (handle) {
                 this.isResizing = true;
                 this.resizeHandle = handle;
@@ -447,9 +960,8 @@ export class CanvasEngine {
         // Check if clicking on a sprite (in reverse order for top-most first)
         for (let i = this.sprites.length - 1; i >= 0; i--) {
             const sprite = this.sprites[i];
-            const bounds = this.getSpriteBounds(sprite);
             
-            if (pointInRect(pos.x, pos.y, bounds.x, bounds.y, bounds.width, bounds.height)) {
+            if (this.isPointInSprite(pos, sprite)) {
                 this.selectSprite(sprite);
                 this.isDragging = true;
                 this.dragOffset = {
@@ -466,7 +978,7 @@ export class CanvasEngine {
 
     /**
      * Get resize handle at position
-     * @returns {string|null} Handle ID ('tl', 'tr', 'bl', 'br') or null
+     * @returns {string|null} Handle ID ('tl', 'tr', 'bl', 'br', 'rotate') or null
      */
     getResizeHandleAt(pos) {
         if (!this.selectedSprite) return null;
@@ -474,7 +986,11 @@ export class CanvasEngine {
         const bounds = this.getSpriteBounds(this.selectedSprite);
         const hs = this.handleSize;
         
+        // Test handles in the sprite's unrotated frame
+        const local = this.toSpriteLocal(pos, this.selectedSprite);
+        
         const handles = {
+            rotate: { x: bounds.centerX, y: bounds.y - this.rotateHandleOffset },
             tl: { x: bounds.x, y: bounds.y },
             tr: { x: bounds.x + bounds.width, y: bounds.y },
             bl: { x: bounds.x, y: bounds.y + bounds.height },
@@ -482,8 +998,8 @@ export class CanvasEngine {
         };
         
         for (const [id, handle] of Object.entries(handles)) {
-            if (pos.x >= handle.x - hs/2 && pos.x <= handle.x + hs/2 &&
-                pos.y >= handle.y - hs/2 && pos.y <= handle.y + hs/2) {
+            if (local.x >= handle.x - hs/2 && local.x <= handle.x + hs/2 &&
+                local.y >= handle.y - hs/2 && local.y <= handle.y + hs/2) {
                 return id;
             }
         }
@@ -491,19 +1007,106 @@ export class CanvasEngine {
         return null;
     }
 
+    /**
+     * Convert a canvas point into a sprite's unrotated frame
+     * @param {Object} pos - Canvas point {x, y}
+     * @param {Object} sprite - Sprite data
+     * @returns {Object} Point {x, y} in the same space as getSpriteBounds
+     */
+    toSpriteLocal(pos, sprite) {
+        const bounds = this.getSpriteBounds(sprite);
+        if (!bounds.rotation) return { x: pos.x, y: pos.y };
+        return rotatePoint(pos.x, pos.y, bounds.pivotX, bounds.pivotY, -bounds.rotation);
+    }
+
+    /**
+     * Find the pixel of a sprite's image under a canvas point
+     * @param {Object} pos - Canvas point {x, y}
+     * @param {Object} sprite - Sprite data
+     * @returns {Object|null} Image pixel {x, y}, or null if the point is outside the sprite
+     */
+    getSpriteImagePoint(pos, sprite) {
+        const bounds = this.getSpriteBounds(sprite);
+        const local = this.toSpriteLocal(pos, sprite);
+        if (!pointInRect(local.x, local.y, bounds.x, bounds.y, bounds.width, bounds.height)) return null;
+        
+        let u = (local.x - bounds.x) / bounds.width;
+        let v = (local.y - bounds.y) / bounds.height;
+        if (sprite.flipX) u = 1 - u;
+        if (sprite.flipY) v = 1 - v;
+        return {
+            x: Math.min(sprite.image.width - 1, Math.floor(u * sprite.image.width)),
+            y: Math.min(sprite.image.height - 1, Math.floor(v * sprite.image.height))
+        };
+    }
+
+    /**
+     * Check if a canvas point is inside a (possibly rotated) sprite
+     * @param {Object} pos - Canvas point {x, y}
+     * @param {Object} sprite - Sprite data
+     * @returns {boolean} True if the point hits the sprite's box
+     */
+    isPointInSprite(pos, sprite) {
+        const bounds = this.getSpriteBounds(sprite);
+        const local = this.toSpriteLocal(pos, sprite);
+        return pointInRect(local.x, local.y, bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+
     /**
      * Handle mouse move event
      */
     onMouseMove(e) {
+        if (this.choiceMenu) {
+            const screen = this.getScreenCoordinates(e);
+            const index = this.getChoiceOptionAt(screen.x, screen.y);
+            this.choiceMenu.highlighted = index;
+            this.canvas.style.cursor = index !== -1 ? 'pointer' : 'default';
+            return;
+        }
+        if (!this.editable) return;
+        
         const pos = this.getCanvasCoordinates(e);
         
+        if (this.pointPicker) {
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+        
         // Update cursor based on what's under it
         this.updateCursor(pos);
         
+        if (this.isRotating && this.selectedSprite) {
+            // Angle from the sprite's anchor, with 0 degrees pointing at the handle (straight up)
+            const sprite = this.selectedSprite;
+            let rotation = Math.atan2(pos.y - sprite.y, pos.x - sprite.x) * 180 / Math.PI + 90;
+            
+            // Hold Shift to snap to 15 degree steps
+            if (e.shiftKey) {
+                rotation = Math.round(rotation / 15) * 15;
+            }
+            
+            // Normalize to -180..180
+            rotation = ((rotation + 540) % 360) - 180;
+            sprite.rotation = Math.round(rotation);
+            
+            this.render();
+            
+            window.dispatchEvent(new CustomEvent('spriteUpdated', { 
+                detail: this.selectedSprite 
+            }));
+            return;
+        }
+        
         if (this.isResizing && this.selectedSprite) {
-            // Calculate scale change based on drag distance
-            const dx = pos.x - this.resizeStart.x;
-            const dy = pos.y - this.resizeStart.y;
+            // Calculate scale change based on drag distance (in the sprite's rotated frame)
+            const local = rotatePoint(
+                pos.x - this.resizeStart.x,
+                pos.y - this.resizeStart.y,
+                0, 0,
+                -(this.selectedSprite.rotation || 0)
+            );
+            const dx = local.x;
+            const dy = local.y;
             
             // Use diagonal distance for scale
             let delta = 0;
@@ -559,6 +1162,9 @@ export class CanvasEngine {
         const handle = this.getResizeHandleAt(pos);
         if (handle) {
             switch (handle) {
+                case 'rotate':
+                    this.canvas.style.cursor = this.isRotating ? 'grabbing' : 'grab';
+                    break;
                 case 'tl':
                 case 'br':
                     this.canvas.style.cursor = 'nwse-resize';
@@ -572,8 +1178,7 @@ export class CanvasEngine {
         }
         
         // Check if over sprite
-        const bounds = this.getSpriteBounds(this.selectedSprite);
-        if (pointInRect(pos.x, pos.y, bounds.x, bounds.y, bounds.width, bounds.height)) {
+        if (this.isPointInSprite(pos, this.selectedSprite)) {
             this.canvas.style.cursor = 'move';
         } else {
             this.canvas.style.cursor = 'default';
@@ -586,22 +1191,32 @@ export class CanvasEngine {
     onMouseUp(e) {
         this.isDragging = false;
         this.isResizing = false;
+        this.isRotating = false;
         this.resizeHandle = null;
     }
 
     /**
      * Get sprite bounding box
+     * The sprite's anchor (a point in its image, 0-1 across and down; the center if unset) sits at
+     * its position. The box is unrotated; rotation (degrees) is applied around the anchor (pivot).
      */
     getSpriteBounds(sprite) {
         const scale = sprite.scale / 100;
         const width = sprite.image.width * scale;
         const height = sprite.image.height * scale;
+        const x = sprite.x - width * (sprite.anchor?.x ?? 0.5);
+        const y = sprite.y - height * (sprite.anchor?.y ?? 0.5);
         
         return {
-            x: sprite.x - width / 2,
-            y: sprite.y - height / 2,
+            x: x,
+            y: y,
             width: width,
-            height: height
+            height: height,
+            centerX: x + width / 2,
+            centerY: y + height / 2,
+            pivotX: sprite.x,
+            pivotY: sprite.y,
+            rotation: sprite.rotation || 0
         };
     }
 
@@ -634,6 +1249,18 @@ export class CanvasEngine {
         this.canvas.style.height = `${this.height * this.zoom}px`;
     }
 
+    /**
+     * Render at another resolution. The scene keeps its 1920x1080 layout and
+     * is drawn sharp at the new size rather than stretched.
+     * @param {number} scale - Canvas pixels per scene unit (1 = 1920x1080)
+     */
+    setRenderScale(scale) {
+        this.renderScale = scale;
+        this.canvas.width = Math.round(this.width * scale);
+        this.canvas.height = Math.round(this.height * scale);
+        this.render();
+    }
+
     /**
      * Set background image
      */
@@ -685,6 +1312,122 @@ export class CanvasEngine {
         this.render();
     }
 
+    /**
+     * Set the dialogue box theme
+     * @param {Object} theme - Theme values (missing values use the defaults)
+     */
+    setDialogueTheme(theme) {
+        this.dialogueTheme = normalizeDialogueTheme(theme);
+    }
+
+    /**
+     * Set the skin images the dialogue theme can refer to
+     * @param {Map} skins - Skin ID -> skin data with an image
+     */
+    setDialogueSkins(skins) {
+        this.dialogueSkins = skins;
+    }
+
+    /**
+     * Get a skin image used by the theme
+     * @param {string} skinId - Skin ID
+     * @returns {HTMLImageElement|null} Image, or null to draw vector shapes
+     */
+    getDialogueSkinImage(skinId) {
+        if (!skinId) return null;
+        return this.dialogueSkins.get(skinId)?.image || null;
+    }
+
+    /**
+     * Draw an image stretched with nine-slice scaling: corners keep their size,
+     * edges stretch along one axis and the center stretches both ways
+     * @param {HTMLImageElement} image - Source image
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {number} width - Destination width
+     * @param {number} height - Destination height
+     * @param {Object} insets - Slice insets in source pixels { top, right, bottom, left }
+     */
+    drawNineSlice(image, x, y, width, height, insets) {
+        const sw = image.width;
+        const sh = image.height;
+        
+        // Keep insets inside the source, and shrink corners if the box is smaller than them
+        const top = clamp(insets.top, 0, sh / 2);
+        const bottom = clamp(insets.bottom, 0, sh / 2);
+        const left = clamp(insets.left, 0, sw / 2);
+        const right = clamp(insets.right, 0, sw / 2);
+        const fit = Math.min(1, width / Math.max(1, left + right), height / Math.max(1, top + bottom));
+        
+        const src = {
+            xs: [0, left, sw - right, sw],
+            ys: [0, top, sh - bottom, sh]
+        };
+        const dst = {
+            xs: [x, x + left * fit, x + width - right * fit, x + width],
+            ys: [y, y + top * fit, y + height - bottom * fit, y + height]
+        };
+        
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                const sWidth = src.xs[col + 1] - src.xs[col];
+                const sHeight = src.ys[row + 1] - src.ys[row];
+                const dWidth = dst.xs[col + 1] - dst.xs[col];
+                const dHeight = dst.ys[row + 1] - dst.ys[row];
+                if (sWidth <= 0 || sHeight <= 0 || dWidth <= 0 || dHeight <= 0) continue;
+                
+                this.ctx.drawImage(image, src.xs[col], src.ys[row], sWidth, sHeight,
+                    dst.xs[col], dst.ys[row], dWidth, dHeight);
+            }
+        }
+    }
+
+    /**
+     * Get the dialogue box rectangle for the current theme
+     * @returns {Object} { x, y, width, height }
+     */
+    getDialogueBoxRect() {
+        const theme = this.dialogueTheme;
+        return {
+            x: theme.marginX,
+            y: this.height - theme.boxHeight - theme.marginBottom,
+            width: this.width - theme.marginX * 2,
+            height: theme.boxHeight
+        };
+    }
+
+    /**
+     * Set the scene's default dialogue presentation
+     * @param {string} mode - 'box' or 'bubble'
+     */
+    setSceneDialogueMode(mode) {
+        this.sceneDialogueMode = mode === 'bubble' ? 'bubble' : 'box';
+    }
+
+    /**
+     * Get how a dialogue line is presented (the line can override the scene)
+     * @param {Object} dialogue - Dialogue data
+     * @returns {string} 'box' or 'bubble'
+     */
+    getDialogueMode(dialogue) {
+        if (dialogue.presentation === 'box' || dialogue.presentation === 'bubble') {
+            return dialogue.presentation;
+        }
+        return this.sceneDialogueMode;
+    }
+
+    /**
+     * Find the sprite of the character speaking a line
+     * @param {Object} dialogue - Dialogue data
+     * @returns {Object|null} Sprite
+     */
+    findSpeakerSprite(dialogue) {
+        if (!dialogue.character || !this.resolveCharacterId) return null;
+        const characterId = this.resolveCharacterId(dialogue.character);
+        if (!characterId) return null;
+        return this.sprites.find(s => s.characterId === characterId && s.opacity > 0) || null;
+    }
+
     /**
      * Set dialogue fade opacity
      * @param {number} opacity - Opacity value 0-1
@@ -714,8 +1457,23 @@ export class CanvasEngine {
      * Render the current scene
      */
     render() {
+        this.ctx.setTransform(this.renderScale, 0, 0, this.renderScale, 0, 0);
         this.clear();
         
+        // Screen shake moves the whole frame, zoomed slightly so the edges stay hidden
+        const shake = this.getScreenShake();
+        this.ctx.save();
+        if (shake.intensity > 0) {
+            const zoom = 1 + (shake.intensity * 2) / this.width;
+            this.ctx.translate(this.width / 2 + shake.x, this.height / 2 + shake.y);
+            this.ctx.scale(zoom, zoom);
+            this.ctx.translate(-this.width / 2, -this.height / 2);
+        }
+        
+        // Camera applies to the scene layers, not the dialogue box
+        this.ctx.save();
+        this.applyCameraTransform(this.getCameraTransform());
+        
         // Draw background with transition support
         this.drawBackgroundWithTransition();
         
@@ -724,19 +1482,42 @@ export class CanvasEngine {
             this.drawGrid();
         }
         
+        // Draw particles behind sprites
+        this.particles.draw(this.ctx, 'behind');
+        
         // Draw sprites
         for (const sprite of this.sprites) {
             this.drawSprite(sprite);
         }
         
+        // Draw particles in front of sprites
+        this.particles.draw(this.ctx, 'front');
+        
         // Draw selection outline
         if (this.selectedSprite) {
             this.drawSelectionOutline(this.selectedSprite);
         }
         
-        // Draw dialogue box
-        if (this.dialogue && this.dialogue.visible) {
-            this.drawDialogue(this.dialogue);
+        this.ctx.restore();
+        
+        // Screen effects sit over the sprites, optionally under the dialogue box
+        this.drawScreenEffects(true);
+        
+        // Draw dialogue box or speech bubble
+        if (this.dialogue && this.dialogue.visible && this.showDialogueBox) {
+            if (this.getDialogueMode(this.dialogue) === 'bubble') {
+                this.drawSpeechBubble(this.dialogue);
+            } else {
+                this.drawDialogue(this.dialogue);
+            }
+        }
+        
+        this.drawScreenEffects(false);
+        this.ctx.restore();
+        
+        // Choice menu sits above everything but the transition, unaffected by shake
+        if (this.choiceMenu) {
+            this.drawChoiceMenu();
         }
         
         // Draw scene transition overlay
@@ -849,6 +1630,7 @@ export class CanvasEngine {
                 
             case 'fadeToBlack':
             case 'fadeToWhite':
+            case 'fadeToColor':
                 // Fade through color
                 this.ctx.fillStyle = this.transitionColor;
                 this.ctx.globalAlpha = progress;
@@ -896,6 +1678,8 @@ export class CanvasEngine {
         const scale = sprite.scale / 100;
         const width = sprite.image.width * scale;
         const height = sprite.image.height * scale;
+        const anchorX = sprite.anchor?.x ?? 0.5;
+        const anchorY = sprite.anchor?.y ?? 0.5;
         
         // Get animation transforms if active
         const anim = this.spriteAnimations.get(sprite.id);
@@ -905,23 +1689,60 @@ export class CanvasEngine {
         // Get breathing animation (only if no active transition animation)
         const breathing = anim ? { x: 1, y: 1 } : this.getBreathingScale();
         
-        const finalWidth = width * animScaleX * breathing.x;
-        const finalHeight = height * animScaleY * breathing.y;
+        // Speaker focus: dim, desaturate or shrink non-speaking characters
+        const dim = this.getSpriteDim(sprite);
+        const focusScale = dim > 0 && this.speakerFocus.mode === 'shrink' ? 1 - dim * 0.15 : 1;
         
-        // Adjust Y position to keep sprite grounded during animation
-        const yOffset = (height - finalHeight) / 2;
+        const finalWidth = width * animScaleX * breathing.x * focusScale;
+        const finalHeight = height * animScaleY * breathing.y * focusScale;
+        
+        // Center of the image box relative to the anchor; animation scales it about its
+        // bottom edge, to keep the sprite grounded
+        const boxCenterX = (0.5 - anchorX) * width;
+        const boxCenterY = (1 - anchorY) * height - finalHeight / 2;
         
         this.ctx.save();
         this.ctx.globalAlpha = sprite.opacity / 100;
         
-        // Draw centered on position with animation transform
-        this.ctx.drawImage(
-            sprite.image,
-            sprite.x - finalWidth / 2,
-            sprite.y - finalHeight / 2 + yOffset,
-            finalWidth,
-            finalHeight
-        );
+        if (dim > 0) {
+            if (this.speakerFocus.mode === 'darken') {
+                this.ctx.filter = `brightness(${1 - dim})`;
+            } else if (this.speakerFocus.mode === 'grayscale') {
+                this.ctx.filter = `grayscale(${Math.min(1, dim * 2)}) brightness(${1 - dim * 0.25})`;
+            }
+        }
+        
+        // Rotate around the anchor, then flip within the image box
+        this.ctx.translate(sprite.x, sprite.y);
+        if (sprite.rotation) {
+            this.ctx.rotate(sprite.rotation * Math.PI / 180);
+        }
+        this.ctx.translate(boxCenterX, boxCenterY);
+        if (sprite.flipX || sprite.flipY) {
+            this.ctx.scale(sprite.flipX ? -1 : 1, sprite.flipY ? -1 : 1);
+        }
+        
+        // Draw centered on the image box with animation transform
+        if (sprite.effectsImage) {
+            // The effects image is the sprite with its outline, shadow and glow, and reaches past its box
+            const pixelWidth = finalWidth / sprite.image.width;
+            const pixelHeight = finalHeight / sprite.image.height;
+            this.ctx.drawImage(
+                sprite.effectsImage,
+                -finalWidth / 2 - sprite.effectsOffset.x * pixelWidth,
+                -finalHeight / 2 - sprite.effectsOffset.y * pixelHeight,
+                sprite.effectsImage.width * pixelWidth,
+                sprite.effectsImage.height * pixelHeight
+            );
+        } else {
+            this.ctx.drawImage(
+                sprite.image,
+                -finalWidth / 2,
+                -finalHeight / 2,
+                finalWidth,
+                finalHeight
+            );
+        }
         
         this.ctx.restore();
     }
@@ -933,6 +1754,14 @@ export class CanvasEngine {
         const bounds = this.getSpriteBounds(sprite);
         
         this.ctx.save();
+        
+        // Draw in the sprite's rotated frame
+        if (bounds.rotation) {
+            this.ctx.translate(bounds.pivotX, bounds.pivotY);
+            this.ctx.rotate(bounds.rotation * Math.PI / 180);
+            this.ctx.translate(-bounds.pivotX, -bounds.pivotY);
+        }
+        
         this.ctx.strokeStyle = '#e94560';
         this.ctx.lineWidth = 3;
         this.ctx.setLineDash([10, 5]);
@@ -942,6 +1771,21 @@ export class CanvasEngine {
         const handleSize = this.handleSize;
         this.ctx.setLineDash([]);
         
+        // Draw rotation handle above the top edge
+        const rotateY = bounds.y - this.rotateHandleOffset;
+        this.ctx.strokeStyle = '#e94560';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(bounds.centerX, bounds.y);
+        this.ctx.lineTo(bounds.centerX, rotateY);
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.beginPath();
+        this.ctx.arc(bounds.centerX, rotateY, handleSize / 2, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
         const corners = [
             { x: bounds.x, y: bounds.y },
             { x: bounds.x + bounds.width, y: bounds.y },
@@ -975,11 +1819,9 @@ export class CanvasEngine {
      * Draw dialogue box
      */
     drawDialogue(dialogue) {
-        const boxHeight = 200;
-        const boxY = this.height - boxHeight - 40;
-        const boxX = 40;
-        const boxWidth = this.width - 80;
-        const padding = 30;
+        const theme = this.dialogueTheme;
+        const { x: boxX, y: boxY, width: boxWidth, height: boxHeight } = this.getDialogueBoxRect();
+        const padding = theme.padding;
         
         // Get box color (default to accent if not set)
         const boxColor = dialogue.boxColor || '#e94560';
@@ -992,29 +1834,44 @@ export class CanvasEngine {
         
         this.ctx.save();
         
-        // Draw box background with slight transparency (NO fade - box stays visible)
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        this.ctx.beginPath();
-        this.ctx.roundRect(boxX, boxY, boxWidth, boxHeight, 10);
-        this.ctx.fill();
-        
-        // Draw colored border
-        this.ctx.strokeStyle = boxColor;
-        this.ctx.lineWidth = 4;
-        this.ctx.stroke();
+        const boxSkin = this.getDialogueSkinImage(theme.boxSkin);
+        if (boxSkin) {
+            // Image frame replaces the vector box, border and accent bar
+            this.drawNineSlice(boxSkin, boxX, boxY, boxWidth, boxHeight, {
+                top: theme.boxSliceTop,
+                right: theme.boxSliceRight,
+                bottom: theme.boxSliceBottom,
+                left: theme.boxSliceLeft
+            });
+        } else {
+            // Draw box background with slight transparency (NO fade - box stays visible)
+            this.ctx.globalAlpha = theme.fillOpacity;
+            this.ctx.fillStyle = theme.fillColor;
+            this.ctx.beginPath();
+            this.ctx.roundRect(boxX, boxY, boxWidth, boxHeight, theme.cornerRadius);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+            
+            // Draw colored border
+            if (theme.borderWidth > 0) {
+                this.ctx.strokeStyle = theme.borderColor || boxColor;
+                this.ctx.lineWidth = theme.borderWidth;
+                this.ctx.stroke();
+            }
+        }
         
         // Draw accent line at top of box
-        this.ctx.fillStyle = boxColor;
-        this.ctx.beginPath();
-        this.ctx.roundRect(boxX, boxY, boxWidth, 6, [10, 10, 0, 0]);
-        this.ctx.fill();
+        if (!boxSkin && theme.accentBar && theme.accentBarHeight > 0) {
+            this.ctx.fillStyle = boxColor;
+            this.ctx.beginPath();
+            this.ctx.roundRect(boxX, boxY, boxWidth, theme.accentBarHeight, [theme.cornerRadius, theme.cornerRadius, 0, 0]);
+            this.ctx.fill();
+        }
         
         // Draw character name - only fade if character is changing
         if (dialogue.character) {
             this.ctx.globalAlpha = characterChanging ? textFadeOpacity : 1;
-            this.ctx.fillStyle = boxColor;
-            this.ctx.font = 'bold 38px Calamity, "Segoe UI", sans-serif';
-            this.ctx.fillText(dialogue.character, boxX + padding, boxY + padding + 32);
+            this.drawDialogueName(dialogue.character, boxColor, boxX, boxY);
         }
         
         // Apply fade opacity for dialogue text
@@ -1026,73 +1883,579 @@ export class CanvasEngine {
             : (dialogue.text || '').replace(/\[\[\d+\]\]/g, '');
         
         if (textToShow) {
-            this.ctx.fillStyle = '#ffffff';
-            let fontSize = 36;
+            this.ctx.fillStyle = theme.textColor;
+            let fontSize = theme.textFontSize;
             let fontStyle = 'bold ';
             
-            // Apply text style
+            // Apply text style (sizes are relative to the theme's text size)
             switch (dialogue.style) {
                 case 'thought':
                     fontStyle = 'italic ';
                     this.ctx.fillStyle = '#a0a0a0';
                     break;
                 case 'shout':
-                    fontSize = 44;
+                    fontSize = Math.round(theme.textFontSize * 44 / 36);
                     fontStyle = 'bold ';
                     break;
                 case 'whisper':
-                    fontSize = 30;
+                    fontSize = Math.round(theme.textFontSize * 30 / 36);
                     fontStyle = '';
                     this.ctx.fillStyle = '#808080';
                     break;
             }
             
-            this.ctx.font = `${fontStyle}${fontSize}px Calamity, "Segoe UI", sans-serif`;
-            
-            // Word wrap text
+            // Word wrap text (inline markup can change font, size and color)
             const maxWidth = boxWidth - padding * 2;
-            const lineHeight = fontSize * 1.4;
-            const textY = boxY + padding + 75;
+            const lineHeight = fontSize * theme.lineHeight;
+            const textY = boxY + padding + theme.textOffsetY;
+            
+            this.wrapText(textToShow, boxX + padding, textY, maxWidth, lineHeight, {
+                style: fontStyle,
+                size: fontSize,
+                family: theme.fontFamily
+            });
+        }
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the speaker name where the theme places it
+     * @param {string} name - Character name
+     * @param {string} boxColor - Line's box color
+     * @param {number} boxX - Dialogue box X
+     * @param {number} boxY - Dialogue box Y
+     */
+    drawDialogueName(name, boxColor, boxX, boxY) {
+        const theme = this.dialogueTheme;
+        this.ctx.font = `bold ${theme.nameFontSize}px ${theme.fontFamily}`;
+        
+        if (theme.namePlacement === 'inside') {
+            this.ctx.fillStyle = theme.nameColor || boxColor;
+            this.ctx.fillText(name, boxX + theme.padding + theme.nameOffsetX, boxY + theme.padding + theme.nameOffsetY);
+            return;
+        }
+        
+        // Tab sits on the box's top edge; a plate floats above it
+        const plateWidth = this.ctx.measureText(name).width + theme.platePaddingX * 2;
+        const plateX = boxX + theme.padding + theme.nameOffsetX;
+        const plateY = theme.namePlacement === 'tab'
+            ? boxY - theme.plateHeight
+            : boxY - theme.plateHeight - theme.plateGap;
+        const radius = Math.min(theme.cornerRadius, theme.plateHeight / 2);
+        const plateSkin = this.getDialogueSkinImage(theme.plateSkin);
+        
+        if (plateSkin) {
+            this.drawNineSlice(plateSkin, plateX, plateY, plateWidth, theme.plateHeight, {
+                top: theme.plateSliceTop,
+                right: theme.plateSliceRight,
+                bottom: theme.plateSliceBottom,
+                left: theme.plateSliceLeft
+            });
+        } else {
+            this.ctx.beginPath();
+            if (theme.namePlacement === 'tab') {
+                this.ctx.roundRect(plateX, plateY, plateWidth, theme.plateHeight, [radius, radius, 0, 0]);
+            } else {
+                this.ctx.roundRect(plateX, plateY, plateWidth, theme.plateHeight, radius);
+            }
+            this.ctx.fillStyle = boxColor;
+            this.ctx.fill();
+            
+            if (theme.borderWidth > 0 && theme.borderColor) {
+                this.ctx.strokeStyle = theme.borderColor;
+                this.ctx.lineWidth = theme.borderWidth;
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.fillStyle = theme.nameColor || '#ffffff';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(name, plateX + theme.platePaddingX, plateY + theme.plateHeight / 2);
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Draw a comic speech bubble with a tail pointing at the speaking sprite.
+     * Thought lines get a cloud, shout lines a burst.
+     * @param {Object} dialogue - Dialogue data
+     */
+    drawSpeechBubble(dialogue) {
+        const theme = this.dialogueTheme;
+        const style = dialogue.style || 'default';
+        const boxColor = dialogue.boxColor || '#e94560';
+        const textFadeOpacity = this.dialogueFadeOpacity !== undefined ? this.dialogueFadeOpacity : 1;
+        const margin = 20;
+        const padding = style === 'default' || style === 'whisper' ? 30 : 50; // Clouds and bursts need room for their edges
+        const tailLength = 70;
+        
+        let fontSize = theme.textFontSize;
+        if (style === 'shout') fontSize = Math.round(fontSize * 44 / 36);
+        if (style === 'whisper') fontSize = Math.round(fontSize * 30 / 36);
+        const font = {
+            style: style === 'thought' ? 'italic ' : style === 'whisper' ? '' : 'bold ',
+            size: fontSize,
+            family: theme.fontFamily
+        };
+        const lineHeight = fontSize * theme.lineHeight;
+        const nameSize = Math.round(theme.nameFontSize * 0.75);
+        const nameHeight = dialogue.character ? nameSize * 1.3 : 0;
+        
+        // Size the bubble from the full line, as it will be typed, so it doesn't grow while typing
+        const fullText = interpolateVariables(dialogue.text || '', this.resolveVariable).replace(/\[\[\d+\]\]/g, '');
+        const maxTextWidth = Math.min(760, this.width * 0.4);
+        const fullLines = this.layoutRichText(fullText, maxTextWidth, font);
+        const textWidth = Math.max(...fullLines.map(l => l.width), 1);
+        const textHeight = fullLines.reduce((sum, l, i) => sum + (i === 0 ? fontSize : lineHeight * Math.max(1, l.maxSize)), 0);
+        
+        this.ctx.font = `bold ${nameSize}px ${theme.fontFamily}`;
+        const nameWidth = dialogue.character ? this.ctx.measureText(dialogue.character).width : 0;
+        
+        const width = Math.max(textWidth, nameWidth) + padding * 2;
+        const height = textHeight + nameHeight + padding * 2;
+        
+        // Anchor at the top of the speaker's head (in frame coordinates)
+        const speaker = this.findSpeakerSprite(dialogue);
+        let anchor = null;
+        if (speaker) {
+            const bounds = this.getSpriteBounds(speaker);
+            anchor = this.worldToScreen(bounds.centerX, bounds.y + bounds.height * 0.08);
+        }
+        
+        // Prefer above the head; fall back to beside it when there's no room
+        let x = this.width / 2 - width / 2;
+        let y = margin;
+        if (anchor) {
+            x = anchor.x - width / 2;
+            y = anchor.y - tailLength - height;
+            if (y < margin) {
+                y = anchor.y;
+                x = anchor.x + width + tailLength + margin < this.width
+                    ? anchor.x + tailLength
+                    : anchor.x - tailLength - width;
+            }
+        }
+        x = clamp(x, margin, this.width - margin - width);
+        y = clamp(y, margin, this.height - margin - height);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = '#222222';
+        this.ctx.lineWidth = 4;
+        this.ctx.lineJoin = 'round';
+        
+        const tip = anchor && !pointInRect(anchor.x, anchor.y, x, y, width, height) ? anchor : null;
+        
+        if (style === 'thought') {
+            this.drawThoughtBubble(x, y, width, height, tip);
+        } else if (style === 'shout') {
+            this.drawShoutBubble(x, y, width, height, tip);
+        } else {
+            if (style === 'whisper') this.ctx.setLineDash([12, 8]);
+            this.drawRoundBubble(x, y, width, height, tip);
+        }
+        
+        // Name in the line's color, then the typed text
+        let textY = y + padding;
+        if (dialogue.character) {
+            this.ctx.globalAlpha = this.characterChanging ? textFadeOpacity : 1;
+            this.ctx.font = `bold ${nameSize}px ${theme.fontFamily}`;
+            this.ctx.fillStyle = boxColor;
+            this.ctx.fillText(dialogue.character, x + padding, textY + nameSize);
+            textY += nameHeight;
+        }
+        
+        const textToShow = dialogue.displayedText !== undefined && dialogue.displayedText !== null
+            ? dialogue.displayedText
+            : fullText;
+        
+        if (textToShow) {
+            this.ctx.globalAlpha = textFadeOpacity;
+            this.ctx.fillStyle = style === 'thought' || style === 'whisper' ? '#555555' : '#222222';
+            this.wrapText(textToShow, x + padding, textY + fontSize, maxTextWidth, lineHeight, font);
+        }
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Get where a bubble's tail leaves its edge, on the side facing the tip
+     * @returns {Object} { x, y, dx, dy } base center and unit direction along the edge
+     */
+    getBubbleTailBase(x, y, width, height, tip, inset) {
+        if (tip.y >= y + height) {
+            return { x: clamp(tip.x, x + inset, x + width - inset), y: y + height, dx: 1, dy: 0 };
+        }
+        if (tip.y <= y) {
+            return { x: clamp(tip.x, x + inset, x + width - inset), y: y, dx: 1, dy: 0 };
+        }
+        return { x: tip.x < x ? x : x + width, y: clamp(tip.y, y + inset, y + height - inset), dx: 0, dy: 1 };
+    }
+
+    /**
+     * Draw a rounded speech bubble with a triangular tail
+     */
+    drawRoundBubble(x, y, width, height, tip) {
+        const radius = Math.min(30, height / 2);
+        
+        // Tail first so the bubble's fill covers its base
+        if (tip) {
+            const base = this.getBubbleTailBase(x, y, width, height, tip, radius + 20);
+            const half = 18;
+            this.ctx.beginPath();
+            this.ctx.moveTo(base.x - base.dx * half, base.y - base.dy * half);
+            this.ctx.lineTo(tip.x, tip.y);
+            this.ctx.lineTo(base.x + base.dx * half, base.y + base.dy * half);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+        
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width, height, radius);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Cover the stroke where the tail joins the bubble
+        if (tip) {
+            const base = this.getBubbleTailBase(x, y, width, height, tip, radius + 20);
+            const half = 15;
+            this.ctx.save();
+            this.ctx.setLineDash([]);
+            this.ctx.strokeStyle = this.ctx.fillStyle;
+            this.ctx.lineWidth = 6;
+            this.ctx.beginPath();
+            this.ctx.moveTo(base.x - base.dx * half, base.y - base.dy * half);
+            this.ctx.lineTo(base.x + base.dx * half, base.y + base.dy * half);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Draw a cloud-shaped thought bubble with a trail of small puffs
+     */
+    drawThoughtBubble(x, y, width, height, tip) {
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        const rx = width / 2;
+        const ry = height / 2;
+        
+        // Puffs around the ellipse edge, then the body over their inner halves
+        const puffs = Math.max(8, Math.round((width + height) / 60));
+        const puffRadius = Math.min(rx, ry) * 0.35 + 10;
+        this.ctx.beginPath();
+        for (let i = 0; i < puffs; i++) {
+            const angle = (i / puffs) * Math.PI * 2;
+            const px = cx + Math.cos(angle) * (rx - puffRadius * 0.5);
+            const py = cy + Math.sin(angle) * (ry - puffRadius * 0.5);
+            this.ctx.moveTo(px + puffRadius, py);
+            this.ctx.arc(px, py, puffRadius, 0, Math.PI * 2);
+        }
+        this.ctx.stroke();
+        this.ctx.fill();
+        
+        this.ctx.beginPath();
+        this.ctx.ellipse(cx, cy, rx - puffRadius * 0.5, ry - puffRadius * 0.5, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        if (tip) {
+            // Shrinking puffs from the cloud towards the thinker
+            for (let i = 1; i <= 3; i++) {
+                const t = i / 4;
+                const px = cx + (tip.x - cx) * (0.55 + t * 0.45);
+                const py = cy + (tip.y - cy) * (0.55 + t * 0.45);
+                this.ctx.beginPath();
+                this.ctx.arc(px, py, 16 - i * 4, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * Draw a jagged burst for shouted lines
+     */
+    drawShoutBubble(x, y, width, height, tip) {
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        const rx = width / 2;
+        const ry = height / 2;
+        const spikes = Math.max(12, Math.round((width + height) / 50));
+        
+        // Spike nearest the tip becomes the tail
+        const tipAngle = tip ? Math.atan2((tip.y - cy) / ry, (tip.x - cx) / rx) : null;
+        
+        this.ctx.beginPath();
+        for (let i = 0; i < spikes * 2; i++) {
+            const angle = (i / (spikes * 2)) * Math.PI * 2;
+            let scale = i % 2 === 0 ? 1.12 : 0.86;
+            let px = cx + Math.cos(angle) * rx * scale;
+            let py = cy + Math.sin(angle) * ry * scale;
             
-            this.wrapText(textToShow, boxX + padding, textY, maxWidth, lineHeight);
+            if (tip && i % 2 === 0) {
+                const diff = Math.abs(Math.atan2(Math.sin(angle - tipAngle), Math.cos(angle - tipAngle)));
+                if (diff < Math.PI / spikes) {
+                    px = tip.x;
+                    py = tip.y;
+                }
+            }
+            
+            if (i === 0) this.ctx.moveTo(px, py);
+            else this.ctx.lineTo(px, py);
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    /**
+     * Show or hide the choice menu
+     * @param {Object|null} menu - { prompt, options: [text], highlighted } or null to hide
+     */
+    setChoiceMenu(menu) {
+        this.choiceMenu = menu ? { highlighted: -1, ...menu } : null;
+        this.canvas.style.cursor = 'default';
+    }
+
+    /**
+     * Lay out the choice menu, centered in the space above the dialogue box
+     * @returns {Object} { prompt: {x, y} or null, options: [{x, y, width, height}] }
+     */
+    getChoiceMenuLayout() {
+        const menu = this.choiceMenu;
+        const optionWidth = 1000;
+        const optionHeight = 80;
+        const gap = 20;
+        const promptHeight = menu.prompt ? 70 : 0;
+        
+        const totalHeight = promptHeight + menu.options.length * (optionHeight + gap) - gap;
+        const areaBottom = this.getDialogueBoxRect().y;
+        const x = (this.width - optionWidth) / 2;
+        let y = Math.max(20, (areaBottom - totalHeight) / 2);
+        
+        const prompt = menu.prompt ? { x: this.width / 2, y: y + promptHeight / 2 } : null;
+        y += promptHeight;
+        
+        const options = menu.options.map((_, i) => ({
+            x,
+            y: y + i * (optionHeight + gap),
+            width: optionWidth,
+            height: optionHeight
+        }));
+        
+        return { prompt, options };
+    }
+
+    /**
+     * Find the choice option under a screen point
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {number} Option index, or -1 if none
+     */
+    getChoiceOptionAt(x, y) {
+        if (!this.choiceMenu) return -1;
+        return this.getChoiceMenuLayout().options.findIndex(rect =>
+            pointInRect(x, y, rect.x, rect.y, rect.width, rect.height)
+        );
+    }
+
+    /**
+     * Draw the choice menu in the dialogue theme's colors
+     */
+    drawChoiceMenu() {
+        const menu = this.choiceMenu;
+        const theme = this.dialogueTheme;
+        const layout = this.getChoiceMenuLayout();
+        const accent = theme.borderColor || '#e94560';
+        const fontSize = Math.min(theme.textFontSize, 40);
+        
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        if (layout.prompt) {
+            this.ctx.font = `bold ${fontSize + 4}px ${theme.fontFamily}`;
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            this.ctx.shadowBlur = 8;
+            this.ctx.fillText(menu.prompt, layout.prompt.x, layout.prompt.y);
+            this.ctx.shadowBlur = 0;
         }
         
+        this.ctx.font = `${fontSize}px ${theme.fontFamily}`;
+        layout.options.forEach((rect, i) => {
+            const highlighted = i === menu.highlighted;
+            
+            this.ctx.globalAlpha = highlighted ? Math.min(1, theme.fillOpacity + 0.1) : theme.fillOpacity;
+            this.ctx.fillStyle = theme.fillColor;
+            this.ctx.beginPath();
+            this.ctx.roundRect(rect.x, rect.y, rect.width, rect.height, theme.cornerRadius);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+            
+            this.ctx.strokeStyle = highlighted ? accent : 'rgba(255, 255, 255, 0.3)';
+            this.ctx.lineWidth = highlighted ? 4 : 2;
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = theme.textColor;
+            this.ctx.fillText(`${i + 1}. ${menu.options[i]}`, rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width - 40);
+        });
+        
         this.ctx.restore();
     }
 
     /**
-     * Word wrap text drawing with newline support
+     * Word wrap and draw rich text, measuring each styled run in its own font
+     * @param {string} text - Text with markup tags
+     * @param {number} x - Left edge
+     * @param {number} y - First baseline
+     * @param {number} maxWidth - Wrap width
+     * @param {number} lineHeight - Line height at size 1
+     * @param {Object} font - Base font { style, size, family }; color comes from the current fillStyle
      */
-    wrapText(text, x, y, maxWidth, lineHeight) {
-        // Split by newlines first
-        const paragraphs = text.split('\n');
+    wrapText(text, x, y, maxWidth, lineHeight, font) {
+        const baseColor = this.ctx.fillStyle;
+        const lines = this.layoutRichText(text, maxWidth, font);
         let currentY = y;
         
-        for (const paragraph of paragraphs) {
-            if (paragraph.trim() === '') {
-                // Empty line - just add line height
-                currentY += lineHeight;
-                continue;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            // Taller text pushes its own line down, not the lines above it
+            if (i > 0) currentY += lineHeight * Math.max(1, line.maxSize);
+            
+            for (const piece of line.pieces) {
+                this.drawRichTextPiece(piece, x + piece.x, currentY, font, baseColor);
+            }
+        }
+    }
+
+    /**
+     * Get the canvas font string for a rich text style
+     * @param {Object} style - Run style
+     * @param {Object} font - Base font { style, size, family }
+     * @returns {string} CSS font
+     */
+    getRichTextFont(style, font) {
+        let fontStyle = font.style;
+        if (style.bold && !fontStyle.includes('bold')) fontStyle += 'bold ';
+        if (style.italic && !fontStyle.includes('italic')) fontStyle = 'italic ' + fontStyle;
+        return `${fontStyle}${Math.round(font.size * style.size)}px ${font.family}`;
+    }
+
+    /**
+     * Break rich text into lines of positioned pieces
+     * @param {string} text - Text with markup tags
+     * @param {number} maxWidth - Wrap width
+     * @param {Object} font - Base font
+     * @returns {Array} Lines { pieces: [{ text, style, x }], maxSize }
+     */
+    layoutRichText(text, maxWidth, font) {
+        const lines = [];
+        let line = { pieces: [], maxSize: 1, width: 0 };
+        let word = []; // Pieces of the word being built (a word can change style midway)
+        let pendingSpace = null; // Space piece waiting for the next word on the line
+        
+        const measure = (piece) => {
+            this.ctx.font = this.getRichTextFont(piece.style, font);
+            return this.ctx.measureText(piece.text).width;
+        };
+        
+        const newLine = () => {
+            lines.push(line);
+            line = { pieces: [], maxSize: 1, width: 0 };
+            pendingSpace = null;
+        };
+        
+        const flushWord = () => {
+            if (word.length === 0) return;
+            
+            const wordWidth = word.reduce((sum, piece) => sum + measure(piece), 0);
+            const spaceWidth = pendingSpace && line.pieces.length > 0 ? measure(pendingSpace) : 0;
+            
+            if (line.pieces.length > 0 && line.width + spaceWidth + wordWidth > maxWidth) {
+                newLine();
+            } else if (spaceWidth > 0) {
+                line.pieces.push({ ...pendingSpace, x: line.width });
+                line.width += spaceWidth;
             }
             
-            const words = paragraph.split(' ');
-            let line = '';
+            for (const piece of word) {
+                line.pieces.push({ ...piece, x: line.width });
+                line.width += measure(piece);
+                line.maxSize = Math.max(line.maxSize, piece.style.size);
+            }
             
-            for (const word of words) {
-                const testLine = line + word + ' ';
-                const metrics = this.ctx.measureText(testLine);
+            word = [];
+            pendingSpace = null;
+        };
+        
+        for (const run of parseRichText(text)) {
+            // Keep spaces and newlines as their own tokens
+            for (const token of run.text.split(/(\n| +)/)) {
+                if (token === '') continue;
                 
-                if (metrics.width > maxWidth && line !== '') {
-                    this.ctx.fillText(line.trim(), x, currentY);
-                    line = word + ' ';
-                    currentY += lineHeight;
+                if (token === '\n') {
+                    flushWord();
+                    newLine();
+                } else if (token.trim() === '') {
+                    flushWord();
+                    pendingSpace = { text: token, style: run.style };
                 } else {
-                    line = testLine;
+                    word.push({ text: token, style: run.style });
                 }
             }
+        }
+        
+        flushWord();
+        lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Draw one styled piece of text, glyph by glyph when it has animated effects
+     * @param {Object} piece - { text, style }
+     * @param {number} x - Left edge
+     * @param {number} y - Baseline
+     * @param {Object} font - Base font
+     * @param {string} baseColor - Line text color
+     */
+    drawRichTextPiece(piece, x, y, font, baseColor) {
+        const style = piece.style;
+        this.ctx.font = this.getRichTextFont(style, font);
+        this.ctx.fillStyle = style.color || baseColor;
+        
+        if (!hasGlyphEffects(style)) {
+            this.ctx.fillText(piece.text, x, y);
+            return;
+        }
+        
+        const time = this.now() / 1000;
+        const size = font.size * style.size;
+        
+        for (let i = 0; i < piece.text.length; i++) {
+            const char = piece.text[i];
+            if (char === ' ') continue;
+            
+            // Measure the prefix so glyphs keep the font's kerning
+            const glyphX = x + this.ctx.measureText(piece.text.slice(0, i)).width;
+            // Offset the phase by position so neighbouring glyphs move differently
+            const phase = glyphX * 0.05;
+            let dx = 0;
+            let dy = 0;
+            
+            if (style.wave) {
+                dy += Math.sin(time * 6 - phase) * size * 0.12;
+            }
+            if (style.shake) {
+                dx += Math.sin(time * 47 + phase * 13) * size * 0.05;
+                dy += Math.sin(time * 59 + phase * 17) * size * 0.05;
+            }
+            if (style.rainbow) {
+                this.ctx.fillStyle = `hsl(${(time * 120 + phase * 20) % 360}, 90%, 65%)`;
+            }
             
-            this.ctx.fillText(line.trim(), x, currentY);
-            currentY += lineHeight;
+            this.ctx.fillText(char, glyphX + dx, y + dy);
         }
     }
 
@@ -1110,6 +2473,9 @@ export class CanvasEngine {
                 y: s.y,
                 scale: s.scale,
                 opacity: s.opacity,
+                rotation: s.rotation || 0,
+                flipX: !!s.flipX,
+                flipY: !!s.flipY,
                 removeBackground: s.removeBackground
             })),
             dialogue: this.dialogue ? { ...this.dialogue } : null
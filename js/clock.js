@@ -0,0 +1,164 @@
+/**
+ * SpriteGen - Playback Clock
+ *
+ * The one source of animation time for the canvas, dialogue and scene
+ * playback. It runs in real time (performance.now() and animation frames)
+ * or is stepped frame by frame at a fixed FPS, so an export draws the same
+ * frames every run however long each frame takes.
+ *
+ * Stepped time starts at 0 and is worked out from the frame number, so
+ * every run sees exactly the same timestamps. Anything that measures time
+ * between frames should ignore the jump back when stepping starts.
+ *
+ * Real time can also be paused: frames keep running but time stands
+ * still, so everything driven by the clock holds where it is.
+ */
+
+export class PlaybackClock {
+    constructor() {
+        this.stepping = false;
+        this.fps = 60;
+        this.frame = 0; // Frames stepped so far
+        this.offset = 0; // Added to performance.now() so time carries on smoothly after stepping or pausing
+        this.pausedAt = null; // Time held while paused
+
+        this.frames = new Map(); // id -> callback waiting for the next frame
+        this.lastFrameId = 0;
+    }
+
+    /**
+     * Get the current time
+     * @returns {number} Milliseconds
+     */
+    now() {
+        if (this.stepping) return this.frame * 1000 / this.fps;
+        return this.pausedAt !== null ? this.pausedAt : performance.now() + this.offset;
+    }
+
+    /**
+     * Hold real time where it is until resume()
+     */
+    pause() {
+        if (this.pausedAt === null) {
+            this.pausedAt = this.now();
+        }
+    }
+
+    /**
+     * Let real time move again, carrying on from where it was paused
+     */
+    resume() {
+        if (this.pausedAt === null) return;
+
+        this.offset = this.pausedAt - performance.now();
+        this.pausedAt = null;
+    }
+
+    /**
+     * Check whether real time is paused
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    /**
+     * Run a callback on the next frame (like requestAnimationFrame)
+     * @param {Function} callback - Receives the frame time in ms
+     * @returns {number} ID for cancelFrame
+     */
+    requestFrame(callback) {
+        const id = ++this.lastFrameId;
+        this.frames.set(id, callback);
+        if (!this.stepping) {
+            this.scheduleRealFrame(id);
+        }
+        return id;
+    }
+
+    /**
+     * Cancel a callback from requestFrame
+     * @param {number} id - Frame ID
+     */
+    cancelFrame(id) {
+        this.frames.delete(id);
+    }
+
+    /**
+     * Wait until the clock has moved on by some time
+     * @param {number} ms - Milliseconds
+     * @returns {Promise} Resolves on the first frame at or after that time
+     */
+    wait(ms) {
+        const until = this.now() + ms;
+        return new Promise(resolve => {
+            const check = () => {
+                if (this.now() >= until) {
+                    resolve();
+                } else {
+                    this.requestFrame(check);
+                }
+            };
+            this.requestFrame(check);
+        });
+    }
+
+    /**
+     * Stop following real time. Time restarts at 0 and only moves when step() is called.
+     * @param {number} fps - Frames per second
+     */
+    startStepping(fps) {
+        this.stepping = true;
+        this.fps = fps;
+        this.frame = 0;
+    }
+
+    /**
+     * Advance one frame and run the callbacks waiting for it
+     */
+    step() {
+        if (!this.stepping) return;
+
+        this.frame++;
+
+        // Callbacks requested during this frame wait for the next one
+        for (const id of [...this.frames.keys()]) {
+            this.runFrame(id);
+        }
+    }
+
+    /**
+     * Go back to real time, carrying on from the stepped time
+     */
+    stopStepping() {
+        if (!this.stepping) return;
+
+        this.offset = this.now() - performance.now();
+        this.stepping = false;
+        for (const id of this.frames.keys()) {
+            this.scheduleRealFrame(id);
+        }
+    }
+
+    /**
+     * Run a waiting callback on the browser's next animation frame
+     * @param {number} id - Frame ID
+     */
+    scheduleRealFrame(id) {
+        requestAnimationFrame(() => {
+            if (!this.stepping) this.runFrame(id);
+        });
+    }
+
+    /**
+     * Run a waiting callback once
+     * @param {number} id - Frame ID
+     */
+    runFrame(id) {
+        const callback = this.frames.get(id);
+        if (!callback) return;
+
+        this.frames.delete(id);
+        callback(this.now());
+    }
+}
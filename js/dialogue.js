@@ -2,8 +2,68 @@
  * SpriteGen - Dialogue System
  */
 
+import { MARKUP_TAG_REGEX } from './richtext.js';
+import { interpolateVariables } from './variables.js';
+import { PlaybackClock } from './clock.js';
+
+// Pause markers ([[ms]]) and rich text tags ({b}, {color=#f00}, ...) in one pass
+const SEGMENT_REGEX = new RegExp(`\\[\\[(\\d+)\\]\\]|${MARKUP_TAG_REGEX.source}`, 'g');
+
+/**
+ * Get how long the typewriter takes to type a line
+ * @param {Array} segments - Segments from parseTextWithPauses
+ * @param {number} typingSpeed - Milliseconds per character
+ * @returns {number} Duration in ms
+ */
+export function getTypingDuration(segments, typingSpeed) {
+    let duration = 0;
+    for (const segment of segments) {
+        if (segment.type === 'text') {
+            duration += segment.content.length * typingSpeed;
+        } else if (segment.type === 'pause') {
+            duration += segment.content;
+        }
+    }
+    return duration;
+}
+
+/**
+ * Get the text the typewriter shows a while after it starts. Each character
+ * appears at the start of its slot; tags appear with the character after them.
+ * @param {Array} segments - Segments from parseTextWithPauses
+ * @param {number} typingSpeed - Milliseconds per character
+ * @param {number} elapsed - Milliseconds since typing started
+ * @returns {string} Displayed text (markup tags included, pause markers removed)
+ */
+export function getTypedText(segments, typingSpeed, elapsed) {
+    let text = '';
+    let time = 0;
+    
+    for (const segment of segments) {
+        if (segment.type === 'pause') {
+            time += segment.content;
+        } else if (segment.type === 'tag') {
+            if (elapsed < time) break;
+            text += segment.content;
+        } else {
+            for (const char of segment.content) {
+                if (elapsed < time) return text;
+                text += char;
+                time += typingSpeed;
+            }
+        }
+    }
+    
+    return text;
+}
+
 export class DialogueSystem {
-    constructor() {
+    /**
+     * @param {PlaybackClock} clock - Time source for fades and typing (shared with the canvas)
+     */
+    constructor(clock = new PlaybackClock()) {
+        this.clock = clock;
+        
         // Multi-dialogue support
         this.dialogueLines = [];
         this.currentLineIndex = 0;
@@ -26,14 +86,17 @@ export class DialogueSystem {
             typingComplete: false
         };
         
-        // Typing animation state
-        this.typingIndex = 0;
-        this.typingTimeout = null;
+        // Typing animation state (the typed text is worked out from the time since typing started)
+        this.typingFrame = null;
+        this.typingStartTime = 0;
+        this.typingDuration = 0;
         this.parsedSegments = []; // Parsed text segments with pauses
-        this.currentSegmentIndex = 0;
         this.onTypingUpdate = null; // Callback for typing updates
         this.onLineComplete = null; // Callback when a line is complete
         this.onAllLinesComplete = null; // Callback when all lines are done
+        this.onLineChange = null; // Callback when a new line becomes current (for per-line staging)
+        this.lineCondition = null; // Callback deciding whether a line plays; failing lines are skipped (set by the app)
+        this.resolveVariable = null; // Callback returning a story variable's value for ${name} (set by the app)
         
         this.styles = {
             default: {
@@ -114,18 +177,33 @@ export class DialogueSystem {
     /**
      * Set multiple dialogue lines for a scene
      * @param {Array} lines - Array of dialogue objects
+     * @param {number} startIndex - Line to start at
      */
-    setDialogueLines(lines) {
+    setDialogueLines(lines, startIndex = 0) {
         this.dialogueLines = lines || [];
-        this.currentLineIndex = 0;
+        this.currentLineIndex = Math.max(0, Math.min(startIndex, this.dialogueLines.length - 1));
         this.fadeOpacity = 1;
         this.isFading = false;
         
         if (this.dialogueLines.length > 0) {
-            this.setDialogue(this.dialogueLines[0]);
+            this.setDialogue(this.dialogueLines[this.currentLineIndex]);
         }
     }
 
+    /**
+     * Find the first line at or after an index whose condition passes
+     * @param {number} fromIndex - Index to search from
+     * @returns {number} Line index, or -1 if no line plays
+     */
+    findPlayableLine(fromIndex) {
+        for (let i = fromIndex; i < this.dialogueLines.length; i++) {
+            if (!this.lineCondition || this.lineCondition(this.dialogueLines[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
     /**
      * Get all dialogue lines
      * @returns {Array} Array of dialogue lines
@@ -149,7 +227,9 @@ export class DialogueSystem {
      * @returns {boolean} True if there was a next line
      */
     advanceToNextLine(onFadeOut, onFadeIn) {
-        if (this.currentLineIndex >= this.dialogueLines.length - 1) {
+        // Lines whose condition fails are skipped
+        const nextIndex = this.findPlayableLine(this.currentLineIndex + 1);
+        if (nextIndex === -1) {
             if (this.onAllLinesComplete) {
                 this.onAllLinesComplete();
             }
@@ -160,15 +240,18 @@ export class DialogueSystem {
         
         // Check if character is changing
         const currentCharacter = this.currentDialogue.character;
-        const nextLine = this.dialogueLines[this.currentLineIndex + 1];
+        const nextLine = this.dialogueLines[nextIndex];
         this.characterChanging = currentCharacter !== nextLine.character;
         
         // Fade out
         this.animateFade(1, 0, this.fadeDuration / 2, () => {
             // Switch to next line
-            this.currentLineIndex++;
+            this.currentLineIndex = nextIndex;
             this.setDialogue(nextLine);
             
+            // Apply sprite staging for the new line
+            if (this.onLineChange) this.onLineChange(nextLine, this.currentLineIndex);
+            
             if (onFadeOut) onFadeOut(this.currentDialogue);
             
             // Fade in
@@ -190,10 +273,10 @@ export class DialogueSystem {
      * @param {Function} onComplete - Callback when complete
      */
     animateFade(from, to, duration, onComplete) {
-        const startTime = performance.now();
+        const startTime = this.clock.now();
         
         const animate = () => {
-            const elapsed = performance.now() - startTime;
+            const elapsed = this.clock.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
             
             this.fadeOpacity = from + (to - from) * progress;
@@ -203,7 +286,7 @@ export class DialogueSystem {
             }
             
             if (progress < 1) {
-                this.fadeTimeout = requestAnimationFrame(animate);
+                this.fadeTimeout = this.clock.requestFrame(animate);
             } else {
                 this.fadeOpacity = to;
                 if (onComplete) onComplete();
@@ -272,20 +355,20 @@ export class DialogueSystem {
     }
 
     /**
-     * Parse text into segments (text and pauses)
-     * @param {string} text - Raw text with [[ms]] pause markers
-     * @returns {Array} Array of segments {type: 'text'|'pause', content: string|number}
+     * Parse text into segments (text, pauses and markup tags)
+     * @param {string} text - Raw text with [[ms]] pause markers and {tag} markup
+     * @returns {Array} Array of segments {type: 'text'|'pause'|'tag', content: string|number}
      */
     parseTextWithPauses(text) {
         if (!text) return [];
         
         const segments = [];
-        const regex = /\[\[(\d+)\]\]/g;
+        const regex = new RegExp(SEGMENT_REGEX.source, 'g');
         let lastIndex = 0;
         let match;
         
         while ((match = regex.exec(text)) !== null) {
-            // Add text before the pause
+            // Add text before the pause or tag
             if (match.index > lastIndex) {
                 segments.push({
                     type: 'text',
@@ -293,11 +376,18 @@ export class DialogueSystem {
                 });
             }
             
-            // Add the pause
-            segments.push({
-                type: 'pause',
-                content: parseInt(match[1])
-            });
+            // Add the pause, or the tag (revealed all at once by the typewriter)
+            if (match[1] !== undefined) {
+                segments.push({
+                    type: 'pause',
+                    content: parseInt(match[1])
+                });
+            } else {
+                segments.push({
+                    type: 'tag',
+                    content: match[0]
+                });
+            }
             
             lastIndex = regex.lastIndex;
         }
@@ -324,8 +414,6 @@ export class DialogueSystem {
         this.currentDialogue.displayedText = '';
         this.currentDialogue.isTyping = true;
         this.currentDialogue.typingComplete = false;
-        this.typingIndex = 0;
-        this.currentSegmentIndex = 0;
         this.onTypingUpdate = onUpdate;
         this.onTypingComplete = onComplete;
         
@@ -334,55 +422,40 @@ export class DialogueSystem {
             this.onTypingUpdate(this.currentDialogue);
         }
         
-        // Parse the text into segments
-        this.parsedSegments = this.parseTextWithPauses(this.currentDialogue.text);
+        // Parse the text (with story variables filled in) into segments
+        this.parsedSegments = this.parseTextWithPauses(this.interpolateText(this.currentDialogue.text));
         
         if (this.parsedSegments.length === 0) {
             this.finishTyping();
             return;
         }
         
-        this.typeNextCharacter();
+        this.typingStartTime = this.clock.now();
+        this.typingDuration = getTypingDuration(this.parsedSegments, this.currentDialogue.typingSpeed);
+        this.updateTyping();
     }
 
     /**
-     * Type the next character
+     * Show the characters typed so far and keep going until the line is done.
+     * Timing comes from the start time, so slow frames never stretch a line.
      */
-    typeNextCharacter() {
-        if (this.currentSegmentIndex >= this.parsedSegments.length) {
+    updateTyping() {
+        const elapsed = this.clock.now() - this.typingStartTime;
+        if (elapsed >= this.typingDuration) {
+            this.typingFrame = null;
             this.finishTyping();
             return;
         }
         
-        const segment = this.parsedSegments[this.currentSegmentIndex];
-        
-        if (segment.type === 'pause') {
-            // Handle pause
-            this.typingTimeout = setTimeout(() => {
-                this.currentSegmentIndex++;
-                this.typingIndex = 0;
-                this.typeNextCharacter();
-            }, segment.content);
-        } else {
-            // Handle text character
-            if (this.typingIndex < segment.content.length) {
-                this.currentDialogue.displayedText += segment.content[this.typingIndex];
-                this.typingIndex++;
-                
-                if (this.onTypingUpdate) {
-                    this.onTypingUpdate(this.currentDialogue);
-                }
-                
-                this.typingTimeout = setTimeout(() => {
-                    this.typeNextCharacter();
-                }, this.currentDialogue.typingSpeed);
-            } else {
-                // Move to next segment
-                this.currentSegmentIndex++;
-                this.typingIndex = 0;
-                this.typeNextCharacter();
+        const text = getTypedText(this.parsedSegments, this.currentDialogue.typingSpeed, elapsed);
+        if (text !== this.currentDialogue.displayedText) {
+            this.currentDialogue.displayedText = text;
+            if (this.onTypingUpdate) {
+                this.onTypingUpdate(this.currentDialogue);
             }
         }
+        
+        this.typingFrame = this.clock.requestFrame(() => this.updateTyping());
     }
 
     /**
@@ -392,7 +465,7 @@ export class DialogueSystem {
         this.currentDialogue.isTyping = false;
         this.currentDialogue.typingComplete = true;
         // Set displayed text to full text without pause markers
-        this.currentDialogue.displayedText = this.currentDialogue.text.replace(/\[\[\d+\]\]/g, '');
+        this.currentDialogue.displayedText = this.getCleanText(this.currentDialogue.text);
         
         if (this.onTypingUpdate) {
             this.onTypingUpdate(this.currentDialogue);
@@ -414,20 +487,29 @@ export class DialogueSystem {
      * Stop typing animation
      */
     stopTyping() {
-        if (this.typingTimeout) {
-            clearTimeout(this.typingTimeout);
-            this.typingTimeout = null;
+        if (this.typingFrame) {
+            this.clock.cancelFrame(this.typingFrame);
+            this.typingFrame = null;
         }
         this.currentDialogue.isTyping = false;
     }
 
     /**
-     * Get the clean text without pause markers
+     * Get the clean text without pause markers, with story variables filled in
      * @param {string} text - Text with [[ms]] markers
      * @returns {string} Clean text
      */
     getCleanText(text) {
-        return text.replace(/\[\[\d+\]\]/g, '');
+        return this.interpolateText(text).replace(/\[\[\d+\]\]/g, '');
+    }
+
+    /**
+     * Fill ${name} placeholders with story variable values
+     * @param {string} text - Text with ${name} placeholders
+     * @returns {string} Text with values filled in
+     */
+    interpolateText(text) {
+        return interpolateVariables(text || '', this.resolveVariable);
     }
 
     /**
@@ -0,0 +1,371 @@
+/**
+ * SpriteGen - GIF Encoder
+ *
+ * Writes animated GIFs with no library. Each frame gets its own palette of up
+ * to 256 colors picked by median cut, with optional Floyd-Steinberg dithering
+ * to smooth gradients, and is packed with GIF's LZW compression.
+ */
+
+const MAX_CODES = 4096;
+
+/**
+ * Pick a palette for an image by median cut
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} maxColors - Largest palette size (up to 256)
+ * @returns {Array} Colors [r, g, b]
+ */
+export function quantize(pixels, maxColors = 256) {
+    // Count colors in a 5 bit per channel histogram, sampling large images
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    const pixelCount = pixels.length / 4;
+    const stride = Math.max(1, Math.floor(pixelCount / 100000));
+    for (let i = 0; i < pixelCount; i += stride) {
+        const p = i * 4;
+        const key = ((pixels[p] >> 3) << 10) | ((pixels[p + 1] >> 3) << 5) | (pixels[p + 2] >> 3);
+        counts[key]++;
+        sums[key * 3] += pixels[p];
+        sums[key * 3 + 1] += pixels[p + 1];
+        sums[key * 3 + 2] += pixels[p + 2];
+    }
+
+    const colors = [];
+    for (let key = 0; key < 32768; key++) {
+        const count = counts[key];
+        if (count) {
+            colors.push([sums[key * 3] / count, sums[key * 3 + 1] / count, sums[key * 3 + 2] / count, count]);
+        }
+    }
+    if (colors.length === 0) return [[0, 0, 0]];
+
+    // Keep splitting the box with the widest spread of colors at its median
+    const boxes = [colors];
+    while (boxes.length < maxColors) {
+        let best = -1;
+        let bestScore = 0;
+        let bestChannel = 0;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                let total = 0;
+                for (const color of box) {
+                    if (color[channel] < min) min = color[channel];
+                    if (color[channel] > max) max = color[channel];
+                    total += color[3];
+                }
+                const score = (max - min) * Math.sqrt(total);
+                if (score > bestScore) {
+                    best = index;
+                    bestScore = score;
+                    bestChannel = channel;
+                }
+            }
+        });
+        if (best === -1) break;
+
+        const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+        const half = box.reduce((total, color) => total + color[3], 0) / 2;
+        let split = 0;
+        for (let seen = 0; split < box.length - 1 && seen + box[split][3] <= half; split++) {
+            seen += box[split][3];
+        }
+        split = Math.max(1, split);
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    // Each box becomes its weighted average color
+    return boxes.map(box => {
+        let r = 0, g = 0, b = 0, total = 0;
+        for (const color of box) {
+            r += color[0] * color[3];
+            g += color[1] * color[3];
+            b += color[2] * color[3];
+            total += color[3];
+        }
+        return [Math.round(r / total), Math.round(g / total), Math.round(b / total)];
+    });
+}
+
+/**
+ * Map pixels to palette indices
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {Array} palette - Colors [r, g, b]
+ * @param {boolean} dither - Spread each pixel's error to its neighbours (Floyd-Steinberg)
+ * @returns {Uint8Array} Index per pixel
+ */
+export function mapToPalette(pixels, width, palette, dither = false) {
+    const pixelCount = pixels.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    const cache = new Int16Array(32768).fill(-1); // Nearest palette entry per 5 bit color
+
+    const nearest = (r, g, b) => {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (cache[key] !== -1) return cache[key];
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach((color, index) => {
+            const dr = color[0] - r;
+            const dg = color[1] - g;
+            const db = color[2] - b;
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        cache[key] = best;
+        return best;
+    };
+
+    if (!dither) {
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = nearest(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+        }
+        return indices;
+    }
+
+    // Errors carried to the current and next row
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+    const clampByte = (value) => value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const x = i % width;
+        if (x === 0 && i > 0) {
+            [current, next] = [next, current];
+            next.fill(0);
+        }
+
+        const e = (x + 1) * 3;
+        const r = clampByte(pixels[i * 4] + current[e]);
+        const g = clampByte(pixels[i * 4 + 1] + current[e + 1]);
+        const b = clampByte(pixels[i * 4 + 2] + current[e + 2]);
+        const index = nearest(r, g, b);
+        indices[i] = index;
+
+        const color = palette[index];
+        const errors = [r - color[0], g - color[1], b - color[2]];
+        for (let c = 0; c < 3; c++) {
+            current[e + 3 + c] += errors[c] * 7 / 16;
+            next[e - 3 + c] += errors[c] * 3 / 16;
+            next[e + c] += errors[c] * 5 / 16;
+            next[e + 3 + c] += errors[c] * 1 / 16;
+        }
+    }
+    return indices;
+}
+
+/**
+ * Compress palette indices with GIF's variable-width LZW
+ * @param {Uint8Array} indices - Index per pixel
+ * @param {number} minCodeSize - Bits per index (2-8)
+ * @returns {Uint8Array} Compressed codes
+ */
+export function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = new ByteWriter();
+    let dictionary = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.writeByte(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+    if (indices.length === 0) {
+        writeCode(endCode);
+        if (bitCount > 0) output.writeByte(bitBuffer & 0xFF);
+        return output.toBytes();
+    }
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = prefix * 256 + value;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+        if (nextCode < MAX_CODES) {
+            // The decoder widens its codes as soon as the new code needs the next bit
+            if (nextCode === 1 << codeSize) codeSize++;
+            dictionary.set(key, nextCode++);
+        } else {
+            // Table full: start again
+            writeCode(clearCode);
+            dictionary = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = value;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) output.writeByte(bitBuffer & 0xFF);
+    return output.toBytes();
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - { loop (play forever), dither }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = options.loop !== false;
+        this.dither = !!options.dither;
+        this.parts = [];
+        this.time = 0; // ms of frames added so far
+
+        const header = new ByteWriter();
+        header.writeString('GIF89a');
+        header.writeUint16(width);
+        header.writeUint16(height);
+        header.writeByte(0); // No global palette, every frame has its own
+        header.writeByte(0); // Background color index
+        header.writeByte(0); // Pixel aspect ratio
+
+        if (this.loop) {
+            // Netscape extension: repeat forever
+            header.writeByte(0x21);
+            header.writeByte(0xFF);
+            header.writeByte(11);
+            header.writeString('NETSCAPE2.0');
+            header.writeByte(3);
+            header.writeByte(1);
+            header.writeUint16(0);
+            header.writeByte(0);
+        }
+        this.parts.push(header.toBytes());
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8ClampedArray} pixels - RGBA pixels, width × height
+     * @param {number} duration - How long the frame shows (ms)
+     */
+    addFrame(pixels, duration) {
+        const palette = quantize(pixels, 256);
+        const indices = mapToPalette(pixels, this.width, palette, this.dither);
+
+        // Palette size must be a power of two, at least 2
+        let bits = 1;
+        while (1 << bits < palette.length) bits++;
+        const minCodeSize = Math.max(2, bits);
+
+        // GIF delays are in hundredths of a second. Rounding the running total
+        // rather than each frame keeps long animations in time.
+        const delay = Math.round((this.time + duration) / 10) - Math.round(this.time / 10);
+        this.time += duration;
+
+        const frame = new ByteWriter();
+
+        // Graphic control extension: delay, no transparency
+        frame.writeByte(0x21);
+        frame.writeByte(0xF9);
+        frame.writeByte(4);
+        frame.writeByte(0x04); // Leave the frame in place
+        frame.writeUint16(delay);
+        frame.writeByte(0);
+        frame.writeByte(0);
+
+        // Image descriptor with a local palette
+        frame.writeByte(0x2C);
+        frame.writeUint16(0);
+        frame.writeUint16(0);
+        frame.writeUint16(this.width);
+        frame.writeUint16(this.height);
+        frame.writeByte(0x80 | (bits - 1));
+
+        for (let i = 0; i < 1 << bits; i++) {
+            const color = palette[i] || [0, 0, 0];
+            frame.writeByte(color[0]);
+            frame.writeByte(color[1]);
+            frame.writeByte(color[2]);
+        }
+
+        // Image data in sub-blocks of up to 255 bytes
+        const data = lzwEncode(indices, minCodeSize);
+        frame.writeByte(minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const size = Math.min(255, data.length - i);
+            frame.writeByte(size);
+            frame.writeBytes(data.subarray(i, i + size));
+        }
+        frame.writeByte(0);
+
+        this.parts.push(frame.toBytes());
+    }
+
+    /**
+     * Finish the GIF
+     * @returns {Blob} GIF file
+     */
+    finish() {
+        return new Blob([...this.parts, new Uint8Array([0x3B])], { type: 'image/gif' });
+    }
+}
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    writeUint16(value) {
+        this.writeByte(value & 0xFF);
+        this.writeByte((value >> 8) & 0xFF);
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.writeByte(text.charCodeAt(i));
+        }
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
@@ -0,0 +1,522 @@
+/**
+ * SpriteGen - Image Processing
+ *
+ * The pixel work behind sprites: background removal, hand mask edits,
+ * trimming, the dominant color and list thumbnails. Nothing here touches the page, so the
+ * same code runs in the image workers (on OffscreenCanvas) and, where there
+ * are none, on the main thread (on ordinary canvases).
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * Background removal settings, saved per sprite
+ *   color: key color (the background to remove)
+ *   tolerance: how far (0-255, per channel) a pixel can be from the key color and still be removed
+ *   feather: edge softening radius in pixels (0 = hard edge)
+ *   mode: 'edges' (only background connected to the image border) or 'global' (every matching pixel,
+ *     including gaps enclosed by the character)
+ *   despill: 0-100, how much of the key color's tint is taken out of the pixels that stay
+ */
+export const DEFAULT_KEY_SETTINGS = {
+    color: '#ffffff',
+    tolerance: 30,
+    feather: 3,
+    mode: 'edges',
+    despill: 0
+};
+
+export const THUMBNAIL_SIZE = 80;
+
+// Images are scaled to this many pixels square to find their dominant color
+const COLOR_SAMPLE_SIZE = 100;
+
+/**
+ * Fill in missing background removal settings and keep values in range
+ * @param {Object} settings - Saved settings (may be partial, or missing in older projects)
+ * @returns {Object} Complete settings
+ */
+export function normalizeKeySettings(settings) {
+    const merged = { ...DEFAULT_KEY_SETTINGS, ...settings };
+    return {
+        color: /^#[0-9a-f]{6}$/i.test(merged.color) ? merged.color.toLowerCase() : DEFAULT_KEY_SETTINGS.color,
+        tolerance: clamp(Math.round(Number(merged.tolerance) || 0), 0, 255),
+        feather: clamp(Math.round(Number(merged.feather) || 0), 0, 10),
+        mode: merged.mode === 'global' ? 'global' : 'edges',
+        despill: clamp(Math.round(Number(merged.despill) || 0), 0, 100)
+    };
+}
+
+/**
+ * Draw a sprite with its background removed and its hand mask edits applied,
+ * optionally trimmed to the part that isn't transparent
+ * @param {Function} createCanvas - (width, height) => a new canvas or OffscreenCanvas
+ * @param {CanvasImageSource} source - Sprite image before background removal
+ * @param {CanvasImageSource|null} edits - Hand mask edit layer (see blendMaskEdits)
+ * @param {Object} options - { removeBackground, keySettings, trim }
+ * @returns {Object} { canvas (the result), trim (the area of the source it shows, or null if all of it) }
+ */
+export function renderSpritePixels(createCanvas, source, edits, options) {
+    const { width, height } = source;
+    const { ctx, imageData } = readPixels(createCanvas, source, width, height);
+    const data = imageData.data;
+
+    // Restored pixels come from the image as it was before removal
+    const original = edits ? new Uint8ClampedArray(data) : null;
+
+    if (options.removeBackground) {
+        keyOutPixels(data, width, height, normalizeKeySettings(options.keySettings));
+    }
+    if (edits) {
+        blendMaskEdits(data, original, readPixels(createCanvas, edits, width, height).imageData.data, data);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    const trim = options.trim ? findOpaqueBounds(data, width, height) : null;
+    if (!trim || (trim.width === width && trim.height === height)) {
+        return { canvas: ctx.canvas, trim: null };
+    }
+
+    const trimmed = createCanvas(trim.width, trim.height);
+    trimmed.getContext('2d').drawImage(ctx.canvas, -trim.x, -trim.y);
+    return { canvas: trimmed, trim };
+}
+
+/**
+ * Find the smallest rectangle holding every pixel that isn't fully transparent
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} Rectangle {x, y, width, height}, or null if the image is empty
+ */
+export function findOpaqueBounds(data, width, height) {
+    let left = width;
+    let right = -1;
+    let top = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width * 4;
+        let first = -1;
+        for (let x = 0; x < width; x++) {
+            if (data[row + x * 4 + 3] > 0) {
+                first = x;
+                break;
+            }
+        }
+        if (first === -1) continue;
+
+        if (top === -1) top = y;
+        bottom = y;
+        left = Math.min(left, first);
+        for (let x = width - 1; x > right; x--) {
+            if (data[row + x * 4 + 3] > 0) {
+                right = x;
+                break;
+            }
+        }
+    }
+
+    if (top === -1) return null;
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Make the pixels that match the key color transparent (chroma key)
+ * @param {Uint8ClampedArray} data - RGBA pixels, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} settings - Background removal settings (see DEFAULT_KEY_SETTINGS)
+ */
+export function keyOutPixels(data, width, height, settings) {
+    const { color, tolerance, feather, mode, despill } = settings;
+    const key = hexToRgb(color);
+    const pixelCount = width * height;
+
+    // Pixels that match the key color (or are already transparent)
+    const matches = (idx) => {
+        const pixelIdx = idx * 4;
+        return data[pixelIdx + 3] < 10 ||
+            isNearColor(data[pixelIdx], data[pixelIdx + 1], data[pixelIdx + 2], key, tolerance);
+    };
+
+    // Mask of pixels to make transparent
+    const mask = new Uint8Array(pixelCount);
+
+    if (mode === 'global') {
+        // Every matching pixel, wherever it is
+        for (let idx = 0; idx < pixelCount; idx++) {
+            if (matches(idx)) mask[idx] = 1;
+        }
+    } else {
+        // Flood fill from the edge pixels. Each pixel is checked once, when first
+        // reached, so the queue never holds more than every pixel.
+        const visited = new Uint8Array(pixelCount);
+        const queue = new Int32Array(pixelCount);
+        let tail = 0;
+        const reach = (idx) => {
+            if (visited[idx]) return;
+            visited[idx] = 1;
+            if (matches(idx)) {
+                mask[idx] = 1;
+                queue[tail++] = idx;
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            reach(x);
+            reach((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            reach(y * width);
+            reach(y * width + width - 1);
+        }
+
+        for (let head = 0; head < tail; head++) {
+            const idx = queue[head];
+            const x = idx % width;
+            if (x > 0) reach(idx - 1);
+            if (x < width - 1) reach(idx + 1);
+            if (idx >= width) reach(idx - width);
+            if (idx < pixelCount - width) reach(idx + width);
+        }
+    }
+
+    // Apply feathering to edges (or cut them hard)
+    const featheredMask = feather > 0
+        ? createFeatheredMask(mask, width, height, feather)
+        : mask.map(value => value * 255);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const alpha = featheredMask[i];
+        if (alpha > 0) {
+            const alphaIdx = i * 4 + 3;
+            data[alphaIdx] = Math.max(0, data[alphaIdx] - alpha);
+        }
+    }
+
+    if (despill > 0) {
+        despillColor(data, key, despill / 100);
+    }
+}
+
+/**
+ * Create a feathered mask for soft edges
+ * @param {Uint8Array} mask - Binary mask
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Feather radius
+ * @returns {Uint8Array} Feathered mask with alpha values
+ */
+export function createFeatheredMask(mask, width, height, radius) {
+    const feathered = new Uint8Array(width * height);
+    const extendedRadius = radius + 2; // Extend for smoother edges
+    const distances = squaredDistances(mask, width, height);
+
+    for (let i = 0; i < feathered.length; i++) {
+        if (mask[i] === 1) {
+            // Fully transparent
+            feathered[i] = 255;
+            continue;
+        }
+
+        // Feather by the distance to the nearest masked pixel
+        const distance = Math.sqrt(distances[i]);
+        if (distance <= extendedRadius) {
+            // Smooth cubic falloff for better edge blending
+            const t = distance / extendedRadius;
+            const smoothT = t * t * (3 - 2 * t); // Smoothstep
+            feathered[i] = Math.floor((1 - smoothT) * 180); // Stronger feathering
+        }
+    }
+
+    return feathered;
+}
+
+/**
+ * Find each pixel's squared distance to the nearest marked pixel (exact Euclidean distance
+ * transform, Felzenszwalb and Huttenlocher), in time proportional to the pixel count
+ * @param {Uint8Array} marked - 1 for marked pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float64Array} Squared distances (very large where nothing is marked)
+ */
+export function squaredDistances(marked, width, height) {
+    const FAR = 1e20;
+    const grid = new Float64Array(width * height);
+    for (let i = 0; i < grid.length; i++) {
+        grid[i] = marked[i] ? 0 : FAR;
+    }
+
+    const longest = Math.max(width, height);
+    const line = new Float64Array(longest);
+    const result = new Float64Array(longest);
+    const hull = new Int32Array(longest);
+    const bounds = new Float64Array(longest + 1);
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) line[y] = grid[y * width + x];
+        distances1d(line, height, result, hull, bounds);
+        for (let y = 0; y < height; y++) grid[y * width + x] = result[y];
+    }
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) line[x] = grid[row + x];
+        distances1d(line, width, result, hull, bounds);
+        grid.set(result.subarray(0, width), row);
+    }
+    return grid;
+}
+
+/**
+ * One line of the distance transform: the lower envelope of parabolas rooted at each sample
+ * @param {Float64Array} f - Squared distances so far
+ * @param {number} n - Samples in the line
+ * @param {Float64Array} out - Squared distances along the line
+ * @param {Int32Array} hull - Scratch: parabola roots in the envelope
+ * @param {Float64Array} bounds - Scratch: where each envelope parabola starts
+ */
+function distances1d(f, n, out, hull, bounds) {
+    let k = 0;
+    hull[0] = 0;
+    bounds[0] = -Infinity;
+    bounds[1] = Infinity;
+
+    // Where the parabolas rooted at q and v cross
+    const crossing = (q, v) => ((f[q] + q * q) - (f[v] + v * v)) / (2 * q - 2 * v);
+
+    for (let q = 1; q < n; q++) {
+        let s = crossing(q, hull[k]);
+        while (s <= bounds[k]) {
+            k--;
+            s = crossing(q, hull[k]);
+        }
+        k++;
+        hull[k] = q;
+        bounds[k] = s;
+        bounds[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (bounds[k + 1] < q) k++;
+        const v = hull[k];
+        out[q] = (q - v) * (q - v) + f[v];
+    }
+}
+
+/**
+ * Take the key color's tint out of an image (green fringes and reflections from a green screen).
+ * Only the key's hue is removed, so white, grey and black keys leave colors alone.
+ * @param {Uint8ClampedArray} data - RGBA pixels, changed in place
+ * @param {Object} key - Key color {r, g, b}
+ * @param {number} strength - 0 to 1
+ */
+export function despillColor(data, key, strength) {
+    // Direction of the key's hue, away from grey (its three parts add up to 0)
+    const keyMean = (key.r + key.g + key.b) / 3;
+    const hue = [key.r - keyMean, key.g - keyMean, key.b - keyMean];
+    const length = Math.hypot(...hue);
+    if (length < 1) return;
+    const [hr, hg, hb] = hue.map(value => value / length);
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+
+        const mean = (data[i] + data[i + 1] + data[i + 2]) / 3;
+        const spill = (data[i] - mean) * hr + (data[i + 1] - mean) * hg + (data[i + 2] - mean) * hb;
+        if (spill <= 0) continue;
+
+        const amount = spill * strength;
+        data[i] -= hr * amount;
+        data[i + 1] -= hg * amount;
+        data[i + 2] -= hb * amount;
+    }
+}
+
+/**
+ * Check if a color is near the key color (every channel within the tolerance)
+ * @param {number} r - Red value
+ * @param {number} g - Green value
+ * @param {number} b - Blue value
+ * @param {Object} key - Key color {r, g, b}
+ * @param {number} tolerance - Tolerance value
+ * @returns {boolean} True if near the key color
+ */
+export function isNearColor(r, g, b, key, tolerance) {
+    return Math.abs(r - key.r) <= tolerance &&
+           Math.abs(g - key.g) <= tolerance &&
+           Math.abs(b - key.b) <= tolerance;
+}
+
+/**
+ * Combine background removal with hand mask edits, pixel by pixel. In the edit
+ * layer, alpha is how strongly a pixel was painted and the red channel what
+ * with: 0 erases it, 255 restores it from the original image.
+ * @param {Uint8ClampedArray} base - RGBA after background removal
+ * @param {Uint8ClampedArray} original - RGBA before it
+ * @param {Uint8ClampedArray} edits - RGBA edit layer
+ * @param {Uint8ClampedArray} out - RGBA result (may be base)
+ */
+export function blendMaskEdits(base, original, edits, out) {
+    for (let i = 0; i < base.length; i += 4) {
+        const strength = edits[i + 3] / 255;
+        if (strength === 0) {
+            if (out !== base) out.set(base.subarray(i, i + 4), i);
+            continue;
+        }
+
+        const restore = edits[i] / 255;
+        const alpha = base[i + 3] * (1 - strength) + original[i + 3] * restore * strength;
+
+        // Removed pixels have no color left, so restored ones take the original's
+        const mix = base[i + 3] === 0 ? 1 : strength * restore;
+        out[i] = base[i] + (original[i] - base[i]) * mix;
+        out[i + 1] = base[i + 1] + (original[i + 1] - base[i + 1]) * mix;
+        out[i + 2] = base[i + 2] + (original[i + 2] - base[i + 2]) * mix;
+        out[i + 3] = alpha;
+    }
+}
+
+/**
+ * Find the dominant saturated color of an image
+ * Prioritizes the most frequently occurring saturated color
+ * @param {Function} createCanvas - (width, height) => a new canvas or OffscreenCanvas
+ * @param {CanvasImageSource} image - Image to analyze
+ * @returns {Object} RGB color object with hex string
+ */
+export function findDominantColor(createCanvas, image) {
+    // Use smaller size for performance
+    const data = readPixels(createCanvas, image, COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE).imageData.data;
+
+    // Color buckets for quantization - weighted by saturation
+    const colorCounts = new Map();
+
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const a = data[i + 3];
+
+        // Skip transparent pixels
+        if (a < 128) continue;
+
+        // Calculate saturation (0-1)
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const lightness = (max + min) / 2 / 255;
+        const saturation = max === min ? 0 :
+            lightness > 0.5 ? (max - min) / (510 - max - min) : (max - min) / (max + min);
+
+        // Skip low saturation colors (grays, whites, blacks)
+        // Require at least 25% saturation to be considered
+        if (saturation < 0.25) continue;
+
+        // Also skip very dark or very bright colors
+        const brightness = (r + g + b) / 3;
+        if (brightness < 30 || brightness > 245) continue;
+
+        // Quantize to reduce color variations (bucket by 24 for finer granularity)
+        const qr = Math.floor(r / 24) * 24;
+        const qg = Math.floor(g / 24) * 24;
+        const qb = Math.floor(b / 24) * 24;
+
+        const key = `${qr},${qg},${qb}`;
+        // Weight count by saturation to prefer more saturated colors
+        const weight = 1 + saturation;
+        colorCounts.set(key, (colorCounts.get(key) || 0) + weight);
+    }
+
+    // Find most common saturated color
+    let maxCount = 0;
+    let dominantKey = null;
+
+    for (const [key, count] of colorCounts) {
+        if (count > maxCount) {
+            maxCount = count;
+            dominantKey = key;
+        }
+    }
+
+    // Fallback to a default if no saturated colors found
+    if (!dominantKey) {
+        return { r: 233, g: 69, b: 96, hex: '#e94560' };
+    }
+
+    const [r, g, b] = dominantKey.split(',').map(Number);
+
+    // Boost saturation slightly for better visibility in UI
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const mid = (max + min) / 2;
+
+    // Push colors slightly away from gray
+    const boostFactor = 1.15;
+    const finalR = clamp(Math.round(mid + (r - mid) * boostFactor), 0, 255);
+    const finalG = clamp(Math.round(mid + (g - mid) * boostFactor), 0, 255);
+    const finalB = clamp(Math.round(mid + (b - mid) * boostFactor), 0, 255);
+
+    const hex = '#' + [finalR, finalG, finalB].map(x => x.toString(16).padStart(2, '0')).join('');
+
+    return { r: finalR, g: finalG, b: finalB, hex };
+}
+
+/**
+ * Draw an asset list thumbnail: the image fitted on a checkerboard
+ * @param {Function} createCanvas - (width, height) => a new canvas or OffscreenCanvas
+ * @param {CanvasImageSource} image - Image
+ * @param {number} size - Thumbnail size
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Thumbnail canvas
+ */
+export function drawThumbnail(createCanvas, image, size = THUMBNAIL_SIZE) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    // Calculate aspect ratio fit
+    const scale = Math.min(size / image.width, size / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const x = (size - width) / 2;
+    const y = (size - height) / 2;
+
+    // Draw checkerboard background for transparency
+    ctx.fillStyle = '#2a2a4a';
+    ctx.fillRect(0, 0, size, size);
+
+    const checkerSize = 10;
+    ctx.fillStyle = '#3a3a5a';
+    for (let cy = 0; cy < size; cy += checkerSize * 2) {
+        for (let cx = 0; cx < size; cx += checkerSize * 2) {
+            ctx.fillRect(cx, cy, checkerSize, checkerSize);
+            ctx.fillRect(cx + checkerSize, cy + checkerSize, checkerSize, checkerSize);
+        }
+    }
+
+    ctx.drawImage(image, x, y, width, height);
+    return canvas;
+}
+
+/**
+ * Convert a hex color to RGB
+ * @param {string} hex - Color like '#00ff00'
+ * @returns {Object} {r, g, b}
+ */
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Draw an image onto a new canvas and read its pixels
+ * @param {Function} createCanvas - (width, height) => a new canvas or OffscreenCanvas
+ * @param {CanvasImageSource} image - Image
+ * @param {number} width - Width to draw at
+ * @param {number} height - Height to draw at
+ * @returns {Object} { ctx, imageData }
+ */
+function readPixels(createCanvas, image, width, height) {
+    const ctx = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    return { ctx, imageData: ctx.getImageData(0, 0, width, height) };
+}
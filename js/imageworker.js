@@ -0,0 +1,65 @@
+/**
+ * SpriteGen - Image Worker
+ *
+ * Runs sprite image processing off the main thread, for ImageWorkerPool.
+ * Each message is { id, type, payload } and gets one reply, { id, result }
+ * or { id, error }.
+ *
+ * Types:
+ *   'sprite': { image (ImageBitmap), removeBackground, keySettings, maskEdits (data URL or null), trim,
+ *     effects, thumbnailSize (0 for none) } -> { image (PNG data URL, or null if unchanged), trim, effectsImage
+ *     (PNG data URL, or null if no effects are on), effectsOffset, dominantColor, thumbnail }
+ *   'thumbnail': { image (ImageBitmap), size } -> { thumbnail }
+ */
+
+import { renderSpritePixels, findDominantColor, drawThumbnail } from './imageops.js';
+import { renderSpriteEffects, hasSpriteEffects } from './spriteeffects.js';
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+const tasks = {
+    async sprite({ image, removeBackground, keySettings, maskEdits, trim, effects, thumbnailSize }) {
+        const edits = maskEdits ? await createImageBitmap(await (await fetch(maskEdits)).blob()) : null;
+        const changed = removeBackground || edits || trim;
+        const rendered = changed ? renderSpritePixels(createCanvas, image, edits, { removeBackground, keySettings, trim }) : null;
+        const result = rendered ? rendered.canvas : image;
+        edits?.close();
+        const withEffects = hasSpriteEffects(effects) ? renderSpriteEffects(createCanvas, result, effects) : null;
+        const shown = withEffects ? withEffects.canvas : result;
+
+        return {
+            image: changed ? await toDataUrl(result) : null,
+            trim: rendered ? rendered.trim : null,
+            effectsImage: withEffects ? await toDataUrl(withEffects.canvas) : null,
+            effectsOffset: withEffects ? withEffects.offset : null,
+            dominantColor: findDominantColor(createCanvas, result),
+            thumbnail: thumbnailSize ? await toDataUrl(drawThumbnail(createCanvas, shown, thumbnailSize)) : null
+        };
+    },
+
+    async thumbnail({ image, size }) {
+        return { thumbnail: await toDataUrl(drawThumbnail(createCanvas, image, size)) };
+    }
+};
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const result = await tasks[type](payload);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    } finally {
+        payload.image?.close?.();
+    }
+};
+
+/**
+ * Encode a canvas as a PNG data URL
+ * @param {OffscreenCanvas} canvas - Canvas
+ * @returns {Promise<string>} Data URL
+ */
+async function toDataUrl(canvas) {
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new FileReaderSync().readAsDataURL(blob);
+}
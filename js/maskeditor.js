@@ -0,0 +1,346 @@
+/**
+ * SpriteGen - Mask Editor
+ *
+ * Fixes a sprite's background removal by hand: the erase brush clears
+ * pixels the automatic removal kept, the restore brush brings back pixels
+ * it took. Strokes are painted onto an edit layer kept apart from the
+ * image (see blendMaskEdits), so background removal can be re-run or
+ * switched off later without losing them.
+ */
+
+import { blendMaskEdits } from './imageops.js';
+import { clamp } from './utils.js';
+
+const MAX_UNDO = 30;
+
+export class MaskEditor {
+    /**
+     * @param {string} canvasId - Canvas element ID (its parent should be positioned, for the brush outline)
+     */
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Edit layer: alpha is edit strength, gray is 0 (erase) or 255 (restore)
+        this.layer = document.createElement('canvas');
+        this.layerCtx = this.layer.getContext('2d');
+
+        this.original = null; // ImageData of the sprite before background removal
+        this.base = null; // ImageData after automatic background removal
+
+        this.tool = 'erase'; // 'erase' or 'restore'
+        this.brushSize = 24; // Diameter in image pixels
+        this.hardness = 0.8; // 0 (soft) to 1 (hard edge)
+        this.zoom = 1;
+
+        this.undoStack = []; // { x, y, imageData } edit layer areas as they were before each stroke
+        this.stroke = null; // { before, last, bounds } while painting
+
+        this.onChange = null; // Callback after each stroke, undo or clear
+
+        // Brush outline that follows the pointer
+        this.cursor = document.createElement('div');
+        this.cursor.className = 'mask-brush-cursor hidden';
+        this.canvas.parentElement.appendChild(this.cursor);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up pointer painting
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.original) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.startStroke(this.getImagePoint(e));
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            this.moveCursor(e);
+            if (this.stroke) this.continueStroke(this.getImagePoint(e));
+        });
+        this.canvas.addEventListener('pointerup', () => this.endStroke());
+        this.canvas.addEventListener('pointercancel', () => this.endStroke());
+        this.canvas.addEventListener('pointerleave', () => this.cursor.classList.add('hidden'));
+    }
+
+    /**
+     * Start editing a sprite
+     * @param {HTMLImageElement} originalImage - Sprite image before background removal
+     * @param {HTMLImageElement} autoImage - Same image after automatic background removal
+     * @param {HTMLImageElement|null} edits - Existing edit layer, if the sprite has one
+     */
+    open(originalImage, autoImage, edits = null) {
+        const { width, height } = originalImage;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.layer.width = width;
+        this.layer.height = height;
+
+        this.original = readImageData(originalImage, width, height);
+        this.base = readImageData(autoImage, width, height);
+        this.layerCtx.clearRect(0, 0, width, height);
+        if (edits) {
+            this.layerCtx.drawImage(edits, 0, 0, width, height);
+        }
+
+        this.undoStack = [];
+        this.stroke = null;
+        this.setZoom(this.getFitZoom());
+        this.compose(0, 0, width, height);
+    }
+
+    /**
+     * Get the edit layer to save with the sprite
+     * @returns {string|null} PNG data URL, or null if nothing is painted
+     */
+    getEditsDataUrl() {
+        const data = this.layerCtx.getImageData(0, 0, this.layer.width, this.layer.height).data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] > 0) return this.layer.toDataURL('image/png');
+        }
+        return null;
+    }
+
+    /**
+     * Check whether there is a stroke to undo
+     * @returns {boolean} True if undo() would change something
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Choose the brush
+     * @param {string} tool - 'erase' or 'restore'
+     */
+    setTool(tool) {
+        this.tool = tool === 'restore' ? 'restore' : 'erase';
+    }
+
+    /**
+     * Set the brush diameter
+     * @param {number} size - Image pixels
+     */
+    setBrushSize(size) {
+        this.brushSize = clamp(size, 1, 500);
+    }
+
+    /**
+     * Set how hard the brush edge is
+     * @param {number} hardness - 0 (soft) to 1 (hard)
+     */
+    setHardness(hardness) {
+        this.hardness = clamp(hardness, 0, 1);
+    }
+
+    /**
+     * Set the zoom (CSS pixels per image pixel)
+     * @param {number} zoom - Zoom factor
+     */
+    setZoom(zoom) {
+        this.zoom = clamp(zoom, 0.1, 16);
+        this.canvas.style.width = `${this.canvas.width * this.zoom}px`;
+        this.canvas.style.height = `${this.canvas.height * this.zoom}px`;
+    }
+
+    /**
+     * Get the zoom that fits the whole sprite in the editor's view
+     * @returns {number} Zoom factor
+     */
+    getFitZoom() {
+        const view = this.canvas.parentElement;
+        const fit = Math.min(view.clientWidth / this.canvas.width, view.clientHeight / this.canvas.height);
+        return fit > 0 ? Math.min(1, fit) : 1;
+    }
+
+    /**
+     * Undo the last stroke (or clear)
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.layerCtx.putImageData(entry.imageData, entry.x, entry.y);
+        this.compose(entry.x, entry.y, entry.imageData.width, entry.imageData.height);
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Remove every hand edit (can be undone)
+     */
+    clear() {
+        const { width, height } = this.layer;
+        this.pushUndo(0, 0, this.layerCtx.getImageData(0, 0, width, height));
+        this.layerCtx.clearRect(0, 0, width, height);
+        this.compose(0, 0, width, height);
+        if (this.onChange) this.onChange();
+    }
+
+    // ==================== PAINTING ====================
+
+    /**
+     * Convert a pointer event to image pixel coordinates
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} Point {x, y}
+     */
+    getImagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Start a brush stroke
+     * @param {Object} point - Image point {x, y}
+     */
+    startStroke(point) {
+        // Keep the whole layer until the stroke ends, then only the part it touched
+        this.stroke = {
+            before: this.layerCtx.getImageData(0, 0, this.layer.width, this.layer.height),
+            last: point,
+            bounds: null
+        };
+        this.paintDab(point);
+    }
+
+    /**
+     * Paint along the pointer's path, with dabs close enough to make a smooth line
+     * @param {Object} point - Image point {x, y}
+     */
+    continueStroke(point) {
+        const { last } = this.stroke;
+        const distance = Math.hypot(point.x - last.x, point.y - last.y);
+        const spacing = Math.max(1, this.brushSize / 8);
+        if (distance < spacing) return;
+
+        const steps = Math.floor(distance / spacing);
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            this.paintDab({ x: last.x + (point.x - last.x) * t, y: last.y + (point.y - last.y) * t });
+        }
+        this.stroke.last = point;
+    }
+
+    /**
+     * Finish the brush stroke and make it undoable
+     */
+    endStroke() {
+        const stroke = this.stroke;
+        if (!stroke) return;
+        this.stroke = null;
+        if (!stroke.bounds) return;
+
+        const { x, y, width, height } = stroke.bounds;
+        const before = new ImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * stroke.before.width + x) * 4;
+            before.data.set(stroke.before.data.subarray(start, start + width * 4), row * width * 4);
+        }
+        this.pushUndo(x, y, before);
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Paint one round brush dab onto the edit layer
+     * @param {Object} point - Image point {x, y}
+     */
+    paintDab(point) {
+        const radius = this.brushSize / 2;
+        const shade = this.tool === 'restore' ? 255 : 0;
+        const gradient = this.layerCtx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius);
+        gradient.addColorStop(0, `rgba(${shade}, ${shade}, ${shade}, 1)`);
+        gradient.addColorStop(Math.min(this.hardness, 0.99), `rgba(${shade}, ${shade}, ${shade}, 1)`);
+        gradient.addColorStop(1, `rgba(${shade}, ${shade}, ${shade}, 0)`);
+
+        this.layerCtx.fillStyle = gradient;
+        this.layerCtx.beginPath();
+        this.layerCtx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        this.layerCtx.fill();
+
+        // Redraw only what the dab touched
+        const x = Math.max(0, Math.floor(point.x - radius));
+        const y = Math.max(0, Math.floor(point.y - radius));
+        const right = Math.min(this.layer.width, Math.ceil(point.x + radius));
+        const bottom = Math.min(this.layer.height, Math.ceil(point.y + radius));
+        if (right <= x || bottom <= y) return;
+
+        this.compose(x, y, right - x, bottom - y);
+        const bounds = this.stroke.bounds;
+        this.stroke.bounds = bounds ? {
+            x: Math.min(bounds.x, x),
+            y: Math.min(bounds.y, y),
+            width: Math.max(bounds.x + bounds.width, right) - Math.min(bounds.x, x),
+            height: Math.max(bounds.y + bounds.height, bottom) - Math.min(bounds.y, y)
+        } : { x, y, width: right - x, height: bottom - y };
+    }
+
+    /**
+     * Remember an area of the edit layer for undo
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {ImageData} imageData - Area as it was
+     */
+    pushUndo(x, y, imageData) {
+        this.undoStack.push({ x, y, imageData });
+        if (this.undoStack.length > MAX_UNDO) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Redraw part of the preview: automatic removal with the edit layer on top
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    compose(x, y, width, height) {
+        const edits = this.layerCtx.getImageData(x, y, width, height).data;
+        const out = this.ctx.createImageData(width, height);
+        const rowLength = width * 4;
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * this.base.width + x) * 4;
+            const offset = row * rowLength;
+            blendMaskEdits(
+                this.base.data.subarray(start, start + rowLength),
+                this.original.data.subarray(start, start + rowLength),
+                edits.subarray(offset, offset + rowLength),
+                out.data.subarray(offset, offset + rowLength)
+            );
+        }
+        this.ctx.putImageData(out, x, y);
+    }
+
+    /**
+     * Move the brush outline to the pointer
+     * @param {PointerEvent} e - Pointer event
+     */
+    moveCursor(e) {
+        const size = this.brushSize * this.zoom;
+        const view = this.canvas.parentElement.getBoundingClientRect();
+        this.cursor.style.width = `${size}px`;
+        this.cursor.style.height = `${size}px`;
+        this.cursor.style.left = `${e.clientX - view.left + this.canvas.parentElement.scrollLeft - size / 2}px`;
+        this.cursor.style.top = `${e.clientY - view.top + this.canvas.parentElement.scrollTop - size / 2}px`;
+        this.cursor.classList.remove('hidden');
+    }
+}
+
+/**
+ * Read an image's pixels at a given size
+ * @param {HTMLImageElement} image - Image
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {ImageData} Pixels
+ */
+function readImageData(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+}
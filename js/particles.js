@@ -0,0 +1,356 @@
+/**
+ * SpriteGen - Particle Weather and Ambient Effects
+ */
+
+import { generateId, clamp } from './utils.js';
+
+/**
+ * Built-in emitter presets. Speeds are in px/s at speed 1, counts are at density 1.
+ */
+export const PARTICLE_PRESETS = {
+    rain: {
+        name: 'Rain',
+        count: 350,
+        fallSpeed: [1300, 1700],
+        size: [18, 34], // streak length
+        sway: 0,
+        spin: 0,
+        alpha: [0.35, 0.6],
+        color: '174, 194, 224'
+    },
+    snow: {
+        name: 'Snow',
+        count: 220,
+        fallSpeed: [60, 140],
+        size: [2, 5],
+        sway: 30,
+        spin: 0,
+        alpha: [0.6, 0.95],
+        color: '255, 255, 255'
+    },
+    sakura: {
+        name: 'Sakura Petals',
+        count: 70,
+        fallSpeed: [70, 130],
+        size: [6, 10],
+        sway: 60,
+        spin: 3,
+        alpha: [0.75, 1],
+        color: '255, 183, 197'
+    },
+    embers: {
+        name: 'Embers',
+        count: 90,
+        fallSpeed: [-140, -60], // negative rises
+        size: [1.5, 3.5],
+        sway: 25,
+        spin: 0,
+        alpha: [0.5, 1],
+        color: '255, 140, 40'
+    },
+    dust: {
+        name: 'Dust Motes',
+        count: 70,
+        fallSpeed: [-12, 12],
+        size: [1, 2.5],
+        sway: 12,
+        spin: 0,
+        alpha: [0.15, 0.45],
+        color: '255, 244, 214'
+    }
+};
+
+/**
+ * Create emitter settings with defaults
+ * @param {string} preset - Preset key from PARTICLE_PRESETS
+ * @returns {Object} Emitter settings
+ */
+export function createEmitterSettings(preset = 'snow') {
+    return {
+        id: generateId(),
+        preset: preset,
+        density: 1, // Multiplier on the preset's particle count
+        wind: 0, // -1 (left) to 1 (right)
+        speed: 1, // Multiplier on the preset's fall speed
+        layer: 'front' // 'behind' or 'front' of sprites
+    };
+}
+
+const WIND_SPEED = 400; // Horizontal px/s at full wind
+const PREWARM_TIME = 4; // Seconds simulated when an emitter starts so the screen isn't empty
+const MAX_PARTICLES = 2000;
+
+function randomRange(random, [min, max]) {
+    return min + random() * (max - min);
+}
+
+export class ParticleSystem {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.emitters = []; // { settings, particles }
+        this.random = Math.random;
+    }
+
+    /**
+     * Set where particles get their randomness (a seeded generator makes them repeat exactly)
+     * @param {Function} random - Returns numbers in [0, 1)
+     */
+    setRandom(random = Math.random) {
+        this.random = random;
+    }
+
+    /**
+     * Replace the active emitters. Emitters with the same preset and layer as a
+     * running one keep their particles so the effect continues across scenes.
+     * @param {Array} settingsList - Emitter settings from the scene
+     */
+    setEmitters(settingsList = []) {
+        const previous = this.emitters;
+        this.emitters = [];
+
+        for (const settings of settingsList) {
+            if (!PARTICLE_PRESETS[settings.preset]) continue;
+
+            const index = previous.findIndex(e =>
+                e.settings.preset === settings.preset && e.settings.layer === settings.layer
+            );
+
+            if (index !== -1) {
+                const emitter = previous.splice(index, 1)[0];
+                emitter.settings = { ...settings };
+                this.emitters.push(emitter);
+            } else {
+                const emitter = { settings: { ...settings }, particles: [] };
+                this.fillEmitter(emitter);
+                this.prewarm(emitter);
+                this.emitters.push(emitter);
+            }
+        }
+    }
+
+    /**
+     * Remove all emitters
+     */
+    clear() {
+        this.emitters = [];
+    }
+
+    /**
+     * Get the particle count an emitter should have
+     * @param {Object} emitter - Emitter
+     * @returns {number} Target count
+     */
+    getTargetCount(emitter) {
+        const preset = PARTICLE_PRESETS[emitter.settings.preset];
+        return Math.round(clamp(preset.count * emitter.settings.density, 0, MAX_PARTICLES));
+    }
+
+    /**
+     * Add or remove particles to match the emitter's density
+     * @param {Object} emitter - Emitter
+     */
+    fillEmitter(emitter) {
+        const target = this.getTargetCount(emitter);
+        while (emitter.particles.length < target) {
+            emitter.particles.push(this.spawnParticle(emitter, true));
+        }
+        if (emitter.particles.length > target) {
+            emitter.particles.length = target;
+        }
+    }
+
+    /**
+     * Simulate an emitter for a while so particles are spread over the screen
+     * @param {Object} emitter - Emitter
+     */
+    prewarm(emitter) {
+        const step = 1 / 30;
+        for (let t = 0; t < PREWARM_TIME; t += step) {
+            this.updateEmitter(emitter, step);
+        }
+    }
+
+    /**
+     * Create a particle
+     * @param {Object} emitter - Emitter the particle belongs to
+     * @param {boolean} anywhere - Place anywhere on screen instead of at the entry edge
+     * @returns {Object} Particle
+     */
+    spawnParticle(emitter, anywhere = false) {
+        const preset = PARTICLE_PRESETS[emitter.settings.preset];
+        const fallSpeed = randomRange(this.random, preset.fallSpeed);
+        const size = randomRange(this.random, preset.size);
+
+        // Spawn wider than the screen so wind doesn't leave an empty edge
+        const margin = Math.abs(emitter.settings.wind) * this.height * 0.5 + 50;
+        const x = -margin + this.random() * (this.width + margin * 2);
+
+        let y;
+        if (anywhere || Math.abs(fallSpeed) < 20) {
+            y = this.random() * this.height;
+        } else {
+            y = fallSpeed > 0 ? -size * 2 : this.height + size * 2;
+        }
+
+        return {
+            x,
+            y,
+            fallSpeed,
+            size,
+            alpha: randomRange(this.random, preset.alpha),
+            rotation: this.random() * Math.PI * 2,
+            spin: (this.random() - 0.5) * preset.spin * 2,
+            phase: this.random() * Math.PI * 2,
+            drift: (this.random() - 0.5) * 20
+        };
+    }
+
+    /**
+     * Advance all emitters
+     * @param {number} deltaTime - Seconds since the last update
+     */
+    update(deltaTime) {
+        for (const emitter of this.emitters) {
+            this.fillEmitter(emitter);
+            this.updateEmitter(emitter, deltaTime);
+        }
+    }
+
+    /**
+     * Advance one emitter's particles, respawning any that leave the screen
+     * @param {Object} emitter - Emitter
+     * @param {number} deltaTime - Seconds since the last update
+     */
+    updateEmitter(emitter, deltaTime) {
+        const preset = PARTICLE_PRESETS[emitter.settings.preset];
+        const { wind, speed } = emitter.settings;
+        const margin = Math.abs(wind) * this.height * 0.5 + 100;
+
+        for (let i = 0; i < emitter.particles.length; i++) {
+            const p = emitter.particles[i];
+
+            p.phase += deltaTime * 1.5;
+            p.rotation += p.spin * deltaTime;
+            p.x += (wind * WIND_SPEED + p.drift + Math.sin(p.phase) * preset.sway) * speed * deltaTime;
+            p.y += p.fallSpeed * speed * deltaTime;
+
+            const outside = p.y > this.height + p.size * 3 || p.y < -p.size * 3 ||
+                p.x < -margin || p.x > this.width + margin;
+
+            if (outside) {
+                emitter.particles[i] = this.spawnParticle(emitter, false);
+            }
+        }
+    }
+
+    /**
+     * Check whether any emitter draws on a layer
+     * @param {string} layer - 'behind' or 'front'
+     * @returns {boolean}
+     */
+    hasLayer(layer) {
+        return this.emitters.some(e => e.settings.layer === layer);
+    }
+
+    /**
+     * Draw every emitter on a layer
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     * @param {string} layer - 'behind' or 'front'
+     */
+    draw(ctx, layer) {
+        for (const emitter of this.emitters) {
+            if (emitter.settings.layer !== layer) continue;
+
+            ctx.save();
+            switch (emitter.settings.preset) {
+                case 'rain':
+                    this.drawRain(ctx, emitter);
+                    break;
+                case 'sakura':
+                    this.drawPetals(ctx, emitter);
+                    break;
+                case 'embers':
+                    this.drawEmbers(ctx, emitter);
+                    break;
+                default:
+                    this.drawDots(ctx, emitter);
+            }
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draw rain as streaks angled with the wind
+     */
+    drawRain(ctx, emitter) {
+        const color = PARTICLE_PRESETS.rain.color;
+        const slant = emitter.settings.wind * WIND_SPEED / 1500;
+
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        for (const p of emitter.particles) {
+            ctx.strokeStyle = `rgba(${color}, ${p.alpha})`;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(p.x - slant * p.size, p.y - p.size);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draw soft round particles (snow, dust)
+     */
+    drawDots(ctx, emitter) {
+        const preset = PARTICLE_PRESETS[emitter.settings.preset];
+        const twinkle = emitter.settings.preset === 'dust';
+
+        for (const p of emitter.particles) {
+            const alpha = twinkle ? p.alpha * (0.6 + 0.4 * Math.sin(p.phase * 2)) : p.alpha;
+            ctx.fillStyle = `rgba(${preset.color}, ${alpha})`;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draw tumbling sakura petals
+     */
+    drawPetals(ctx, emitter) {
+        const color = PARTICLE_PRESETS.sakura.color;
+
+        for (const p of emitter.particles) {
+            ctx.save();
+            ctx.translate(p.x, p.y);
+            ctx.rotate(p.rotation);
+            // Flatten on one axis to fake the petal turning over
+            ctx.scale(1, 0.35 + 0.65 * Math.abs(Math.sin(p.phase)));
+            ctx.fillStyle = `rgba(${color}, ${p.alpha})`;
+            ctx.beginPath();
+            ctx.ellipse(0, 0, p.size, p.size * 0.6, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draw flickering embers with additive glow
+     */
+    drawEmbers(ctx, emitter) {
+        const color = PARTICLE_PRESETS.embers.color;
+
+        ctx.globalCompositeOperation = 'lighter';
+        for (const p of emitter.particles) {
+            const alpha = p.alpha * (0.5 + 0.5 * Math.sin(p.phase * 4));
+            ctx.fillStyle = `rgba(${color}, ${alpha * 0.25})`;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.size * 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = `rgba(${color}, ${alpha})`;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,585 @@
+/**
+ * SpriteGen - Player
+ *
+ * Plays a saved project on a canvas with no editor around it: scenes,
+ * dialogue, staging, camera, screen effects, weather, choices, story
+ * variables and music, timed exactly as the editor's preview plays them.
+ * The web player export bundles this module with the ones it uses, and
+ * games and web pages can import it to play cutscenes at runtime:
+ *
+ *     const player = new SpriteGenPlayer(canvas, project);
+ *     await player.load();
+ *     player.onEnd = () => startLevel();
+ *     player.play();
+ */
+
+import { CanvasEngine } from './canvas.js';
+import { DialogueSystem } from './dialogue.js';
+import { AudioManager } from './audio.js';
+import { PlaybackClock } from './clock.js';
+import { Timeline } from './timeline.js';
+import { ScenePlayback } from './sceneplayback.js';
+import { VariableStore } from './variables.js';
+import { SpriteManager, normalizeAnchor } from './sprite.js';
+import { hasSpriteEffects } from './spriteeffects.js';
+import { findScheduledLine } from './schedule.js';
+import { loadImageFromDataUrl } from './utils.js';
+
+export class SpriteGenPlayer {
+    /**
+     * @param {HTMLCanvasElement|string} canvas - Canvas (or its ID) to play on; its size is left to CSS
+     * @param {Object} project - Project data, as saved by the editor
+     */
+    constructor(canvas, project) {
+        this.project = project;
+        this.clock = new PlaybackClock();
+        this.canvas = new CanvasEngine(canvas, this.clock, { editable: false });
+        this.dialogueSystem = new DialogueSystem(this.clock);
+        this.audioManager = new AudioManager();
+        this.timeline = new Timeline();
+        this.playback = new ScenePlayback(this.clock, this.canvas, this.dialogueSystem, this.audioManager, this.timeline);
+
+        this.sprites = new Map(); // Sprite ID -> { id, name, image, characterId, variantIndex }
+        this.characters = new Map(); // Character ID -> { id, name, variants }
+        this.images = new Map(); // Image source -> Promise<HTMLImageElement|null>
+        this.variables = [];
+        this.startValues = {};
+        this.storyVariables = new VariableStore([], {});
+
+        this.playing = false;
+        this.paused = false;
+        this.sceneLoad = 0; // Counts scene loads, so a slow one can tell it was replaced
+        this.bgmPlaying = false;
+
+        // Event hooks
+        this.onLineStart = null; // (line, index, scene) when a dialogue line starts
+        this.onLineEnd = null; // (line, index, scene) when a dialogue line has had its time
+        this.onChoice = null; // (option, choice) when the viewer picks a choice option
+        this.onEnd = null; // () when the story reaches its end
+
+        this.setupCallbacks();
+    }
+
+    /**
+     * Connect scene playback, the canvas and the dialogue system to the story
+     */
+    setupCallbacks() {
+        this.playback.getSprite = (id) => this.sprites.get(id);
+        this.playback.getCharacter = (id) => this.characters.get(id);
+        this.playback.getCharacters = () => [...this.characters.values()];
+        this.playback.getStoryVariables = () => this.storyVariables;
+        this.playback.createStartVariables = () => new VariableStore(this.variables, this.startValues);
+        this.playback.onChoice = (option, choice) => {
+            if (this.onChoice) this.onChoice(option, choice);
+        };
+
+        this.canvas.resolveCharacterId = (name) => this.playback.getCharacterIdByName(name);
+        this.dialogueSystem.resolveVariable = (name) => this.storyVariables.get(name);
+        this.canvas.resolveVariable = (name) => this.storyVariables.get(name);
+        this.dialogueSystem.lineCondition = (line) => this.storyVariables.test(line.condition);
+        this.dialogueSystem.onLineChange = (line) => {
+            this.storyVariables.runActions(line.actions);
+            this.playback.applyLineStaging(line);
+            this.playback.playScreenEffects(line.effects);
+            this.playback.updateSpeakerFocus(line);
+        };
+
+        // Clicking the canvas moves the story on; the click that picks a choice doesn't.
+        // The listeners are kept so destroy() can remove them.
+        let choiceClicked = false;
+        this.choiceListener = (e) => {
+            if (e.detail.canvas !== this.canvas.canvas || this.paused) return;
+            choiceClicked = true;
+            this.playback.resolveChoice(e.detail.index);
+        };
+        this.clickListener = () => {
+            if (!choiceClicked) this.advance();
+            choiceClicked = false;
+        };
+        window.addEventListener('choiceSelected', this.choiceListener);
+        this.canvas.canvas.addEventListener('mousedown', this.clickListener);
+    }
+
+    /**
+     * Load the project's images and settings. Call once before playing.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const project = this.project;
+        const assets = project.assets || {};
+
+        for (const character of project.characters || []) {
+            this.characters.set(character.id, { id: character.id, name: character.name, variants: character.variants || [] });
+        }
+
+        const spriteManager = new SpriteManager();
+        for (const data of assets.sprites || []) {
+            const image = await this.loadImage(data.imageSrc);
+            if (!image) continue;
+            const sprite = {
+                originalImage: image,
+                image,
+                removeBackground: data.removeBackground,
+                keySettings: data.keySettings,
+                maskEdits: data.maskEdits,
+                autoTrim: data.autoTrim,
+                effects: data.effects,
+                effectsImage: null,
+                effectsOffset: null
+            };
+            if (data.removeBackground || data.maskEdits || data.autoTrim || hasSpriteEffects(data.effects)) {
+                await spriteManager.processSpriteImage(sprite);
+            }
+            this.sprites.set(data.id, {
+                id: data.id,
+                name: data.name,
+                image: sprite.image,
+                effectsImage: sprite.effectsImage,
+                effectsOffset: sprite.effectsOffset,
+                anchor: normalizeAnchor(data.anchor),
+                characterId: data.characterId || null,
+                variantIndex: data.variantIndex || 0
+            });
+        }
+
+        const skins = new Map();
+        for (const data of assets.skins || []) {
+            const image = await this.loadImage(data.imageSrc);
+            if (image) skins.set(data.id, { id: data.id, name: data.name, image });
+        }
+        this.canvas.setDialogueSkins(skins);
+
+        this.timeline.import(project.timeline);
+        this.variables = project.variables?.definitions || [];
+        this.startValues = project.variables?.previewStart || {};
+
+        if (project.audio) {
+            this.audioManager.loadState(project.audio);
+        }
+        if (project.transitions) {
+            this.canvas.setSceneTransitionStyle(project.transitions.sceneStyle);
+            this.canvas.setSceneTransitionDuration(project.transitions.sceneDuration);
+            this.canvas.setBgTransitionStyle(project.transitions.bgStyle);
+            this.canvas.setBgTransitionDuration(project.transitions.bgDuration);
+            if (project.transitions.sceneColor) {
+                this.canvas.setTransitionColor(project.transitions.sceneColor);
+            }
+        }
+        if (project.speakerFocus) {
+            this.canvas.setSpeakerFocusSettings(project.speakerFocus);
+        }
+        if (project.dialogueTheme) {
+            this.canvas.setDialogueTheme(project.dialogueTheme);
+        }
+        if (project.options?.canvasBackgroundColor) {
+            this.canvas.canvasBackgroundColor = project.options.canvasBackgroundColor;
+        }
+
+        this.canvas.setDialogue(null);
+        this.canvas.render();
+    }
+
+    /**
+     * Load an image once, however many scenes use it
+     * @param {string} src - Image data URL
+     * @returns {Promise<HTMLImageElement|null>} Image, or null if it can't be loaded
+     */
+    loadImage(src) {
+        if (!this.images.has(src)) {
+            this.images.set(src, loadImageFromDataUrl(src).catch(() => null));
+        }
+        return this.images.get(src);
+    }
+
+    // ==================== PLAYBACK ====================
+
+    /**
+     * Start the story, or carry on after pause()
+     * @param {string} sceneId - Scene to start at (defaults to the first scene)
+     */
+    play(sceneId = null) {
+        if (this.paused && !sceneId) {
+            this.paused = false;
+            this.clock.resume();
+            if (this.bgmPlaying) this.audioManager.playBgm();
+            return;
+        }
+
+        this.stop();
+
+        const scene = this.timeline.getSceneById(sceneId) || this.timeline.getAllScenes()[0];
+        if (!scene) return;
+
+        this.playing = true;
+        this.storyVariables = new VariableStore(this.variables, this.startValues);
+        this.startBgm(scene);
+        this.playScene(scene);
+    }
+
+    /**
+     * Hold playback where it is: typing, animations, music and timing all wait for play()
+     */
+    pause() {
+        if (!this.playing || this.paused) return;
+
+        this.paused = true;
+        this.clock.pause();
+        if (this.bgmPlaying) this.audioManager.pauseBgm();
+    }
+
+    /**
+     * Jump to a scene. Story variables keep their values, as if the story had
+     * branched there; if nothing is playing, the story starts at the scene.
+     * @param {string} sceneId - Scene to go to
+     */
+    seek(sceneId) {
+        const scene = this.timeline.getSceneById(sceneId);
+        if (!scene) return;
+        if (!this.playing) {
+            this.play(sceneId);
+            return;
+        }
+
+        if (this.paused) {
+            this.paused = false;
+            this.clock.resume();
+        }
+        this.playback.cancelChoice();
+        this.startBgm(scene);
+        this.playScene(scene);
+    }
+
+    /**
+     * Play the story again from the start
+     */
+    replay() {
+        this.stop();
+        this.play();
+    }
+
+    /**
+     * Stop playback where it is
+     */
+    stop() {
+        this.playing = false;
+        if (this.paused) {
+            this.paused = false;
+            this.clock.resume();
+        }
+        this.playback.stopSceneClock();
+        this.playback.cancelChoice();
+        this.dialogueSystem.stopTyping();
+        if (this.bgmPlaying) {
+            this.audioManager.stopBgm();
+            this.bgmPlaying = false;
+        }
+    }
+
+    /**
+     * Stop playback and release the player: its listeners, animation loop and
+     * audio. Call when removing the player from the page; it can't play again.
+     */
+    destroy() {
+        this.stop();
+        window.removeEventListener('choiceSelected', this.choiceListener);
+        this.canvas.canvas.removeEventListener('mousedown', this.clickListener);
+        this.canvas.destroy();
+        this.audioManager.close();
+    }
+
+    /**
+     * Start the music where a scene sits in the story, as in the editor's preview
+     * @param {Object} scene - Scene data
+     */
+    startBgm(scene) {
+        if (!this.audioManager.bgm) return;
+        this.audioManager.playBgmFrom(this.playback.getSceneStoryOffset(scene) / 1000);
+        this.bgmPlaying = true;
+    }
+
+    /**
+     * Move the story on, as a click does: finish typing the current line,
+     * or go on to the next line (or scene) once it is typed
+     */
+    advance() {
+        const clock = this.playback.sceneClock;
+        if (!clock || this.paused || this.playback.pendingChoice || this.dialogueSystem.isFading) return;
+
+        const { schedule } = clock;
+        const time = this.playback.getSceneClockTime();
+        const position = findScheduledLine(schedule, time);
+        const entry = schedule.lines[position];
+        const next = schedule.lines[position + 1];
+
+        if (entry && time < entry.typeEnd) {
+            this.playback.jumpSceneClock(entry.typeEnd);
+            this.dialogueSystem.skipTyping();
+        } else if (!entry && schedule.lines[0]) {
+            this.playback.jumpSceneClock(schedule.lines[0].start);
+        } else if (next) {
+            this.playback.jumpSceneClock(entry.end);
+        } else {
+            this.playback.jumpSceneClock(schedule.duration);
+        }
+    }
+
+    /**
+     * Skip the rest of the current scene (its choice, if any, is still asked)
+     */
+    skip() {
+        const clock = this.playback.sceneClock;
+        if (!clock || this.paused || this.playback.pendingChoice) return;
+
+        // Lines left in the scene still run their actions, so the story stays the same
+        const time = this.playback.getSceneClockTime();
+        const dialogues = clock.scene.dialogues || [];
+        for (const entry of clock.schedule.lines) {
+            if (entry.start > time) this.storyVariables.runActions(dialogues[entry.index].actions);
+        }
+
+        clock.cues = clock.cues.filter(cue => cue.time >= clock.schedule.duration);
+        this.dialogueSystem.stopTyping();
+        this.playback.jumpSceneClock(clock.schedule.duration);
+    }
+
+    /**
+     * Pick an option of the open choice menu (clicking it does the same)
+     * @param {number} index - Option index, counting only the options shown
+     */
+    resolveChoice(index) {
+        this.playback.resolveChoice(index);
+    }
+
+    /**
+     * Load a scene onto the canvas and play it
+     * @param {Object} scene - Scene data
+     */
+    async playScene(scene) {
+        const load = ++this.sceneLoad;
+        this.playback.stopSceneClock();
+        this.timeline.setCurrentSceneById(scene.id);
+
+        const previousSprites = [...this.canvas.sprites];
+        const previousBackground = this.canvas.background;
+        if (this.canvas.sceneTransitionStyle !== 'none') {
+            this.canvas.captureSceneSnapshot();
+        }
+
+        this.canvas.sprites = [];
+        this.canvas.background = null;
+        this.canvas.dialogue = null;
+        this.dialogueSystem.stopTyping();
+
+        // Background
+        if (scene.background) {
+            const image = await this.loadImage(scene.background);
+            if (!this.playing || load !== this.sceneLoad) return;
+            if (image) {
+                this.canvas.setBackground(image);
+                const changed = scene.background !== previousBackground?.src;
+                if (changed && previousBackground && this.canvas.bgTransitionStyle !== 'none') {
+                    this.canvas.startBackgroundTransition(previousBackground);
+                }
+            }
+        }
+
+        // The scene's actions run first, then the first line whose condition passes starts it
+        this.storyVariables.runActions(scene.actions);
+        const schedule = this.playback.getSceneSchedule(scene, new VariableStore(this.variables, this.storyVariables.getValues()));
+        this.playback.startSceneClock(scene, schedule);
+        const dialogues = scene.dialogues || [];
+        let firstLine = dialogues.findIndex(line => this.storyVariables.test(line.condition));
+        const noLinePlays = firstLine === -1;
+        firstLine = Math.max(0, firstLine);
+
+        // Sprites as staged for the first line, moving over from where they were in the last scene
+        for (const state of this.playback.getStagedSpriteStates(scene, firstLine)) {
+            const sprite = this.playback.createSceneSprite(state);
+            if (!sprite) continue;
+
+            const previous = previousSprites.find(s => sprite.characterId && s.characterId === sprite.characterId) ||
+                previousSprites.find(s => s.id === sprite.id);
+            if (!previous) {
+                this.canvas.sprites.push(sprite);
+                this.canvas.triggerSpriteAnimation(sprite.id);
+            } else if (previous.x !== state.x || previous.y !== state.y) {
+                sprite.x = previous.x;
+                sprite.y = previous.y;
+                this.canvas.sprites.push(sprite);
+                this.canvas.triggerPositionAnimation(sprite.id, previous.x, previous.y, state.x, state.y);
+                this.canvas.triggerSpriteAnimation(sprite.id);
+            } else {
+                this.canvas.sprites.push(sprite);
+            }
+        }
+
+        // Dialogue
+        if (scene.fadeDuration) {
+            this.dialogueSystem.setFadeDuration(scene.fadeDuration);
+        }
+        const lines = dialogues.length > 0 ? dialogues : [{
+            character: '',
+            text: '',
+            style: 'default',
+            visible: false,
+            boxColor: '#e94560',
+            typingSpeed: 35
+        }];
+        this.dialogueSystem.setDialogueLines(lines.map(({ displayedText, isTyping, typingComplete, ...line }) => line), firstLine);
+        const dialogue = this.dialogueSystem.getDialogue();
+        if (noLinePlays) {
+            dialogue.visible = false;
+        } else {
+            this.storyVariables.runActions(lines[firstLine].actions);
+        }
+
+        if (dialogue.visible && dialogue.text) {
+            this.playback.updateSpeakerFocus(dialogue);
+            dialogue.displayedText = '';
+            this.playback.addSceneCue(schedule.lines[0]?.start || 0, () => {
+                this.canvas.setDialogue(dialogue);
+                this.typeCurrentLine();
+            });
+        } else {
+            this.playback.updateSpeakerFocus(null);
+            this.canvas.setDialogue(dialogue);
+        }
+        for (const entry of schedule.lines) {
+            const line = dialogues[entry.index];
+            this.playback.addSceneCue(entry.start, () => {
+                if (this.onLineStart) this.onLineStart(line, entry.index, scene);
+            });
+            this.playback.addSceneCue(entry.end, () => {
+                if (this.onLineEnd) this.onLineEnd(line, entry.index, scene);
+                this.advanceDialogueLine();
+            });
+        }
+
+        this.canvas.setSceneDialogueMode(scene.dialogueMode);
+        this.canvas.setParticleEmitters(scene.weather);
+
+        // Camera
+        const camera = this.playback.getSceneCamera(scene);
+        this.canvas.setCamera(camera.start);
+        if (schedule.camera) {
+            const move = schedule.camera;
+            this.playback.addSceneCue(move.start, () => {
+                this.canvas.animateCamera(camera.start, camera.end, move.end - move.start, camera.easing);
+            });
+        }
+        if (camera.shake.intensity > 0) {
+            this.canvas.startCameraShake(camera.shake.intensity, camera.shake.duration);
+        } else {
+            this.canvas.stopCameraShake();
+        }
+
+        this.canvas.clearScreenEffects();
+        this.playback.playScreenEffects(scene.effects);
+        this.playback.playScreenEffects(dialogues[firstLine]?.effects);
+
+        if (this.canvas.sceneTransitionStyle !== 'none' && previousSprites.length > 0) {
+            this.canvas.startSceneTransition();
+        }
+
+        this.playback.addSceneCue(schedule.duration, () => this.finishScene(scene));
+        this.canvas.render();
+    }
+
+    /**
+     * Leave a scene when it ends, asking its choice if it has one
+     * @param {Object} scene - Scene that finished
+     */
+    finishScene(scene) {
+        if (!scene.choice?.options?.length) {
+            this.goToScene(this.getNextSceneId(scene));
+            return;
+        }
+
+        this.playback.askChoice(scene.choice).then((option) => {
+            if (option) this.goToScene(option.target || this.getNextSceneId(scene));
+        });
+    }
+
+    /**
+     * Carry on at a scene, or end the story
+     * @param {string|null} sceneId - Scene to play next
+     */
+    goToScene(sceneId) {
+        if (!this.playing) return;
+
+        this.playback.stopSceneClock();
+        const scene = this.timeline.getSceneById(sceneId);
+        if (scene) {
+            this.playScene(scene);
+            return;
+        }
+
+        this.stop();
+        this.playback.updateSpeakerFocus(null);
+        this.canvas.stopCameraShake();
+        if (this.onEnd) this.onEnd();
+    }
+
+    /**
+     * Get the scene that follows, checking conditional links against the story variables
+     * @param {Object} scene - Scene that finished
+     * @returns {string|null} Next scene ID, or null at the end of the story
+     */
+    getNextSceneId(scene) {
+        return this.timeline.getNextSceneId(scene, (condition) => this.storyVariables.test(condition));
+    }
+
+    // ==================== DIALOGUE ====================
+
+    /**
+     * Go on to the next dialogue line, asking the line's choice first
+     */
+    advanceDialogueLine() {
+        const line = this.dialogueSystem.dialogueLines[this.dialogueSystem.getCurrentLineIndex()];
+        if (!line?.choice?.options?.length) {
+            this.playNextDialogueLine();
+            return;
+        }
+
+        // Hold the scene clock while the viewer decides
+        this.playback.pauseSceneClock();
+        this.playback.askChoice(line.choice).then((option) => {
+            if (!option || !this.playing) return;
+
+            if (option.target) {
+                this.goToScene(option.target);
+            } else {
+                this.playback.resumeSceneClock();
+                this.playNextDialogueLine();
+            }
+        });
+    }
+
+    /**
+     * Fade to the next dialogue line and type it
+     */
+    playNextDialogueLine() {
+        this.dialogueSystem.advanceToNextLine(
+            (dialogue) => {
+                this.canvas.setCharacterChanging(this.dialogueSystem.isCharacterChanging());
+                this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
+                this.canvas.setDialogue(dialogue);
+            },
+            () => {
+                this.canvas.setCharacterChanging(false);
+                this.typeCurrentLine();
+            }
+        );
+    }
+
+    /**
+     * Show the current dialogue line and type it out
+     */
+    typeCurrentLine() {
+        this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
+        this.dialogueSystem.startTyping((dialogue) => {
+            this.canvas.setDialogueFadeOpacity(this.dialogueSystem.getFadeOpacity());
+            this.canvas.setDialogue(dialogue);
+        });
+    }
+}
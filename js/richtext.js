@@ -0,0 +1,130 @@
+/**
+ * SpriteGen - Rich Text Markup
+ *
+ * Inline tags styling dialogue text:
+ *   {b}bold{/b}  {i}italic{/i}  {color=#f00}red{/color}  {size=1.3}big{/size}
+ *   {shake}shaky{/shake}  {wave}wavy{/wave}  {rainbow}colorful{/rainbow}
+ *   {/} closes every open tag
+ */
+
+/**
+ * Matches one markup tag. Group 1 is the closing slash, group 2 the tag name, group 3 the value.
+ */
+export const MARKUP_TAG_REGEX = /\{(\/?)(b|i|color|size|shake|wave|rainbow|)(?:=([^{}]+))?\}/g;
+
+const BASE_STYLE = {
+    color: null, // null = the line's text color
+    bold: false,
+    italic: false,
+    size: 1,
+    shake: false,
+    wave: false,
+    rainbow: false
+};
+
+const TAG_PROPERTIES = {
+    b: 'bold',
+    i: 'italic',
+    color: 'color',
+    size: 'size',
+    shake: 'shake',
+    wave: 'wave',
+    rainbow: 'rainbow'
+};
+
+/**
+ * Get the style value an opening tag sets
+ * @param {string} tag - Tag name
+ * @param {string} value - Tag value after '='
+ * @returns {*} Style value, or undefined if the value is invalid
+ */
+function getTagValue(tag, value) {
+    if (tag === 'color') {
+        return value ? value.trim() : undefined;
+    }
+    if (tag === 'size') {
+        const size = parseFloat(value);
+        return size > 0 ? Math.min(size, 4) : undefined;
+    }
+    return true;
+}
+
+/**
+ * Split marked-up text into styled runs
+ * @param {string} text - Text with markup tags
+ * @returns {Array} Runs {text, style}
+ */
+export function parseRichText(text) {
+    const runs = [];
+    const style = { ...BASE_STYLE };
+    const stacks = {}; // property -> previous values, so nested tags restore correctly
+    let lastIndex = 0;
+    let match;
+
+    const pushText = (content) => {
+        if (!content) return;
+        const last = runs[runs.length - 1];
+        if (last && sameStyle(last.style, style)) {
+            last.text += content;
+        } else {
+            runs.push({ text: content, style: { ...style } });
+        }
+    };
+
+    MARKUP_TAG_REGEX.lastIndex = 0;
+    while ((match = MARKUP_TAG_REGEX.exec(text)) !== null) {
+        const [tagText, closing, tag, value] = match;
+        pushText(text.slice(lastIndex, match.index));
+        lastIndex = MARKUP_TAG_REGEX.lastIndex;
+
+        if (tag === '') {
+            if (closing) {
+                // {/} resets everything
+                Object.assign(style, BASE_STYLE);
+                for (const key of Object.keys(stacks)) stacks[key] = [];
+            } else {
+                pushText(tagText);
+            }
+            continue;
+        }
+
+        const property = TAG_PROPERTIES[tag];
+        if (closing) {
+            const previous = stacks[property]?.pop();
+            style[property] = previous !== undefined ? previous : BASE_STYLE[property];
+        } else {
+            const tagValue = getTagValue(tag, value);
+            if (tagValue === undefined) {
+                pushText(tagText);
+                continue;
+            }
+            (stacks[property] ||= []).push(style[property]);
+            style[property] = tagValue;
+        }
+    }
+
+    pushText(text.slice(lastIndex));
+    return runs;
+}
+
+/**
+ * Remove markup tags, leaving plain text
+ * @param {string} text - Text with markup tags
+ * @returns {string} Plain text
+ */
+export function stripMarkup(text) {
+    return parseRichText(text || '').map(run => run.text).join('');
+}
+
+/**
+ * Check whether a style needs drawing glyph by glyph
+ * @param {Object} style - Run style
+ * @returns {boolean}
+ */
+export function hasGlyphEffects(style) {
+    return style.shake || style.wave || style.rainbow;
+}
+
+function sameStyle(a, b) {
+    return Object.keys(BASE_STYLE).every(key => a[key] === b[key]);
+}
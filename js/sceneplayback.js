@@ -0,0 +1,489 @@
+/**
+ * SpriteGen - Scene Playback
+ *
+ * How a scene plays, shared by the editor's preview and export and by the
+ * player: the scene clock and its cues, line staging, screen effects,
+ * camera defaults, speaker focus and choice menus. Keeping them in one
+ * place means a story plays the same in the editor and in the web player.
+ * The story's sprites, characters and variables stay with the editor or
+ * player, which hands them over through the get* callbacks.
+ */
+
+import { buildSceneSchedule } from './schedule.js';
+
+export class ScenePlayback {
+    /**
+     * @param {PlaybackClock} clock - Clock that times playback
+     * @param {CanvasEngine} canvas - Canvas the scene plays on
+     * @param {DialogueSystem} dialogueSystem - Dialogue system (for line timing)
+     * @param {AudioManager} audioManager - Audio (for the expression change sound)
+     * @param {Timeline} timeline - The story's scenes
+     */
+    constructor(clock, canvas, dialogueSystem, audioManager, timeline) {
+        this.clock = clock;
+        this.canvas = canvas;
+        this.dialogueSystem = dialogueSystem;
+        this.audioManager = audioManager;
+        this.timeline = timeline;
+
+        this.sceneClock = null; // { scene, schedule, startTime, pausedAt, cues, frame } while a scene plays
+        this.pendingChoice = null; // { choice, options, resolve } while a choice menu waits for the viewer
+
+        // The story's data
+        this.getSprite = null; // (id) => sprite data
+        this.getCharacter = null; // (id) => character { id, name, variants }
+        this.getCharacters = null; // () => every character
+        this.getStoryVariables = null; // () => VariableStore of the story as it plays
+        this.createStartVariables = null; // () => new VariableStore with the story's start values
+
+        this.onTick = null; // (sceneClock, time) once a frame while a scene plays, after its due cues
+        this.onChoice = null; // (option, choice) when the viewer picks a choice option
+    }
+
+    // ==================== SPEAKER FOCUS ====================
+
+    /**
+     * Focus the character speaking a dialogue line (dims the others)
+     * @param {Object|null} dialogue - Dialogue line, or null to clear focus
+     * @param {boolean} immediate - Skip the focus transition
+     */
+    updateSpeakerFocus(dialogue, immediate = false) {
+        let characterId = null;
+        if (dialogue && dialogue.visible !== false && dialogue.character) {
+            characterId = this.getCharacterIdByName(dialogue.character);
+        }
+        this.canvas.setSpeakingCharacter(characterId, immediate);
+    }
+
+    /**
+     * Find a character by the name used in dialogue lines
+     * @param {string} name - Character name
+     * @returns {string|null} Character ID
+     */
+    getCharacterIdByName(name) {
+        const character = this.getCharacters().find(c => c.name === name);
+        return character ? character.id : null;
+    }
+
+    // ==================== CHOICES ====================
+
+    /**
+     * Get the options of a choice whose conditions pass
+     * @param {Object} choice - Choice { prompt, options }
+     * @returns {Array} Options to offer
+     */
+    getAvailableOptions(choice) {
+        const store = this.getStoryVariables();
+        return (choice?.options || []).filter(option => store.test(option.condition));
+    }
+
+    /**
+     * Show a choice menu on the canvas and wait for the viewer to pick
+     * @param {Object} choice - Choice { prompt, options }
+     * @returns {Promise} Resolves with the picked option, or null if cancelled
+     */
+    askChoice(choice) {
+        this.cancelChoice();
+
+        // With every option hidden by its condition, carry on as if an option had no target
+        const options = this.getAvailableOptions(choice);
+        if (options.length === 0) {
+            return Promise.resolve({ id: null, text: '', target: null });
+        }
+
+        return new Promise((resolve) => {
+            this.pendingChoice = { choice, options, resolve };
+            this.canvas.setChoiceMenu({
+                prompt: choice.prompt,
+                options: options.map(option => option.text)
+            });
+        });
+    }
+
+    /**
+     * Pick an option of the open choice menu (clicking it does the same)
+     * @param {number} index - Option index, counting only the options shown
+     */
+    resolveChoice(index) {
+        if (!this.pendingChoice) return;
+
+        const { choice, options, resolve } = this.pendingChoice;
+        const option = options[index];
+        if (!option) return;
+
+        this.pendingChoice = null;
+        this.canvas.setChoiceMenu(null);
+        if (this.onChoice) this.onChoice(option, choice);
+        resolve(option);
+    }
+
+    /**
+     * Close the open choice menu without picking
+     */
+    cancelChoice() {
+        if (!this.pendingChoice) return;
+
+        const { resolve } = this.pendingChoice;
+        this.pendingChoice = null;
+        this.canvas.setChoiceMenu(null);
+        resolve(null);
+    }
+
+    // ==================== LINE STAGING ====================
+
+    /**
+     * Get the key used to match a sprite across dialogue lines
+     * (the character group if it has one, so expression swaps keep their identity)
+     * @param {Object} sprite - Sprite or sprite state
+     * @returns {string} Staging key
+     */
+    getStagingKey(sprite) {
+        return sprite.characterId || sprite.id;
+    }
+
+    /**
+     * Create a canvas sprite from a saved sprite state
+     * @param {Object} state - Sprite state ({ id, x, y, scale, opacity, rotation, flipX, flipY })
+     * @returns {Object|null} Canvas sprite, or null if the sprite no longer exists
+     */
+    createSceneSprite(state) {
+        const sprite = this.getSprite(state.id);
+        if (!sprite) return null;
+
+        return {
+            ...sprite,
+            x: state.x,
+            y: state.y,
+            scale: state.scale,
+            opacity: state.opacity,
+            rotation: state.rotation || 0,
+            flipX: !!state.flipX,
+            flipY: !!state.flipY
+        };
+    }
+
+    /**
+     * Resolve the sprite layout shown on a dialogue line
+     * @param {Object} scene - Scene data
+     * @param {number} lineIndex - Dialogue line index (-1 for the base layout)
+     * @returns {Array} Sprite states with staging of lines 0..lineIndex applied
+     */
+    getStagedSpriteStates(scene, lineIndex) {
+        let states = (scene.sprites || []).map(s => ({
+            id: s.id,
+            characterId: s.characterId || this.getSprite(s.id)?.characterId || null,
+            variantIndex: s.variantIndex || 0,
+            x: s.x,
+            y: s.y,
+            scale: s.scale,
+            opacity: s.opacity,
+            rotation: s.rotation || 0,
+            flipX: !!s.flipX,
+            flipY: !!s.flipY
+        }));
+
+        const dialogues = scene.dialogues || [];
+        for (let i = 0; i <= lineIndex && i < dialogues.length; i++) {
+            if (dialogues[i].staging) {
+                states = this.applySpriteStateOverrides(states, dialogues[i].staging);
+            }
+        }
+
+        return states;
+    }
+
+    /**
+     * Apply a line's staging overrides to a list of sprite states
+     * @param {Array} states - Sprite states before the line
+     * @param {Array} overrides - Staging overrides ({ target, action, spriteId, variantIndex, x, y, scale, opacity, rotation, flipX, flipY })
+     * @returns {Array} New sprite states
+     */
+    applySpriteStateOverrides(states, overrides) {
+        const result = states.map(s => ({ ...s }));
+
+        for (const override of overrides) {
+            const index = result.findIndex(s => this.getStagingKey(s) === override.target);
+
+            if (override.action === 'exit') {
+                if (index !== -1) result.splice(index, 1);
+                continue;
+            }
+
+            let state = result[index];
+            if (!state) {
+                // Only an entering sprite can add itself to the layout
+                if (override.action !== 'enter') continue;
+                const sprite = this.getSprite(override.spriteId);
+                if (!sprite) continue;
+
+                state = {
+                    id: sprite.id,
+                    characterId: sprite.characterId || null,
+                    variantIndex: sprite.variantIndex || 0,
+                    x: sprite.x,
+                    y: sprite.y,
+                    scale: sprite.scale,
+                    opacity: sprite.opacity,
+                    rotation: sprite.rotation || 0,
+                    flipX: !!sprite.flipX,
+                    flipY: !!sprite.flipY
+                };
+                result.push(state);
+            }
+
+            // Expression swap
+            if (override.variantIndex !== undefined && state.characterId) {
+                const character = this.getCharacter(state.characterId);
+                const spriteId = character?.variants[override.variantIndex];
+                if (spriteId) {
+                    state.id = spriteId;
+                    state.variantIndex = override.variantIndex;
+                }
+            }
+
+            for (const prop of ['x', 'y', 'scale', 'opacity', 'rotation', 'flipX', 'flipY']) {
+                if (override[prop] !== undefined) {
+                    state[prop] = override[prop];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply a line's staging to the canvas during playback
+     * Position changes and expression swaps are animated
+     * @param {Object} line - Dialogue line
+     * @param {boolean} playSfx - Play the expression sound on swaps (off while scrubbing)
+     */
+    applyLineStaging(line, playSfx = true) {
+        if (!line.staging) return;
+
+        for (const override of line.staging) {
+            const index = this.canvas.sprites.findIndex(s => this.getStagingKey(s) === override.target);
+
+            if (override.action === 'exit') {
+                if (index !== -1) this.canvas.removeSprite(this.canvas.sprites[index].id);
+                continue;
+            }
+
+            if (index === -1) {
+                if (override.action !== 'enter') continue;
+                const entering = this.createSceneSprite({ ...override, id: override.spriteId });
+                if (entering) this.canvas.addSprite(entering);
+                continue;
+            }
+
+            let sprite = this.canvas.sprites[index];
+
+            // Expression swap keeps the current position, then animates
+            if (override.variantIndex !== undefined && sprite.characterId) {
+                const character = this.getCharacter(sprite.characterId);
+                const newSprite = this.getSprite(character?.variants[override.variantIndex]);
+                if (newSprite && newSprite.id !== sprite.id) {
+                    const swapped = this.createSceneSprite({ ...sprite, id: newSprite.id });
+                    this.canvas.sprites[index] = swapped;
+                    this.canvas.triggerSpriteAnimation(swapped.id);
+                    if (playSfx) this.audioManager.playExpressionSfx();
+                    sprite = swapped;
+                }
+            }
+
+            if (override.scale !== undefined) sprite.scale = override.scale;
+            if (override.opacity !== undefined) sprite.opacity = override.opacity;
+            if (override.rotation !== undefined) sprite.rotation = override.rotation;
+            if (override.flipX !== undefined) sprite.flipX = override.flipX;
+            if (override.flipY !== undefined) sprite.flipY = override.flipY;
+
+            const toX = override.x !== undefined ? override.x : sprite.x;
+            const toY = override.y !== undefined ? override.y : sprite.y;
+            if (toX !== sprite.x || toY !== sprite.y) {
+                this.canvas.triggerPositionAnimation(sprite.id, sprite.x, sprite.y, toX, toY);
+                this.canvas.triggerSpriteAnimation(sprite.id);
+            }
+        }
+
+        this.canvas.render();
+    }
+
+    // ==================== SCREEN EFFECTS AND CAMERA ====================
+
+    /**
+     * Start a list of screen effects on the canvas. While a scene plays,
+     * effects with a delay wait for the scene clock.
+     * @param {Array} effects - Screen effects
+     */
+    playScreenEffects(effects) {
+        for (const effect of effects || []) {
+            if (effect.delay > 0 && this.sceneClock) {
+                this.addSceneCue(this.getSceneClockTime() + effect.delay, () => this.canvas.triggerScreenEffect(effect));
+            } else {
+                this.canvas.triggerScreenEffect(effect);
+            }
+        }
+    }
+
+    /**
+     * Get a scene's camera with defaults filled in
+     * @param {Object|null} scene - Scene data
+     * @returns {Object} Camera { start, end, duration, delay, easing, shake }
+     */
+    getSceneCamera(scene) {
+        const camera = scene?.camera || {};
+        return {
+            start: { zoom: 1, x: this.canvas.width / 2, y: this.canvas.height / 2, ...camera.start },
+            end: camera.end ? { zoom: 1, x: this.canvas.width / 2, y: this.canvas.height / 2, ...camera.end } : null,
+            duration: camera.duration || 0, // 0 = scene duration
+            delay: camera.delay || 0, // ms before the move starts
+            easing: camera.easing || 'easeInOut',
+            shake: { intensity: 0, duration: 0, ...camera.shake }
+        };
+    }
+
+    // ==================== SCENE CLOCK ====================
+
+    /**
+     * Work out when everything in a scene happens
+     * @param {Object} scene - Scene data
+     * @param {VariableStore} store - Variables as the scene starts, after its actions (lines change it
+     *     as they are scheduled). Defaults to the story's start values.
+     * @returns {Object} Schedule from buildSceneSchedule
+     */
+    getSceneSchedule(scene, store = null) {
+        if (!store) {
+            store = this.createStartVariables();
+            store.runActions(scene.actions);
+        }
+
+        return buildSceneSchedule(scene, {
+            fadeDuration: scene.fadeDuration || 300,
+            displayDuration: scene.lineDisplayDuration || 400,
+            camera: this.getSceneCamera(scene),
+            linePlays: (line) => {
+                if (!store.test(line.condition)) return false;
+                store.runActions(line.actions);
+                return true;
+            },
+            parseText: (text) => this.dialogueSystem.parseTextWithPauses(store.interpolate(text))
+        });
+    }
+
+    /**
+     * Get where a scene starts when the timeline plays straight through
+     * @param {Object} scene - Scene data
+     * @returns {number} Milliseconds of earlier scenes
+     */
+    getSceneStoryOffset(scene) {
+        let offset = 0;
+        for (const other of this.timeline.getAllScenes()) {
+            if (other === scene) break;
+            offset += this.getSceneSchedule(other).duration;
+        }
+        return offset;
+    }
+
+    /**
+     * Start the clock that runs a playing scene's cues
+     * @param {Object} scene - Scene being played
+     * @param {Object} schedule - Its schedule
+     */
+    startSceneClock(scene, schedule) {
+        this.stopSceneClock();
+        this.sceneClock = {
+            scene,
+            schedule,
+            startTime: this.clock.now(),
+            pausedAt: null,
+            cues: [], // { time, callback } in time order
+            frame: null
+        };
+        this.sceneClock.frame = this.clock.requestFrame(() => this.tickSceneClock());
+    }
+
+    /**
+     * Get the playing scene's time
+     * @returns {number} Milliseconds since the scene started, not counting pauses
+     */
+    getSceneClockTime() {
+        const clock = this.sceneClock;
+        if (!clock) return 0;
+        return (clock.pausedAt !== null ? clock.pausedAt : this.clock.now()) - clock.startTime;
+    }
+
+    /**
+     * Run a callback when the scene clock reaches a time (straight away if it already has)
+     * @param {number} time - Milliseconds from the scene start
+     * @param {Function} callback - Called at that time
+     */
+    addSceneCue(time, callback) {
+        const clock = this.sceneClock;
+        if (!clock) return;
+
+        if (clock.pausedAt === null && time <= this.getSceneClockTime()) {
+            callback();
+            return;
+        }
+
+        // Cues at the same time run in the order they were added
+        const index = clock.cues.findIndex(cue => cue.time > time);
+        clock.cues.splice(index === -1 ? clock.cues.length : index, 0, { time, callback });
+    }
+
+    /**
+     * Move the scene clock forward to a time; cues on the way run on the next frame
+     * @param {number} time - Milliseconds from the scene start
+     */
+    jumpSceneClock(time) {
+        const clock = this.sceneClock;
+        if (!clock || clock.pausedAt !== null || time <= this.getSceneClockTime()) return;
+        clock.startTime = this.clock.now() - time;
+    }
+
+    /**
+     * Pause the scene clock (cues wait, e.g. while a choice menu is open)
+     */
+    pauseSceneClock() {
+        if (this.sceneClock && this.sceneClock.pausedAt === null) {
+            this.sceneClock.pausedAt = this.clock.now();
+        }
+    }
+
+    /**
+     * Resume a paused scene clock from where it stopped
+     */
+    resumeSceneClock() {
+        const clock = this.sceneClock;
+        if (!clock || clock.pausedAt === null) return;
+
+        clock.startTime += this.clock.now() - clock.pausedAt;
+        clock.pausedAt = null;
+    }
+
+    /**
+     * Stop the scene clock, dropping its cues
+     */
+    stopSceneClock() {
+        if (!this.sceneClock) return;
+        this.clock.cancelFrame(this.sceneClock.frame);
+        this.sceneClock = null;
+    }
+
+    /**
+     * Run the cues that are due (once per frame)
+     */
+    tickSceneClock() {
+        const clock = this.sceneClock;
+        clock.frame = this.clock.requestFrame(() => this.tickSceneClock());
+        if (clock.pausedAt !== null) return;
+
+        const time = this.getSceneClockTime();
+        while (clock.cues.length > 0 && clock.cues[0].time <= time) {
+            clock.cues.shift().callback();
+            // A cue can pause the clock (choices) or move on to another scene
+            if (this.sceneClock !== clock || clock.pausedAt !== null) return;
+        }
+
+        if (this.onTick) this.onTick(clock, time);
+    }
+}
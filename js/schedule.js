@@ -0,0 +1,143 @@
+/**
+ * SpriteGen - Scene Schedule
+ *
+ * Works out when everything in a scene happens, in milliseconds from the
+ * scene start, so playback, the scene timeline panel and scrubbing agree.
+ *
+ * A line's time is the moment it becomes the current line. The line before
+ * it fades out during the half fade leading up to that moment, and typing
+ * starts after the half fade that follows. The first line types straight away.
+ */
+
+import { getTypingDuration } from './dialogue.js';
+
+const END_PADDING = 500; // ms held after the last line before the scene ends
+const DEFAULT_FLASH_DURATION = 300; // Matches the canvas default for flashes without a duration
+
+/**
+ * Check whether a line has been placed at a fixed time
+ * @param {Object} line - Dialogue line
+ * @returns {boolean}
+ */
+export function hasFixedTime(line) {
+    return typeof line.time === 'number' && line.time >= 0;
+}
+
+/**
+ * Build a scene's schedule
+ * @param {Object} scene - Scene data
+ * @param {Object} options - {
+ *     fadeDuration, displayDuration (ms),
+ *     camera (scene camera with defaults filled in),
+ *     linePlays(line, index) - called once per line, in order,
+ *     parseText(text) - returns typewriter segments
+ * }
+ * @returns {Object} {
+ *     duration, fadeDuration,
+ *     lines: [{ index, start, typeStart, typeEnd, end, fixed, segments, typingSpeed }],
+ *     effects: [{ effect, lineIndex, start, end }] (lineIndex is null for scene effects),
+ *     camera: { start, end } or null, shake: { start, end } or null
+ * }
+ */
+export function buildSceneSchedule(scene, options) {
+    const fadeDuration = options.fadeDuration;
+    const halfFade = fadeDuration / 2;
+    const lines = [];
+
+    (scene.dialogues || []).forEach((line, index) => {
+        if (options.linePlays && !options.linePlays(line, index)) return;
+
+        const previous = lines[lines.length - 1];
+        const fixed = hasFixedTime(line);
+        let start;
+        if (!previous) {
+            start = fixed ? line.time : 0;
+        } else if (fixed) {
+            // A fixed line can cut the previous one short, but never overtake it
+            start = Math.max(line.time, previous.start + fadeDuration);
+        } else {
+            start = previous.typeEnd + options.displayDuration + halfFade;
+        }
+
+        const segments = options.parseText(line.text || '');
+        const typingSpeed = line.typingSpeed || 35;
+        const typeStart = start + (previous ? halfFade : 0);
+
+        if (previous) {
+            previous.end = start - halfFade;
+        }
+
+        lines.push({
+            index,
+            start,
+            typeStart,
+            typeEnd: typeStart + getTypingDuration(segments, typingSpeed),
+            end: 0,
+            fixed,
+            segments,
+            typingSpeed
+        });
+    });
+
+    const last = lines[lines.length - 1];
+    if (last) {
+        last.end = last.typeEnd + options.displayDuration;
+    }
+
+    const duration = Math.max(scene.duration || 0, last ? last.end + halfFade + END_PADDING : 0);
+
+    // Screen effects start with the scene or their line, after their own delay
+    const effects = [];
+    const addEffects = (list, offset, lineIndex) => {
+        for (const effect of list || []) {
+            const start = offset + (effect.delay || 0);
+            const length = effect.duration || (effect.type === 'flash' ? DEFAULT_FLASH_DURATION : 0);
+            effects.push({
+                effect,
+                lineIndex,
+                start,
+                end: length > 0 ? start + length : Math.max(duration, start)
+            });
+        }
+    };
+    addEffects(scene.effects, 0, null);
+    for (const entry of lines) {
+        addEffects(scene.dialogues[entry.index].effects, entry.start, entry.index);
+    }
+
+    // Camera move (0 duration runs to the scene's set duration) and shake
+    const camera = options.camera;
+    let cameraMove = null;
+    let shake = null;
+    if (camera?.end) {
+        const start = camera.delay || 0;
+        const length = camera.duration || Math.max(1, (scene.duration || 0) - start);
+        cameraMove = { start, end: start + length };
+    }
+    if (camera?.shake?.intensity > 0) {
+        shake = { start: 0, end: camera.shake.duration > 0 ? camera.shake.duration : duration };
+    }
+
+    return {
+        duration,
+        fadeDuration,
+        lines,
+        effects,
+        camera: cameraMove,
+        shake
+    };
+}
+
+/**
+ * Find the line that is current at a time
+ * @param {Object} schedule - Scene schedule
+ * @param {number} time - Milliseconds from the scene start
+ * @returns {number} Position in schedule.lines, or -1 before the first line
+ */
+export function findScheduledLine(schedule, time) {
+    let current = -1;
+    schedule.lines.forEach((entry, position) => {
+        if (entry.start <= time) current = position;
+    });
+    return current;
+}
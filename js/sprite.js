@@ -2,13 +2,49 @@
  * SpriteGen - Sprite Management with Background Removal
  */
 
-import { generateId, loadImageFromFile, loadImageFromDataUrl } from './utils.js';
+import { generateId, loadImageFromFile, loadImageFromDataUrl, clamp } from './utils.js';
+import { DEFAULT_KEY_SETTINGS, THUMBNAIL_SIZE, normalizeKeySettings, renderSpritePixels, findDominantColor, drawThumbnail } from './imageops.js';
+import { normalizeSpriteEffects, hasSpriteEffects, renderSpriteEffects } from './spriteeffects.js';
+
+/**
+ * Anchor presets. A sprite's anchor is the point of its image (0-1 across and down)
+ * that sits at its position, and that it rotates and scales around.
+ */
+export const SPRITE_ANCHORS = {
+    center: { x: 0.5, y: 0.5 },
+    feet: { x: 0.5, y: 1 },
+    head: { x: 0.5, y: 0 }
+};
+
+/**
+ * Fill in a missing anchor (older projects have none, and were centered) and keep it inside the image
+ * @param {Object} anchor - Saved anchor {x, y}
+ * @returns {Object} Anchor {x, y}
+ */
+export function normalizeAnchor(anchor) {
+    const read = (value) => clamp(Number.isFinite(Number(value)) ? Number(value) : 0.5, 0, 1);
+    return { x: read(anchor?.x), y: read(anchor?.y) };
+}
+
+/**
+ * Name the preset an anchor matches
+ * @param {Object} anchor - Anchor {x, y}
+ * @returns {string} Key of SPRITE_ANCHORS, or 'custom'
+ */
+export function getAnchorPreset(anchor) {
+    const { x, y } = normalizeAnchor(anchor);
+    const match = Object.entries(SPRITE_ANCHORS).find(([, preset]) => preset.x === x && preset.y === y);
+    return match ? match[0] : 'custom';
+}
 
 export class SpriteManager {
     constructor() {
         this.sprites = new Map();
         this.backgrounds = new Map();
         this.characters = new Map(); // Character groups with multiple variants
+        this.skins = new Map(); // Dialogue box / name plate frame images
+        this.workerPool = null; // ImageWorkerPool to process images off the main thread (optional)
+        this.renderRequests = new WeakMap(); // Sprite -> number of its latest processSpriteImage call
     }
 
     /**
@@ -20,34 +56,46 @@ export class SpriteManager {
     }
 
     /**
-     * Import a sprite from a file with optional white background removal
+     * Import a sprite from a file with optional background removal
      * @param {File} file - Image file
-     * @param {boolean} removeWhiteBg - Whether to remove white background
+     * @param {boolean} removeWhiteBg - Whether to remove the background
      * @param {string} characterId - Optional character ID to add variant to
+     * @param {Object} keySettings - Background removal settings (defaults to a white key)
+     * @param {boolean} autoTrim - Whether to trim fully transparent borders
+     * @param {Object} effects - Outline, drop shadow and inner glow settings (defaults to none)
+     * @param {*} tag - Worker pool tag, so the import can be cancelled with others of its batch
      * @returns {Promise<Object>} Sprite data object
      */
-    async importSprite(file, removeWhiteBg = true, characterId = null) {
+    async importSprite(file, removeWhiteBg = true, characterId = null, keySettings = null, autoTrim = false, effects = null, tag = null) {
         const originalImage = await loadImageFromFile(file);
         
-        let processedImage = originalImage;
-        if (removeWhiteBg) {
-            processedImage = await this.removeWhiteBackground(originalImage);
-        }
-        
         const sprite = {
             id: generateId(),
             name: file.name.replace(/\.[^/.]+$/, ''),
             originalImage: originalImage,
-            image: processedImage,
+            image: originalImage,
             x: 1424,
             y: 688,
             scale: 125,
             opacity: 100,
+            rotation: 0,
+            flipX: false,
+            flipY: false,
             removeBackground: removeWhiteBg,
-            dominantColor: this.extractDominantColor(processedImage),
+            keySettings: normalizeKeySettings(keySettings),
+            maskEdits: null,
+            autoTrim,
+            trim: null, // Area of the original image shown after trimming (null if untrimmed)
+            anchor: { ...SPRITE_ANCHORS.center },
+            effects: normalizeSpriteEffects(effects),
+            effectsImage: null, // Sprite drawn with its effects (null if none are on)
+            effectsOffset: null, // Where the sprite's top left corner is in effectsImage
+            dominantColor: null,
+            thumbnail: null,
             characterId: null,
             variantIndex: 0
         };
+        await this.processSpriteImage(sprite, tag);
         
         this.sprites.set(sprite.id, sprite);
         
@@ -74,7 +122,8 @@ export class SpriteManager {
             name: characterName,
             variants: [spriteId],
             activeVariant: 0,
-            boxColor: '#e94560' // Default accent color for dialogue box
+            boxColor: '#e94560', // Default accent color for dialogue box
+            anchor: null // Anchor shared by every variant (null if each has its own)
         };
         
         sprite.characterId = character.id;
@@ -98,6 +147,11 @@ export class SpriteManager {
         sprite.characterId = characterId;
         sprite.variantIndex = character.variants.length;
         character.variants.push(spriteId);
+        
+        // Line it up with the other variants
+        if (character.anchor) {
+            sprite.anchor = { ...character.anchor };
+        }
     }
 
     /**
@@ -157,26 +211,19 @@ export class SpriteManager {
     /**     * Replace a sprite's image with a new file
      * @param {string} spriteId - ID of sprite to replace
      * @param {File} file - New image file
-     * @param {boolean} removeWhiteBg - Whether to remove white background
+     * @param {boolean} removeWhiteBg - Whether to remove the background (with the sprite's key settings)
      * @returns {Promise<Object>} Updated sprite data
      */
     async replaceSpriteImage(spriteId, file, removeWhiteBg = true) {
         const sprite = this.sprites.get(spriteId);
         if (!sprite) return null;
         
-        const originalImage = await loadImageFromFile(file);
-        
-        let processedImage = originalImage;
-        if (removeWhiteBg) {
-            processedImage = await this.removeWhiteBackground(originalImage);
-        }
-        
-        // Update the sprite with new images
-        sprite.originalImage = originalImage;
-        sprite.image = processedImage;
+        // Update the sprite with the new image (hand mask edits were for the old one)
+        sprite.originalImage = await loadImageFromFile(file);
+        sprite.maskEdits = null;
         sprite.name = file.name.replace(/\.[^\/\.]+$/, '');
         sprite.removeBackground = removeWhiteBg;
-        sprite.dominantColor = this.extractDominantColor(processedImage);
+        await this.processSpriteImage(sprite);
         
         return sprite;
     }
@@ -199,278 +246,237 @@ export class SpriteManager {
     }
 
     /**
-     * Remove white background from an image (edge-only flood fill)
+     * Import a dialogue skin image (box frame or name plate)
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} Skin data object
+     */
+    async importSkin(file) {
+        const image = await loadImageFromFile(file);
+        
+        const skin = {
+            id: generateId(),
+            name: file.name.replace(/\.[^/.]+$/, ''),
+            image: image
+        };
+        
+        this.skins.set(skin.id, skin);
+        return skin;
+    }
+
+    /**
+     * Remove a solid-color background from an image (chroma key)
      * @param {HTMLImageElement} image - Source image
-     * @param {number} tolerance - Color tolerance (0-255)
-     * @param {number} featherRadius - Edge feathering radius
+     * @param {Object} settings - Background removal settings (see DEFAULT_KEY_SETTINGS)
      * @returns {Promise<HTMLImageElement>} Image with transparent background
      */
-    async removeWhiteBackground(image, tolerance = 30, featherRadius = 3) {
+    async keyOutBackground(image, settings = DEFAULT_KEY_SETTINGS) {
+        const { image: result } = await this.renderSprite(image, { removeBackground: true, keySettings: settings });
+        return result;
+    }
+
+    /**
+     * Read the color of one pixel of an image (for the key color eyedropper)
+     * @param {HTMLImageElement} image - Image
+     * @param {number} x - Pixel X
+     * @param {number} y - Pixel Y
+     * @returns {string} Hex color
+     */
+    sampleColor(image, x, y) {
         const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
         const ctx = canvas.getContext('2d');
-        
-        canvas.width = image.width;
-        canvas.height = image.height;
-        
-        // Draw original image
-        ctx.drawImage(image, 0, 0);
-        
-        // Get image data
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        // Create mask for pixels to make transparent (flood fill from edges)
-        const mask = new Uint8Array(width * height);
-        const visited = new Uint8Array(width * height);
-        
-        // Flood fill from all edge pixels
-        const queue = [];
-        
-        // Add all edge pixels to queue
-        for (let x = 0; x < width; x++) {
-            queue.push([x, 0]);
-            queue.push([x, height - 1]);
-        }
-        for (let y = 0; y < height; y++) {
-            queue.push([0, y]);
-            queue.push([width - 1, y]);
-        }
-        
-        // Flood fill to find connected white regions from edges
-        while (queue.length > 0) {
-            const [x, y] = queue.shift();
-            
-            if (x < 0 || x >= width || y < 0 || y >= height) continue;
-            
-            const idx = y * width + x;
-            if (visited[idx]) continue;
-            visited[idx] = 1;
-            
-            const pixelIdx = idx * 4;
-            const r = data[pixelIdx];
-            const g = data[pixelIdx + 1];
-            const b = data[pixelIdx + 2];
-            const a = data[pixelIdx + 3];
-            
-            // Check if pixel is near white or already transparent
-            if (this.isNearWhite(r, g, b, tolerance) || a < 10) {
-                mask[idx] = 1; // Mark for transparency
-                
-                // Add neighbors to queue
-                queue.push([x + 1, y]);
-                queue.push([x - 1, y]);
-                queue.push([x, y + 1]);
-                queue.push([x, y - 1]);
-            }
-        }
-        
-        // Apply feathering to edges
-        const featheredMask = this.createFeatheredMask(mask, width, height, featherRadius);
-        
-        // Apply mask to image data
-        for (let i = 0; i < mask.length; i++) {
-            const alpha = featheredMask[i];
-            if (alpha > 0) {
-                const pixelIdx = i * 4;
-                // Blend alpha based on feather value (0-255)
-                const currentAlpha = data[pixelIdx + 3];
-                data[pixelIdx + 3] = Math.max(0, currentAlpha - alpha);
-            }
-        }
-        
-        // Put processed image data back
-        ctx.putImageData(imageData, 0, 0);
-        
-        // Convert to image element
-        return loadImageFromDataUrl(canvas.toDataURL('image/png'));
+        ctx.drawImage(image, -x, -y);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
     }
     
     /**
-     * Create a feathered mask for soft edges
-     * @param {Uint8Array} mask - Binary mask
-     * @param {number} width - Image width
-     * @param {number} height - Image height
-     * @param {number} radius - Feather radius
-     * @returns {Uint8Array} Feathered mask with alpha values
-     */
-    createFeatheredMask(mask, width, height, radius) {
-        const feathered = new Uint8Array(width * height);
-        const extendedRadius = radius + 2; // Extend for smoother edges
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                
-                if (mask[idx] === 1) {
-                    // Fully transparent
-                    feathered[idx] = 255;
-                } else {
-                    // Check distance to nearest masked pixel for feathering
-                    let minDist = extendedRadius + 1;
-                    
-                    for (let dy = -extendedRadius; dy <= extendedRadius; dy++) {
-                        for (let dx = -extendedRadius; dx <= extendedRadius; dx++) {
-                            const nx = x + dx;
-                            const ny = y + dy;
-                            
-                            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                                const nidx = ny * width + nx;
-                                if (mask[nidx] === 1) {
-                                    const dist = Math.sqrt(dx * dx + dy * dy);
-                                    minDist = Math.min(minDist, dist);
-                                }
-                            }
-                        }
-                    }
-                    
-                    if (minDist <= extendedRadius) {
-                        // Smooth cubic falloff for better edge blending
-                        const t = minDist / extendedRadius;
-                        const smoothT = t * t * (3 - 2 * t); // Smoothstep
-                        const featherAmount = 1 - smoothT;
-                        feathered[idx] = Math.floor(featherAmount * 180); // Stronger feathering
-                    }
-                }
-            }
-        }
-        
-        return feathered;
+     * Extract the dominant saturated color from an image, on the worker pool if there is one
+     * @param {HTMLImageElement} image - Image to analyze
+     * @returns {Promise<Object>} RGB color object with hex string
+     */
+    async extractDominantColor(image) {
+        const { dominantColor } = await this.renderSprite(image, {});
+        return dominantColor;
     }
 
     /**
-     * Check if a color is near white
-     * @param {number} r - Red value
-     * @param {number} g - Green value
-     * @param {number} b - Blue value
-     * @param {number} tolerance - Tolerance value
-     * @returns {boolean} True if near white
+     * Update background removal setting for a sprite
+     * @param {string} spriteId - Sprite ID
+     * @param {boolean} removeWhiteBg - Whether to remove background
+     * @param {Object} keySettings - New background removal settings (keeps the sprite's own if omitted)
      */
-    isNearWhite(r, g, b, tolerance) {
-        return r >= 255 - tolerance && 
-               g >= 255 - tolerance && 
-               b >= 255 - tolerance;
+    async updateBackgroundRemoval(spriteId, removeWhiteBg, keySettings = null) {
+        const sprite = this.sprites.get(spriteId);
+        if (!sprite) return;
+        
+        sprite.removeBackground = removeWhiteBg;
+        sprite.keySettings = normalizeKeySettings(keySettings || sprite.keySettings);
+        sprite.image = await this.processSpriteImage(sprite);
+        
+        return sprite;
     }
 
     /**
-     * Smooth edges of transparent areas to reduce harsh transitions
-     * @param {ImageData} imageData - Image data to process
+     * Turn trimming of a sprite's fully transparent borders on or off
+     * @param {string} spriteId - Sprite ID
+     * @param {boolean} autoTrim - Whether to trim
+     * @returns {Promise<Object>} Updated sprite data
      */
-    smoothEdges(imageData) {
-        // This method is now handled by createFeatheredMask
-        // Kept for backwards compatibility
+    async setSpriteAutoTrim(spriteId, autoTrim) {
+        const sprite = this.sprites.get(spriteId);
+        if (!sprite) return null;
+        
+        sprite.autoTrim = autoTrim;
+        await this.processSpriteImage(sprite);
+        
+        return sprite;
     }
 
     /**
-     * Extract the dominant saturated color from an image
-     * Prioritizes the most frequently occurring saturated color
-     * @param {HTMLImageElement} image - Image to analyze
-     * @returns {Object} RGB color object with hex string
+     * Change a sprite's outline, drop shadow and inner glow
+     * @param {string} spriteId - Sprite ID
+     * @param {Object} effects - Effect settings (see DEFAULT_SPRITE_EFFECTS)
+     * @returns {Promise<Object>} Updated sprite data
      */
-    extractDominantColor(image) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Use smaller size for performance
-        const sampleSize = 100;
-        canvas.width = sampleSize;
-        canvas.height = sampleSize;
+    async setSpriteEffects(spriteId, effects) {
+        const sprite = this.sprites.get(spriteId);
+        if (!sprite) return null;
         
-        ctx.drawImage(image, 0, 0, sampleSize, sampleSize);
-        const imageData = ctx.getImageData(0, 0, sampleSize, sampleSize);
-        const data = imageData.data;
+        sprite.effects = normalizeSpriteEffects(effects);
+        await this.processSpriteImage(sprite);
         
-        // Color buckets for quantization - weighted by saturation
-        const colorCounts = new Map();
+        return sprite;
+    }
+
+    /**
+     * Set a sprite's anchor. If its character shares one anchor, every variant gets it.
+     * @param {string} spriteId - Sprite ID
+     * @param {Object} anchor - Anchor {x, y}
+     * @returns {Array} Sprites whose anchor changed
+     */
+    setSpriteAnchor(spriteId, anchor) {
+        const sprite = this.sprites.get(spriteId);
+        if (!sprite) return [];
         
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const a = data[i + 3];
-            
-            // Skip transparent pixels
-            if (a < 128) continue;
-            
-            // Calculate saturation (0-1)
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            const lightness = (max + min) / 2 / 255;
-            const saturation = max === min ? 0 : 
-                lightness > 0.5 ? (max - min) / (510 - max - min) : (max - min) / (max + min);
-            
-            // Skip low saturation colors (grays, whites, blacks)
-            // Require at least 25% saturation to be considered
-            if (saturation < 0.25) continue;
-            
-            // Also skip very dark or very bright colors
-            const brightness = (r + g + b) / 3;
-            if (brightness < 30 || brightness > 245) continue;
-            
-            // Quantize to reduce color variations (bucket by 24 for finer granularity)
-            const qr = Math.floor(r / 24) * 24;
-            const qg = Math.floor(g / 24) * 24;
-            const qb = Math.floor(b / 24) * 24;
-            
-            const key = `${qr},${qg},${qb}`;
-            // Weight count by saturation to prefer more saturated colors
-            const weight = 1 + saturation;
-            colorCounts.set(key, (colorCounts.get(key) || 0) + weight);
+        const character = sprite.characterId && this.characters.get(sprite.characterId);
+        if (character?.anchor) {
+            return this.setCharacterAnchor(character.id, anchor);
         }
+        sprite.anchor = normalizeAnchor(anchor);
+        return [sprite];
+    }
+
+    /**
+     * Share one anchor between all of a character's variants, so expression swaps line up
+     * @param {string} characterId - Character ID
+     * @param {Object|null} anchor - Shared anchor {x, y}, or null to let each variant keep its own
+     * @returns {Array} Sprites whose anchor changed
+     */
+    setCharacterAnchor(characterId, anchor) {
+        const character = this.characters.get(characterId);
+        if (!character) return [];
         
-        // Find most common saturated color
-        let maxCount = 0;
-        let dominantKey = null;
+        character.anchor = anchor ? normalizeAnchor(anchor) : null;
+        if (!character.anchor) return [];
         
-        for (const [key, count] of colorCounts) {
-            if (count > maxCount) {
-                maxCount = count;
-                dominantKey = key;
-            }
+        const variants = this.getCharacterVariants(characterId);
+        for (const variant of variants) {
+            variant.anchor = { ...character.anchor };
         }
-        
-        // Fallback to a default if no saturated colors found
-        if (!dominantKey) {
-            return { r: 233, g: 69, b: 96, hex: '#e94560' };
+        return variants;
+    }
+
+    /**
+     * Make a sprite's shown image: its background removal, then its hand mask edits, then trimming.
+     * Also refreshes its effects image, dominant color and list thumbnail.
+     * @param {Object} sprite - Sprite data ({ originalImage, removeBackground, keySettings, maskEdits, autoTrim, effects })
+     * @param {*} tag - Worker pool tag (see ImageWorkerPool.cancel)
+     * @returns {Promise<HTMLImageElement>} Processed image
+     */
+    async processSpriteImage(sprite, tag = null) {
+        const request = (this.renderRequests.get(sprite) || 0) + 1;
+        this.renderRequests.set(sprite, request);
+        
+        const result = await this.renderSprite(sprite.originalImage, sprite, THUMBNAIL_SIZE, tag);
+        
+        // Settings can change again while a sprite is processed; only the latest result counts
+        if (this.renderRequests.get(sprite) === request) {
+            sprite.image = result.image;
+            sprite.trim = result.trim;
+            sprite.effectsImage = result.effectsImage;
+            sprite.effectsOffset = result.effectsOffset;
+            sprite.dominantColor = result.dominantColor;
+            sprite.thumbnail = result.thumbnail;
         }
-        
-        const [r, g, b] = dominantKey.split(',').map(Number);
-        
-        // Boost saturation slightly for better visibility in UI
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        const mid = (max + min) / 2;
-        
-        // Push colors slightly away from gray
-        const boostFactor = 1.15;
-        let finalR = Math.min(255, Math.max(0, Math.round(mid + (r - mid) * boostFactor)));
-        let finalG = Math.min(255, Math.max(0, Math.round(mid + (g - mid) * boostFactor)));
-        let finalB = Math.min(255, Math.max(0, Math.round(mid + (b - mid) * boostFactor)));
-        
-        const hex = '#' + [finalR, finalG, finalB].map(x => x.toString(16).padStart(2, '0')).join('');
-        
-        return { r: finalR, g: finalG, b: finalB, hex };
+        return sprite.image;
     }
 
     /**
-     * Update background removal setting for a sprite
-     * @param {string} spriteId - Sprite ID
-     * @param {boolean} removeWhiteBg - Whether to remove background
+     * Get a sprite's image with only the automatic background removal (no hand edits, not trimmed)
+     * @param {Object} sprite - Sprite data
+     * @returns {Promise<HTMLImageElement>} Image
      */
-    async updateBackgroundRemoval(spriteId, removeWhiteBg) {
-        const sprite = this.sprites.get(spriteId);
-        if (!sprite) return;
-        
-        sprite.removeBackground = removeWhiteBg;
-        
-        if (removeWhiteBg) {
-            sprite.image = await this.removeWhiteBackground(sprite.originalImage);
-        } else {
-            sprite.image = sprite.originalImage;
+    async getAutoMaskedImage(sprite) {
+        const { image } = await this.renderSprite(sprite.originalImage, { ...sprite, maskEdits: null, autoTrim: false, effects: null });
+        return image;
+    }
+
+    /**
+     * Run the image processing for a sprite, on the worker pool if there is one.
+     * If the workers can't start, it runs on the main thread instead.
+     * @param {HTMLImageElement} source - Image before background removal
+     * @param {Object} options - { removeBackground, keySettings, maskEdits (edit layer data URL), autoTrim, effects }
+     * @param {number} thumbnailSize - Size of the list thumbnail to make (0 for none)
+     * @param {*} tag - Worker pool tag (see ImageWorkerPool.cancel)
+     * @returns {Promise<Object>} { image, trim, effectsImage, effectsOffset, dominantColor, thumbnail }
+     */
+    async renderSprite(source, options, thumbnailSize = 0, tag = null) {
+        const removeBackground = !!options.removeBackground;
+        const keySettings = normalizeKeySettings(options.keySettings);
+        const maskEdits = options.maskEdits || null;
+        const trim = !!options.autoTrim;
+        const effects = hasSpriteEffects(options.effects) ? normalizeSpriteEffects(options.effects) : null;
+        
+        if (this.workerPool && !this.workerPool.failed) {
+            try {
+                const bitmap = await createImageBitmap(source);
+                const result = await this.workerPool.run('sprite', {
+                    image: bitmap, removeBackground, keySettings, maskEdits, trim, effects, thumbnailSize
+                }, [bitmap], tag);
+                return {
+                    image: result.image ? await loadImageFromDataUrl(result.image) : source,
+                    trim: result.trim,
+                    effectsImage: result.effectsImage ? await loadImageFromDataUrl(result.effectsImage) : null,
+                    effectsOffset: result.effectsOffset,
+                    dominantColor: result.dominantColor,
+                    thumbnail: result.thumbnail
+                };
+            } catch (error) {
+                if (!this.workerPool.failed) throw error;
+            }
         }
         
-        return sprite;
+        let image = source;
+        let trimmed = null;
+        if (removeBackground || maskEdits || trim) {
+            const edits = maskEdits ? await loadImageFromDataUrl(maskEdits) : null;
+            const rendered = renderSpritePixels(createCanvas, source, edits, { removeBackground, keySettings, trim });
+            image = await loadImageFromDataUrl(rendered.canvas.toDataURL('image/png'));
+            trimmed = rendered.trim;
+        }
+        const withEffects = effects ? renderSpriteEffects(createCanvas, image, effects) : null;
+        return {
+            image,
+            trim: trimmed,
+            effectsImage: withEffects ? await loadImageFromDataUrl(withEffects.canvas.toDataURL('image/png')) : null,
+            effectsOffset: withEffects ? withEffects.offset : null,
+            dominantColor: findDominantColor(createCanvas, image),
+            thumbnail: thumbnailSize
+                ? drawThumbnail(createCanvas, withEffects ? withEffects.canvas : image, thumbnailSize).toDataURL('image/png')
+                : null
+        };
     }
 
     /**
@@ -491,6 +497,15 @@ export class SpriteManager {
         return this.backgrounds.get(id);
     }
 
+    /**
+     * Get a dialogue skin by ID
+     * @param {string} id - Skin ID
+     * @returns {Object|undefined} Skin data
+     */
+    getSkin(id) {
+        return this.skins.get(id);
+    }
+
     /**
      * Delete a sprite
      * @param {string} id - Sprite ID
@@ -524,41 +539,42 @@ export class SpriteManager {
     }
 
     /**
-     * Create a thumbnail for an asset
+     * Get all dialogue skins
+     * @returns {Array} Array of skin objects
+     */
+    getAllSkins() {
+        return Array.from(this.skins.values());
+    }
+
+    /**
+     * Create a thumbnail for an asset, on the worker pool if there is one (and it can start)
      * @param {HTMLImageElement} image - Image element
      * @param {number} size - Thumbnail size
-     * @returns {string} Thumbnail data URL
+     * @returns {Promise<string>} Thumbnail data URL
      */
-    createThumbnail(image, size = 80) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = size;
-        canvas.height = size;
-        
-        // Calculate aspect ratio fit
-        const scale = Math.min(size / image.width, size / image.height);
-        const width = image.width * scale;
-        const height = image.height * scale;
-        const x = (size - width) / 2;
-        const y = (size - height) / 2;
-        
-        // Draw checkerboard background for transparency
-        ctx.fillStyle = '#2a2a4a';
-        ctx.fillRect(0, 0, size, size);
-        
-        const checkerSize = 10;
-        ctx.fillStyle = '#3a3a5a';
-        for (let cy = 0; cy < size; cy += checkerSize * 2) {
-            for (let cx = 0; cx < size; cx += checkerSize * 2) {
-                ctx.fillRect(cx, cy, checkerSize, checkerSize);
-                ctx.fillRect(cx + checkerSize, cy + checkerSize, checkerSize, checkerSize);
+    async createThumbnail(image, size = THUMBNAIL_SIZE) {
+        if (this.workerPool && !this.workerPool.failed) {
+            try {
+                const bitmap = await createImageBitmap(image);
+                const { thumbnail } = await this.workerPool.run('thumbnail', { image: bitmap, size }, [bitmap]);
+                return thumbnail;
+            } catch (error) {
+                if (!this.workerPool.failed) throw error;
             }
         }
-        
-        // Draw image
-        ctx.drawImage(image, x, y, width, height);
-        
-        return canvas.toDataURL('image/png');
+        return drawThumbnail(createCanvas, image, size).toDataURL('image/png');
     }
 }
+
+/**
+ * Create a canvas for the image processing functions
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
@@ -0,0 +1,248 @@
+/**
+ * SpriteGen - Sprite Effects
+ *
+ * Outline, drop shadow and inner glow, worked out from a sprite's alpha
+ * channel. They're drawn once into an effects image, a little larger than
+ * the sprite, that the canvas shows in its place. Like imageops.js, nothing
+ * here touches the page, so it runs in the image workers too.
+ */
+
+import { hexToRgb, squaredDistances } from './imageops.js';
+import { clamp } from './utils.js';
+
+/**
+ * Effect settings, saved per sprite
+ *   outline: color and thickness (pixels) of a line around the sprite's shape
+ *   shadow: color, offset and blur (pixels) and opacity (0-100) of a soft shadow behind the sprite and its outline
+ *   glow: color, size (how far in from the edge, in pixels) and opacity (0-100) of a glow inside the sprite's edges
+ */
+export const DEFAULT_SPRITE_EFFECTS = {
+    outline: { enabled: false, color: '#ffffff', thickness: 4 },
+    shadow: { enabled: false, color: '#000000', offsetX: 8, offsetY: 8, blur: 10, opacity: 50 },
+    glow: { enabled: false, color: '#ffffff', size: 10, opacity: 60 }
+};
+
+// Pixels at least this opaque count as part of the sprite's shape
+const SHAPE_ALPHA = 128;
+
+/**
+ * Fill in missing effect settings and keep values in range
+ * @param {Object} effects - Saved settings (may be partial, or missing in older projects)
+ * @returns {Object} Complete settings
+ */
+export function normalizeSpriteEffects(effects) {
+    const outline = { ...DEFAULT_SPRITE_EFFECTS.outline, ...effects?.outline };
+    const shadow = { ...DEFAULT_SPRITE_EFFECTS.shadow, ...effects?.shadow };
+    const glow = { ...DEFAULT_SPRITE_EFFECTS.glow, ...effects?.glow };
+    const color = (value, fallback) => /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+    const number = (value, min, max) => clamp(Math.round(Number(value) || 0), min, max);
+
+    return {
+        outline: {
+            enabled: !!outline.enabled,
+            color: color(outline.color, DEFAULT_SPRITE_EFFECTS.outline.color),
+            thickness: number(outline.thickness, 1, 40)
+        },
+        shadow: {
+            enabled: !!shadow.enabled,
+            color: color(shadow.color, DEFAULT_SPRITE_EFFECTS.shadow.color),
+            offsetX: number(shadow.offsetX, -100, 100),
+            offsetY: number(shadow.offsetY, -100, 100),
+            blur: number(shadow.blur, 0, 60),
+            opacity: number(shadow.opacity, 0, 100)
+        },
+        glow: {
+            enabled: !!glow.enabled,
+            color: color(glow.color, DEFAULT_SPRITE_EFFECTS.glow.color),
+            size: number(glow.size, 1, 60),
+            opacity: number(glow.opacity, 0, 100)
+        }
+    };
+}
+
+/**
+ * Check whether any effect is switched on
+ * @param {Object} effects - Effect settings
+ * @returns {boolean} True if renderSpriteEffects would draw something
+ */
+export function hasSpriteEffects(effects) {
+    return !!(effects?.outline?.enabled || effects?.shadow?.enabled || effects?.glow?.enabled);
+}
+
+/**
+ * Draw a sprite with its effects. The result has room around the sprite for the outline and shadow.
+ * @param {Function} createCanvas - (width, height) => a new canvas or OffscreenCanvas
+ * @param {CanvasImageSource} source - Sprite image (background already removed)
+ * @param {Object} effects - Effect settings (see DEFAULT_SPRITE_EFFECTS)
+ * @returns {Object} { canvas, offset ({x, y}: where the sprite's top left corner is in the canvas) }
+ */
+export function renderSpriteEffects(createCanvas, source, effects) {
+    const { outline, shadow, glow } = normalizeSpriteEffects(effects);
+
+    // Room for the outline all round, and for the shadow on the side it falls
+    const outlineRoom = outline.enabled ? outline.thickness + 1 : 0;
+    const blurPasses = [0, 0, 0].map((_, pass) => Math.floor((shadow.blur + pass) / 3));
+    const shadowRoom = (offset, side) => shadow.enabled
+        ? Math.max(0, outlineRoom + shadow.blur + offset * side)
+        : 0;
+    const left = Math.max(outlineRoom, shadowRoom(shadow.offsetX, -1));
+    const right = Math.max(outlineRoom, shadowRoom(shadow.offsetX, 1));
+    const top = Math.max(outlineRoom, shadowRoom(shadow.offsetY, -1));
+    const bottom = Math.max(outlineRoom, shadowRoom(shadow.offsetY, 1));
+
+    const width = source.width + left + right;
+    const height = source.height + top + bottom;
+    const ctx = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, left, top);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    const pixelCount = width * height;
+
+    if (glow.enabled) {
+        addInnerGlow(data, width, height, glow);
+    }
+
+    // The outline covers everything within its thickness of the sprite's shape
+    let outlineAlpha = null;
+    if (outline.enabled) {
+        const shape = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            shape[i] = data[i * 4 + 3] >= SHAPE_ALPHA ? 1 : 0;
+        }
+        const distances = squaredDistances(shape, width, height);
+        outlineAlpha = new Float32Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            outlineAlpha[i] = clamp(outline.thickness + 0.5 - Math.sqrt(distances[i]), 0, 1);
+        }
+    }
+
+    // The shadow is the outlined shape, moved and blurred
+    let shadowAlpha = null;
+    if (shadow.enabled) {
+        shadowAlpha = new Float32Array(pixelCount);
+        for (let y = 0; y < height; y++) {
+            const sy = y - shadow.offsetY;
+            if (sy < 0 || sy >= height) continue;
+            for (let x = 0; x < width; x++) {
+                const sx = x - shadow.offsetX;
+                if (sx < 0 || sx >= width) continue;
+                const from = sy * width + sx;
+                shadowAlpha[y * width + x] = Math.max(data[from * 4 + 3] / 255, outlineAlpha ? outlineAlpha[from] : 0);
+            }
+        }
+        for (const radius of blurPasses) {
+            boxBlur(shadowAlpha, width, height, radius);
+        }
+    }
+
+    // Layer them, bottom up: shadow, outline, sprite
+    const shadowColor = hexToRgb(shadow.color);
+    const shadowOpacity = shadow.opacity / 100;
+    const outlineColor = hexToRgb(outline.color);
+    for (let i = 0; i < pixelCount; i++) {
+        const p = i * 4;
+        let r = 0; // Premultiplied by alpha until the end
+        let g = 0;
+        let b = 0;
+        let a = 0;
+
+        if (shadowAlpha) {
+            a = shadowAlpha[i] * shadowOpacity;
+            r = shadowColor.r * a;
+            g = shadowColor.g * a;
+            b = shadowColor.b * a;
+        }
+        if (outlineAlpha && outlineAlpha[i] > 0) {
+            const alpha = outlineAlpha[i];
+            const rest = 1 - alpha;
+            r = outlineColor.r * alpha + r * rest;
+            g = outlineColor.g * alpha + g * rest;
+            b = outlineColor.b * alpha + b * rest;
+            a = alpha + a * rest;
+        }
+        const alpha = data[p + 3] / 255;
+        const rest = 1 - alpha;
+        r = data[p] * alpha + r * rest;
+        g = data[p + 1] * alpha + g * rest;
+        b = data[p + 2] * alpha + b * rest;
+        a = alpha + a * rest;
+
+        if (a > 0) {
+            data[p] = r / a;
+            data[p + 1] = g / a;
+            data[p + 2] = b / a;
+        }
+        data[p + 3] = a * 255;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return { canvas: ctx.canvas, offset: { x: left, y: top } };
+}
+
+/**
+ * Tint the sprite's pixels near its edges with the glow color, strongest at the edge
+ * @param {Uint8ClampedArray} data - RGBA pixels, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} glow - Glow settings
+ */
+function addInnerGlow(data, width, height, glow) {
+    // Distance to the nearest pixel outside the shape, counting a border of them around the image
+    const gridWidth = width + 2;
+    const gridHeight = height + 2;
+    const outside = new Uint8Array(gridWidth * gridHeight).fill(1);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            outside[(y + 1) * gridWidth + x + 1] = data[(y * width + x) * 4 + 3] >= SHAPE_ALPHA ? 0 : 1;
+        }
+    }
+    const distances = squaredDistances(outside, gridWidth, gridHeight);
+
+    const color = hexToRgb(glow.color);
+    const opacity = glow.opacity / 100;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = (y * width + x) * 4;
+            if (data[p + 3] === 0) continue;
+
+            const distance = Math.sqrt(distances[(y + 1) * gridWidth + x + 1]);
+            const strength = clamp(1 - (distance - 1) / glow.size, 0, 1) * opacity;
+            if (strength === 0) continue;
+            data[p] += (color.r - data[p]) * strength;
+            data[p + 1] += (color.g - data[p + 1]) * strength;
+            data[p + 2] += (color.b - data[p + 2]) * strength;
+        }
+    }
+}
+
+/**
+ * Blur values with a box of the given radius, across then down (three passes look like a Gaussian blur)
+ * @param {Float32Array} values - Values, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Box radius in pixels (0 leaves the values alone)
+ */
+function boxBlur(values, width, height, radius) {
+    if (radius < 1) return;
+    const size = radius * 2 + 1;
+    const line = new Float32Array(Math.max(width, height));
+
+    const blurLine = (length, read, write) => {
+        for (let i = 0; i < length; i++) line[i] = read(i);
+        let sum = 0;
+        for (let i = 0; i < Math.min(radius, length); i++) sum += line[i];
+        for (let i = 0; i < length; i++) {
+            if (i + radius < length) sum += line[i + radius];
+            if (i - radius - 1 >= 0) sum -= line[i - radius - 1];
+            write(i, sum / size);
+        }
+    };
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        blurLine(width, x => values[row + x], (x, value) => { values[row + x] = value; });
+    }
+    for (let x = 0; x < width; x++) {
+        blurLine(height, y => values[y * width + x], (y, value) => { values[y * width + x] = value; });
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * SpriteGen - Dialogue Box Themes
+ */
+
+/**
+ * Default theme, matching the original dialogue box.
+ * Empty colors fall back to the dialogue line's box color.
+ */
+export const DEFAULT_DIALOGUE_THEME = {
+    name: 'Classic',
+
+    // Box layout
+    boxHeight: 200,
+    marginX: 40,
+    marginBottom: 40,
+    padding: 30,
+    cornerRadius: 10,
+
+    // Box colors
+    fillColor: '#000000',
+    fillOpacity: 0.85,
+    borderWidth: 4,
+    borderColor: '',
+    accentBar: true,
+    accentBarHeight: 6,
+
+    // Name
+    namePlacement: 'inside', // 'inside', 'tab' (attached above the box) or 'plate' (separate plate)
+    nameFontSize: 38,
+    nameColor: '',
+    nameOffsetX: 0,
+    nameOffsetY: 32, // Baseline below the top padding when inside the box
+    platePaddingX: 24,
+    plateHeight: 60,
+    plateGap: 12, // Space between a separate plate and the box
+
+    // Image skins (IDs of project skin assets, '' = vector drawing) with nine-slice insets in source pixels
+    boxSkin: '',
+    boxSliceTop: 24,
+    boxSliceRight: 24,
+    boxSliceBottom: 24,
+    boxSliceLeft: 24,
+    plateSkin: '',
+    plateSliceTop: 16,
+    plateSliceRight: 16,
+    plateSliceBottom: 16,
+    plateSliceLeft: 16,
+
+    // Text
+    fontFamily: 'Calamity, "Segoe UI", sans-serif',
+    textFontSize: 36,
+    textColor: '#ffffff',
+    textOffsetY: 75, // First baseline below the top padding
+    lineHeight: 1.4
+};
+
+/**
+ * Built-in theme presets
+ */
+export const DIALOGUE_THEME_PRESETS = {
+    classic: DEFAULT_DIALOGUE_THEME,
+    novel: {
+        ...DEFAULT_DIALOGUE_THEME,
+        name: 'Visual Novel',
+        boxHeight: 220,
+        cornerRadius: 6,
+        fillOpacity: 0.75,
+        borderWidth: 2,
+        accentBar: false,
+        namePlacement: 'tab',
+        nameFontSize: 34,
+        nameColor: '#ffffff',
+        textOffsetY: 40
+    },
+    minimal: {
+        ...DEFAULT_DIALOGUE_THEME,
+        name: 'Minimal',
+        boxHeight: 180,
+        marginX: 0,
+        marginBottom: 0,
+        cornerRadius: 0,
+        fillOpacity: 0.6,
+        borderWidth: 0,
+        accentBar: true,
+        accentBarHeight: 3,
+        nameFontSize: 32,
+        textOffsetY: 65
+    },
+    soft: {
+        ...DEFAULT_DIALOGUE_THEME,
+        name: 'Soft Plate',
+        boxHeight: 190,
+        marginX: 120,
+        cornerRadius: 40,
+        fillColor: '#fdf6ec',
+        fillOpacity: 0.95,
+        borderWidth: 3,
+        accentBar: false,
+        namePlacement: 'plate',
+        nameFontSize: 32,
+        nameColor: '#ffffff',
+        plateHeight: 56,
+        textColor: '#3a2f2f',
+        textOffsetY: 42
+    }
+};
+
+/**
+ * Fill in missing theme values with defaults
+ * @param {Object} theme - Possibly partial theme
+ * @returns {Object} Complete theme
+ */
+export function normalizeDialogueTheme(theme) {
+    const normalized = { ...DEFAULT_DIALOGUE_THEME };
+
+    for (const key of Object.keys(DEFAULT_DIALOGUE_THEME)) {
+        if (theme && theme[key] !== undefined && typeof theme[key] === typeof DEFAULT_DIALOGUE_THEME[key]) {
+            normalized[key] = theme[key];
+        }
+    }
+
+    return normalized;
+}
@@ -33,9 +33,25 @@ export class Timeline {
                 boxColor: '#e94560',
                 typingSpeed: 35
             }],
+            // Dialogue presentation for lines that don't choose one: 'box' or 'bubble'
+            dialogueMode: 'box',
             // Legacy single dialogue support (for backwards compatibility)
             dialogue: null,
             fadeDuration: 300,
+            // Optional camera: { start, end, duration, easing, shake }
+            camera: null,
+            // Weather/ambient particle emitters
+            weather: [],
+            // Screen effects (flash, shake, vignette, tint) started with the scene
+            effects: [],
+            // Scene played next: null (following scene in the timeline), a scene ID or 'end'
+            next: null,
+            // Optional choice menu shown when the scene ends: { prompt, options: [{ id, text, target, condition }] }
+            choice: null,
+            // Conditional links checked before `next`: [{ id, condition, target }]
+            branches: [],
+            // Story variable actions run when the scene starts: [{ id, variable, op, value }]
+            actions: [],
             thumbnail: null
         };
         
@@ -77,7 +93,8 @@ export class Timeline {
     deleteScene() {
         if (this.scenes.length <= 1) return false;
         
-        this.scenes.splice(this.currentSceneIndex, 1);
+        const removed = this.scenes.splice(this.currentSceneIndex, 1)[0];
+        this.removeLinksTo(removed.id);
         
         if (this.currentSceneIndex >= this.scenes.length) {
             this.currentSceneIndex = this.scenes.length - 1;
@@ -119,6 +136,93 @@ export class Timeline {
         return null;
     }
 
+    /**
+     * Get scene by ID
+     * @param {string} id - Scene ID
+     * @returns {Object|null} Scene or null if not found
+     */
+    getSceneById(id) {
+        return this.scenes.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Get the ID of the scene that follows a scene when no choice is made
+     * @param {Object} scene - Scene data
+     * @param {Function} testCondition - Optional condition test; without it conditional links are ignored
+     * @returns {string|null} Next scene ID, or null if the story ends
+     */
+    getNextSceneId(scene, testCondition = null) {
+        if (!scene) return null;
+        
+        // The first conditional link that passes wins
+        if (testCondition) {
+            const branch = (scene.branches || []).find(b => this.getSceneById(b.target) && testCondition(b.condition));
+            if (branch) return branch.target;
+        }
+        
+        if (scene.next === 'end') return null;
+        if (scene.next && this.getSceneById(scene.next)) return scene.next;
+        
+        const index = this.scenes.indexOf(scene);
+        const following = this.scenes[index + 1];
+        return index !== -1 && following ? following.id : null;
+    }
+
+    /**
+     * Get every link between scenes, for drawing the scene graph
+     * @returns {Array} Links { from, to, type: 'next', 'branch' or 'choice', label, implicit (follows timeline order) }
+     */
+    getSceneLinks() {
+        const links = [];
+        
+        for (const scene of this.scenes) {
+            const choices = [scene.choice, ...(scene.dialogues || []).map(line => line.choice)];
+            for (const choice of choices) {
+                for (const option of choice?.options || []) {
+                    if (this.getSceneById(option.target)) {
+                        links.push({ from: scene.id, to: option.target, type: 'choice', label: option.text });
+                    }
+                }
+            }
+            
+            for (const branch of scene.branches || []) {
+                if (this.getSceneById(branch.target)) {
+                    links.push({ from: scene.id, to: branch.target, type: 'branch', label: branch.condition ? `if ${branch.condition}` : '' });
+                }
+            }
+            
+            // A scene-end choice replaces the next link, unless it has options without a target
+            const choiceCoversEnd = scene.choice?.options?.length > 0 &&
+                scene.choice.options.every(option => this.getSceneById(option.target));
+            const next = this.getNextSceneId(scene);
+            if (next && !choiceCoversEnd) {
+                links.push({ from: scene.id, to: next, type: 'next', label: '', implicit: !scene.next });
+            }
+        }
+        
+        return links;
+    }
+
+    /**
+     * Clear next links and choice targets that point at a scene
+     * @param {string} sceneId - Scene ID
+     */
+    removeLinksTo(sceneId) {
+        for (const scene of this.scenes) {
+            if (scene.next === sceneId) scene.next = null;
+            for (const branch of scene.branches || []) {
+                if (branch.target === sceneId) branch.target = null;
+            }
+            
+            const choices = [scene.choice, ...(scene.dialogues || []).map(line => line.choice)];
+            for (const choice of choices) {
+                for (const option of choice?.options || []) {
+                    if (option.target === sceneId) option.target = null;
+                }
+            }
+        }
+    }
+
     /**
      * Update current scene data
      * @param {Object} data - Scene data to update
@@ -237,6 +341,9 @@ export class Timeline {
                     y: sprite.y,
                     scale: sprite.scale,
                     opacity: sprite.opacity,
+                    rotation: sprite.rotation || 0,
+                    flipX: !!sprite.flipX,
+                    flipY: !!sprite.flipY,
                     removeBackground: sprite.removeBackground
                 }))
             })),
@@ -10,6 +10,22 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed; the same seed gives the same sequence
+ * @returns {Function} Returns numbers in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Clamp a value between min and max
  * @param {number} value - Value to clamp
@@ -130,6 +146,27 @@ export function pointInRect(px, py, rx, ry, rw, rh) {
     return px >= rx && px <= rx + rw && py >= ry && py <= ry + rh;
 }
 
+/**
+ * Rotate a point around a center
+ * @param {number} px - Point X
+ * @param {number} py - Point Y
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} degrees - Rotation angle in degrees (clockwise on canvas)
+ * @returns {Object} Rotated point {x, y}
+ */
+export function rotatePoint(px, py, cx, cy, degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const dx = px - cx;
+    const dy = py - cy;
+    return {
+        x: cx + dx * cos - dy * sin,
+        y: cy + dx * sin + dy * cos
+    };
+}
+
 /**
  * Get file extension from filename
  * @param {string} filename - File name
@@ -151,13 +188,16 @@ export function getFileNameWithoutExtension(filename) {
 /**
  * Format time in milliseconds to readable format
  * @param {number} ms - Time in milliseconds
+ * @param {boolean} showMilliseconds - Add milliseconds (m:ss.mmm)
  * @returns {string} Formatted time string
  */
-export function formatTime(ms) {
+export function formatTime(ms, showMilliseconds = false) {
+    ms = Math.round(ms);
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    const formatted = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    return showMilliseconds ? `${formatted}.${(ms % 1000).toString().padStart(3, '0')}` : formatted;
 }
 
 /**
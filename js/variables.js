@@ -0,0 +1,378 @@
+/**
+ * SpriteGen - Story Variables
+ *
+ * Project-level flags, numbers and text values. Scene and line actions change
+ * them, conditions test them and dialogue text shows them with ${name}.
+ *
+ * Conditions: affection >= 3   met_bob   !met_bob   name == "Bob"
+ *             (a > 1 && b) || c      (and, or, not also work)
+ */
+
+import { generateId } from './utils.js';
+
+/**
+ * Variable types and their display names
+ */
+export const VARIABLE_TYPES = {
+    flag: 'Flag',
+    number: 'Number',
+    string: 'Text'
+};
+
+const DEFAULT_VALUES = {
+    flag: false,
+    number: 0,
+    string: ''
+};
+
+/**
+ * Create a variable definition
+ * @param {string} name - Variable name (used in conditions and ${name})
+ * @param {string} type - 'flag', 'number' or 'string'
+ * @returns {Object} Variable { id, name, type, value } where value is the default starting value
+ */
+export function createVariable(name, type = 'flag') {
+    return {
+        id: generateId(),
+        name,
+        type: VARIABLE_TYPES[type] ? type : 'flag',
+        value: DEFAULT_VALUES[type] ?? false
+    };
+}
+
+/**
+ * Create a variable action with defaults
+ * @param {string} variable - Variable name
+ * @returns {Object} Action { id, variable, op: 'set' or 'add', value }
+ */
+export function createVariableAction(variable = '') {
+    return { id: generateId(), variable, op: 'set', value: '' };
+}
+
+/**
+ * Convert a value to a variable type
+ * @param {string} type - 'flag', 'number' or 'string'
+ * @param {*} value - Value from an input or a project file
+ * @returns {boolean|number|string} Converted value
+ */
+export function coerceVariableValue(type, value) {
+    switch (type) {
+        case 'flag':
+            return value === true || value === 'true' || value === 1 || value === '1';
+        case 'number': {
+            const number = parseFloat(value);
+            return isNaN(number) ? 0 : number;
+        }
+        default:
+            return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+/**
+ * Check that a variable name can be used in conditions and ${name}
+ * @param {string} name - Variable name
+ * @returns {boolean}
+ */
+export function isValidVariableName(name) {
+    return /^[A-Za-z_][\w.]*$/.test(name) && !['true', 'false', 'and', 'or', 'not'].includes(name);
+}
+
+// ==================== CONDITIONS ====================
+
+const TOKEN_REGEX = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][\w.]*)|(==|!=|>=|<=|&&|\|\||[<>!=()]))/y;
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * Split a condition into tokens
+ * @param {string} source - Condition text
+ * @returns {Array} Tokens { type: 'number'|'string'|'name'|'op', value }
+ */
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_REGEX.lastIndex = 0;
+
+    while (TOKEN_REGEX.lastIndex < source.length) {
+        if (/^\s*$/.test(source.slice(TOKEN_REGEX.lastIndex))) break;
+
+        const start = TOKEN_REGEX.lastIndex;
+        const match = TOKEN_REGEX.exec(source);
+        if (!match) {
+            throw new Error(`Unexpected "${source.slice(start).trim()[0]}"`);
+        }
+
+        const [, number, string, name, op] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(number) });
+        } else if (string !== undefined) {
+            tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+        } else if (name !== undefined) {
+            if (KEYWORD_OPERATORS[name]) {
+                tokens.push({ type: 'op', value: KEYWORD_OPERATORS[name] });
+            } else if (name === 'true' || name === 'false') {
+                tokens.push({ type: 'boolean', value: name === 'true' });
+            } else {
+                tokens.push({ type: 'name', value: name });
+            }
+        } else {
+            // A single '=' reads as '=='
+            tokens.push({ type: 'op', value: op === '=' ? '==' : op });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a condition into an expression tree
+ * @param {string} source - Condition text
+ * @returns {Object} Expression node
+ * @throws {Error} If the condition is malformed
+ */
+export function parseCondition(source) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}"`);
+        position++;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (isOp('||')) {
+            position++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseNot();
+        while (isOp('&&')) {
+            position++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    };
+
+    const parseNot = () => {
+        if (isOp('!')) {
+            position++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    };
+
+    const parseComparison = () => {
+        const left = parseValue();
+        const token = peek();
+        if (token?.type === 'op' && ['==', '!=', '>=', '<=', '>', '<'].includes(token.value)) {
+            position++;
+            return { type: 'compare', op: token.value, left, right: parseValue() };
+        }
+        return left;
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        if (!token) throw new Error('Condition ends too early');
+
+        if (isOp('(')) {
+            position++;
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        if (token.type === 'op') throw new Error(`Unexpected "${token.value}"`);
+
+        position++;
+        return token.type === 'name'
+            ? { type: 'variable', name: token.value }
+            : { type: 'literal', value: token.value };
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value}"`);
+    }
+    return tree;
+}
+
+/**
+ * Check a condition for syntax errors
+ * @param {string} source - Condition text
+ * @returns {string|null} Error message, or null if valid (or empty)
+ */
+export function validateCondition(source) {
+    if (!source || !source.trim()) return null;
+    try {
+        parseCondition(source);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Compare two values, numerically when both look like numbers
+ * @returns {boolean}
+ */
+function compareValues(left, op, right) {
+    const numeric = left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right)) &&
+        typeof left !== 'boolean' && typeof right !== 'boolean';
+    const a = numeric ? Number(left) : left;
+    const b = numeric ? Number(right) : right;
+
+    switch (op) {
+        case '==': return numeric || typeof a === typeof b ? a === b : String(a) === String(b);
+        case '!=': return !compareValues(left, '==', right);
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+    }
+    return false;
+}
+
+// ==================== VARIABLE STORE ====================
+
+export class VariableStore {
+    /**
+     * @param {Array} variables - Variable definitions { name, type, value }
+     * @param {Object} startValues - Optional name -> value overrides for the starting state
+     */
+    constructor(variables = [], startValues = {}) {
+        this.reset(variables, startValues);
+    }
+
+    /**
+     * Reset every variable to its starting value
+     * @param {Array} variables - Variable definitions
+     * @param {Object} startValues - Optional name -> value overrides
+     */
+    reset(variables = [], startValues = {}) {
+        this.types = new Map();
+        this.values = new Map();
+
+        for (const variable of variables) {
+            const start = startValues[variable.name] !== undefined ? startValues[variable.name] : variable.value;
+            this.types.set(variable.name, variable.type);
+            this.values.set(variable.name, coerceVariableValue(variable.type, start));
+        }
+    }
+
+    /**
+     * Get a variable's current value
+     * @param {string} name - Variable name
+     * @returns {*} Value, or undefined if there is no such variable
+     */
+    get(name) {
+        return this.values.get(name);
+    }
+
+    /**
+     * Set a variable, converting the value to its type
+     * @param {string} name - Variable name
+     * @param {*} value - New value
+     */
+    set(name, value) {
+        if (!this.types.has(name)) return;
+        this.values.set(name, coerceVariableValue(this.types.get(name), value));
+    }
+
+    /**
+     * Add to a number variable (or append to a text variable)
+     * @param {string} name - Variable name
+     * @param {*} amount - Amount to add
+     */
+    add(name, amount) {
+        const type = this.types.get(name);
+        if (type === 'number') {
+            this.values.set(name, this.values.get(name) + coerceVariableValue('number', amount));
+        } else if (type === 'string') {
+            this.values.set(name, this.values.get(name) + coerceVariableValue('string', amount));
+        }
+    }
+
+    /**
+     * Run a list of set/add actions in order
+     * @param {Array} actions - Actions { variable, op, value }
+     */
+    runActions(actions) {
+        for (const action of actions || []) {
+            if (action.op === 'add') {
+                this.add(action.variable, action.value);
+            } else {
+                this.set(action.variable, action.value);
+            }
+        }
+    }
+
+    /**
+     * Test a condition. Empty conditions pass, and so do malformed ones, so a
+     * typo never hides content silently (the editor flags the error instead).
+     * @param {string} condition - Condition text
+     * @returns {boolean}
+     */
+    test(condition) {
+        if (!condition || !condition.trim()) return true;
+
+        let tree;
+        try {
+            tree = parseCondition(condition);
+        } catch (error) {
+            return true;
+        }
+        return !!this.evaluate(tree);
+    }
+
+    /**
+     * Evaluate an expression tree
+     * @param {Object} node - Expression node from parseCondition
+     * @returns {*} Value
+     */
+    evaluate(node) {
+        switch (node.type) {
+            case 'literal': return node.value;
+            case 'variable': return this.get(node.name);
+            case 'not': return !this.evaluate(node.operand);
+            case 'and': return this.evaluate(node.left) && this.evaluate(node.right);
+            case 'or': return this.evaluate(node.left) || this.evaluate(node.right);
+            case 'compare': return compareValues(this.evaluate(node.left), node.op, this.evaluate(node.right));
+        }
+        return undefined;
+    }
+
+    /**
+     * Replace ${name} with variable values. Unknown names are left as written.
+     * @param {string} text - Text with ${name} placeholders
+     * @returns {string} Text with values filled in
+     */
+    interpolate(text) {
+        return interpolateVariables(text, (name) => this.get(name));
+    }
+
+    /**
+     * Get all current values
+     * @returns {Object} name -> value
+     */
+    getValues() {
+        return Object.fromEntries(this.values);
+    }
+}
+
+/**
+ * Replace ${name} placeholders using a lookup function
+ * @param {string} text - Text with ${name} placeholders
+ * @param {Function} lookup - Returns a value for a name, or undefined
+ * @returns {string} Text with values filled in
+ */
+export function interpolateVariables(text, lookup) {
+    if (!text || !lookup) return text;
+    return text.replace(/\$\{\s*([A-Za-z_][\w.]*)\s*\}/g, (placeholder, name) => {
+        const value = lookup(name);
+        return value === undefined ? placeholder : String(value);
+    });
+}
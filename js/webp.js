@@ -0,0 +1,145 @@
+/**
+ * SpriteGen - Animated WebP Writer
+ *
+ * Packs still WebP images into an animated WebP with no library. The browser
+ * encodes each frame (canvas.toBlob with 'image/webp'); this only lifts the
+ * image data out of each file and wraps it in the ANIM/ANMF chunks of an
+ * extended WebP container.
+ */
+
+/**
+ * Check whether the browser can encode WebP images from a canvas
+ * @returns {boolean} True if canvas.toBlob makes WebP files
+ */
+export function canEncodeWebP() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+export class WebPAnimator {
+    /**
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - { loop (play forever) }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = options.loop !== false;
+        this.frames = [];
+        this.hasAlpha = false;
+        this.time = 0; // ms of frames added so far
+    }
+
+    /**
+     * Add a frame
+     * @param {Blob} blob - Still WebP image, width × height
+     * @param {number} duration - How long the frame shows (ms)
+     */
+    async addFrame(blob, duration) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const chunks = readChunks(bytes);
+
+        // Keep the alpha and image data chunks, in file order
+        const image = chunks.filter(chunk => chunk.id === 'ALPH' || chunk.id === 'VP8 ' || chunk.id === 'VP8L');
+        if (!image.some(chunk => chunk.id !== 'ALPH')) {
+            throw new Error('Frame is not a WebP image');
+        }
+        if (image.some(chunk => chunk.id === 'ALPH' || chunk.id === 'VP8L')) {
+            this.hasAlpha = true;
+        }
+
+        // Round the running total rather than each frame, to stay in time
+        const delay = Math.round(this.time + duration) - Math.round(this.time);
+        this.time += duration;
+
+        const header = new Uint8Array(16);
+        writeUint24(header, 0, 0); // X offset / 2
+        writeUint24(header, 3, 0); // Y offset / 2
+        writeUint24(header, 6, this.width - 1);
+        writeUint24(header, 9, this.height - 1);
+        writeUint24(header, 12, delay);
+        header[15] = 0x02; // Replace the canvas rather than blend, keep it after the frame
+
+        this.frames.push(makeChunk('ANMF', [header, ...image.map(chunk => makeChunk(chunk.id, [chunk.data]))]));
+    }
+
+    /**
+     * Finish the animation
+     * @returns {Blob} WebP file
+     */
+    finish() {
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = 0x02 | (this.hasAlpha ? 0x10 : 0); // Animation, alpha
+        writeUint24(vp8x, 4, this.width - 1);
+        writeUint24(vp8x, 7, this.height - 1);
+
+        const anim = new Uint8Array(6);
+        anim.set([0, 0, 0, 255]); // Background color (BGRA)
+        anim[4] = this.loop ? 0 : 1; // Loop count, 0 = forever
+
+        const parts = [makeChunk('VP8X', [vp8x]), makeChunk('ANIM', [anim]), ...this.frames];
+        const size = 4 + parts.reduce((total, part) => total + part.length, 0);
+
+        const riff = new Uint8Array(12);
+        writeString(riff, 0, 'RIFF');
+        new DataView(riff.buffer).setUint32(4, size, true);
+        writeString(riff, 8, 'WEBP');
+        return new Blob([riff, ...parts], { type: 'image/webp' });
+    }
+}
+
+/**
+ * Split a WebP file into its chunks
+ * @param {Uint8Array} bytes - WebP file
+ * @returns {Array} Chunks { id, data }
+ */
+function readChunks(bytes) {
+    const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || text(0) !== 'RIFF' || text(8) !== 'WEBP') {
+        throw new Error('Frame is not a WebP image');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ id: text(offset), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+/**
+ * Build a RIFF chunk, padded to an even length
+ * @param {string} id - Four character chunk ID
+ * @param {Array} parts - Uint8Array payload pieces
+ * @returns {Uint8Array} Chunk
+ */
+function makeChunk(id, parts) {
+    const size = parts.reduce((total, part) => total + part.length, 0);
+    const chunk = new Uint8Array(8 + size + (size & 1));
+    writeString(chunk, 0, id);
+    new DataView(chunk.buffer).setUint32(4, size, true);
+    let offset = 8;
+    for (const part of parts) {
+        chunk.set(part, offset);
+        offset += part.length;
+    }
+    return chunk;
+}
+
+function writeUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+function writeString(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i);
+    }
+}
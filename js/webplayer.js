@@ -0,0 +1,170 @@
+/**
+ * SpriteGen - Web Player Export
+ *
+ * Builds a single HTML file that plays a project with no editor: the project
+ * (images and audio included, as data URLs) and the player runtime are both
+ * written into the page, so it opens from disk or any static host.
+ *
+ * The runtime is the editor's own player.js and the modules it imports,
+ * fetched from where the editor is served and joined into one classic script.
+ */
+
+const PLAYER_MODULE = 'player.js';
+
+/**
+ * Build the web player page for a project
+ * @param {Object} project - Project data, with sprite images already processed
+ * @param {Object} options - { title (page title) }
+ * @returns {Promise<string>} HTML document
+ */
+export async function buildWebPlayer(project, options = {}) {
+    const runtime = await bundleModules(PLAYER_MODULE);
+    const title = escapeHtml(options.title || 'SpriteGen Player');
+
+    // Keep "</script>" and friends in dialogue from ending the script block
+    const projectJson = JSON.stringify(project).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+${PLAYER_STYLES}
+</style>
+</head>
+<body>
+<div id="stage">
+    <canvas id="player-canvas" width="1920" height="1080"></canvas>
+    <div id="start-overlay" class="overlay">
+        <button id="btn-play" class="overlay-button">&#9654; Click to play</button>
+    </div>
+    <div id="end-overlay" class="overlay hidden">
+        <button id="btn-end-replay" class="overlay-button">&#8635; Replay</button>
+    </div>
+    <div id="controls" class="hidden">
+        <button id="btn-skip" title="Skip scene">Skip</button>
+        <button id="btn-replay" title="Replay from the start">Replay</button>
+        <button id="btn-fullscreen" title="Fullscreen (F)">Fullscreen</button>
+    </div>
+</div>
+<script type="application/json" id="project-data">${projectJson}</script>
+<script>
+${runtime}
+${PLAYER_PAGE_SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Join an ES module and everything it imports into one classic script.
+ * Each module runs in its own function, in dependency order, and its
+ * imports are read from the exports of the modules before it.
+ * @param {string} entry - Entry module file name (in this folder)
+ * @returns {Promise<string>} Script source
+ */
+async function bundleModules(entry) {
+    const sources = new Map(); // File name -> source, dependencies first
+    const visit = async (name) => {
+        if (sources.has(name)) return;
+        sources.set(name, null); // Reserve the name, so import cycles stop here
+
+        const response = await fetch(new URL(name, import.meta.url));
+        if (!response.ok) {
+            throw new Error(`Could not load ${name} for the web player`);
+        }
+        const source = await response.text();
+        for (const match of source.matchAll(IMPORT_REGEX)) {
+            await visit(match[2]);
+        }
+
+        // Re-add so the module comes after its dependencies
+        sources.delete(name);
+        sources.set(name, source);
+    };
+    await visit(entry);
+
+    const modules = [...sources].map(([name, source]) => {
+        const exported = [];
+        const body = source
+            .replace(IMPORT_REGEX, (match, names, file) => `const {${names}} = __modules['${file}'];`)
+            .replace(EXPORT_REGEX, (match, keyword, exportName) => {
+                exported.push(exportName);
+                return `${keyword} ${exportName}`;
+            });
+
+        return `// ${name}\n__modules['${name}'] = (function () {\n${body}\nreturn { ${exported.join(', ')} };\n})();`;
+    });
+
+    return `const __modules = {};\n${modules.join('\n\n')}\nconst { SpriteGenPlayer } = __modules['${entry}'];`;
+}
+
+// The module sources only use single-line named imports and declaration exports
+const IMPORT_REGEX = /^import\s*\{([^}]*)\}\s*from\s*'\.\/([\w-]+\.js)';?[ \t]*$/gm;
+const EXPORT_REGEX = /^export\s+((?:async\s+)?function\*?|class|const|let)\s+([\w$]+)/gm;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const PLAYER_STYLES = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; background: #000; overflow: hidden; font-family: sans-serif; }
+#stage { position: relative; width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; }
+#player-canvas { display: block; max-width: 100%; max-height: 100%; aspect-ratio: 16 / 9; width: 100%; height: auto; }
+@media (min-aspect-ratio: 16/9) { #player-canvas { width: auto; height: 100%; } }
+.overlay { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.6); }
+.overlay-button { padding: 16px 32px; font-size: 20px; color: #fff; background: #e94560; border: none; border-radius: 8px; cursor: pointer; }
+#controls { position: absolute; right: 16px; bottom: 16px; display: flex; gap: 8px; opacity: 0.3; transition: opacity 0.2s; }
+#controls:hover { opacity: 1; }
+#controls button { padding: 6px 12px; font-size: 13px; color: #fff; background: rgba(0, 0, 0, 0.6); border: 1px solid rgba(255, 255, 255, 0.4); border-radius: 4px; cursor: pointer; }
+.hidden { display: none !important; }
+`;
+
+// Runs after the bundled runtime: starts on the first click (browsers only play audio after one)
+const PLAYER_PAGE_SCRIPT = `
+(function () {
+    const project = JSON.parse(document.getElementById('project-data').textContent);
+    const stage = document.getElementById('stage');
+    const startOverlay = document.getElementById('start-overlay');
+    const endOverlay = document.getElementById('end-overlay');
+    const controls = document.getElementById('controls');
+    const player = new SpriteGenPlayer(document.getElementById('player-canvas'), project);
+    const loaded = player.load();
+
+    const play = async () => {
+        await loaded;
+        startOverlay.classList.add('hidden');
+        endOverlay.classList.add('hidden');
+        controls.classList.remove('hidden');
+        player.play();
+    };
+    const toggleFullscreen = () => {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (stage.requestFullscreen) {
+            stage.requestFullscreen();
+        }
+    };
+
+    player.onEnd = () => endOverlay.classList.remove('hidden');
+
+    document.getElementById('btn-play').addEventListener('click', play);
+    document.getElementById('btn-end-replay').addEventListener('click', play);
+    document.getElementById('btn-replay').addEventListener('click', (e) => { e.currentTarget.blur(); play(); });
+    document.getElementById('btn-skip').addEventListener('click', (e) => { e.currentTarget.blur(); player.skip(); });
+    document.getElementById('btn-fullscreen').addEventListener('click', (e) => { e.currentTarget.blur(); toggleFullscreen(); });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            if (startOverlay.classList.contains('hidden')) player.advance();
+        } else if (e.key === 'f' || e.key === 'F') {
+            toggleFullscreen();
+        }
+    });
+})();
+`;
@@ -0,0 +1,138 @@
+/**
+ * SpriteGen - Image Worker Pool
+ *
+ * Hands image processing jobs to a few background workers (imageworker.js),
+ * so importing or loading many large sprites doesn't freeze the editor.
+ * Workers start when first needed; jobs beyond the pool size wait their turn.
+ */
+
+const CANCELLED_MESSAGE = 'Image processing cancelled';
+
+export class ImageWorkerPool {
+    /**
+     * Check whether this browser can run image processing in workers
+     * @returns {boolean} True if workers with OffscreenCanvas are available
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * @param {number} size - Most workers to run at once (defaults to the spare CPU cores, up to 4)
+     */
+    constructor(size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.size = size;
+        this.slots = []; // { worker, job } - job is null while the worker is idle
+        this.queue = []; // Jobs waiting for a worker
+        this.nextId = 1;
+        this.failed = false; // Set when the worker script can't load; callers then process on the main thread
+    }
+
+    /**
+     * Run a job on the next free worker
+     * @param {string} type - Job type (see imageworker.js)
+     * @param {Object} payload - Job data
+     * @param {Transferable[]} transfer - Objects in the payload to move to the worker rather than copy
+     * @param {*} tag - Marks the job as part of a batch that cancel(tag) can stop (null for none)
+     * @returns {Promise<Object>} The job's result
+     */
+    run(type, payload, transfer = [], tag = null) {
+        if (this.failed) {
+            return Promise.reject(new Error('Image workers are unavailable'));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, type, payload, transfer, tag, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Stop the waiting and running jobs of one batch. Their promises reject; other jobs carry on.
+     * @param {*} tag - Tag the jobs were run with
+     */
+    cancel(tag) {
+        if (tag === null || tag === undefined) return;
+
+        this.queue = this.queue.filter(job => {
+            if (job.tag !== tag) return true;
+            job.payload.image?.close?.();
+            job.reject(new Error(CANCELLED_MESSAGE));
+            return false;
+        });
+
+        // A worker can't be interrupted mid-job, so busy ones are replaced
+        this.slots = this.slots.filter(slot => {
+            if (slot.job?.tag !== tag) return true;
+            slot.worker.terminate();
+            slot.job.reject(new Error(CANCELLED_MESSAGE));
+            return false;
+        });
+        this.dispatch();
+    }
+
+    /**
+     * Start waiting jobs on idle workers, starting workers as needed
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(candidate => !candidate.job);
+            if (!slot) {
+                if (this.slots.length >= this.size) return;
+                slot = this.createSlot();
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload }, job.transfer);
+        }
+    }
+
+    /**
+     * Start a worker and add it to the pool
+     * @returns {Object} The new slot
+     */
+    createSlot() {
+        const worker = new Worker(new URL('./imageworker.js', import.meta.url), { type: 'module' });
+        const slot = { worker, job: null, started: false };
+
+        worker.onmessage = (e) => {
+            slot.started = true;
+            const { id, result, error } = e.data;
+            const job = slot.job;
+            if (!job || job.id !== id) return;
+
+            slot.job = null;
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(result);
+            }
+            this.dispatch();
+        };
+
+        // The worker script failed, so drop it and fail its job
+        worker.onerror = (e) => {
+            e.preventDefault();
+            worker.terminate();
+            this.slots = this.slots.filter(candidate => candidate !== slot);
+            const error = new Error(e.message || 'Image worker failed');
+            slot.job?.reject(error);
+
+            // A worker that never answered couldn't load its script, and no other worker will either
+            if (!slot.started) {
+                this.failed = true;
+                for (const job of this.queue.splice(0)) {
+                    job.payload.image?.close?.();
+                    job.reject(error);
+                }
+                return;
+            }
+            this.dispatch();
+        };
+
+        this.slots.push(slot);
+        return slot;
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * SpriteGen - ZIP Writer
+ *
+ * Builds a ZIP archive in the browser with no library. Files are stored
+ * without compression: PNG frames are already compressed, so deflating them
+ * again would only slow exports down. Archives past 4 GB or 65535 files get
+ * ZIP64 records, which every modern unzip tool reads.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const MAX_UINT16 = 0xFFFF;
+const MAX_UINT32 = 0xFFFFFFFF;
+
+/**
+ * Work out the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+export function crc32(bytes) {
+    let crc = MAX_UINT32;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ MAX_UINT32) >>> 0;
+}
+
+export class ZipWriter {
+    /**
+     * @param {Date} date - Modified date given to every file
+     */
+    constructor(date = new Date()) {
+        this.parts = []; // Local headers and file data, in order
+        this.entries = []; // { name, crc, size, offset } for the central directory
+        this.offset = 0;
+
+        // MS-DOS date and time (2 second resolution)
+        this.dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        this.dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive, with / between folders
+     * @param {Uint8Array|string} data - File contents (strings are saved as UTF-8)
+     * @param {Blob} blob - Optional blob holding the same bytes, kept instead of data so large files can live on disk
+     */
+    addFile(name, data, blob = null) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const nameBytes = new TextEncoder().encode(name);
+        const entry = { nameBytes, crc: crc32(bytes), size: bytes.length, offset: this.offset };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true); // Compressed size
+        header.setUint32(22, entry.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        this.parts.push(header, nameBytes, blob || bytes);
+        this.offset += 30 + nameBytes.length + entry.size;
+        this.entries.push(entry);
+    }
+
+    /**
+     * Add a file from a blob
+     * @param {string} name - Path inside the archive
+     * @param {Blob} blob - File contents
+     * @returns {Promise<void>}
+     */
+    async addBlob(name, blob) {
+        this.addFile(name, new Uint8Array(await blob.arrayBuffer()), blob);
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const zip64 = entry.offset >= MAX_UINT32;
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true); // Central directory header signature
+            header.setUint16(4, 45, true); // Version made by
+            header.setUint16(6, zip64 ? 45 : 20, true); // Version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, this.dosTime, true);
+            header.setUint16(14, this.dosDate, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint16(30, zip64 ? 12 : 0, true); // Extra field length
+            header.setUint16(32, 0, true); // Comment length
+            header.setUint16(34, 0, true); // Disk number
+            header.setUint16(36, 0, true); // Internal attributes
+            header.setUint32(38, 0, true); // External attributes
+            header.setUint32(42, zip64 ? MAX_UINT32 : entry.offset, true);
+            directory.push(header, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+
+            if (zip64) {
+                // ZIP64 extra field with the real offset
+                const extra = new DataView(new ArrayBuffer(12));
+                extra.setUint16(0, 0x0001, true);
+                extra.setUint16(2, 8, true);
+                extra.setBigUint64(4, BigInt(entry.offset), true);
+                directory.push(extra);
+                directorySize += 12;
+            }
+        }
+
+        const directoryOffset = this.offset;
+        const count = this.entries.length;
+        const end = [];
+
+        if (count >= MAX_UINT16 || directoryOffset >= MAX_UINT32) {
+            // ZIP64 end of central directory record and locator
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064B50, true);
+            record.setBigUint64(4, 44n, true); // Size of the rest of the record
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            record.setUint32(16, 0, true);
+            record.setUint32(20, 0, true);
+            record.setBigUint64(24, BigInt(count), true);
+            record.setBigUint64(32, BigInt(count), true);
+            record.setBigUint64(40, BigInt(directorySize), true);
+            record.setBigUint64(48, BigInt(directoryOffset), true);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064B50, true);
+            locator.setUint32(4, 0, true);
+            locator.setBigUint64(8, BigInt(directoryOffset + directorySize), true);
+            locator.setUint32(16, 1, true); // Total disks
+            end.push(record, locator);
+        }
+
+        const record = new DataView(new ArrayBuffer(22));
+        record.setUint32(0, 0x06054B50, true); // End of central directory signature
+        record.setUint16(4, 0, true);
+        record.setUint16(6, 0, true);
+        record.setUint16(8, Math.min(count, MAX_UINT16), true);
+        record.setUint16(10, Math.min(count, MAX_UINT16), true);
+        record.setUint32(12, directorySize, true);
+        record.setUint32(16, Math.min(directoryOffset, MAX_UINT32), true);
+        record.setUint16(20, 0, true); // Comment length
+        end.push(record);
+
+        return new Blob([...this.parts, ...directory, ...end], { type: 'application/zip' });
+    }
+}